@@ -1,10 +1,10 @@
 // ==UserScript==
 // @name         Amazon Driver Snapshot
 // @namespace    https://github.com/onth/scripts
-// @version      2.2.3
+// @version      2.3.0
 // @description  In-page Driver Snapshot drawer. Click driver → open itinerary → hide completed → copy Nth *remaining* stop address (default 3) → auto-back. Optimized for performance, reliability, and accessibility.
 // @match        https://logistics.amazon.com/operations/execution/itineraries*
-// @run-at       document-idle
+// @run-at       document-start
 // @grant        none
 // @updateURL    https://raw.githubusercontent.com/Joeybs/onth-driver-snapshot-clean/main/amazon-driver-snapshot.user.js
 // @downloadURL  https://raw.githubusercontent.com/Joeybs/onth-driver-snapshot-clean/main/amazon-driver-snapshot.user.js
@@ -19,12 +19,41 @@
 (function () {
   "use strict";
 
+  const SCRIPT_VERSION = "2.3.0";
+
+  // Ordered fallback lists: the first entry that matches anything wins.
+  // Users can prepend their own entries per key from the diagnostics panel.
   const SELECTORS = {
-    rows: '[data-testid="allow-text-selection-div"]',
-    scrollPanel: ".fp-page-template",
+    rows: ['[data-testid="allow-text-selection-div"]'],
+    scrollPanel: [".fp-page-template"],
     projectedRTS: ["[data-testid='projected-rts']", "[data-attr='projected-rts']"],
     avgPerHour: ["[data-testid='avg-stops-per-hour']", "[data-attr='avg-stops-per-hour']"],
     lastHourPace: ["[data-testid='last-hour-pace']", "[data-attr='last-hour-pace']"],
+    stopHeaders: [
+      'div[role="button"][aria-controls^="expandable"], button[aria-controls^="expandable"]',
+      '[role="button"][aria-expanded][aria-controls]',
+    ],
+    hideToggle: [
+      'input[role="switch"][type="checkbox"]',
+      'input[role="switch"][type="checkbox"], input[type="checkbox"][role="switch"], [role="switch"]',
+      'input[type="checkbox"]',
+    ],
+    hideToggleText: ["hide completed stops", "hide completed"],
+    stopAddress: ['[data-testid*="address" i], [data-attr*="address" i], [aria-label*="address" i]'],
+    searchInput: ['input[placeholder="Search..."]'],
+  };
+
+  const SELECTOR_META = {
+    rows: { label: "Driver rows", scope: "list" },
+    scrollPanel: { label: "List scroll panel", scope: "list" },
+    projectedRTS: { label: "Row: projected RTS", scope: "row", optional: true },
+    avgPerHour: { label: "Row: stops/hr", scope: "row", optional: true },
+    lastHourPace: { label: "Row: last-hour pace", scope: "row", optional: true },
+    stopHeaders: { label: "Stop headers", scope: "driver" },
+    hideToggle: { label: "Hide-completed switch", scope: "driver" },
+    hideToggleText: { label: "Hide-completed label text", scope: "driver", text: true },
+    stopAddress: { label: "Stop panel address", scope: "panel", optional: true },
+    searchInput: { label: "Itinerary search box", scope: "driver", optional: true },
   };
 
   const RX = {
@@ -37,6 +66,9 @@
     numVal: /-?\d+(?:\.\d+)?/,
     zip: /\b\d{5}(-\d{4})?\b/,
     stopsPair: /(\d+)\s*\/\s*(\d+)\s*stops/i,
+    notStarted: /\bnot\s+(?:yet\s+)?started\b|\bscheduled\b/i,
+    // Not after a number: "12 completed" is a progress label, not a status.
+    completed: /(?<!\d[ \t]*)\b(?:completed?|finished|returned\s+to\s+station)\b/i,
   };
 
   const CONFIG = {
@@ -55,8 +87,28 @@
   FETCH_TIMEOUT: 15000,
   MAX_STOP_NUMBER: 999,
   MIN_STOP_NUMBER: 1,
+  PERSIST_MAX_AGE_MIN: 720, // Saved snapshot/addresses older than this are dropped on load
+  LIVE_UPDATES: false,      // Watch the list and merge changed rows instead of waiting for a rescroll
+  RISK_MIN_PACE: 12,        // Last-hour pace below this flags a driver
+  RISK_RTS_CUTOFF: "8:30 PM",
+  SHIFT_END: "9:00 PM",
+  HISTORY_MAX_SAMPLES: 96,  // Per driver, per service day
+  AUTO_REFRESH_MIN: 0,      // 0 = off
+  AUTO_REFRESH_IDLE_SEC: 60, // Only auto-refresh after this long without user input
+  NOTIFY_RTS_SHIFT_MIN: 15,
+  NOTIFY_PACE_DROP: 5,
+  NOTIFY_DESKTOP: false,
+  READ_LAST_DONE: false,    // Also read the last completed stop's address, for the distance estimate (rescans the itinerary)
+  ADDRESS_FORMAT: "page",   // Which form of the address is copied: page | usps | street
+  DATA_SOURCE: "dom",       // dom = click through the itinerary; api = read the page's JSON endpoints first
+  API_ITINERARIES_URL: "",  // e.g. /api/itineraries?serviceDate={serviceDate}
+  API_STOPS_URL: "",        // e.g. /api/itineraries/{itineraryId}/stops
+  CAPTURE_NETWORK: true,    // Keep a copy of the list/stop JSON the page itself loads
+  CAPTURE_MAX_AGE_SEC: 120, // Captured data older than this is ignored and the page is scrolled instead
 };
 
+  const CONFIG_DEFAULTS = Object.freeze({ ...CONFIG });
+
   const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
   const norm = (s) => String(s ?? "").toLowerCase().trim();
   const firstLine = (t = "") => (t?.split("\n")?.[0] ?? "").trim();
@@ -103,6 +155,30 @@
     return Math.max(CONFIG.MIN_STOP_NUMBER, Math.min(CONFIG.MAX_STOP_NUMBER, Math.floor(n)));
   };
 
+  const MAX_MULTI_STOPS = 25;
+
+  // "5" → 1..5, "3,5,8" → [3, 5, 8], "2-6" → 2..6 (mixable: "1-3,8")
+  const parseStopSpec = (spec) => {
+    const t = String(spec ?? "").trim();
+    if (!t) return [];
+    const out = new Set();
+    const add = (n) => {
+      if (n >= CONFIG.MIN_STOP_NUMBER && n <= CONFIG.MAX_STOP_NUMBER) out.add(n);
+    };
+    if (/^\d+$/.test(t)) {
+      for (let n = 1; n <= Math.min(Number(t), MAX_MULTI_STOPS); n++) add(n);
+    } else {
+      for (const part of t.split(/[,\s]+/).filter(Boolean)) {
+        const m = part.match(/^(\d+)(?:-(\d+))?$/);
+        if (!m) return [];
+        const a = Number(m[1]);
+        const b = m[2] ? Number(m[2]) : a;
+        for (let n = Math.min(a, b); n <= Math.max(a, b) && out.size < MAX_MULTI_STOPS; n++) add(n);
+      }
+    }
+    return [...out].sort((x, y) => x - y).slice(0, MAX_MULTI_STOPS);
+  };
+
   const sanitizeText = (text) => {
     return String(text ?? "").replace(/[<>&"']/g, (char) => {
       const entities = {
@@ -148,12 +224,15 @@
     },
   };
 
+  // Marks the script's own requests so the network capture leaves them alone.
+  const OWN_REQUEST = Symbol("onth-request");
+
   const fetchWithTimeout = async (url, options = {}, timeout = CONFIG.FETCH_TIMEOUT, retries = CONFIG.RETRY_ATTEMPTS) => {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
 
     try {
-      const response = await fetch(url, { ...options, signal: controller.signal });
+      const response = await fetch(url, { ...options, signal: controller.signal, [OWN_REQUEST]: true });
       clearTimeout(timeoutId);
 
       if (!response.ok && retries > 0) {
@@ -208,6 +287,7 @@
   class LRUCache {
     constructor(maxSize = CONFIG.MAX_CACHE_SIZE) {
       this._cache = new Map();
+      this._times = new Map();
       this._maxSize = maxSize;
     }
 
@@ -219,13 +299,20 @@
       return value;
     }
 
-    set(key, value) {
+    set(key, value, at = Date.now()) {
       if (this._cache.has(key)) this._cache.delete(key);
       else if (this._cache.size >= this._maxSize) {
         const firstKey = this._cache.keys().next().value;
         this._cache.delete(firstKey);
+        this._times.delete(firstKey);
       }
       this._cache.set(key, value);
+      this._times.set(key, at);
+    }
+
+    // Oldest first, so replaying entries through set() keeps the LRU order.
+    entries() {
+      return [...this._cache].map(([key, value]) => [key, value, this._times.get(key) ?? 0]);
     }
 
     has(key) {
@@ -234,6 +321,7 @@
 
     clear() {
       this._cache.clear();
+      this._times.clear();
     }
 
     get size() {
@@ -241,6 +329,278 @@
     }
   }
 
+  const STORE_PREFIX = "__onth_snap__:";
+
+  const store = {
+    get(key, fallback = null) {
+      try {
+        const raw = localStorage.getItem(STORE_PREFIX + key);
+        return raw == null ? fallback : JSON.parse(raw);
+      } catch (err) {
+        log.warn(`Failed to read saved "${key}":`, err);
+        return fallback;
+      }
+    },
+
+    set(key, value) {
+      try {
+        localStorage.setItem(STORE_PREFIX + key, JSON.stringify(value));
+        return true;
+      } catch (err) {
+        log.warn(`Failed to save "${key}":`, err);
+        return false;
+      }
+    },
+
+    remove(key) {
+      try {
+        localStorage.removeItem(STORE_PREFIX + key);
+      } catch (err) {
+        log.warn(`Failed to remove "${key}":`, err);
+      }
+    },
+  };
+
+  const pad2 = (n) => String(n).padStart(2, "0");
+
+  // Clock times before 4:00 AM belong to the end of the service day, not its start.
+  const DAY_ROLLOVER_MIN = 240;
+
+  function getServiceDate() {
+    try {
+      const u = new URL(location.href);
+      const fromUrl = u.searchParams.get("serviceDate") || u.searchParams.get("date");
+      if (fromUrl && /^\d{4}-\d{2}-\d{2}$/.test(fromUrl)) return fromUrl;
+    } catch (err) {
+      log.warn("URL parsing failed:", err);
+    }
+    // Without one in the URL, the small hours still belong to yesterday's routes.
+    const d = new Date(Date.now() - DAY_ROLLOVER_MIN * 60000);
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  }
+
+  function fmtAge(ms) {
+    const min = Math.floor(Math.max(0, ms) / 60000);
+    if (min < 1) return "just now";
+    if (min < 60) return `${min}m ago`;
+    const h = Math.floor(min / 60);
+    return min % 60 ? `${h}h ${min % 60}m ago` : `${h}h ago`;
+  }
+
+  // "h:mm AM" → minutes since midnight
+  function parseClock(t) {
+    const m = String(t ?? "").trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp])\.?[Mm]\.?$/);
+    if (!m) return null;
+    const h = Number(m[1]);
+    const min = Number(m[2]);
+    if (h < 1 || h > 12 || min > 59) return null;
+    return (h % 12) * 60 + min + (/p/i.test(m[3]) ? 720 : 0);
+  }
+
+  function formatClock(minutes) {
+    const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    const h = Math.floor(m / 60);
+    return `${h % 12 || 12}:${pad2(m % 60)} ${h < 12 ? "AM" : "PM"}`;
+  }
+
+  // "h:mm AM" → minutes since the service day's midnight; after-midnight times run past 1440.
+  function dayMinutes(t) {
+    const m = parseClock(t);
+    return m == null ? null : m < DAY_ROLLOVER_MIN ? m + 1440 : m;
+  }
+
+  // The current time on the same scale, counted from the service date's midnight.
+  function serviceNow() {
+    const [y, mo, d] = getServiceDate().split("-").map(Number);
+    return Math.floor((Date.now() - new Date(y, mo - 1, d).getTime()) / 60000);
+  }
+
+  function fmtDuration(minutes) {
+    const abs = Math.abs(Math.round(minutes));
+    const h = Math.floor(abs / 60);
+    const text = h ? `${h}h ${pad2(abs % 60)}m` : `${abs}m`;
+    return minutes < 0 ? `−${text}` : text;
+  }
+
+  // `reload: true` marks values that are only read when the script starts.
+  const SETTINGS_FIELDS = [
+    { group: "At risk", key: "RISK_MIN_PACE", label: "At risk below pace (stops/hr)", type: "number", min: 0, max: 100 },
+    { group: "At risk", key: "RISK_RTS_CUTOFF", label: "At risk when RTS is after", type: "clock" },
+    { group: "At risk", key: "SHIFT_END", label: "Shift end", type: "clock" },
+    { group: "Auto-refresh", key: "AUTO_REFRESH_MIN", label: "Refresh every (min, 0 = off)", type: "number", min: 0, max: 240, integer: true },
+    { group: "Auto-refresh", key: "AUTO_REFRESH_IDLE_SEC", label: "Only when idle for (sec)", type: "number", min: 0, max: 3600, integer: true },
+    { group: "Auto-refresh", key: "NOTIFY_RTS_SHIFT_MIN", label: "Notify when RTS slips by (min)", type: "number", min: 1, max: 600, integer: true },
+    { group: "Auto-refresh", key: "NOTIFY_PACE_DROP", label: "Notify when pace drops by", type: "number", min: 0.5, max: 100 },
+    { group: "Auto-refresh", key: "NOTIFY_DESKTOP", label: "Desktop notifications", type: "bool" },
+    { group: "Stops", key: "DEFAULT_STOP_N", label: "Default Nth stop", type: "number", min: 1, max: 999, integer: true, reload: true },
+    { group: "Stops", key: "MIN_STOP_NUMBER", label: "Lowest allowed stop", type: "number", min: 1, max: 999, integer: true },
+    { group: "Stops", key: "MAX_STOP_NUMBER", label: "Highest allowed stop", type: "number", min: 1, max: 9999, integer: true },
+    { group: "Stops", key: "READ_LAST_DONE", label: "Read last completed stop for distance (slower)", type: "bool" },
+    {
+      group: "Stops",
+      key: "ADDRESS_FORMAT",
+      label: "Copied address format",
+      type: "choice",
+      options: [
+        ["page", "As shown on the page"],
+        ["usps", "USPS one line (St, Ave, Apt)"],
+        ["street", "Street and unit only"],
+      ],
+    },
+    { group: "Scrolling", key: "MAX_SCROLL_LOOPS", label: "Max scroll passes", type: "number", min: 10, max: 5000, integer: true },
+    { group: "Scrolling", key: "STAGNANT_THRESHOLD", label: "Stop after N passes with no new rows", type: "number", min: 1, max: 20, integer: true },
+    { group: "Scrolling", key: "MIN_SCROLL_AMOUNT", label: "Min scroll step (px)", type: "number", min: 50, max: 20000, integer: true },
+    { group: "Scrolling", key: "SCROLL_MULTIPLIER", label: "Scroll step (× viewport)", type: "number", min: 0.1, max: 20 },
+    { group: "Scrolling", key: "SCROLL_DELAY", label: "Delay between scrolls (ms)", type: "number", min: 0, max: 5000, integer: true },
+    { group: "Scrolling", key: "INITIAL_WAIT_DELAY", label: "Wait before first pass (ms)", type: "number", min: 0, max: 5000, integer: true },
+    { group: "Scrolling", key: "ROW_PROCESS_DELAY", label: "Delay per row (ms)", type: "number", min: 0, max: 1000, integer: true },
+    { group: "Scrolling", key: "LIVE_UPDATES", label: "Update rows as the list changes", type: "bool" },
+    { group: "Scrolling", key: "BASE_SLEEP", label: "Click step delay (ms)", type: "number", min: 0, max: 5000, integer: true },
+    {
+      group: "Data source",
+      key: "DATA_SOURCE",
+      label: "Read stops from",
+      type: "choice",
+      options: [
+        ["dom", "The page (click through)"],
+        ["api", "Data API, page as fallback"],
+      ],
+    },
+    { group: "Data source", key: "API_ITINERARIES_URL", label: "Itineraries URL ({serviceDate})", type: "url" },
+    { group: "Data source", key: "API_STOPS_URL", label: "Stops URL ({itineraryId})", type: "url" },
+    { group: "Data source", key: "CAPTURE_NETWORK", label: "Capture the page's own responses", type: "bool", reload: true },
+    { group: "Data source", key: "CAPTURE_MAX_AGE_SEC", label: "Use captured data for (sec)", type: "number", min: 0, max: 3600, integer: true },
+    { group: "Network", key: "FETCH_TIMEOUT", label: "Request timeout (ms)", type: "number", min: 1000, max: 120000, integer: true },
+    { group: "Network", key: "RETRY_ATTEMPTS", label: "Retry attempts", type: "number", min: 0, max: 10, integer: true },
+    { group: "Storage", key: "MAX_CACHE_SIZE", label: "Address cache size", type: "number", min: 10, max: 10000, integer: true, reload: true },
+    { group: "Storage", key: "HISTORY_MAX_SAMPLES", label: "History samples per driver", type: "number", min: 2, max: 1000, integer: true },
+    { group: "Storage", key: "PERSIST_MAX_AGE_MIN", label: "Keep saved data for (min)", type: "number", min: 0, max: 10080, integer: true },
+    { group: "Storage", key: "DEBOUNCE_DELAY", label: "Input debounce (ms)", type: "number", min: 0, max: 2000, integer: true, reload: true },
+  ];
+
+  // Returns the normalized value, or throws with a message fit for a toast.
+  function validateSetting(field, raw) {
+    if (field.type === "choice") {
+      if (field.options.some(([value]) => value === raw)) return raw;
+      throw new Error(`${field.label}: must be one of ${field.options.map(([value]) => value).join(", ")}`);
+    }
+    if (field.type === "url") {
+      const t = String(raw ?? "").trim();
+      if (t && !/^(?:https?:\/\/|\/)/i.test(t)) throw new Error(`${field.label}: must start with / or http(s)://`);
+      return t;
+    }
+    if (field.type === "bool") {
+      if (raw === true || raw === "true") return true;
+      if (raw === false || raw === "false") return false;
+      throw new Error(`${field.label}: must be true or false`);
+    }
+    if (field.type === "clock") {
+      const m = parseClock(raw);
+      if (m == null) throw new Error(`${field.label}: use a time like 9:00 PM`);
+      return formatClock(m);
+    }
+    const n = Number(raw);
+    if (String(raw ?? "").trim() === "" || !Number.isFinite(n)) throw new Error(`${field.label}: must be a number`);
+    if ((field.min != null && n < field.min) || (field.max != null && n > field.max))
+      throw new Error(`${field.label}: must be between ${field.min} and ${field.max}`);
+    return field.integer ? Math.round(n) : n;
+  }
+
+  function validateConfigCombo(c) {
+    if (c.MIN_STOP_NUMBER > c.MAX_STOP_NUMBER) throw new Error("Lowest allowed stop must not exceed the highest");
+    if (c.DEFAULT_STOP_N < c.MIN_STOP_NUMBER || c.DEFAULT_STOP_N > c.MAX_STOP_NUMBER)
+      throw new Error("Default Nth stop must be within the allowed stop range");
+  }
+
+  function configOverrides() {
+    const out = {};
+    for (const field of SETTINGS_FIELDS) {
+      if (CONFIG[field.key] !== CONFIG_DEFAULTS[field.key]) out[field.key] = CONFIG[field.key];
+    }
+    return out;
+  }
+
+  function applyConfigOverrides(overrides) {
+    const next = { ...CONFIG };
+    const applied = {};
+    for (const field of SETTINGS_FIELDS) {
+      if (!overrides || !(field.key in overrides)) continue;
+      try {
+        next[field.key] = applied[field.key] = validateSetting(field, overrides[field.key]);
+      } catch (err) {
+        log.warn("Ignoring saved setting:", err.message);
+      }
+    }
+    try {
+      validateConfigCombo(next);
+    } catch (err) {
+      log.warn("Ignoring saved settings:", err.message);
+      return {};
+    }
+    Object.assign(CONFIG, next);
+    return applied;
+  }
+
+  applyConfigOverrides(store.get("config", {}));
+
+  /* ---------------------------
+     Selector registry
+  ---------------------------- */
+  let selectorOverrides = store.get("selectors", {}) || {};
+  const selectorHits = new Map();
+
+  const selectorsFor = (key) => [
+    ...(Array.isArray(selectorOverrides[key]) ? selectorOverrides[key] : []),
+    ...(SELECTORS[key] || []),
+  ];
+
+  function noteHit(key, index, sel) {
+    const prev = selectorHits.get(key);
+    if (prev?.index === index) return;
+    selectorHits.set(key, { index, sel });
+    const own = Array.isArray(selectorOverrides[key]) ? selectorOverrides[key].length : 0;
+    if (index > own) log.warn(`Selector "${key}" fell back to #${index + 1}: ${sel}`);
+  }
+
+  function qs(key, root = document) {
+    const list = selectorsFor(key);
+    for (let i = 0; i < list.length; i++) {
+      try {
+        const el = root?.querySelector(list[i]);
+        if (el) {
+          noteHit(key, i, list[i]);
+          return el;
+        }
+      } catch (err) {
+        log.warn(`Invalid selector for "${key}":`, list[i]);
+      }
+    }
+    return null;
+  }
+
+  function qsa(key, root = document) {
+    const list = selectorsFor(key);
+    for (let i = 0; i < list.length; i++) {
+      try {
+        const found = root?.querySelectorAll(list[i]);
+        if (found?.length) {
+          noteHit(key, i, list[i]);
+          return [...found];
+        }
+      } catch (err) {
+        log.warn(`Invalid selector for "${key}":`, list[i]);
+      }
+    }
+    return [];
+  }
+
+  const textMatches = (key, text) => {
+    const t = norm(text);
+    return !!t && selectorsFor(key).some((needle) => needle && t.includes(norm(needle)));
+  };
+
+  const listPanel = () => qs("scrollPanel") || document.scrollingElement;
+
   // Centralized theme object — Dark mode with red accents
 // Dark mode — neutral charcoal (no blue) + red accents
 const THEME = {
@@ -295,6 +655,10 @@ function themeToCssVars(theme) {
   return `:root {\n  color-scheme: dark;\n  ${lines.join("\n  ")}\n}\n`;
 }
 
+  // Driver rows are drawn at a fixed height so the table can render only the visible window.
+  const ROW_HEIGHT = 60;
+  const ROW_OVERSCAN = 8;
+
   // Generate STYLES using variables, with adjusted column widths
   const STYLES = `
 ${themeToCssVars(THEME)}
@@ -318,7 +682,7 @@ ${themeToCssVars(THEME)}
 #__onth_snap_btn__:active { transform: translateY(0); transition: all 100ms cubic-bezier(0.4, 0, 0.2, 1); }
 
 #__onth_snap_drawer__ {
-  position: fixed; top: 50px; right: 12px; width: 440px; max-width: calc(100vw - 24px);
+  position: fixed; top: 50px; right: 12px; width: 560px; max-width: calc(100vw - 24px);
   height: calc(100vh - 92px); z-index: 2147483646;
   background: var(--onth-bg); color: var(--onth-text);
   border: 1px solid var(--onth-border);
@@ -333,6 +697,8 @@ ${themeToCssVars(THEME)}
   background: var(--onth-bgSubtle); display: flex; align-items: center; gap: 10px;
 }
 #__onth_snap_title__ { font-weight: 900; font-size: var(--onth-fontSizeLg); color: var(--onth-textStrong); letter-spacing: -0.01em; }
+#__onth_snap_age__ { font-size: var(--onth-fontSizeSm); color: var(--onth-textMuted); font-weight: 600; white-space: nowrap; }
+#__onth_snap_age__.__onth_restored { color: #f59e0b; }
 #__onth_snap_count__ { margin-left: auto; font-size: var(--onth-fontSizeSm); color: var(--onth-textMuted); font-weight: 600; }
 
 #__onth_snap_controls__ {
@@ -387,6 +753,107 @@ ${themeToCssVars(THEME)}
 #__onth_snap_close__:hover { background: var(--onth-bgMuted); transform: translateY(-1px); }
 #__onth_snap_close__:active { transform: translateY(0); transition: all 100ms cubic-bezier(0.4, 0, 0.2, 1); }
 
+#__onth_snap_fetchall__ { white-space: nowrap; }
+
+#__onth_snap_exportwrap__ { position: relative; }
+#__onth_snap_exportbtn__ { white-space: nowrap; }
+#__onth_snap_exportmenu__ {
+  position: absolute; top: calc(100% + 6px); right: 0; z-index: 3; min-width: 190px;
+  display: none; flex-direction: column; padding: 6px;
+  background: var(--onth-bgSubtle); border: 1px solid var(--onth-borderStrong);
+  border-radius: var(--onth-radiusMd); box-shadow: var(--onth-shadowLg);
+}
+#__onth_snap_exportmenu__.open { display: flex; }
+#__onth_snap_exportmenu__ button {
+  background: transparent; border: 0; color: var(--onth-textStrong); text-align: left;
+  padding: 8px 10px; border-radius: 8px; font-size: var(--onth-fontSizeSm); font-weight: 700; cursor: pointer;
+}
+#__onth_snap_exportmenu__ button:hover { background: var(--onth-bgMuted); }
+
+#__onth_snap_batchbar__ {
+  display: none; padding: 8px 16px; gap: 8px; align-items: center;
+  border-bottom: 1px solid var(--onth-border); background: var(--onth-bgSubtle);
+}
+#__onth_snap_batchbar__.open { display: flex; }
+#__onth_snap_tabnote__ {
+  display: none; padding: 7px 16px; font-size: var(--onth-fontSizeSm); font-weight: 700;
+  color: #f59e0b; border-bottom: 1px solid var(--onth-border); background: var(--onth-bgSubtle);
+}
+#__onth_snap_tabnote__.open { display: block; }
+#__onth_snap_batchprog__ {
+  flex: 1; min-width: 0; font-size: var(--onth-fontSizeSm); font-weight: 700; color: var(--onth-textStrong);
+  font-variant-numeric: tabular-nums; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+}
+
+.__onth_headBtn {
+  background: transparent; border: 1px solid var(--onth-buttonNeutralBorder); color: var(--onth-textStrong);
+  border-radius: var(--onth-radiusSm); padding: 4px 8px; font-size: var(--onth-fontSizeMd); cursor: pointer;
+}
+.__onth_headBtn[aria-pressed="true"] { border-color: var(--onth-primary); background: var(--onth-fabBg); }
+
+#__onth_snap_chips__ {
+  padding: 8px 16px; display: flex; gap: 6px; flex-wrap: wrap; align-items: center;
+  border-bottom: 1px solid var(--onth-border); background: var(--onth-bgSubtle);
+}
+.__onth_chip {
+  border: 1px solid var(--onth-buttonNeutralBorder); background: transparent; color: var(--onth-textMuted);
+  border-radius: 999px; padding: 4px 10px; font-size: var(--onth-fontSizeSm); font-weight: 700; cursor: pointer;
+}
+.__onth_chip[aria-pressed="true"] { color: var(--onth-textStrong); border-color: var(--onth-primary); background: var(--onth-fabBg); }
+
+.__onth_panel { flex: 1; overflow: auto; padding: 14px 16px; display: none; background: var(--onth-bg); }
+.__onth_panel.open { display: block; }
+.__onth_panel h3 { margin: 0 0 10px; font-size: var(--onth-fontSizeMd); color: var(--onth-textStrong); }
+.__onth_form { display: grid; grid-template-columns: 1fr 150px; gap: 10px 12px; align-items: center; margin-bottom: 14px; }
+.__onth_form label { font-size: var(--onth-fontSizeSm); color: var(--onth-text); font-weight: 600; }
+.__onth_form input, .__onth_form select {
+  background: var(--onth-bgSubtle); color: var(--onth-textStrong); border: 1px solid var(--onth-borderStrong);
+  border-radius: 8px; padding: 7px 9px; font-size: var(--onth-fontSizeSm); outline: none; min-width: 0;
+}
+.__onth_form input:focus, .__onth_form select:focus { border-color: rgba(220,38,38,.7); }
+.__onth_form h4 {
+  grid-column: 1 / -1; margin: 8px 0 0; font-size: var(--onth-fontSizeSm); color: var(--onth-textMuted);
+  text-transform: uppercase; letter-spacing: 0.04em;
+}
+.__onth_form input[type="checkbox"] { justify-self: start; width: 18px; height: 18px; accent-color: var(--onth-primary); }
+.__onth_form .__onth_reload::after { content: " ↻"; color: var(--onth-textMuted); }
+.__onth_diag { width: 100%; border-collapse: collapse; margin-bottom: 14px; }
+.__onth_diag td { padding: 6px 8px; border-bottom: 1px solid var(--onth-border); font-size: var(--onth-fontSizeSm); vertical-align: top; }
+.__onth_diag td:first-child { width: 22px; text-align: center; }
+.__onth_diag .__onth_pass { color: #22c55e; }
+.__onth_diag .__onth_fail { color: #ef4444; }
+.__onth_diag .__onth_warn { color: #f59e0b; }
+.__onth_diag .__onth_skip { color: var(--onth-textMuted); }
+.__onth_form textarea {
+  background: var(--onth-bgSubtle); color: var(--onth-textStrong); border: 1px solid var(--onth-borderStrong);
+  border-radius: 8px; padding: 6px 8px; font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; resize: vertical; min-width: 0;
+}
+.__onth_form.__onth_wide { grid-template-columns: 150px 1fr; }
+.__onth_note { font-size: var(--onth-fontSizeSm); color: var(--onth-textMuted); margin: 0 0 12px; }
+
+#__onth_snap_summary__ {
+  padding: 10px 16px; display: grid; gap: 8px;
+  border-bottom: 1px solid var(--onth-border); background: var(--onth-bg);
+}
+#__onth_snap_summary__[hidden] { display: none; }
+.__onth_stats { display: flex; gap: 18px; flex-wrap: wrap; }
+.__onth_stat { display: grid; gap: 2px; min-width: 64px; }
+.__onth_statLabel {
+  font-size: 10px; font-weight: 700; letter-spacing: 0.04em; text-transform: uppercase; color: var(--onth-textMuted);
+}
+.__onth_statValue { font-size: var(--onth-fontSizeLg); font-weight: 900; color: var(--onth-textStrong); font-variant-numeric: tabular-nums; }
+.__onth_rtsHist { display: flex; align-items: stretch; gap: 2px; height: 56px; }
+.__onth_bucket {
+  flex: 1 1 0; min-width: 10px; display: flex; flex-direction: column; gap: 2px;
+  padding: 0; border: 0; background: transparent; cursor: pointer;
+}
+.__onth_bucket:disabled { cursor: default; }
+.__onth_barBox { flex: 1; display: flex; align-items: flex-end; }
+.__onth_bar { display: block; width: 100%; min-height: 2px; border-radius: 3px 3px 0 0; background: var(--onth-borderStrong); }
+.__onth_bucket:not(:disabled):hover .__onth_bar { background: var(--onth-textMuted); }
+.__onth_bucket[aria-pressed="true"] .__onth_bar { background: var(--onth-primary); }
+.__onth_bucketLabel { height: 12px; font-size: 9px; line-height: 12px; color: var(--onth-textMuted); text-align: center; white-space: nowrap; }
+
 #__onth_snap_tablewrap__ { flex: 1; overflow: auto; background: var(--onth-bg); }
 #__onth_snap_table__ { width: 100%; border-collapse: collapse; table-layout: fixed; }
 
@@ -403,18 +870,94 @@ ${themeToCssVars(THEME)}
   padding: 11px 12px; border-bottom: 1px solid rgba(226,232,240,.9);
   font-size: var(--onth-fontSizeMd); vertical-align: top; color: var(--onth-text);
 }
-#__onth_snap_table__ tbody tr:nth-child(odd) { background: var(--onth-bgSubtle); }
-#__onth_snap_table__ tbody tr:nth-child(even) { background: var(--onth-bg); }
+#__onth_snap_table__ tbody tr.__onth_row { height: ${ROW_HEIGHT}px; background: var(--onth-bg); }
+#__onth_snap_table__ tbody tr.__onth_row td { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+#__onth_snap_table__ tbody tr.__onth_alt { background: var(--onth-bgSubtle); }
 #__onth_snap_table__ tbody tr:hover { background: var(--onth-bgMuted); }
+#__onth_snap_table__ tbody tr.__onth_spacer,
+#__onth_snap_table__ tbody tr.__onth_spacer:hover { background: transparent; }
+#__onth_snap_table__ tbody tr.__onth_spacer td { padding: 0; border: 0; }
 
 .__onth_mono { font-variant-numeric: tabular-nums; color: var(--onth-text); }
 .__onth_row { cursor: pointer; }
+.__onth_maps { display: flex; gap: 6px; flex-wrap: wrap; }
+.__onth_maps a { text-decoration: none; }
+.__onth_tplRow { grid-column: 1 / -1; display: grid; grid-template-columns: 1fr auto; gap: 6px; }
+.__onth_tplRow textarea { grid-column: 1 / -1; font: inherit !important; font-size: var(--onth-fontSizeSm) !important; }
+#__onth_snap_table__ tbody tr.__onth_cursor { outline: 2px solid var(--onth-primary); outline-offset: -2px; }
+#__onth_snap_drawer__:focus { outline: none; }
+
+#__onth_snap_help__ {
+  position: absolute; inset: 0; z-index: 4; overflow: auto; padding: 18px 20px;
+  background: var(--onth-bg); color: var(--onth-text);
+}
+#__onth_snap_help__[hidden] { display: none; }
+#__onth_snap_help__ h3 { margin: 0 0 12px; font-size: var(--onth-fontSizeLg); color: var(--onth-textStrong); }
+.__onth_keys { display: grid; grid-template-columns: 150px 1fr; gap: 8px 12px; margin: 0 0 14px; }
+.__onth_keys dt { white-space: nowrap; color: var(--onth-textMuted); }
+.__onth_keys dd { margin: 0; font-size: var(--onth-fontSizeSm); color: var(--onth-text); }
+.__onth_keys kbd {
+  display: inline-block; min-width: 18px; padding: 1px 6px; text-align: center;
+  border: 1px solid var(--onth-borderStrong); border-bottom-width: 2px; border-radius: 6px;
+  background: var(--onth-bgSubtle); color: var(--onth-textStrong);
+  font: 700 12px ui-monospace, SFMono-Regular, Menlo, monospace;
+}
 .__onth_name { font-weight: 900; color: var(--onth-textStrong); }
 .__onth_detail { background: var(--onth-bgSubtle); border-bottom: 1px solid var(--onth-border); }
 .__onth_detailBox { padding: 14px 14px 16px; display: grid; gap: 10px; }
 .__onth_kv { display: grid; grid-template-columns: 86px 1fr; gap: 8px 12px; }
 .__onth_k { color: #4b5563; font-size: var(--onth-fontSizeSm); font-weight: 600; letter-spacing: 0.01em; }
-.__onth_v { color: var(--onth-textStrong); font-size: var(--onth-fontSizeMd); word-break: break-word; }
+.__onth_v { color: var(--onth-textStrong); font-size: var(--onth-fontSizeMd); word-break: break-word; white-space: pre-line; }
+
+.__onth_badge {
+  display: inline-block; margin-left: 6px; padding: 1px 6px; border-radius: 999px; vertical-align: middle;
+  font-size: 10px; font-weight: 900; letter-spacing: 0.03em;
+  background: rgba(220,38,38,.2); color: #fca5a5; border: 1px solid rgba(220,38,38,.5);
+}
+#__onth_snap_table__ tbody tr.__onth_risk { background: rgba(220,38,38,.10); }
+#__onth_snap_table__ tbody tr.__onth_risk td:first-child { box-shadow: inset 3px 0 0 var(--onth-primary); }
+#__onth_snap_table__ tbody tr.__onth_stale td { opacity: .5; }
+
+.__onth_status {
+  display: inline-block; padding: 1px 8px; border-radius: 999px; border: 1px solid var(--onth-border);
+  font-size: var(--onth-fontSizeSm); font-weight: 700; color: var(--onth-textMuted);
+}
+.__onth_status[data-status="active"] { color: #86efac; border-color: rgba(34,197,94,.45); }
+.__onth_status[data-status="unknown"] { color: #fcd34d; border-color: rgba(245,158,11,.45); }
+.__onth_behind { color: #fca5a5 !important; font-weight: 700; }
+
+.__onth_spark { display: block; margin: 3px auto 0; color: var(--onth-textMuted); overflow: visible; }
+.__onth_hist { max-height: 180px; overflow: auto; border: 1px solid var(--onth-border); border-radius: 8px; }
+.__onth_hist table { width: 100%; border-collapse: collapse; }
+.__onth_hist th, .__onth_hist td {
+  padding: 5px 8px !important; font-size: var(--onth-fontSizeSm) !important; text-align: left;
+  border-bottom: 1px solid var(--onth-border) !important; width: auto !important;
+  font-variant-numeric: tabular-nums; background: transparent !important;
+}
+.__onth_hist th { color: var(--onth-textMuted); font-weight: 700; position: sticky; top: 0; background: var(--onth-bgSubtle) !important; }
+
+.__onth_multi { display: grid; gap: 6px; }
+.__onth_multiForm { display: flex; gap: 8px; align-items: center; }
+.__onth_multiForm input {
+  flex: 1; min-width: 0; background: var(--onth-bg); color: var(--onth-textStrong);
+  border: 1px solid var(--onth-borderStrong); border-radius: 8px; padding: 7px 9px; font-size: var(--onth-fontSizeSm); outline: none;
+}
+.__onth_multiForm input:focus { border-color: rgba(220,38,38,.7); }
+.__onth_multiRow { display: flex; gap: 8px; align-items: center; }
+.__onth_multiRow .__onth_k { flex: 0 0 86px; }
+.__onth_multiRow .__onth_v { flex: 1; min-width: 0; }
+.__onth_rescue { display: grid; gap: 8px; }
+.__onth_rescue select, .__onth_rescue input[type="number"] {
+  background: var(--onth-bg); color: var(--onth-textStrong); border: 1px solid var(--onth-borderStrong);
+  border-radius: 8px; padding: 7px 9px; font-size: var(--onth-fontSizeSm); outline: none;
+}
+.__onth_rescue input[type="number"] { flex: 0 0 64px; }
+.__onth_rescueCard { display: grid; gap: 6px; padding: 8px; border: 1px solid var(--onth-border); border-radius: 8px; }
+.__onth_msg {
+  margin: 0; max-height: 140px; overflow: auto; white-space: pre-wrap; font: inherit;
+  font-size: var(--onth-fontSizeSm); color: var(--onth-text);
+}
+.__onth_meta { margin-top: 2px; color: var(--onth-textMuted); font-size: var(--onth-fontSizeSm); }
 
 .__onth_pills { display: flex; gap: 10px; flex-wrap: wrap; align-items: center; }
 .__onth_pillNoBg { border: 0 !important; background: transparent !important; padding: 0 !important; box-shadow: none !important; }
@@ -442,18 +985,24 @@ ${themeToCssVars(THEME)}
 
 /* Adjusted column widths: more space for name, closer numeric columns */
 #__onth_snap_table__ thead th:nth-child(1),
-#__onth_snap_table__ tbody td:nth-child(1) { width: 50%; }  /* Name wider */
+#__onth_snap_table__ tbody td:nth-child(1) { width: 25%; }  /* Name wider */
 #__onth_snap_table__ thead th:nth-child(2),
-#__onth_snap_table__ tbody td:nth-child(2) { width: 15%; }  /* Projected RTS */
+#__onth_snap_table__ tbody td:nth-child(2) { width: 12%; }  /* Status */
 #__onth_snap_table__ thead th:nth-child(3),
-#__onth_snap_table__ tbody td:nth-child(3) { width: 12%; text-align: center; }  /* Stops Left */
+#__onth_snap_table__ tbody td:nth-child(3) { width: 12%; }  /* Projected RTS */
 #__onth_snap_table__ thead th:nth-child(4),
-#__onth_snap_table__ tbody td:nth-child(4),
+#__onth_snap_table__ tbody td:nth-child(4) { width: 10%; text-align: center; }  /* Until RTS */
 #__onth_snap_table__ thead th:nth-child(5),
-#__onth_snap_table__ tbody td:nth-child(5) { width: 11.5%; text-align: center; padding-left: 8px; padding-right: 8px; }  /* Stops/hr and Pace closer */
+#__onth_snap_table__ tbody td:nth-child(5) { width: 10%; text-align: center; }  /* Stops Left */
+#__onth_snap_table__ thead th:nth-child(6),
+#__onth_snap_table__ tbody td:nth-child(6),
+#__onth_snap_table__ thead th:nth-child(7),
+#__onth_snap_table__ tbody td:nth-child(7),
+#__onth_snap_table__ thead th:nth-child(8),
+#__onth_snap_table__ tbody td:nth-child(8) { width: 10.3%; text-align: center; padding-left: 8px; padding-right: 8px; }  /* Stops/hr, Pace and Needed closer */
 `;
 
-  function toast(msg, ok = null) {
+  function toast(msg, ok = null, duration = 1300) {
     try {
       let d = document.getElementById("__onth_snap_toast__");
       if (!d) {
@@ -491,47 +1040,207 @@ ${themeToCssVars(THEME)}
       d.__t = setTimeout(() => {
         d.style.opacity = "0";
         d.style.transform = "translateY(10px)";
-      }, 1300);
+      }, duration);
     } catch (err) {
       log.error("Toast error:", err);
     }
   }
 
+  const ADDRESS_NOISE_RX = /^(?:edit in\b|driver aid\b|address$|view (?:on|in) map)|geostudio/i;
+
+  const USPS_SUFFIX = {
+    alley: "Aly", allee: "Aly", aly: "Aly",
+    avenue: "Ave", av: "Ave", ave: "Ave", aven: "Ave", avn: "Ave",
+    boulevard: "Blvd", blvd: "Blvd", boul: "Blvd",
+    circle: "Cir", circ: "Cir", cir: "Cir",
+    court: "Ct", ct: "Ct",
+    cove: "Cv", cv: "Cv",
+    crossing: "Xing", xing: "Xing",
+    drive: "Dr", drv: "Dr", dr: "Dr",
+    expressway: "Expy", expy: "Expy",
+    freeway: "Fwy", fwy: "Fwy",
+    highway: "Hwy", hwy: "Hwy", hiway: "Hwy",
+    lane: "Ln", ln: "Ln",
+    loop: "Loop",
+    parkway: "Pkwy", pkwy: "Pkwy", pky: "Pkwy",
+    place: "Pl", pl: "Pl",
+    plaza: "Plz", plz: "Plz",
+    point: "Pt", pt: "Pt",
+    road: "Rd", rd: "Rd",
+    square: "Sq", sq: "Sq",
+    street: "St", str: "St", st: "St",
+    terrace: "Ter", ter: "Ter",
+    trail: "Trl", trl: "Trl",
+    way: "Way", wy: "Way",
+  };
+  const USPS_UNIT = {
+    apartment: "Apt", apt: "Apt",
+    building: "Bldg", bldg: "Bldg",
+    floor: "Fl", fl: "Fl",
+    lot: "Lot",
+    room: "Rm", rm: "Rm",
+    space: "Spc", spc: "Spc",
+    suite: "Ste", ste: "Ste",
+    trailer: "Trlr", trlr: "Trlr",
+    unit: "Unit",
+  };
+  const USPS_DIR = {
+    north: "N", south: "S", east: "E", west: "W",
+    northeast: "NE", northwest: "NW", southeast: "SE", southwest: "SW",
+    n: "N", s: "S", e: "E", w: "W", ne: "NE", nw: "NW", se: "SE", sw: "SW",
+  };
+  const US_STATES =
+    "AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY NC ND OH OK OR PA PR RI SC SD TN TX UT VT VA VI WA WV WI WY GU AS MP AA AE AP".split(" ");
+  const STATE_NAMES = {
+    alabama: "AL", alaska: "AK", arizona: "AZ", arkansas: "AR", california: "CA", colorado: "CO",
+    connecticut: "CT", delaware: "DE", "district of columbia": "DC", florida: "FL", georgia: "GA",
+    hawaii: "HI", idaho: "ID", illinois: "IL", indiana: "IN", iowa: "IA", kansas: "KS", kentucky: "KY",
+    louisiana: "LA", maine: "ME", maryland: "MD", massachusetts: "MA", michigan: "MI", minnesota: "MN",
+    mississippi: "MS", missouri: "MO", montana: "MT", nebraska: "NE", nevada: "NV", "new hampshire": "NH",
+    "new jersey": "NJ", "new mexico": "NM", "new york": "NY", "north carolina": "NC", "north dakota": "ND",
+    ohio: "OH", oklahoma: "OK", oregon: "OR", pennsylvania: "PA", "puerto rico": "PR", "rhode island": "RI",
+    "south carolina": "SC", "south dakota": "SD", tennessee: "TN", texas: "TX", utah: "UT", vermont: "VT",
+    virginia: "VA", washington: "WA", "west virginia": "WV", wisconsin: "WI", wyoming: "WY",
+  };
+  const UNIT_RX = new RegExp(`(?:^|[\\s,])(?:(${Object.keys(USPS_UNIT).join("|")})\\.?\\s*#?\\s*|#\\s*)([A-Za-z0-9][\\w-]*)\\s*$`, "i");
+
+  function normalizeStreet(street) {
+    const words = street.replace(/\./g, "").split(/\s+/).filter(Boolean);
+    const lower = words.map((w) => w.toLowerCase());
+    let suffixAt = -1;
+    for (let i = words.length - 1; i > 0; i--) {
+      if (USPS_SUFFIX[lower[i]]) {
+        suffixAt = i;
+        break;
+      }
+    }
+    return words
+      .map((w, i) => {
+        if (i === suffixAt) return USPS_SUFFIX[lower[i]];
+        const isEdge = i === 1 || i === words.length - 1 || i === suffixAt + 1;
+        if (isEdge && USPS_DIR[lower[i]] && words.length > 2) return USPS_DIR[lower[i]];
+        return w;
+      })
+      .join(" ");
+  }
+
+  function normalizeUnit(designator, value) {
+    const d = designator ? USPS_UNIT[designator.toLowerCase()] : "#";
+    return d === "#" ? `# ${value}` : `${d} ${value}`;
+  }
+
+  // Splits "street [unit], city, ST 12345-6789" (commas optional) into its parts and builds
+  // a one-line USPS-style form. `text` keeps the page's own wording.
   function cleanAddress(raw) {
+    const empty = { street: "", unit: "", city: "", state: "", zip: "", zip4: "", line: "", text: "" };
     try {
-      const txt = String(raw ?? "").replace(/\r/g, "\n");
-      const lines = txt
+      const lines = String(raw ?? "")
+        .replace(/\r/g, "\n")
         .split("\n")
-        .map((s) => s?.trim())
+        .map((s) => s.replace(/\s+/g, " ").trim())
         .filter(Boolean);
+      const keep = lines.filter((l) => !ADDRESS_NOISE_RX.test(l));
+      if (!keep.length) return { ...empty, line: lines[0] || "", text: lines[0] || "" };
+
+      // From the line with the house number through the first line with a ZIP.
+      const zipLine = keep.findIndex((l) => RX.zip.test(l));
+      const startAt = Math.max(0, keep.findIndex((l) => /^\d/.test(l)));
+      const joined = (zipLine >= 0 ? keep.slice(Math.min(startAt, zipLine), zipLine + 1) : keep.slice(0, 1)).join(", ");
+      const text = (joined.match(new RegExp(`^(.*?${RX.zip.source})`))?.[1] ?? joined).trim();
+
+      let rest = joined;
+      let zip = "";
+      let zip4 = "";
+      const zm = rest.match(/^(.*?)[\s,]*\b(\d{5})(?:\s*-\s*(\d{4}))?\b/);
+      if (zm) {
+        rest = zm[1];
+        zip = zm[2];
+        zip4 = zm[3] || "";
+      }
 
-      const keep = lines.filter(
-        (l) => !/^edit in/i.test(l) && !/^driver aid/i.test(l) && !/geostudio/i.test(l)
-      );
-      const hasZip = (s) => RX.zip.test(String(s ?? ""));
-
-      if (keep.length >= 2 && !hasZip(keep[0]) && hasZip(keep[1]))
-        return `${keep[0]}, ${keep[1]}`.trim();
-
-      for (const l of keep) {
-        if (hasZip(l) && /,/.test(l)) {
-          const m = l.match(new RegExp(`^(.*?${RX.zip.source})`));
-          return (m?.[1] ?? l).trim();
+      let state = "";
+      const tail = rest.replace(/[\s,.]+$/, "");
+      const code = tail.match(/^(.*?)[\s,]+([A-Za-z]{2})$/);
+      if (code && US_STATES.includes(code[2].toUpperCase())) {
+        state = code[2].toUpperCase();
+        rest = code[1];
+      } else {
+        for (const rx of [/^(.*?)[\s,]+([A-Za-z]+ [A-Za-z]+)$/, /^(.*?)[\s,]+([A-Za-z]+)$/]) {
+          const m = tail.match(rx);
+          const name = m && STATE_NAMES[m[2].toLowerCase()];
+          if (name) {
+            state = name;
+            rest = m[1];
+            break;
+          }
         }
       }
-      for (const l of keep) {
-        if (hasZip(l)) {
-          const m = l.match(new RegExp(`^(.*?${RX.zip.source})`));
-          return (m?.[1] ?? l).trim();
+
+      const segs = rest.split(",").map((x) => x.trim()).filter(Boolean);
+      let city = "";
+      let streetSegs = segs;
+      if (segs.length >= 2) {
+        city = segs[segs.length - 1];
+        streetSegs = segs.slice(0, -1);
+      } else if (segs.length === 1) {
+        // No commas: the city starts after the street suffix or the unit, whichever is later.
+        const words = segs[0].split(/\s+/);
+        let cut = -1;
+        for (let i = 1; i < words.length; i++) {
+          const w = words[i].replace(/\.$/, "").toLowerCase();
+          if (USPS_SUFFIX[w]) cut = i;
+          if ((USPS_UNIT[w] || w === "#" || /^#\w/.test(w)) && i + 1 <= words.length) {
+            cut = /^#\w/.test(w) ? i : i + 1;
+          }
         }
+        if (cut > 0 && cut < words.length - 1) {
+          city = words.slice(cut + 1).join(" ");
+          streetSegs = [words.slice(0, cut + 1).join(" ")];
+        }
+      }
+
+      let street = streetSegs[0] || "";
+      let unit = "";
+      const extra = [];
+      for (const seg of streetSegs.slice(1)) {
+        const um = seg.match(UNIT_RX);
+        if (um && !unit && um.index === 0) unit = normalizeUnit(um[1], um[2]);
+        else extra.push(seg);
+      }
+      const inline = street.match(UNIT_RX);
+      if (inline && !unit) {
+        unit = normalizeUnit(inline[1], inline[2]);
+        street = street.slice(0, inline.index).replace(/[\s,]+$/, "");
       }
-      return (keep[0] ?? lines[0] ?? "").trim();
+      if (!unit && extra.length) unit = extra.join(" ");
+      street = normalizeStreet(street);
+
+      const line = [
+        [street, unit].filter(Boolean).join(" "),
+        city,
+        [state, zip && (zip4 ? `${zip}-${zip4}` : zip)].filter(Boolean).join(" "),
+      ]
+        .filter(Boolean)
+        .join(", ");
+      return { street, unit, city, state, zip, zip4, line, text };
     } catch (err) {
       log.error("cleanAddress error:", err);
-      return String(raw ?? "").trim();
+      const text = String(raw ?? "").trim();
+      return { ...empty, line: text, text };
     }
   }
 
+  const ADDRESS_FORMATS = {
+    page: (a) => a.text,
+    usps: (a) => a.line || a.text,
+    street: (a) => [a.street, a.unit].filter(Boolean).join(" ") || a.text,
+  };
+
+  function formatAddress(parts, format = CONFIG.ADDRESS_FORMAT) {
+    if (!parts) return "";
+    return (ADDRESS_FORMATS[format] || ADDRESS_FORMATS.page)(parts).trim();
+  }
+
   window.ONTH_copyText = async (text) => {
     text = String(text ?? "");
     if (!text) {
@@ -607,6 +1316,60 @@ ${themeToCssVars(THEME)}
     return "";
   }
 
+  function itineraryIdFromUrl(href) {
+    const m = String(href ?? "").match(/[?&]itineraryId=([^&#]+)|\/itineraries\/([^/?#]+)/);
+    return m ? decodeURIComponent(m[1] || m[2]) : "";
+  }
+
+  function itineraryIdOf(el) {
+    for (const a of el?.querySelectorAll?.("a[href]") || []) {
+      const id = itineraryIdFromUrl(a.getAttribute("href"));
+      if (id) return id;
+    }
+    return "";
+  }
+
+  const DRIVER_STATUSES = [
+    { id: "active", label: "Active" },
+    { id: "not-started", label: "Not started" },
+    { id: "completed", label: "Completed" },
+    { id: "unknown", label: "Unknown" },
+  ];
+
+  // A projected RTS means the route is running; otherwise the row text decides.
+  function rowStatus(text, { projectedRTS = "", stopsLeft = null, stopsDone = null } = {}) {
+    if (projectedRTS) return "active";
+    // Stop counts beat the wording, which can come from the progress text.
+    if (stopsLeft === 0) return "completed";
+    if (stopsDone === 0) return "not-started";
+    if (RX.notStarted.test(text)) return "not-started";
+    if (RX.completed.test(text)) return "completed";
+    return "unknown";
+  }
+
+  // Snapshots saved before rows carried a status only ever held active drivers.
+  const statusOf = (r) => r.status || (r.projectedRTS ? "active" : "unknown");
+  const statusLabel = (id) => DRIVER_STATUSES.find((s) => s.id === id)?.label || id;
+
+  // Shared by parseRow and the captured API payloads so both produce the same record.
+  function driverRecord({ name, phone = "", itineraryId = "", status = "unknown", projectedRTS = "", avgPerHour = null, lastHourPace = null, stopsLeft = null }) {
+    const fix = (v) => (typeof v === "number" && !Number.isNaN(v) ? v : null);
+    return {
+      key: `${norm(name)}|${norm(phone)}`,
+      name,
+      number: phone,
+      itineraryId,
+      status,
+      projectedRTS,
+      avgPerHour: fix(avgPerHour),
+      lastHourPace: fix(lastHourPace),
+      stopsLeft: fix(stopsLeft),
+      nameLower: norm(name),
+      numberDigits: digits(phone),
+      numberLower: norm(phone),
+    };
+  }
+
   function parseRow(row) {
     try {
       const text = row?.innerText ?? "";
@@ -618,56 +1381,41 @@ ${themeToCssVars(THEME)}
       const phone = extractPhone(row, lines);
 
       let projectedRTS =
-        readViaSel(row, SELECTORS.projectedRTS) || one(text, RX.rts, RX.rtsAlt) || "";
-      let avgPerHour = readViaSel(row, SELECTORS.avgPerHour) || one(text, RX.avg);
+        readViaSel(row, selectorsFor("projectedRTS")) || one(text, RX.rts, RX.rtsAlt) || "";
+      let avgPerHour = readViaSel(row, selectorsFor("avgPerHour")) || one(text, RX.avg);
       avgPerHour = typeof avgPerHour === "string" ? num(avgPerHour) : avgPerHour;
 
-      let lastHourPace = readViaSel(row, SELECTORS.lastHourPace) || one(text, RX.pace);
+      let lastHourPace = readViaSel(row, selectorsFor("lastHourPace")) || one(text, RX.pace);
       lastHourPace = typeof lastHourPace === "string" ? num(lastHourPace) : lastHourPace;
 
       let stopsLeft = null;
+      let stopsDone = null;
       {
         const m = (row?.innerText ?? "").match(RX.stopsPair);
         if (m) {
           const done = Number(m[1]);
           const total = Number(m[2]);
-          if (!Number.isNaN(done) && !Number.isNaN(total))
+          if (!Number.isNaN(done) && !Number.isNaN(total)) {
             stopsLeft = Math.max(0, total - done);
+            stopsDone = done;
+          }
         }
       }
 
-      const fix = (v) => (typeof v === "number" && !Number.isNaN(v) ? v : null);
-      const key = `${norm(name)}|${norm(phone)}`;
-      const nameLower = norm(name);
-      const numberDigits = digits(phone);
-      const numberLower = norm(phone);
-
-      return {
-        key,
+      return driverRecord({
         name,
-        number: phone,
+        phone,
+        itineraryId: itineraryIdOf(row),
+        status: rowStatus(text, { projectedRTS, stopsLeft, stopsDone }),
         projectedRTS,
-        avgPerHour: fix(avgPerHour),
-        lastHourPace: fix(lastHourPace),
-        stopsLeft: typeof stopsLeft === "number" ? stopsLeft : null,
-        nameLower,
-        numberDigits,
-        numberLower,
-      };
+        avgPerHour,
+        lastHourPace,
+        stopsLeft,
+      });
     } catch (err) {
       log.error("parseRow error:", err);
-      return {
-        key: `error_${Date.now()}`,
-        name: "[error]",
-        number: "",
-        projectedRTS: "",
-        avgPerHour: null,
-        lastHourPace: null,
-        stopsLeft: null,
-        nameLower: "[error]",
-        numberDigits: "",
-        numberLower: "",
-      };
+      // Same shape as a parsed row, but a key of its own so it never merges with a real driver.
+      return { ...driverRecord({ name: "[error]" }), key: `error_${Date.now()}` };
     }
   }
 
@@ -707,17 +1455,22 @@ ${themeToCssVars(THEME)}
   };
 
   async function collectAllDrivers() {
+    const captured = capturedDrivers();
+    if (captured) {
+      log.info("Using captured itinerary list:", captured.length);
+      return captured;
+    }
+
     perf.start('collectAllDrivers');
 
-    const panel =
-      document.querySelector(SELECTORS.scrollPanel) || document.scrollingElement;
+    const panel = listPanel();
     if (!panel) {
       toast("Scroll container not found", false);
       log.error("Scroll panel not found");
       return [];
     }
 
-    for (const r of document.querySelectorAll(SELECTORS.rows)) {
+    for (const r of qsa("rows")) {
       if (trackedElements.has(r)) {
         trackedElements.delete(r);
       }
@@ -736,16 +1489,11 @@ ${themeToCssVars(THEME)}
     let stagnant = 0;
 
     for (let loops = 0; loops < CONFIG.MAX_SCROLL_LOOPS; loops++) {
-      const rows = [...(panel.querySelectorAll?.(SELECTORS.rows) || document.querySelectorAll(SELECTORS.rows))];
+      const rows = qsa("rows", panel);
       for (const row of rows) {
         if (trackedElements.has(row)) continue;
         trackedElements.set(row, true);
-        const parsed = parseRow(row);
-        // Only include if parsed.projectedRTS is present (only active drivers)
-        if (parsed.projectedRTS) {
-          out.push(parsed);
-        }
-        // If there's no Projected RTS, they're done for the day—skip them
+        out.push(parseRow(row));
         if (CONFIG.ROW_PROCESS_DELAY > 0) {
           await sleep(CONFIG.ROW_PROCESS_DELAY);
         }
@@ -772,7 +1520,7 @@ ${themeToCssVars(THEME)}
     }
 
     perf.end('collectAllDrivers');
-    log.info("Collected drivers with RTS time:", out.length);
+    log.info("Collected drivers:", out.length);
     return out;
   }
 
@@ -791,8 +1539,6 @@ ${themeToCssVars(THEME)}
     return null;
   };
 
-  const ROW_SEL = SELECTORS.rows;
-
   function clickAtCenter(el) {
     const r = el.getBoundingClientRect();
     const x = r.left + r.width / 2,
@@ -852,11 +1598,7 @@ ${themeToCssVars(THEME)}
   }
 
   function getStopHeaders() {
-    return [
-      ...document.querySelectorAll(
-        'div[role="button"][aria-controls^="expandable"], button[aria-controls^="expandable"]'
-      ),
-    ].filter((el) => el.offsetWidth && el.offsetHeight);
+    return qsa("stopHeaders").filter((el) => el.offsetWidth && el.offsetHeight);
   }
 
   function inDriverView() {
@@ -881,11 +1623,10 @@ ${themeToCssVars(THEME)}
   }
 
   async function findRowByNameScrolling(name, phone, { maxLoops = 200 } = {}) {
-    const panel =
-      document.querySelector(SELECTORS.scrollPanel) || document.scrollingElement;
+    const panel = listPanel();
     if (!panel) return null;
 
-    let row = [...document.querySelectorAll(ROW_SEL)].find((r) =>
+    let row = qsa("rows").find((r) =>
       rowMatches(r, name, phone)
     );
     if (row) return row;
@@ -899,7 +1640,7 @@ ${themeToCssVars(THEME)}
     await sleep(CONFIG.BASE_SLEEP);
 
     for (let loops = 0; loops < maxLoops; loops++) {
-      row = [...document.querySelectorAll(ROW_SEL)].find((r) =>
+      row = qsa("rows").find((r) =>
         rowMatches(r, name, phone)
       );
       if (row) return row;
@@ -959,7 +1700,7 @@ ${themeToCssVars(THEME)}
   }
 
   async function clickDriver(name, phone) {
-    const rowNow = [...document.querySelectorAll(ROW_SEL)].find((r) =>
+    const rowNow = qsa("rows").find((r) =>
       rowMatches(r, name, phone)
     );
     if (rowNow) return clickDriverExact(rowNow);
@@ -970,22 +1711,24 @@ ${themeToCssVars(THEME)}
   }
 
   function findHideToggle() {
-    let el = document.querySelector('input[role="switch"][type="checkbox"]');
-    if (el && /hide completed/i.test(el.closest("label,div,span")?.textContent || "")) {
-      return el;
+    const list = selectorsFor("hideToggle");
+    for (let i = 0; i < list.length; i++) {
+      let cands = [];
+      try {
+        cands = [...document.querySelectorAll(list[i])];
+      } catch (err) {
+        log.warn(`Invalid selector for "hideToggle":`, list[i]);
+        continue;
+      }
+      const el =
+        cands.find((e) => textMatches("hideToggleText", e.closest("label,div,span")?.textContent)) ||
+        cands.find((e) => textMatches("hideToggleText", e.closest("label,div,span,section,form")?.textContent));
+      if (el) {
+        noteHit("hideToggle", i, list[i]);
+        return el;
+      }
     }
-
-    const cands = [
-      ...document.querySelectorAll(
-        'input[role="switch"][type="checkbox"], input[type="checkbox"][role="switch"], [role="switch"]'
-      ),
-    ];
-    el = cands.find((e) =>
-      /hide completed stops/i.test(
-        e.closest("label,div,span,section,form")?.textContent || ""
-      )
-    );
-    return el || null;
+    return null;
   }
 
   function isOn(el) {
@@ -1014,11 +1757,9 @@ ${themeToCssVars(THEME)}
 
   async function scrollToHideArea() {
     const search =
-      document.querySelector('input[placeholder="Search..."]') ||
+      qs("searchInput") ||
       [...document.querySelectorAll("input,button,[role='switch']")].find((n) =>
-        /hide completed stops/i.test(
-          n.closest("label,div,span,section,form")?.textContent || ""
-        )
+        textMatches("hideToggleText", n.closest("label,div,span,section,form")?.textContent)
       );
     if (search) {
       search.scrollIntoView({ behavior: "smooth", block: "center" });
@@ -1061,15 +1802,14 @@ ${themeToCssVars(THEME)}
   function pickStopScroller() {
     const headers = getStopHeaders();
     const first = headers[0];
-    if (!first)
-      return document.querySelector(SELECTORS.scrollPanel) || document.scrollingElement;
+    if (!first) return listPanel();
 
     let p = first.parentElement;
     for (let i = 0; i < 14 && p; i++) {
       if (isScrollable(p)) return p;
       p = p.parentElement;
     }
-    return document.querySelector(SELECTORS.scrollPanel) || document.scrollingElement;
+    return listPanel();
   }
 
   function parseStopHeader(el) {
@@ -1104,14 +1844,14 @@ ${themeToCssVars(THEME)}
       }
     }
 
-    const done =
-      /\bat\s*\d{1,2}:\d{2}\s*(am|pm)\b/i.test(textAll) || /\bcompleted\b/i.test(textAll);
-    return { stopNum, done };
+    const doneAt = textAll.match(/\bat\s*(\d{1,2}:\d{2}\s*(?:am|pm))\b/i)?.[1] || "";
+    const done = !!doneAt || /\bcompleted\b/i.test(textAll);
+    return { stopNum, done, doneAt };
   }
 
   function findAddressInPanel(panel) {
     if (!panel) return null;
-    const quick = panel.querySelector('[data-testid*="address" i], [data-attr*="address" i], [aria-label*="address" i]');
+    const quick = qs("stopAddress", panel);
     if (quick?.innerText?.trim()) return quick;
     const nodes = [...panel.querySelectorAll("div,span,p,li,td")].filter(
       (n) => n?.innerText?.trim()
@@ -1132,14 +1872,16 @@ ${themeToCssVars(THEME)}
     );
   }
 
-  async function collectRemainingStopsNth(nthRemaining = 3) {
+  // Scrolls the itinerary from the top, parsing stop headers until enough(stops) is true
+  // or the list stops growing. Returns every header seen, ordered by stop number.
+  async function scanStopHeaders(enough = () => false) {
     const scroller = pickStopScroller();
-    const want = Math.max(1, Number(nthRemaining) || 3);
 
     try { scroller.scrollTop = 0; } catch {}
     await sleep(80);
 
     const seen = new Map();
+    const sorted = () => [...seen.values()].sort((a, b) => a.stopNum - b.stopNum);
     let stagnant = 0, lastSeen = 0;
 
     for (let loops = 0; loops < 200; loops++) {
@@ -1149,8 +1891,7 @@ ${themeToCssVars(THEME)}
         if (p.stopNum != null && !Number.isNaN(p.stopNum)) seen.set(p.stopNum, p);
       }
 
-      const remaining = [...seen.values()].filter(x => !x.done).sort((a, b) => a.stopNum - b.stopNum);
-      if (remaining.length >= want) return { remaining, target: remaining[want - 1] };
+      if (enough(sorted())) break;
 
       const nowSeen = seen.size;
       stagnant = nowSeen === lastSeen ? stagnant + 1 : 0;
@@ -1163,11 +1904,96 @@ ${themeToCssVars(THEME)}
       await sleep(60);
     }
 
-    const remaining = [...seen.values()].filter(x => !x.done).sort((a, b) => a.stopNum - b.stopNum);
+    return sorted();
+  }
+
+  async function collectRemainingStopsNth(nthRemaining = 3) {
+    const want = Math.max(1, Number(nthRemaining) || 3);
+    const remainingOf = (stops) => stops.filter((x) => !x.done);
+    const captured = capturedStops(currentItineraryId());
+    const remaining = remainingOf(captured || (await scanStopHeaders((stops) => remainingOf(stops).length >= want)));
     return { remaining, target: remaining[want - 1] || null };
   }
 
-  async function domExpandAndGetAddressForStop(stopNum) {
+  // Captured and scraped stops both keep the parsed parts; format at the point of use so
+  // they come out the same and follow the current ADDRESS_FORMAT.
+  const stopAddress = (stop, format) => formatAddress(stop?.addressParts, format) || stop?.address || "";
+
+  // Only the distance estimate reads it, and that needs the ZIP whatever the copy format is.
+  const lastDoneOf = (stop) => (stop && stopAddress(stop, "usps") ? { stopNum: stop.stopNum, doneAt: stop.doneAt, address: stopAddress(stop, "usps") } : null);
+
+  // Latest completion time wins; stops without one fall back to the highest stop number.
+  function latestDone(stops) {
+    const done = stops.filter((x) => x.done);
+    if (!done.length) return null;
+    const rank = (x) => dayMinutes(x.doneAt) ?? -1;
+    return done.reduce((a, b) => (rank(b) > rank(a) || (rank(b) === rank(a) && b.stopNum > a.stopNum) ? b : a));
+  }
+
+  async function getLastCompletedStop() {
+    const captured = lastDoneOf(latestDone(capturedStops(currentItineraryId()) || []));
+    if (captured) return captured;
+
+    await setHideCompleted(false);
+    await sleep(260);
+
+    const last = latestDone(await scanStopHeaders());
+    if (!last) return null;
+
+    try { pickStopScroller().scrollTop = 0; } catch {}
+    await sleep(60);
+    const rec = await domExpandAndGetStop(last.stopNum);
+    return lastDoneOf(rec && { ...rec, doneAt: last.doneAt });
+  }
+
+  const STOP_TYPES = [
+    { type: "locker", rx: /\b(?:locker|hub counter|pickup point)\b/i },
+    { type: "business", rx: /\b(?:business|commercial|office)\b/i },
+    { type: "residential", rx: /\b(?:residential|residence|house|apartment)\b/i },
+  ];
+  const NOTE_LABEL_RX = /^(?:notes?|customer notes?|delivery (?:notes?|instructions?)|access(?: notes?| instructions?)?|instructions?)\s*[:\-]?\s*/i;
+  const ACCESS_RX = /\b(?:gate|door|access|building|lobby)\s*code\b|\bcall\s*box\b|\bbuzz(?:er)?\b|\bleave at\b/i;
+
+  // Everything besides the address that the expanded stop panel shows.
+  function parseStopPanel(panel, address = "") {
+    const lines = (panel?.innerText || "")
+      .split("\n")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const textAll = lines.join(" ");
+
+    let timeWindow = "";
+    const mWin = textAll.match(
+      /(\d{1,2}:\d{2}\s*[AaPp]\.?[Mm]\.?)\s*(?:-|–|—|to)\s*(\d{1,2}:\d{2}\s*[AaPp]\.?[Mm]\.?)/
+    );
+    if (mWin) timeWindow = `${mWin[1].toUpperCase()} – ${mWin[2].toUpperCase()}`;
+
+    let packages = null;
+    const mPkg =
+      textAll.match(/\b(\d{1,3})\s*(?:packages?|pkgs?|parcels?)\b/i) ||
+      textAll.match(/\b(?:packages?|pkgs?|parcels?)\s*[:\-]?\s*(\d{1,3})\b/i);
+    if (mPkg) packages = Number(mPkg[1]);
+
+    const stopType = STOP_TYPES.find((t) => t.rx.test(textAll))?.type || "";
+
+    const notes = [];
+    const addrText = norm(address);
+    for (let i = 0; i < lines.length; i++) {
+      const l = lines[i];
+      if (addrText && addrText.includes(norm(l))) continue;
+      if (NOTE_LABEL_RX.test(l)) {
+        const rest = l.replace(NOTE_LABEL_RX, "").trim() || lines[i + 1] || "";
+        if (rest && !notes.includes(rest)) notes.push(rest);
+      } else if (ACCESS_RX.test(l) && !notes.includes(l)) {
+        notes.push(l);
+      }
+    }
+
+    return { timeWindow, packages, stopType, notes };
+  }
+
+  // Structured record for one stop: header fields plus what the expanded panel shows.
+  async function domExpandAndGetStop(stopNum) {
     const scroller = pickStopScroller();
     const headers = getStopHeaders();
     let target = headers.find(h => parseStopHeader(h).stopNum === Number(stopNum));
@@ -1192,10 +2018,22 @@ ${themeToCssVars(THEME)}
     if (!panel) return null;
 
     const node = findAddressInPanel(panel);
-    return node?.innerText ? cleanAddress(node.innerText) : null;
+    const parts = node?.innerText ? cleanAddress(node.innerText) : null;
+    return {
+      ...parseStopHeader(target),
+      stopNum: Number(stopNum),
+      address: formatAddress(parts),
+      addressParts: parts,
+      ...parseStopPanel(panel, node?.innerText || ""),
+    };
   }
 
-  async function copyNthRemainingStopAddress(nthRemaining = 3) {
+  async function domExpandAndGetAddressForStop(stopNum) {
+    const stop = await domExpandAndGetStop(stopNum);
+    return stop?.address || null;
+  }
+
+  async function copyNthRemainingStopAddress(nthRemaining = 3, { copy = true } = {}) {
     perf.start('copyNthRemainingStopAddress');
 
     const want = Math.max(1, Number(nthRemaining) || 3);
@@ -1206,20 +2044,21 @@ ${themeToCssVars(THEME)}
       return null;
     }
 
-    const domAddr = await domExpandAndGetAddressForStop(target.stopNum);
+    const stop = target.address ? target : await domExpandAndGetStop(target.stopNum);
+    const domAddr = stopAddress(stop);
     if (!domAddr) {
       log.warn("No DOM address found");
       perf.end('copyNthRemainingStopAddress');
       return null;
     }
 
-    await window.ONTH_copyText(domAddr);
+    if (copy) await window.ONTH_copyText(domAddr);
     perf.end('copyNthRemainingStopAddress');
-    return { stopNum: target.stopNum, full: domAddr, raw: target, source: "dom" };
+    return { stopNum: target.stopNum, full: domAddr, raw: target, stop, source: target.address ? "capture" : "dom" };
   }
 
   async function goBackToList() {
-    if (document.querySelector(ROW_SEL)) {
+    if (qs("rows")) {
       log.info("Already on list view");
       return true;
     }
@@ -1252,7 +2091,7 @@ ${themeToCssVars(THEME)}
         }
       }
       await sleep(240);
-      if (document.querySelector(ROW_SEL)) {
+      if (qs("rows")) {
         log.info("Returned to list view");
         return true;
       }
@@ -1264,338 +2103,3353 @@ ${themeToCssVars(THEME)}
     } catch (err) {
       log.error("history.back() failed:", err);
     }
-    const ok = await waitFor(() => document.querySelector(ROW_SEL), {
+    const ok = await waitFor(() => qs("rows"), {
       timeout: 11000,
       interval: 180,
     });
     return !!ok;
   }
 
-  async function openToggleCopyStop(name, stopN = 3, phone = "") {
-    if (!document.querySelector(ROW_SEL)) {
+  // Opens the driver's itinerary with completed stops hidden, runs fn there,
+  // then returns to the list at its previous scroll position. Only one tab at a time.
+  async function withDriverView(name, phone, fn) {
+    if (!(await tabLock.acquire(name))) {
+      toast(`Another tab is still working on ${shownName(tabLock.read()?.label) || "a driver"}`, false, 3000);
+      return null;
+    }
+    try {
+      return await runInDriverView(name, phone, fn);
+    } finally {
+      tabLock.release();
+    }
+  }
+
+  async function runInDriverView(name, phone, fn) {
+    if (!qs("rows")) {
       log.info("Not on list view, going back");
       await goBackToList();
       await sleep(280);
     }
 
-    const listPanel =
-      document.querySelector(SELECTORS.scrollPanel) || document.scrollingElement;
-    const savedScroll = listPanel ? listPanel.scrollTop : null;
+    const panel = listPanel();
+    const savedScroll = panel ? panel.scrollTop : null;
 
     const ok = await clickDriver(name, phone);
     if (!ok) {
       log.error("Failed to click driver");
-      return { ok: false, address: "" };
+      return null;
     }
 
     await waitFor(() => (getStopHeaders().length ? true : null), {
       timeout: 20000,
       interval: 200,
     });
+    learnItineraryId(name);
 
     await sleep(220);
     await scrollToHideArea();
     await setHideCompleted(true);
     await sleep(260);
 
-    const res = await copyNthRemainingStopAddress(Number(stopN) || 3);
+    try {
+      return await fn();
+    } finally {
+      await goBackToList();
+      await sleep(240);
 
-    await goBackToList();
-    await sleep(240);
+      try {
+        if (panel && typeof savedScroll === "number")
+          panel.scrollTop = savedScroll;
+      } catch (err) {
+        log.warn("Scroll restore failed:", err);
+      }
+    }
+  }
 
-    try {
-      if (listPanel && typeof savedScroll === "number")
-        listPanel.scrollTop = savedScroll;
-    } catch (err) {
-      log.warn("Scroll restore failed:", err);
+  async function openToggleCopyStop(name, stopN = 3, phone = "", { copy = true } = {}) {
+    const api = await viaDataApi(name, phone, (stops) => {
+      const stop = stops.filter((x) => !x.done)[(Number(stopN) || 3) - 1];
+      if (!stop?.address) return null;
+      return { ...stop, address: stopAddress(stop), lastDone: CONFIG.READ_LAST_DONE ? lastDoneOf(latestDone(stops)) : null };
+    });
+    if (api) {
+      if (copy) await window.ONTH_copyText(api.address);
+      return { ok: true, address: api.address, stop: api };
     }
 
+    const res = await withDriverView(name, phone, async () => {
+      const found = await copyNthRemainingStopAddress(Number(stopN) || 3, { copy });
+      if (found?.stop && CONFIG.READ_LAST_DONE) {
+        try {
+          found.stop.lastDone = await getLastCompletedStop();
+        } catch (err) {
+          log.warn("Reading last completed stop failed:", err);
+        }
+      }
+      return found;
+    });
     const address = res?.full || "";
-    return { ok: !!address, address };
+    return { ok: !!address, address, stop: res?.stop || null };
   }
 
-  /* ---------------------------
-     UI
-  ---------------------------- */
-  const UI = {
-    open: false,
-    data: [],
-    view: [],
+  async function getNthRemainingStopAddresses(nths) {
+    const { remaining } = await collectRemainingStopsNth(Math.max(...nths));
+    const out = [];
+    for (const n of nths) {
+      const stop = remaining[n - 1];
+      if (!stop?.stopNum) {
+        out.push({ n, stopNum: null, address: "" });
+        continue;
+      }
+      if (stop.address) {
+        out.push({ ...stop, n, address: stopAddress(stop) });
+        continue;
+      }
+      try { pickStopScroller().scrollTop = 0; } catch {}
+      await sleep(60);
+      const rec = await domExpandAndGetStop(stop.stopNum);
+      out.push({ ...rec, n, stopNum: stop.stopNum, address: rec?.address || "" });
+    }
+    return out;
+  }
+
+  async function openToggleCopyStops(name, nths, phone = "") {
+    const api = await viaDataApi(name, phone, (stops) => {
+      const remaining = stops.filter((x) => !x.done);
+      const out = nths.map((n) => (remaining[n - 1] ? { ...remaining[n - 1], n, address: stopAddress(remaining[n - 1]) } : { n, stopNum: null, address: "" }));
+      return out.some((x) => x.address) ? out : null;
+    });
+    if (api) return api;
+
+    const res = await withDriverView(name, phone, () => getNthRemainingStopAddresses(nths));
+    return res || [];
+  }
+
+  // Collects every remaining stop, lets pick() choose which ones to expand, and returns
+  // { remaining, stops } where stops carries the expanded records keyed by stopNum.
+  async function openAndReadRemainingStops(name, phone, pick) {
+    const api = await viaDataApi(name, phone, (stops) => {
+      const remaining = stops.filter((x) => !x.done);
+      return { remaining, stops: new Map(pick(remaining).map((x) => [x.stopNum, { ...x, address: stopAddress(x) }])) };
+    });
+    if (api) return api;
+
+    const res = await withDriverView(name, phone, async () => {
+      const { remaining } = await collectRemainingStopsNth(Infinity);
+      const stops = new Map();
+      for (const stop of pick(remaining)) {
+        if (stop.address) {
+          stops.set(stop.stopNum, { ...stop, address: stopAddress(stop) });
+          continue;
+        }
+        try { pickStopScroller().scrollTop = 0; } catch {}
+        await sleep(60);
+        const rec = await domExpandAndGetStop(stop.stopNum);
+        stops.set(stop.stopNum, rec || { ...stop, address: "" });
+      }
+      return { remaining, stops };
+    });
+    return res || { remaining: [], stops: new Map() };
+  }
+
+  /* ---------------------------
+     Data API
+  ---------------------------- */
+  // The endpoints are whatever the page itself calls (see the browser's network tab); they
+  // are configured in Settings, and absolute URLs let a local mock server stand in for them.
+  const itineraryIds = new Map();
+
+  function currentItineraryId() {
+    try {
+      return new URL(location.href).searchParams.get("itineraryId") || "";
+    } catch (err) {
+      log.warn("URL parsing failed:", err);
+      return "";
+    }
+  }
+
+  function learnItineraryId(name) {
+    const id = currentItineraryId();
+    if (id) itineraryIds.set(norm(name), id);
+  }
+
+  function fillTemplate(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, (m, k) => (values[k] != null ? encodeURIComponent(values[k]) : m));
+  }
+
+  async function apiFetchJson(url) {
+    const res = await fetchWithTimeout(new URL(url, location.origin).href, {
+      credentials: "include",
+      headers: { Accept: "application/json" },
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    return res.json();
+  }
+
+  const pickPath = (o, paths) => {
+    for (const path of paths) {
+      const v = path.split(".").reduce((x, k) => (x == null ? x : x[k]), o);
+      if (v != null && v !== "") return v;
+    }
+    return undefined;
+  };
+
+  // Largest array of objects anywhere in the payload for which looks(item) holds for most items.
+  function findRecords(json, looks, depth = 0) {
+    let best = [];
+    if (depth > 6 || json == null || typeof json !== "object") return best;
+    if (Array.isArray(json)) {
+      const objs = json.filter((x) => x && typeof x === "object" && !Array.isArray(x));
+      if (objs.length && objs.filter(looks).length * 2 >= objs.length) best = objs;
+    }
+    for (const v of Array.isArray(json) ? json : Object.values(json)) {
+      const found = findRecords(v, looks, depth + 1);
+      if (found.length > best.length) best = found;
+    }
+    return best;
+  }
+
+  const STOP_NUM_PATHS = ["stopNumber", "stopNum", "sequenceNumber", "stopSequence", "sequence", "position"];
+  const ADDRESS_PATHS = ["address", "deliveryAddress", "location.address", "destination.address", "addressInfo"];
+  const DONE_STATUS_RX = /^(?:complete|completed|delivered|done|attempted|failed|skipped|returned|rejected|undeliverable)\b/i;
+
+  function clockOf(v) {
+    if (v == null || v === "") return "";
+    if (typeof v === "string" && parseClock(v) != null) return formatClock(parseClock(v));
+    const d = new Date(typeof v === "number" && v < 1e12 ? v * 1000 : v);
+    return Number.isNaN(d.getTime()) ? String(v) : formatClock(d.getHours() * 60 + d.getMinutes());
+  }
+
+  function apiAddressText(a) {
+    if (!a) return "";
+    if (typeof a === "string") return a;
+    const line1 = pickPath(a, ["addressLine1", "line1", "street", "streetAddress", "address1"]);
+    const line2 = pickPath(a, ["addressLine2", "line2", "unit", "address2"]);
+    const city = pickPath(a, ["city", "locality"]);
+    const state = pickPath(a, ["state", "stateOrRegion", "region", "province"]);
+    const zip = pickPath(a, ["postalCode", "zip", "zipCode", "postcode"]);
+    return [line1, line2, [city, [state, zip].filter(Boolean).join(" ")].filter(Boolean).join(", ")]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  // One API stop object → the same record shape domExpandAndGetStop returns.
+  function normalizeApiStop(o, i) {
+    const status = String(pickPath(o, ["status", "stopStatus", "state", "deliveryStatus"]) ?? "");
+    const completedAt = pickPath(o, ["completedAt", "completionTime", "completedTime", "deliveredAt"]);
+    const parts = cleanAddress(apiAddressText(pickPath(o, ADDRESS_PATHS)));
+
+    const tw = pickPath(o, ["timeWindow", "deliveryWindow", "window"]);
+    let timeWindow = "";
+    if (typeof tw === "string") timeWindow = tw;
+    else if (tw && typeof tw === "object") {
+      const from = clockOf(pickPath(tw, ["start", "startTime", "from", "begin"]));
+      const to = clockOf(pickPath(tw, ["end", "endTime", "to", "until"]));
+      timeWindow = from && to ? `${from} – ${to}` : from || to;
+    }
+
+    const pkgs = pickPath(o, ["packageCount", "numberOfPackages", "packagesCount", "packages"]);
+    const rawType = String(pickPath(o, ["stopType", "addressType", "locationType"]) ?? "");
+    const notes = pickPath(o, ["notes", "deliveryInstructions", "accessNotes", "customerNotes", "instructions"]);
+
+    return {
+      stopNum: Number(pickPath(o, STOP_NUM_PATHS)) || i + 1,
+      done: DONE_STATUS_RX.test(status) || (!status && !!completedAt),
+      doneAt: completedAt ? clockOf(completedAt) : "",
+      address: formatAddress(parts),
+      addressParts: parts,
+      timeWindow,
+      packages: Array.isArray(pkgs) ? pkgs.length : Number.isFinite(Number(pkgs)) && pkgs !== "" ? Number(pkgs) : null,
+      stopType: STOP_TYPES.find((t) => t.rx.test(rawType) || t.type === rawType.toLowerCase())?.type || "",
+      notes: (Array.isArray(notes) ? notes : notes ? [notes] : []).map(String).filter(Boolean),
+      source: "api",
+    };
+  }
+
+  // strict: require both a stop number and an address (used on arbitrary captured responses).
+  function parseStopsPayload(json, { strict = false } = {}) {
+    const looks = strict
+      ? (o) => pickPath(o, STOP_NUM_PATHS) != null && pickPath(o, ADDRESS_PATHS) != null
+      : (o) => pickPath(o, STOP_NUM_PATHS) != null || pickPath(o, ADDRESS_PATHS) != null;
+    return findRecords(json, looks)
+      .map(normalizeApiStop)
+      .sort((a, b) => a.stopNum - b.stopNum);
+  }
+
+  const DRIVER_NAME_PATHS = ["driverName", "transporterName", "driver.name", "transporter.name", "name"];
+  const PHONE_PATHS = ["phoneNumber", "phone", "driverPhone", "driver.phone", "driver.phoneNumber"];
+
+  function parseItinerariesPayload(json) {
+    const looks = (o) => pickPath(o, ["itineraryId", "id"]) != null && pickPath(o, DRIVER_NAME_PATHS) != null;
+    return findRecords(json, looks).map((o) => ({
+      id: String(pickPath(o, ["itineraryId", "id"])),
+      name: String(pickPath(o, DRIVER_NAME_PATHS) ?? ""),
+      phone: String(pickPath(o, PHONE_PATHS) ?? ""),
+    }));
+  }
+
+  async function resolveItineraryId(name, phone) {
+    const row = UI.data.find((r) => r.nameLower === norm(name) && (!phone || r.number === phone));
+    if (row?.itineraryId) return row.itineraryId;
+    if (itineraryIds.has(norm(name))) return itineraryIds.get(norm(name));
+    const seen = [...netModel.drivers.values()].find((r) => r.nameLower === norm(name) && r.itineraryId);
+    if (seen) return seen.itineraryId;
+    if (!CONFIG.API_ITINERARIES_URL) return "";
+
+    const list = parseItinerariesPayload(await apiFetchJson(fillTemplate(CONFIG.API_ITINERARIES_URL, { serviceDate: getServiceDate() })));
+    for (const it of list) itineraryIds.set(norm(it.name), it.id);
+    const byPhone = digits(phone) && list.find((it) => digits(it.phone) && digits(it.phone).endsWith(digits(phone).slice(-10)));
+    return (byPhone || list.find((it) => norm(it.name) === norm(name)))?.id || "";
+  }
+
+  async function apiLoadStops(name, phone) {
+    const id = await resolveItineraryId(name, phone);
+    if (!id) throw new Error("itinerary id not known for this driver");
+    const stops = parseStopsPayload(await apiFetchJson(fillTemplate(CONFIG.API_STOPS_URL, { itineraryId: id, serviceDate: getServiceDate() })));
+    if (!stops.length) throw new Error("no stops found in the response");
+    return stops;
+  }
+
+  // Runs use(stops) against the data API when that source is on. A falsy result or any error
+  // means "use the page instead", so callers fall through to their DOM path.
+  async function viaDataApi(name, phone, use) {
+    if (CONFIG.DATA_SOURCE !== "api" || !CONFIG.API_STOPS_URL) return null;
+    try {
+      const res = use(await apiLoadStops(name, phone));
+      if (!res) log.warn("Data API had no usable stop, using the page instead");
+      return res || null;
+    } catch (err) {
+      log.warn("Data API failed, using the page instead:", err?.message || err);
+      return null;
+    }
+  }
+
+  /* ---------------------------
+     Network capture
+  ---------------------------- */
+  // A passive copy of the JSON the page loads while the user browses: driver rows from the
+  // itinerary list and stop lists per itinerary. Collectors use it while it is fresh.
+  const netModel = {
+    drivers: new Map(), // key → row, from the latest list response (plus its later pages)
+    driversAt: 0,
+    driversTotal: null, // total the response reported, when it did
+    driversMore: false, // the response pointed at another page
+    stops: new Map(), // itineraryId → { stops, at }
+  };
+
+  const RTS_PATHS = ["projectedRTS", "projectedRts", "projectedRtsTime", "projectedReturnToStation", "estimatedRTS", "rts"];
+  const PROGRESS_PATHS = {
+    total: ["totalStops", "stopCount", "stops.total", "progress.total"],
+    done: ["completedStops", "stopsCompleted", "stops.completed", "progress.completed"],
+    left: ["stopsLeft", "remainingStops", "stopsRemaining", "stops.remaining"],
+  };
+
+  const LIST_TOTAL_PATHS = ["totalCount", "total", "totalResults", "totalElements", "pagination.total", "pagination.totalCount", "page.totalElements", "meta.total"];
+  const LIST_MORE_PATHS = ["nextToken", "nextPageToken", "paginationToken", "hasMore", "hasNextPage", "pagination.nextToken", "pagination.hasMore", "links.next"];
+
+  // A request for a later page of the list, judged by its query string.
+  function isLaterPage(url) {
+    try {
+      const q = new URL(url, location.href).searchParams;
+      if (["nextToken", "pageToken", "paginationToken", "cursor"].some((k) => q.get(k))) return true;
+      return Number(q.get("offset") || q.get("start") || 0) > 0 || Number(q.get("page") || q.get("pageNumber") || 0) > 1;
+    } catch {
+      return false;
+    }
+  }
+
+  const looksLikeDriver = (o) =>
+    pickPath(o, DRIVER_NAME_PATHS) != null &&
+    (pickPath(o, RTS_PATHS) != null || pickPath(o, PROGRESS_PATHS.left) != null || pickPath(o, PROGRESS_PATHS.total) != null);
+
+  function normalizeApiDriver(o) {
+    const count = (paths) => {
+      const v = pickPath(o, paths);
+      return v == null || typeof v === "object" ? NaN : Number(v);
+    };
+    const total = count(PROGRESS_PATHS.total);
+    const done = count(PROGRESS_PATHS.done);
+    const left = count(PROGRESS_PATHS.left);
+    const rts = pickPath(o, RTS_PATHS);
+    const projectedRTS = rts != null ? clockOf(rts) : "";
+    const stopsLeft = Number.isFinite(left) ? left : Number.isFinite(total) && Number.isFinite(done) ? Math.max(0, total - done) : null;
+    const statusText = String(pickPath(o, ["status", "itineraryStatus", "routeStatus"]) ?? "").replace(/[_-]+/g, " ");
+    return driverRecord({
+      name: String(pickPath(o, DRIVER_NAME_PATHS)).trim(),
+      phone: String(pickPath(o, PHONE_PATHS) ?? "").trim(),
+      itineraryId: String(pickPath(o, ["itineraryId", "id"]) ?? ""),
+      status: rowStatus(statusText, { projectedRTS, stopsLeft, stopsDone: Number.isFinite(done) ? done : null }),
+      projectedRTS,
+      avgPerHour: count(["avgStopsPerHour", "averageStopsPerHour", "avgPerHour", "stopsPerHour"]),
+      lastHourPace: count(["lastHourPace", "stopsLastHour", "lastHourStops", "pace"]),
+      stopsLeft,
+    });
+  }
+
+  function ingestPayload(url, json) {
+    const at = Date.now();
+
+    const drivers = findRecords(json, looksLikeDriver).map(normalizeApiDriver).filter((d) => d.name);
+    if (drivers.length) {
+      // A new list (other date, other station filter) replaces the old one; its later pages add to it.
+      const laterPage = isLaterPage(url) && isFresh(netModel.driversAt);
+      if (!laterPage) {
+        netModel.drivers = new Map();
+        netModel.driversTotal = null;
+      }
+      for (const row of drivers) netModel.drivers.set(row.key, row);
+      const total = Number(pickPath(json, LIST_TOTAL_PATHS));
+      if (Number.isInteger(total) && total > 0) netModel.driversTotal = total;
+      const more = pickPath(json, LIST_MORE_PATHS);
+      netModel.driversMore = more != null && more !== false;
+      netModel.driversAt = at;
+      log.debug(`Captured ${drivers.length} drivers from`, url);
+      if (live.panel) syncLiveRowsSoon();
+    }
+
+    const stops = parseStopsPayload(json, { strict: true });
+    if (stops.length) {
+      // Not the itinerary on screen: a late response for the previous driver would be filed
+      // under the next one. Stops that name no itinerary are not kept.
+      const id = itineraryIdFromUrl(url) || String(pickPath(json, ["itineraryId", "itinerary.id", "data.itineraryId"]) ?? "");
+      if (id) {
+        netModel.stops.set(id, { stops, at });
+        log.debug(`Captured ${stops.length} stops for itinerary ${id}`);
+      } else {
+        log.debug("Captured stops name no itinerary, ignoring", url);
+      }
+    }
+  }
+
+  const isFresh = (at) => CONFIG.CAPTURE_NETWORK && at > 0 && Date.now() - at <= CONFIG.CAPTURE_MAX_AGE_SEC * 1000;
+
+  // Phone formats differ between the API and the page; reuse the scraped row's key when the
+  // same driver is already known so history and cached addresses still line up.
+  function adoptKnownKey(row) {
+    const tail = row.numberDigits.slice(-10);
+    const known = UI.data.find((r) => r.nameLower === row.nameLower && r.numberDigits.slice(-10) === tail);
+    return known ? { ...row, key: known.key, number: known.number, numberDigits: known.numberDigits, numberLower: known.numberLower } : row;
+  }
+
+  // Whether the captured list can stand in for scrolling the page: it must have every driver
+  // the response says exists, or (without a total) at least every row the page shows.
+  function captureComplete() {
+    if (!isFresh(netModel.driversAt) || netModel.driversMore || !netModel.drivers.size) return false;
+    const need = netModel.driversTotal ?? qsa("rows").length;
+    return netModel.drivers.size >= need;
+  }
+
+  function capturedDrivers() {
+    if (!captureComplete()) {
+      if (isFresh(netModel.driversAt)) log.info("Captured list looks partial, scrolling the page instead");
+      return null;
+    }
+    return [...netModel.drivers.values()].map(adoptKnownKey);
+  }
+
+  function capturedStops(itineraryId) {
+    const entry = itineraryId && netModel.stops.get(itineraryId);
+    return entry && isFresh(entry.at) ? entry.stops : null;
+  }
+
+  const isJsonType = (type) => /\bjson\b/i.test(type || "");
+
+  // Only responses from endpoints that look like the itinerary list or a stop list are parsed;
+  // the rest of what the page loads passes through without being read.
+  const CAPTURE_URL_RX = /itinerar|\/(?:stops?|routes?|transporters?)\b/i;
+
+  function isCaptureUrl(url) {
+    try {
+      return CAPTURE_URL_RX.test(new URL(url, location.href).pathname);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function onXhrLoad() {
+    try {
+      if (this.status < 200 || this.status >= 300 || !isJsonType(this.getResponseHeader("content-type"))) return;
+      const json = this.responseType === "json" ? this.response : !this.responseType || this.responseType === "text" ? JSON.parse(this.responseText) : null;
+      if (json) ingestPayload(this.responseURL || this.__onthUrl, json);
+    } catch (err) {
+      log.debug("Capture skipped:", err?.message || err);
+    }
+  }
+
+  // Wraps fetch and XMLHttpRequest without changing what the page receives; responses are
+  // read from a clone (fetch) or after load (XHR), and any capture error is swallowed.
+  function installNetworkCapture() {
+    if (!CONFIG.CAPTURE_NETWORK) return;
+
+    const pageFetch = window.fetch;
+    if (typeof pageFetch === "function") {
+      window.fetch = function (...args) {
+        const pending = pageFetch.apply(this, args);
+        if (args[1]?.[OWN_REQUEST] || !isCaptureUrl(args[0]?.url ?? String(args[0]))) return pending;
+        pending
+          .then((res) => {
+            if (!res.ok || !isJsonType(res.headers.get("content-type"))) return;
+            return res.clone().json().then((json) => ingestPayload(res.url, json));
+          })
+          .catch((err) => log.debug("Capture skipped:", err?.message || err));
+        return pending;
+      };
+    }
+
+    const proto = window.XMLHttpRequest?.prototype;
+    if (proto) {
+      const pageOpen = proto.open;
+      const pageSend = proto.send;
+      proto.open = function (method, url, ...rest) {
+        this.__onthUrl = String(url);
+        return pageOpen.call(this, method, url, ...rest);
+      };
+      proto.send = function (...args) {
+        if (isCaptureUrl(this.__onthUrl)) this.addEventListener("load", onXhrLoad);
+        return pageSend.apply(this, args);
+      };
+    }
+  }
+
+  /* ---------------------------
+     Maps & distance
+  ---------------------------- */
+  const MAP_LINKS = [
+    { label: "Google Maps", url: (q) => `https://www.google.com/maps/search/?api=1&query=${q}` },
+    { label: "Apple Maps", url: (q) => `https://maps.apple.com/?q=${q}` },
+    { label: "Waze", url: (q) => `https://waze.com/ul?q=${q}&navigate=yes` },
+  ];
+
+  // ZIP → [lat, lon]. The built-in table (ZIP_CENTROIDS, near the end of the file) covers every
+  // ZCTA; a table imported from Settings is kept in localStorage and wins for the ZIPs it has.
+  let zipCentroids = store.get("zips") || {};
+  let bundledZips = null;
+
+  const ZIP_DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_";
+
+  function unpackZipCentroids(packed) {
+    const value = new Map([...ZIP_DIGITS].map((c, i) => [c, i]));
+    let i = 0;
+    const next = () => {
+      let v = 0;
+      for (let scale = 1; ; scale *= 32) {
+        const d = value.get(packed[i++]);
+        if (d === undefined) throw new Error(`bad ZIP table at ${i - 1}`);
+        v += (d % 32) * scale;
+        if (d < 32) return v;
+      }
+    };
+    const delta = (v) => (v % 2 ? -(v + 1) / 2 : v / 2);
+
+    const out = new Map();
+    let [zip, lat, lon] = [0, 0, 0];
+    while (i < packed.length) {
+      zip += next() + 1;
+      lat += delta(next());
+      lon += delta(next());
+      out.set(String(zip).padStart(5, "0"), [lat / 100, lon / 100]);
+    }
+    return out;
+  }
+
+  function zipCentroid(zip) {
+    if (zipCentroids[zip]) return zipCentroids[zip];
+    if (!bundledZips) {
+      try {
+        bundledZips = unpackZipCentroids(ZIP_CENTROIDS);
+      } catch (err) {
+        log.error("Built-in ZIP table unreadable:", err);
+        bundledZips = new Map();
+      }
+    }
+    return bundledZips.get(zip);
+  }
+
+  function parseZipTable(text) {
+    const rows = String(text ?? "")
+      .split(/\r?\n/)
+      .map((l) => l.split(/[\t,;]/).map((c) => c.trim().replace(/^"|"$/g, "")))
+      .filter((r) => r.length >= 3);
+    if (!rows.length) throw new Error("empty file");
+
+    const head = rows[0].map((c) => c.toLowerCase());
+    let zi = head.findIndex((c) => /^(?:zip|zipcode|zip_code|zcta\w*|geoid|postal\w*)$/.test(c));
+    let la = head.findIndex((c) => /^(?:lat|latitude|intptlat)$/.test(c));
+    let lo = head.findIndex((c) => /^(?:lon|lng|long|longitude|intptlong)$/.test(c));
+    const hasHeader = zi >= 0 && la >= 0 && lo >= 0;
+    if (!hasHeader) [zi, la, lo] = [0, 1, 2];
+
+    const out = {};
+    for (const r of hasHeader ? rows.slice(1) : rows) {
+      const zip = r[zi]?.padStart(5, "0");
+      const lat = Number(r[la]);
+      const lon = Number(r[lo]);
+      if (!/^\d{5}$/.test(zip || "") || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+      if (Math.abs(lat) > 90 || Math.abs(lon) > 180) continue;
+      out[zip] = [Math.round(lat * 1e4) / 1e4, Math.round(lon * 1e4) / 1e4];
+    }
+    if (!Object.keys(out).length) throw new Error("no ZIP,lat,lon rows found");
+    return out;
+  }
+
+  async function importZipTable(file) {
+    if (!file) return;
+    try {
+      const table = parseZipTable(await file.text());
+      if (!store.set("zips", table)) throw new Error("table too large for browser storage");
+      zipCentroids = table;
+      UI._lastRenderSig = "";
+      renderTable();
+      renderSettings();
+      toast(`Imported ${Object.keys(table).length} ZIP centroids`, true);
+    } catch (err) {
+      log.error("ZIP table import failed:", err);
+      toast(`ZIP table import failed: ${err.message}`, false);
+    }
+  }
+
+  function clearZipTable() {
+    zipCentroids = {};
+    store.remove("zips");
+    UI._lastRenderSig = "";
+    renderTable();
+    renderSettings();
+    toast("ZIP table cleared", true);
+  }
+
+  function zipOf(address) {
+    return (String(address ?? "").match(new RegExp(RX.zip.source, "g")) || []).pop()?.slice(0, 5) || "";
+  }
+
+  function haversineMiles([lat1, lon1], [lat2, lon2]) {
+    const rad = (d) => (d * Math.PI) / 180;
+    const a =
+      Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+      Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+    return 3958.8 * 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  // Straight line between ZIP centroids, so only good to a mile or two.
+  function distanceText(from, to) {
+    const a = zipOf(from.address);
+    const b = zipOf(to);
+    const where = `from stop ${from.stopNum}${from.doneAt ? ` (done ${from.doneAt})` : ""}`;
+    if (!a || !b) return `${where} · no ZIP to compare`;
+    if (a === b) return `Same ZIP ${where}`;
+    const pa = zipCentroid(a);
+    const pb = zipCentroid(b);
+    if (!pa || !pb) return `${where} · ZIP ${[pa ? "" : a, pb ? "" : b].filter(Boolean).join(", ")} not in table`;
+    return `≈ ${haversineMiles(pa, pb).toFixed(1)} mi ${where}`;
+  }
+
+  function mapsLinks(address) {
+    const box = document.createElement("div");
+    box.className = "__onth_maps";
+    const q = encodeURIComponent(address);
+    for (const m of MAP_LINKS) {
+      const a = document.createElement("a");
+      a.className = "__onth_btn __onth_btnSmall";
+      a.href = m.url(q);
+      a.target = "_blank";
+      a.rel = "noopener noreferrer";
+      a.textContent = m.label;
+      box.appendChild(a);
+    }
+    return box;
+  }
+
+  /* ---------------------------
+     History & sparklines
+  ---------------------------- */
+  function recordHistory(data, t = Date.now()) {
+    const max = Math.max(2, Number(CONFIG.HISTORY_MAX_SAMPLES) || 2);
+    for (const r of data) {
+      const samples = UI.history.get(r.key) || [];
+      samples.push({
+        t,
+        stopsLeft: r.stopsLeft,
+        pace: r.lastHourPace,
+        avg: r.avgPerHour,
+        rts: r.projectedRTS || "",
+      });
+      if (samples.length > max) samples.splice(0, samples.length - max);
+      UI.history.set(r.key, samples);
+    }
+    saveHistory();
+  }
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  function sparkline(values, { width = 48, height = 14 } = {}) {
+    const pts = values.map((v, i) => [i, v]).filter(([, v]) => typeof v === "number" && Number.isFinite(v));
+    if (pts.length < 2) return null;
+
+    const ys = pts.map(([, v]) => v);
+    const lo = Math.min(...ys);
+    const span = Math.max(...ys) - lo || 1;
+    const last = values.length - 1 || 1;
+    const coords = pts.map(([i, v]) => [
+      ((i / last) * (width - 2) + 1).toFixed(1),
+      (height - 1 - ((v - lo) / span) * (height - 2)).toFixed(1),
+    ]);
+
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("class", "__onth_spark");
+    svg.setAttribute("width", String(width));
+    svg.setAttribute("height", String(height));
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svg.setAttribute("aria-hidden", "true");
+
+    const line = document.createElementNS(SVG_NS, "polyline");
+    line.setAttribute("points", coords.map((c) => c.join(",")).join(" "));
+    line.setAttribute("fill", "none");
+    line.setAttribute("stroke", "currentColor");
+    line.setAttribute("stroke-width", "1.5");
+    line.setAttribute("stroke-linejoin", "round");
+
+    const [ex, ey] = coords[coords.length - 1];
+    const dot = document.createElementNS(SVG_NS, "circle");
+    dot.setAttribute("cx", ex);
+    dot.setAttribute("cy", ey);
+    dot.setAttribute("r", "1.8");
+    dot.setAttribute("fill", "currentColor");
+
+    svg.appendChild(line);
+    svg.appendChild(dot);
+    return svg;
+  }
+
+  function historyTable(samples) {
+    const wrap = document.createElement("div");
+    wrap.className = "__onth_hist";
+    const table = document.createElement("table");
+    const head = document.createElement("tr");
+    for (const label of ["Time", "Stops left", "Pace", "Stops/hr", "RTS"]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    }
+    const thead = document.createElement("thead");
+    thead.appendChild(head);
+
+    const tbody = document.createElement("tbody");
+    for (const smp of samples.slice().reverse()) {
+      const tr = document.createElement("tr");
+      for (const value of [
+        new Date(smp.t).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }),
+        typeof smp.stopsLeft === "number" ? String(smp.stopsLeft) : "",
+        fmt(smp.pace),
+        fmt(smp.avg),
+        smp.rts,
+      ]) {
+        const td = document.createElement("td");
+        td.textContent = value;
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    wrap.appendChild(table);
+    return wrap;
+  }
+
+  /* ---------------------------
+     Time math
+  ---------------------------- */
+  const timeCtx = () => ({ now: serviceNow(), shiftEnd: dayMinutes(CONFIG.SHIFT_END) });
+
+  function minutesUntilRTS(r, ctx) {
+    const rts = dayMinutes(r.projectedRTS);
+    return rts == null || statusOf(r) !== "active" ? null : rts - ctx.now;
+  }
+
+  // Stops/hr needed to clear stopsLeft by the shift end; Infinity once the shift end has passed.
+  function neededPace(r, ctx) {
+    if (statusOf(r) !== "active" || typeof r.stopsLeft !== "number" || ctx.shiftEnd == null) return null;
+    if (r.stopsLeft === 0) return 0;
+    const left = ctx.shiftEnd - ctx.now;
+    return left > 0 ? r.stopsLeft / (left / 60) : Infinity;
+  }
+
+  /* ---------------------------
+     Summary strip
+  ---------------------------- */
+  const RTS_BUCKET_MIN = 30;
+
+  function median(values) {
+    if (!values.length) return null;
+    const v = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(v.length / 2);
+    return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  }
+
+  // Station totals over the active drivers in UI.data (not the filtered view).
+  function summarize(data) {
+    const active = data.filter((r) => statusOf(r) === "active");
+    const paced = active.filter((r) => typeof r.lastHourPace === "number");
+    const timed = active
+      .map((r) => ({ r, m: dayMinutes(r.projectedRTS) }))
+      .filter((x) => x.m != null);
+
+    const buckets = new Map();
+    for (const { m } of timed) {
+      const b = Math.floor(m / RTS_BUCKET_MIN) * RTS_BUCKET_MIN;
+      buckets.set(b, (buckets.get(b) || 0) + 1);
+    }
+
+    return {
+      drivers: active.length,
+      stopsLeft: active.reduce((n, r) => n + (typeof r.stopsLeft === "number" ? r.stopsLeft : 0), 0),
+      medianPace: median(paced.map((r) => r.lastHourPace)),
+      worst: paced.reduce((a, b) => (!a || b.lastHourPace < a.lastHourPace ? b : a), null),
+      latest: timed.reduce((a, b) => (!a || b.m > a.m ? b : a), null)?.r || null,
+      buckets,
+    };
+  }
+
+  // "7p", "7:30p": bucket labels only need to be told apart.
+  function shortClock(minutes) {
+    const [hm, ampm] = formatClock(minutes).split(" ");
+    return `${hm.replace(/:00$/, "")}${ampm[0].toLowerCase()}`;
+  }
+
+  function renderSummary(sum) {
+    const el = document.getElementById("__onth_snap_summary__");
+    if (!el) return;
+    el.hidden = !sum.drivers;
+    if (!sum.drivers) {
+      el.replaceChildren();
+      return;
+    }
+
+    const stat = (label, value, title = "") => {
+      const div = document.createElement("div");
+      div.className = "__onth_stat";
+      if (title) div.title = title;
+      const k = document.createElement("span");
+      k.className = "__onth_statLabel";
+      k.textContent = label;
+      const v = document.createElement("span");
+      v.className = "__onth_statValue";
+      v.textContent = value;
+      div.appendChild(k);
+      div.appendChild(v);
+      return div;
+    };
+
+    const stats = document.createElement("div");
+    stats.className = "__onth_stats";
+    stats.appendChild(stat("Stops left", sum.stopsLeft.toLocaleString(), `${sum.drivers} active drivers`));
+    stats.appendChild(stat("Median pace", sum.medianPace == null ? "—" : fmt(sum.medianPace)));
+    stats.appendChild(stat("Worst pace", sum.worst ? fmt(sum.worst.lastHourPace) : "—", sum.worst ? shownName(sum.worst.name) : ""));
+    stats.appendChild(stat("Latest RTS", sum.latest?.projectedRTS || "—", sum.latest ? shownName(sum.latest.name) : ""));
+    stats.appendChild(stat("At risk", String(UI.riskByKey.size)));
+
+    const hist = document.createElement("div");
+    hist.className = "__onth_rtsHist";
+    hist.setAttribute("role", "group");
+    hist.setAttribute("aria-label", "Projected RTS by half hour; pick a bar to filter");
+    if (sum.buckets.size) {
+      const keys = [...sum.buckets.keys()];
+      const most = Math.max(...sum.buckets.values());
+      for (let b = Math.min(...keys); b <= Math.max(...keys); b += RTS_BUCKET_MIN) {
+        const n = sum.buckets.get(b) || 0;
+        const btn = document.createElement("button");
+        btn.className = "__onth_bucket";
+        btn.setAttribute("data-bucket", String(b));
+        btn.setAttribute("aria-pressed", String(UI.rtsBucket === b));
+        btn.title = `${formatClock(b)} – ${formatClock(b + RTS_BUCKET_MIN)}: ${n} driver${n === 1 ? "" : "s"}`;
+        btn.setAttribute("aria-label", btn.title);
+        btn.disabled = !n;
+
+        const box = document.createElement("span");
+        box.className = "__onth_barBox";
+        const bar = document.createElement("span");
+        bar.className = "__onth_bar";
+        bar.style.height = `${Math.round((n / most) * 100)}%`;
+        box.appendChild(bar);
+
+        const label = document.createElement("span");
+        label.className = "__onth_bucketLabel";
+        label.textContent = b % 60 === 0 ? shortClock(b) : "";
+
+        btn.appendChild(box);
+        btn.appendChild(label);
+        hist.appendChild(btn);
+      }
+    }
+
+    el.replaceChildren(stats, hist);
+  }
+
+  /* ---------------------------
+     At-risk rules
+  ---------------------------- */
+  const paceOf = (r) =>
+    typeof r.lastHourPace === "number" && r.lastHourPace > 0
+      ? r.lastHourPace
+      : typeof r.avgPerHour === "number" && r.avgPerHour > 0
+        ? r.avgPerHour
+        : null;
+
+  const RISK_RULES = [
+    {
+      id: "pace",
+      test: (r) => typeof r.lastHourPace === "number" && r.lastHourPace < CONFIG.RISK_MIN_PACE,
+      describe: (r) => `Pace ${fmt(r.lastHourPace)}/hr is under ${CONFIG.RISK_MIN_PACE}`,
+    },
+    {
+      id: "rts",
+      test: (r) => {
+        const rts = dayMinutes(r.projectedRTS);
+        const cutoff = dayMinutes(CONFIG.RISK_RTS_CUTOFF);
+        return rts != null && cutoff != null && rts > cutoff;
+      },
+      describe: (r) => `Projected RTS ${r.projectedRTS} is after ${CONFIG.RISK_RTS_CUTOFF}`,
+    },
+    {
+      id: "finish",
+      test: (r, ctx) => {
+        const pace = paceOf(r);
+        if (!pace || !r.stopsLeft || ctx.shiftEnd == null) return false;
+        return (r.stopsLeft / pace) * 60 > ctx.shiftEnd - ctx.now;
+      },
+      describe: (r) =>
+        `${r.stopsLeft} stops at ${fmt(paceOf(r))}/hr won't finish by ${CONFIG.SHIFT_END}`,
+    },
+  ];
+
+  function assessRisk(r, ctx) {
+    const reasons = [];
+    for (const rule of RISK_RULES) {
+      try {
+        if (rule.test(r, ctx)) reasons.push(rule.describe(r, ctx));
+      } catch (err) {
+        log.warn(`Risk rule "${rule.id}" failed:`, err);
+      }
+    }
+    return reasons;
+  }
+
+  function updateRisk() {
+    const ctx = timeCtx();
+    UI.riskByKey = new Map();
+    for (const r of UI.data) {
+      if (statusOf(r) !== "active") continue;
+      const reasons = assessRisk(r, ctx);
+      if (reasons.length) UI.riskByKey.set(r.key, reasons);
+    }
+
+    const chip = document.querySelector('#__onth_snap_chips__ [data-chip="risk"]');
+    if (chip) chip.textContent = `⚠ At risk (${UI.riskByKey.size})`;
+  }
+
+  /* ---------------------------
+     Privacy masking
+  ---------------------------- */
+  // Display-only: UI.data keeps the real values so filtering and rowMatches still work.
+  function maskName(name) {
+    const parts = String(name ?? "").trim().split(/\s+/).filter((p) => /\p{L}/u.test(p));
+    return parts.length ? parts.map((p) => `${p.match(/\p{L}/u)[0].toUpperCase()}.`).join(" ") : "";
+  }
+
+  function maskPhone(phone) {
+    const digits = String(phone ?? "").replace(/\D/g, "");
+    return digits.length >= 4 ? `•••-•••-${digits.slice(-4)}` : "";
+  }
+
+  function maskAddress(address) {
+    const t = String(address ?? "").trim();
+    if (!t) return "";
+    const street = t
+      .split(/[,\n]/)[0]
+      .replace(/\s+(?:apt|apartment|unit|suite|ste|fl|floor|rm|room|bldg|#)\b.*$/i, "")
+      .replace(/\s+#.*$/, "")
+      .trim();
+    const zip = (t.match(new RegExp(RX.zip.source, "g")) || []).pop()?.slice(0, 5);
+    return [street, zip].filter(Boolean).join(" ");
+  }
+
+  const shownName = (v) => (UI.privacy ? maskName(v) : v || "");
+  const shownPhone = (v) => (UI.privacy ? maskPhone(v) : v || "");
+  const shownAddress = (v) => (UI.privacy ? maskAddress(v) : v || "");
+  // Stop notes carry gate codes and customer instructions; there is nothing safe to keep of them.
+  const shownNotes = (notes, sep) => (UI.privacy ? `${notes.length} note${notes.length === 1 ? "" : "s"} hidden` : notes.join(sep));
+
+  function setPrivacy(on) {
+    UI.privacy = !!on;
+    store.set("privacy", UI.privacy);
+    const chip = document.querySelector('#__onth_snap_chips__ [data-chip="privacy"]');
+    if (chip) chip.setAttribute("aria-pressed", String(UI.privacy));
+  }
+
+  /* ---------------------------
+     UI
+  ---------------------------- */
+  const UI = {
+    open: false,
+    data: [],
+    view: [],
     sortKey: "name",
     sortDir: "asc",
     filter: "",
+    riskOnly: false,
+    statuses: new Set(["active"]), // empty = every status
+    rtsBucket: null, // start (service-day minutes) of the RTS histogram bar being filtered on
+    riskByKey: new Map(),
+    privacy: store.get("privacy") === true,
+    panel: null,
     busy: false,
     stopN: CONFIG.DEFAULT_STOP_N,
     addrByKey: new LRUCache(CONFIG.MAX_CACHE_SIZE),
+    multiByKey: new LRUCache(CONFIG.MAX_CACHE_SIZE),
+    stopInfoByKey: new LRUCache(CONFIG.MAX_CACHE_SIZE),
+    multiSpec: "5",
     pendingKey: null,
+    pendingMultiKey: null,
+    rescueForm: { helpers: 1, strategy: "last", perHelper: 10 },
+    rescueOpenKey: null,
+    rescueByKey: new Map(),
+    pendingRescueKey: null,
     openKey: null,
+    cursorKey: null,
+    helpOpen: false,
+    batch: null,
+    dataAt: 0,
+    restored: false,
+    history: new Map(),
+    viewVersion: 0,
+    detailHeight: 0,
+    _window: { start: 0, end: 0 },
     _lastRenderSig: "",
   };
 
-  function openDrawer() {
-    UI.open = true;
-    document.getElementById("__onth_snap_drawer__")?.classList.add("open");
+  /* ---------------------------
+     Persistence
+  ---------------------------- */
+  function saveSnapshot() {
+    store.set("snapshot", {
+      savedAt: UI.dataAt || Date.now(),
+      serviceDate: getServiceDate(),
+      data: UI.data,
+    });
+  }
+
+  function saveHistory() {
+    store.set("history", {
+      serviceDate: getServiceDate(),
+      byKey: Object.fromEntries(UI.history),
+    });
+  }
+
+  const saveAddresses = debounce(() => {
+    store.set("addresses", {
+      serviceDate: getServiceDate(),
+      entries: UI.addrByKey.entries(),
+      multi: UI.multiByKey.entries(),
+      info: UI.stopInfoByKey.entries(),
+    });
+  }, CONFIG.DEBOUNCE_DELAY);
+
+  function restorePersisted() {
+    const serviceDate = getServiceDate();
+    const maxAge = Math.max(0, Number(CONFIG.PERSIST_MAX_AGE_MIN) || 0) * 60000;
+    const now = Date.now();
+
+    const snap = store.get("snapshot");
+    if (snap && Array.isArray(snap.data)) {
+      if (snap.serviceDate === serviceDate && now - snap.savedAt <= maxAge) {
+        UI.data = snap.data;
+        UI.dataAt = snap.savedAt;
+        UI.restored = true;
+      } else {
+        store.remove("snapshot");
+      }
+    }
+
+    const addrs = store.get("addresses");
+    if (addrs && Array.isArray(addrs.entries)) {
+      if (addrs.serviceDate === serviceDate) {
+        for (const [key, value, at] of addrs.entries) {
+          if (key && value && now - at <= maxAge) UI.addrByKey.set(key, value, at);
+        }
+        for (const [key, value, at] of addrs.info || []) {
+          if (key && value && typeof value === "object" && now - at <= maxAge) UI.stopInfoByKey.set(key, value, at);
+        }
+        for (const [key, value, at] of addrs.multi || []) {
+          if (key && Array.isArray(value?.stops) && now - at <= maxAge) UI.multiByKey.set(key, value, at);
+        }
+      } else {
+        store.remove("addresses");
+      }
+    }
+
+    const hist = store.get("history");
+    if (hist && hist.byKey && typeof hist.byKey === "object") {
+      if (hist.serviceDate === serviceDate) {
+        for (const [key, samples] of Object.entries(hist.byKey)) {
+          if (Array.isArray(samples) && samples.length) UI.history.set(key, samples);
+        }
+      } else {
+        store.remove("history");
+      }
+    }
+
+    if (UI.data.length || UI.addrByKey.size) {
+      log.info(`Restored ${UI.data.length} drivers and ${UI.addrByKey.size} addresses from storage`);
+    }
+  }
+
+  function renderAge() {
+    const el = document.getElementById("__onth_snap_age__");
+    if (!el) return;
+    el.textContent = UI.dataAt ? `· ${fmtAge(Date.now() - UI.dataAt)}` : "";
+    el.title = UI.dataAt
+      ? `${UI.restored ? "Restored from storage; " : ""}snapshot taken ${new Date(UI.dataAt).toLocaleTimeString()}`
+      : "";
+    el.classList.toggle("__onth_restored", UI.restored);
+  }
+
+  restorePersisted();
+
+  function openDrawer() {
+    UI.open = true;
+    document.getElementById("__onth_snap_drawer__")?.classList.add("open");
+  }
+
+  function closeDrawer() {
+    if (UI.helpOpen) setHelp(false);
+    UI.open = false;
+    document.getElementById("__onth_snap_drawer__")?.classList.remove("open");
+  }
+
+  function fmt(v) {
+    return typeof v === "number" && !Number.isNaN(v)
+      ? Number.isInteger(v)
+        ? String(v)
+        : v.toFixed(1)
+      : "";
+  }
+
+  // Columns whose sort order isn't the raw field value. Missing values sort last.
+  const SORT_VALUES = {
+    status: (r) => DRIVER_STATUSES.findIndex((s) => s.id === statusOf(r)),
+    projectedRTS: (r) => dayMinutes(r.projectedRTS),
+    untilRTS: (r, ctx) => minutesUntilRTS(r, ctx),
+    neededPace: (r, ctx) => neededPace(r, ctx),
+  };
+
+  function updateStatusChips() {
+    const counts = new Map();
+    for (const r of UI.data) counts.set(statusOf(r), (counts.get(statusOf(r)) || 0) + 1);
+    for (const chip of document.querySelectorAll('#__onth_snap_chips__ [data-chip="status"]')) {
+      const id = chip.getAttribute("data-status");
+      chip.textContent = `${statusLabel(id)} (${counts.get(id) || 0})`;
+      chip.setAttribute("aria-pressed", String(UI.statuses.has(id)));
+    }
+  }
+
+  function rebuildView() {
+    perf.start('rebuildView');
+
+    const fRaw = String(UI.filter ?? "");
+    const f = norm(fRaw);
+    const fDigits = digits(fRaw);
+
+    updateRisk();
+
+    updateStatusChips();
+
+    const summary = summarize(UI.data);
+    if (UI.rtsBucket != null && !summary.buckets.has(UI.rtsBucket)) UI.rtsBucket = null;
+    renderSummary(summary);
+
+    let v = UI.data.slice();
+    if (UI.statuses.size) v = v.filter((r) => UI.statuses.has(statusOf(r)));
+    if (UI.rtsBucket != null) {
+      v = v.filter((r) => {
+        const m = dayMinutes(r.projectedRTS);
+        return m != null && m >= UI.rtsBucket && m < UI.rtsBucket + RTS_BUCKET_MIN;
+      });
+    }
+    if (UI.riskOnly) v = v.filter((r) => UI.riskByKey.has(r.key));
+    if (f) {
+      v = v.filter((r) => {
+        const matchName = r.nameLower.includes(f);
+        const matchNumText = r.numberLower.includes(f);
+        const matchDigits = fDigits ? r.numberDigits.includes(fDigits) : false;
+        return matchName || matchNumText || matchDigits;
+      });
+    }
+
+    const k = UI.sortKey;
+    const dir = UI.sortDir;
+
+    const ctx = timeCtx();
+    const value = SORT_VALUES[k] || ((r) => r[k]);
+    v.sort((a, b) => {
+      const va = value(a, ctx),
+        vb = value(b, ctx);
+      if (va == null || vb == null) return (va == null) - (vb == null);
+      const na = typeof va === "number",
+        nb = typeof vb === "number";
+      let c = 0;
+      if (na && nb) c = va === vb ? 0 : va - vb;
+      else
+        c = String(va ?? "").localeCompare(String(vb ?? ""), undefined, {
+          numeric: true,
+          sensitivity: "base",
+        });
+      return dir === "asc" ? c : -c;
+    });
+
+    UI.view = v;
+    UI.viewVersion++;
+    const countEl = document.getElementById("__onth_snap_count__");
+    if (countEl) countEl.textContent = `${v.length} drivers`;
+
+    perf.end('rebuildView');
+  }
+
+  function buildRow(r, i) {
+    const risk = UI.riskByKey.get(r.key);
+    const tr = document.createElement("tr");
+    tr.className = risk ? "__onth_row __onth_risk" : "__onth_row";
+    if (i % 2 === 0) tr.classList.add("__onth_alt");
+    tr.setAttribute("data-key", r.key);
+    if (r.staleAt) {
+      tr.classList.add("__onth_stale");
+      tr.title = `Not on the page since ${new Date(r.staleAt).toLocaleTimeString()}`;
+    }
+    if (UI.cursorKey === r.key) {
+      tr.classList.add("__onth_cursor");
+      tr.setAttribute("aria-selected", "true");
+    }
+
+    const tdName = document.createElement("td");
+    tdName.className = "__onth_name";
+    tdName.textContent = shownName(r.name);
+    if (risk) {
+      const badge = document.createElement("span");
+      badge.className = "__onth_badge";
+      badge.textContent = "AT RISK";
+      badge.title = risk.join("\n");
+      tdName.appendChild(badge);
+    }
+
+    const tdStatus = document.createElement("td");
+    const status = document.createElement("span");
+    status.className = "__onth_status";
+    status.setAttribute("data-status", statusOf(r));
+    status.textContent = statusLabel(statusOf(r));
+    tdStatus.appendChild(status);
+
+    const tdRTS = document.createElement("td");
+    tdRTS.className = "__onth_mono";
+    tdRTS.textContent = r.projectedRTS || "";
+
+    const ctx = timeCtx();
+    const until = minutesUntilRTS(r, ctx);
+    const tdUntil = document.createElement("td");
+    tdUntil.className = until < 0 ? "__onth_mono __onth_behind" : "__onth_mono";
+    tdUntil.textContent = until == null ? "" : fmtDuration(until);
+
+    const tdStops = document.createElement("td");
+    tdStops.className = "__onth_mono";
+    tdStops.textContent = typeof r.stopsLeft === "number" ? String(r.stopsLeft) : "";
+
+    const tdAvg = document.createElement("td");
+    tdAvg.className = "__onth_mono";
+    tdAvg.textContent = fmt(r.avgPerHour);
+
+    const tdPace = document.createElement("td");
+    tdPace.className = "__onth_mono";
+    tdPace.textContent = fmt(r.lastHourPace);
+
+    const needed = neededPace(r, ctx);
+    const tdNeeded = document.createElement("td");
+    tdNeeded.className = "__onth_mono";
+    if (needed === Infinity) {
+      tdNeeded.classList.add("__onth_behind");
+      tdNeeded.textContent = "—";
+      tdNeeded.title = `Shift end ${CONFIG.SHIFT_END} has passed with ${r.stopsLeft} stops left`;
+    } else if (needed != null) {
+      if (typeof r.lastHourPace === "number" && needed > r.lastHourPace) tdNeeded.classList.add("__onth_behind");
+      tdNeeded.textContent = fmt(needed);
+      tdNeeded.title = `${fmt(needed)}/hr clears ${r.stopsLeft} stops by ${CONFIG.SHIFT_END}` +
+        (typeof r.lastHourPace === "number" ? `; last hour was ${fmt(r.lastHourPace)}/hr` : "");
+    }
+
+    const samples = UI.history.get(r.key) || [];
+    if (samples.length > 1) {
+      const stopsSpark = sparkline(samples.map((x) => x.stopsLeft));
+      if (stopsSpark) tdStops.appendChild(stopsSpark);
+      const paceSpark = sparkline(samples.map((x) => x.pace));
+      if (paceSpark) tdPace.appendChild(paceSpark);
+    }
+
+    tr.appendChild(tdName);
+    tr.appendChild(tdStatus);
+    tr.appendChild(tdRTS);
+    tr.appendChild(tdUntil);
+    tr.appendChild(tdStops);
+    tr.appendChild(tdAvg);
+    tr.appendChild(tdPace);
+    tr.appendChild(tdNeeded);
+
+    return tr;
+  }
+
+  function buildDetailRow(r) {
+    const risk = UI.riskByKey.get(r.key);
+    const samples = UI.history.get(r.key) || [];
+    const cacheKey = `${r.key}|${UI.stopN}`;
+    const addr =
+      UI.addrByKey.get(cacheKey) || (UI.pendingKey === r.key ? "Working…" : "—");
+
+    const dtr = document.createElement("tr");
+    dtr.className = "__onth_detail";
+    const td = document.createElement("td");
+    td.setAttribute("colspan", String(columnCount()));
+
+    const detailBox = document.createElement("div");
+    detailBox.className = "__onth_detailBox";
+
+    const kvDiv = document.createElement("div");
+    kvDiv.className = "__onth_kv";
+
+    const addKV = (key, value) => {
+      const k = document.createElement("div");
+      k.className = "__onth_k";
+      k.textContent = key;
+      const v = document.createElement("div");
+      v.className = "__onth_v";
+      if (key === "Address") {
+        v.setAttribute("data-addrkey", cacheKey);
+      }
+      if (value instanceof Node) v.appendChild(value);
+      else v.textContent = value;
+      kvDiv.appendChild(k);
+      kvDiv.appendChild(v);
+    };
+
+    addKV("Name", shownName(r.name));
+    addKV("Phone", shownPhone(r.number));
+    addKV("Address", UI.addrByKey.has(cacheKey) ? shownAddress(addr) : addr);
+    const info = UI.stopInfoByKey.get(cacheKey);
+    if (UI.addrByKey.has(cacheKey)) {
+      const fullAddr = formatAddress(info?.addressParts, "usps") || addr;
+      // The links carry the full address in their URLs, so privacy mode leaves them out.
+      if (!UI.privacy) addKV("Open in", mapsLinks(fullAddr));
+      if (info?.lastDone?.address) addKV("Distance", distanceText(info.lastDone, fullAddr));
+    }
+    if (templates.length) addKV("Messages", templateButtons(r));
+    if (info) {
+      if (info.stopNum) addKV("Stop", String(info.stopNum));
+      if (info.timeWindow) addKV("Window", info.timeWindow);
+      if (typeof info.packages === "number") addKV("Packages", String(info.packages));
+      if (info.stopType) addKV("Type", info.stopType[0].toUpperCase() + info.stopType.slice(1));
+      if (info.notes?.length) addKV("Notes", shownNotes(info.notes, "\n"));
+    }
+    if (risk) addKV("At risk", risk.join("; "));
+
+    const pillsDiv = document.createElement("div");
+    pillsDiv.className = "__onth_pills";
+
+    const refreshSpan = document.createElement("span");
+    refreshSpan.className = "__onth_pillNoBg";
+    const refreshBtn = document.createElement("button");
+    refreshBtn.className = "__onth_btn __onth_btnPrimary";
+    refreshBtn.setAttribute("data-refreshkey", r.key);
+    refreshBtn.textContent = "Refresh address";
+    refreshSpan.appendChild(refreshBtn);
+
+    const copySpan = document.createElement("span");
+    copySpan.className = "__onth_pillNoBg";
+    const copyBtn = document.createElement("button");
+    copyBtn.className = "__onth_btn __onth_btnSmall";
+    copyBtn.setAttribute("data-copykey", r.key);
+    copyBtn.textContent = "Copy Info";
+    copySpan.appendChild(copyBtn);
+
+    const rescueSpan = document.createElement("span");
+    rescueSpan.className = "__onth_pillNoBg";
+    const rescueBtn = document.createElement("button");
+    rescueBtn.className = "__onth_btn __onth_btnSmall";
+    rescueBtn.setAttribute("data-rescuetoggle", r.key);
+    rescueBtn.setAttribute("aria-expanded", String(UI.rescueOpenKey === r.key));
+    rescueBtn.textContent = "Plan rescue";
+    rescueSpan.appendChild(rescueBtn);
+
+    pillsDiv.appendChild(refreshSpan);
+    pillsDiv.appendChild(copySpan);
+    pillsDiv.appendChild(rescueSpan);
+
+    detailBox.appendChild(kvDiv);
+    detailBox.appendChild(multiStopSection(r));
+    if (samples.length) detailBox.appendChild(historyTable(samples));
+    detailBox.appendChild(pillsDiv);
+    if (UI.rescueOpenKey === r.key) detailBox.appendChild(rescueSection(r));
+    td.appendChild(detailBox);
+    dtr.appendChild(td);
+    return dtr;
+  }
+
+  const columnCount = () => document.querySelectorAll("#__onth_snap_table__ thead th").length || 8;
+
+  // Row offsets within the tbody. Every driver row is ROW_HEIGHT tall; the open detail row
+  // adds its measured height after its driver.
+  function tableLayout() {
+    const openIdx = UI.openKey ? UI.view.findIndex((r) => r.key === UI.openKey) : -1;
+    const extra = openIdx >= 0 ? UI.detailHeight : 0;
+    const top = (i) => i * ROW_HEIGHT + (openIdx >= 0 && i > openIdx ? extra : 0);
+    const indexAt = (y) => {
+      if (openIdx < 0 || y < (openIdx + 1) * ROW_HEIGHT) return Math.floor(y / ROW_HEIGHT);
+      return y < (openIdx + 1) * ROW_HEIGHT + extra ? openIdx : Math.floor((y - extra) / ROW_HEIGHT);
+    };
+    return { top, indexAt, total: UI.view.length * ROW_HEIGHT + extra };
+  }
+
+  function spacerRow(which) {
+    const tr = document.createElement("tr");
+    tr.className = "__onth_spacer";
+    tr.setAttribute("data-spacer", which);
+    tr.setAttribute("aria-hidden", "true");
+    const td = document.createElement("td");
+    td.setAttribute("colspan", String(columnCount()));
+    tr.appendChild(td);
+    return tr;
+  }
+
+  function sizeSpacers(tbody) {
+    const { top, total } = tableLayout();
+    const { start, end } = UI._window;
+    const topTd = tbody.querySelector('tr[data-spacer="top"] td');
+    const bottomTd = tbody.querySelector('tr[data-spacer="bottom"] td');
+    if (topTd) topTd.style.height = `${top(start)}px`;
+    if (bottomTd) bottomTd.style.height = `${Math.max(0, total - top(end))}px`;
+  }
+
+  // The detail row is the only one with a variable height; re-measure it after it is drawn.
+  function measureDetail(tbody) {
+    const dtr = tbody.querySelector("tr.__onth_detail");
+    const h = dtr?.offsetHeight || 0;
+    if (dtr && h !== UI.detailHeight) {
+      UI.detailHeight = h;
+      sizeSpacers(tbody);
+    }
+  }
+
+  function renderTable() {
+    perf.start('renderTable');
+
+    const tbody = document.querySelector("#__onth_snap_table__ tbody");
+    const wrap = document.getElementById("__onth_snap_tablewrap__");
+    if (!tbody || !wrap) {
+      perf.end('renderTable');
+      return;
+    }
+
+    const { indexAt, total } = tableLayout();
+    const headH = wrap.querySelector("thead")?.offsetHeight || 0;
+    const viewH = wrap.clientHeight || window.innerHeight || 800;
+    // After a filter shrinks the view the old scroll position can lie past the end.
+    const viewTop = Math.max(0, Math.min(wrap.scrollTop - headH, total - viewH));
+    const start = Math.max(0, indexAt(viewTop) - ROW_OVERSCAN);
+    const end = Math.min(UI.view.length, indexAt(viewTop + viewH) + 1 + ROW_OVERSCAN);
+
+    const sig = [
+      UI.viewVersion,
+      start,
+      end,
+      UI.openKey || "",
+      UI.pendingKey || "",
+      UI.cursorKey || "",
+      UI.stopN
+    ].join("::");
+    if (sig === UI._lastRenderSig) {
+      perf.end('renderTable');
+      return;
+    }
+    UI._lastRenderSig = sig;
+    UI._window = { start, end };
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(spacerRow("top"));
+    for (let i = start; i < end; i++) {
+      const r = UI.view[i];
+      fragment.appendChild(buildRow(r, i));
+      if (UI.openKey === r.key) fragment.appendChild(buildDetailRow(r));
+    }
+    fragment.appendChild(spacerRow("bottom"));
+
+    tbody.replaceChildren(fragment);
+    sizeSpacers(tbody);
+    measureDetail(tbody);
+
+    perf.end('renderTable');
+  }
+
+  // Redraws one driver's row, and its detail row, in place (e.g. after an address fetch).
+  // Opening or closing the detail row changes the layout, so that goes through renderTable.
+  function renderRow(key) {
+    const tbody = document.querySelector("#__onth_snap_table__ tbody");
+    const tr = tbody?.querySelector(`tr.__onth_row[data-key="${cssEscape(key)}"]`);
+    const i = UI.view.findIndex((r) => r.key === key);
+    if (!tr || i < 0) return; // outside the window: drawn fresh when scrolled into view
+
+    const detail = tr.nextElementSibling?.classList.contains("__onth_detail") ? tr.nextElementSibling : null;
+    if (!!detail !== (UI.openKey === key)) {
+      UI._lastRenderSig = "";
+      renderTable();
+      return;
+    }
+
+    tr.replaceWith(buildRow(UI.view[i], i));
+    if (detail) {
+      detail.replaceWith(buildDetailRow(UI.view[i]));
+      measureDetail(tbody);
+    }
+  }
+
+  function scrollRowIntoView(i) {
+    const wrap = document.getElementById("__onth_snap_tablewrap__");
+    if (!wrap || i < 0) return;
+    const headH = wrap.querySelector("thead")?.offsetHeight || 0;
+    const y = tableLayout().top(i);
+    const viewH = wrap.clientHeight || window.innerHeight || 800;
+    if (y < wrap.scrollTop) wrap.scrollTop = y;
+    else if (y + headH + ROW_HEIGHT > wrap.scrollTop + viewH) wrap.scrollTop = y + headH + ROW_HEIGHT - viewH;
+  }
+
+  async function refreshSnapshot({ silent = false } = {}) {
+    if (globalMutex.isLocked) {
+      if (!silent) toast("Busy…", null);
+      return;
+    }
+
+    await globalMutex.lock();
+    try {
+      UI.busy = true;
+      if (!silent) toast("Loading drivers…");
+      const prev = UI.data;
+      const data = await collectAllDrivers();
+      if (silent) notifyChanges(diffSnapshots(prev, data));
+      UI.data = CONFIG.LIVE_UPDATES ? [...data, ...goneRows(prev, data, Date.now())] : data;
+      UI.dataAt = Date.now();
+      UI.restored = false;
+      recordHistory(data, UI.dataAt);
+      saveSnapshot();
+      broadcast({ type: "snapshot", data, dataAt: UI.dataAt });
+      renderAge();
+      if (UI.openKey && !UI.data.some((r) => r.key === UI.openKey)) UI.openKey = null;
+      UI._lastRenderSig = "";
+      rebuildView();
+      renderTable();
+      if (!silent) toast(`Loaded ${data.length} drivers`, true);
+    } catch (e) {
+      log.error("Refresh snapshot failed:", e);
+      if (!silent) toast("Failed to load drivers", false);
+    } finally {
+      UI.busy = false;
+      globalMutex.unlock();
+    }
+  }
+
+  async function requestAddress(row) {
+    if (!row?.name) return;
+    if (globalMutex.isLocked) {
+      toast("Busy…", null);
+      return;
+    }
+
+    const stopN = Math.max(1, Number(UI.stopN) || CONFIG.DEFAULT_STOP_N);
+    const cacheKey = `${row.key}|${stopN}`;
+
+    if (UI.addrByKey.has(cacheKey)) {
+      UI.openKey = row.key;
+      UI._lastRenderSig = "";
+      renderTable();
+      toast(`Using cached stop ${stopN}`, true);
+      return;
+    }
+
+    await globalMutex.lock();
+    try {
+      UI.busy = true;
+      UI.pendingKey = row.key;
+
+      if (UI.openKey !== row.key) UI.openKey = row.key;
+      UI._lastRenderSig = "";
+      renderTable();
+
+      toast(`Copying stop ${stopN}…`);
+      const { ok, address, stop } = await openToggleCopyStop(row.name, stopN, row.number);
+
+      if (ok && address) {
+        rememberStop(cacheKey, String(address).trim(), stop);
+        saveAddresses();
+        toast("Copied ✔", true);
+      } else {
+        toast("Failed ✖", false);
+      }
+
+      UI.pendingKey = null;
+      renderRow(row.key);
+    } catch (e) {
+      log.error("Request address failed:", e);
+      toast("Failed ✖", false);
+      UI.pendingKey = null;
+      renderRow(row.key);
+    } finally {
+      UI.busy = false;
+      globalMutex.unlock();
+    }
+  }
+
+  async function copyInfo(row) {
+    const addr = (UI.addrByKey.get(`${row.key}|${UI.stopN}`) ?? "").trim();
+    if (!addr) return toast("No address yet", false);
+
+    const blob = `${shownName(row.name)}\n${shownPhone(row.number)}\n${shownAddress(addr)}`.trim();
+    const ok = await window.ONTH_copyText(blob);
+    toast(ok ? "Copied info" : "Copy failed", ok);
+  }
+
+  /* ---------------------------
+     Message templates
+  ---------------------------- */
+  const TEMPLATE_FIELDS = ["name", "phone", "stopNum", "address", "rts", "stopsLeft", "pace"];
+  const MAX_TEMPLATES = 20;
+  const DEFAULT_TEMPLATES = [
+    { id: "next", name: "Next stop", body: "Hi {name}, your stop {stopNum} is {address}." },
+    { id: "rescue", name: "Rescue meet", body: "Please meet {helper} at stop {stopNum}: {address}" },
+    { id: "status", name: "Status check", body: "Hi {name}, you have {stopsLeft} stops left at {pace}/hr, RTS {rts}. Need help?" },
+  ];
+
+  let templates = loadTemplates();
+
+  function loadTemplates() {
+    const saved = store.get("templates");
+    if (!Array.isArray(saved)) return DEFAULT_TEMPLATES.map((t) => ({ ...t }));
+    return saved.filter((t) => t && typeof t.name === "string" && typeof t.body === "string" && t.id);
+  }
+
+  // Unknown placeholders such as {helper} are left in place for the sender to fill in.
+  function renderTemplate(body, values) {
+    return String(body ?? "").replace(/\{(\w+)\}/g, (m, k) =>
+      values[k] != null && values[k] !== "" ? String(values[k]) : m
+    );
+  }
+
+  function templateValues(row) {
+    const cacheKey = `${row.key}|${UI.stopN}`;
+    return {
+      name: shownName(row.name),
+      phone: shownPhone(row.number),
+      stopNum: UI.stopInfoByKey.get(cacheKey)?.stopNum ?? "",
+      address: shownAddress(UI.addrByKey.get(cacheKey)),
+      rts: row.projectedRTS || "",
+      stopsLeft: typeof row.stopsLeft === "number" ? row.stopsLeft : "",
+      pace: fmt(row.lastHourPace),
+    };
+  }
+
+  function smsHref(phone, body) {
+    let digits = String(phone ?? "").replace(/\D/g, "");
+    if (digits.length === 10) digits = `1${digits}`;
+    return digits.length >= 10 ? `sms:+${digits}?body=${encodeURIComponent(body)}` : "";
+  }
+
+  function templateButtons(r) {
+    const box = document.createElement("div");
+    box.className = "__onth_maps";
+    const values = templateValues(r);
+    for (const t of templates) {
+      const copy = document.createElement("button");
+      copy.className = "__onth_btn __onth_btnSmall";
+      copy.setAttribute("data-tplcopy", t.id);
+      copy.setAttribute("data-tplkey", r.key);
+      copy.setAttribute("aria-label", `Copy message: ${t.name}`);
+      copy.textContent = t.name;
+      box.appendChild(copy);
+
+      // No sms: link in privacy mode, like the maps links: it would carry the driver's number.
+      const href = UI.privacy ? "" : smsHref(r.number, renderTemplate(t.body, values));
+      if (href) {
+        const sms = document.createElement("a");
+        sms.className = "__onth_btn __onth_btnSmall";
+        sms.href = href;
+        sms.title = `Text "${t.name}" to the driver`;
+        sms.setAttribute("aria-label", `Text message: ${t.name}`);
+        sms.textContent = "SMS";
+        box.appendChild(sms);
+      }
+    }
+    return box;
+  }
+
+  async function copyTemplate(row, id) {
+    const t = templates.find((x) => x.id === id);
+    if (!t) return;
+    const ok = await window.ONTH_copyText(renderTemplate(t.body, templateValues(row)));
+    toast(ok ? `Copied ${t.name}` : "Copy failed", ok);
+  }
+
+  function readTemplateForm() {
+    const box = document.getElementById("__onth_snap_templates__");
+    return [...(box?.querySelectorAll("[data-tpl]") || [])].map((el) => ({
+      id: el.getAttribute("data-tpl"),
+      name: el.querySelector("input")?.value.trim() || "",
+      body: el.querySelector("textarea")?.value || "",
+    }));
+  }
+
+  function renderTemplates(list = templates) {
+    const box = document.getElementById("__onth_snap_templates__");
+    if (!box) return;
+
+    const h = document.createElement("h3");
+    h.textContent = "Message templates";
+
+    const note = document.createElement("p");
+    note.className = "__onth_note";
+    note.textContent = `Placeholders: ${TEMPLATE_FIELDS.map((f) => `{${f}}`).join(" ")}. Anything else in braces is left for you to fill in.`;
+
+    const form = document.createElement("div");
+    form.className = "__onth_form __onth_wide";
+    list.forEach((t, i) => {
+      const row = document.createElement("div");
+      row.className = "__onth_tplRow";
+      row.setAttribute("data-tpl", t.id);
+
+      const name = document.createElement("input");
+      name.type = "text";
+      name.value = t.name;
+      name.placeholder = "Name";
+      name.setAttribute("aria-label", `Template ${i + 1} name`);
+
+      const del = document.createElement("button");
+      del.className = "__onth_btn __onth_btnSmall";
+      del.setAttribute("data-templates", "delete");
+      del.setAttribute("data-index", String(i));
+      del.textContent = "Delete";
+
+      const body = document.createElement("textarea");
+      body.rows = 2;
+      body.value = t.body;
+      body.setAttribute("aria-label", `Template ${i + 1} text`);
+
+      row.appendChild(name);
+      row.appendChild(del);
+      row.appendChild(body);
+      form.appendChild(row);
+    });
+
+    const pills = panelButtons(
+      [
+        ["save", "Save", true],
+        ["add", "Add template", false],
+        ["reset", "Reset to defaults", false],
+        ["close", "Close", false],
+      ],
+      "data-templates"
+    );
+
+    box.replaceChildren(h, note, form, pills);
+  }
+
+  function saveTemplates() {
+    const next = readTemplateForm();
+    const bad = next.findIndex((t) => !t.name || !t.body.trim());
+    if (bad >= 0) {
+      toast(`Template ${bad + 1} needs a name and text`, false);
+      return false;
+    }
+    templates = next;
+    store.set("templates", templates);
+    UI._lastRenderSig = "";
+    renderTable();
+    toast(`Saved ${templates.length} templates`, true);
+    return true;
+  }
+
+  function handleTemplatesAction(action, btn) {
+    const draft = readTemplateForm();
+    if (action === "add") {
+      if (draft.length >= MAX_TEMPLATES) return toast(`At most ${MAX_TEMPLATES} templates`, false);
+      draft.push({ id: `t${Date.now().toString(36)}`, name: "", body: "" });
+      renderTemplates(draft);
+      document.querySelector("#__onth_snap_templates__ [data-tpl]:last-of-type input")?.focus();
+    } else if (action === "delete") {
+      draft.splice(Number(btn.getAttribute("data-index")), 1);
+      renderTemplates(draft);
+    } else if (action === "reset") {
+      renderTemplates(DEFAULT_TEMPLATES);
+    } else if (action === "save") {
+      if (saveTemplates()) setPanel(null);
+    } else {
+      setPanel(null);
+    }
+  }
+
+  /* ---------------------------
+     Multi-stop extraction
+  ---------------------------- */
+  function multiStopSection(r) {
+    const box = document.createElement("div");
+    box.className = "__onth_multi";
+
+    const form = document.createElement("div");
+    form.className = "__onth_multiForm";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = UI.multiSpec;
+    input.placeholder = "5 = stops 1–5, or 3,5,8";
+    input.setAttribute("data-multispec", r.key);
+    input.setAttribute("aria-label", "Remaining stops to fetch");
+    const btn = document.createElement("button");
+    btn.className = "__onth_btn __onth_btnSmall";
+    btn.setAttribute("data-multikey", r.key);
+    btn.textContent = UI.pendingMultiKey === r.key ? "Working…" : "Fetch stops";
+    btn.disabled = UI.pendingMultiKey === r.key;
+    form.appendChild(input);
+    form.appendChild(btn);
+    box.appendChild(form);
+
+    const cached = UI.multiByKey.get(r.key);
+    for (const stop of cached?.stops || []) {
+      const row = document.createElement("div");
+      row.className = "__onth_multiRow";
+      const k = document.createElement("div");
+      k.className = "__onth_k";
+      k.textContent = stop.stopNum ? `#${stop.n} · stop ${stop.stopNum}` : `#${stop.n}`;
+      const v = document.createElement("div");
+      v.className = "__onth_v";
+      v.textContent = shownAddress(stop.address) || "—";
+      const meta = stopMeta(stop);
+      if (meta) {
+        const small = document.createElement("div");
+        small.className = "__onth_meta";
+        small.textContent = meta;
+        v.appendChild(small);
+      }
+      row.appendChild(k);
+      row.appendChild(v);
+      if (stop.address) {
+        const copy = document.createElement("button");
+        copy.className = "__onth_btn __onth_btnSmall";
+        copy.setAttribute("data-copyaddr", shownAddress(stop.address));
+        copy.setAttribute("aria-label", `Copy address of remaining stop ${stop.n}`);
+        copy.textContent = "Copy";
+        row.appendChild(copy);
+      }
+      box.appendChild(row);
+    }
+    return box;
+  }
+
+  function stopMeta(stop) {
+    return [
+      stop.timeWindow,
+      typeof stop.packages === "number" ? `${stop.packages} pkg${stop.packages === 1 ? "" : "s"}` : "",
+      stop.stopType,
+      stop.notes?.length ? `📝 ${shownNotes(stop.notes, "; ")}` : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  async function requestStops(row, spec) {
+    if (!row?.name) return;
+    const nths = parseStopSpec(spec);
+    if (!nths.length) {
+      toast("Enter a count like 5 or a list like 3,5,8", false);
+      return;
+    }
+    if (globalMutex.isLocked) {
+      toast("Busy…", null);
+      return;
+    }
+
+    UI.multiSpec = String(spec).trim();
+    await globalMutex.lock();
+    try {
+      UI.busy = true;
+      UI.pendingMultiKey = row.key;
+      renderRow(row.key);
+
+      toast(`Fetching ${nths.length} stops…`);
+      const stops = await openToggleCopyStops(row.name, nths, row.number);
+      const found = stops.filter((x) => x.address);
+      if (found.length) {
+        UI.multiByKey.set(row.key, { spec: UI.multiSpec, stops });
+        broadcast({ type: "multi", key: row.key, value: { spec: UI.multiSpec, stops } });
+        for (const x of found) rememberStop(`${row.key}|${x.n}`, x.address, x);
+        saveAddresses();
+      }
+      toast(`Got ${found.length}/${nths.length} addresses`, found.length ? true : false);
+    } catch (e) {
+      log.error("Request stops failed:", e);
+      toast("Failed ✖", false);
+    } finally {
+      UI.pendingMultiKey = null;
+      UI.busy = false;
+      globalMutex.unlock();
+      renderRow(row.key);
+    }
+  }
+
+  /* ---------------------------
+     Rescue planner
+  ---------------------------- */
+  // Each strategy returns one stop list per helper; whatever is left stays with the driver.
+  const RESCUE_STRATEGIES = {
+    last: {
+      label: "Last N stops each",
+      split(stops, helpers, perHelper) {
+        const out = [];
+        let end = stops.length;
+        for (let h = 0; h < helpers; h++) {
+          const start = Math.max(0, end - perHelper);
+          out.push(stops.slice(start, end));
+          end = start;
+        }
+        return out;
+      },
+    },
+    alternate: {
+      label: "Every other stop",
+      split(stops, helpers) {
+        const out = Array.from({ length: helpers }, () => []);
+        stops.forEach((stop, i) => {
+          const slot = i % (helpers + 1);
+          if (slot > 0) out[slot - 1].push(stop);
+        });
+        return out;
+      },
+    },
+    even: {
+      label: "Even split by count",
+      split(stops, helpers) {
+        const share = Math.ceil(stops.length / (helpers + 1));
+        return Array.from({ length: helpers }, (_, h) => stops.slice((h + 1) * share, (h + 2) * share));
+      },
+    },
+  };
+
+  function planRescue(remaining, { helpers, strategy, perHelper }) {
+    const impl = RESCUE_STRATEGIES[strategy] || RESCUE_STRATEGIES.last;
+    const lists = impl.split(remaining, helpers, perHelper);
+    const given = new Set(lists.flat().map((x) => x.stopNum));
+    return {
+      keep: remaining.filter((x) => !given.has(x.stopNum)),
+      helpers: lists,
+    };
+  }
+
+  // [3, 4, 5, 9] → "3–5, 9"
+  function stopRanges(stops) {
+    const runs = [];
+    for (const n of stops.map((x) => x.stopNum)) {
+      const last = runs[runs.length - 1];
+      if (last && n === last[1] + 1) last[1] = n;
+      else runs.push([n, n]);
+    }
+    return runs.map(([a, b]) => (a === b ? String(a) : `${a}–${b}`)).join(", ");
+  }
+
+  function rescueMessage(row, stops, index) {
+    const lines = stops.map((x) => `Stop ${x.stopNum}: ${shownAddress(x.address) || "(address not found)"}`);
+    return [`Rescue for ${shownName(row.name)} — helper ${index + 1}, ${stops.length} stops`, ...lines].join("\n");
+  }
+
+  function rescueSection(r) {
+    const box = document.createElement("div");
+    box.className = "__onth_rescue";
+
+    const form = document.createElement("div");
+    form.className = "__onth_multiForm";
+
+    const helpers = document.createElement("input");
+    helpers.type = "number";
+    helpers.min = "1";
+    helpers.max = "10";
+    helpers.value = String(UI.rescueForm.helpers);
+    helpers.title = "Helpers";
+    helpers.setAttribute("aria-label", "Number of helpers");
+    helpers.setAttribute("data-rescue", "helpers");
+
+    const strategy = document.createElement("select");
+    strategy.setAttribute("aria-label", "Split strategy");
+    strategy.setAttribute("data-rescue", "strategy");
+    for (const [id, impl] of Object.entries(RESCUE_STRATEGIES)) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = impl.label;
+      opt.selected = id === UI.rescueForm.strategy;
+      strategy.appendChild(opt);
+    }
+
+    const perHelper = document.createElement("input");
+    perHelper.type = "number";
+    perHelper.min = "1";
+    perHelper.max = "200";
+    perHelper.value = String(UI.rescueForm.perHelper);
+    perHelper.title = "Stops per helper (last N)";
+    perHelper.setAttribute("aria-label", "Stops per helper");
+    perHelper.setAttribute("data-rescue", "perHelper");
+    perHelper.hidden = UI.rescueForm.strategy !== "last";
+
+    const run = document.createElement("button");
+    run.className = "__onth_btn __onth_btnSmall __onth_btnPrimary";
+    run.setAttribute("data-rescuekey", r.key);
+    run.textContent = UI.pendingRescueKey === r.key ? "Working…" : "Build plan";
+    run.disabled = UI.pendingRescueKey === r.key;
+
+    form.appendChild(helpers);
+    form.appendChild(strategy);
+    form.appendChild(perHelper);
+    form.appendChild(run);
+    box.appendChild(form);
+
+    const plan = UI.rescueByKey.get(r.key);
+    if (!plan) return box;
+
+    const summary = document.createElement("div");
+    summary.className = "__onth_meta";
+    summary.textContent = `${plan.remaining} remaining · driver keeps ${plan.keep.length} · ${RESCUE_STRATEGIES[plan.strategy]?.label || plan.strategy}`;
+    box.appendChild(summary);
+
+    plan.helpers.forEach((stops, i) => {
+      const card = document.createElement("div");
+      card.className = "__onth_rescueCard";
+      const head = document.createElement("div");
+      head.className = "__onth_multiRow";
+      const k = document.createElement("div");
+      k.className = "__onth_k";
+      k.textContent = `Helper ${i + 1}`;
+      const v = document.createElement("div");
+      v.className = "__onth_v";
+      v.textContent = stops.length ? `${stops.length} stops: ${stopRanges(stops)}` : "No stops";
+      head.appendChild(k);
+      head.appendChild(v);
+      if (stops.length) {
+        const copy = document.createElement("button");
+        copy.className = "__onth_btn __onth_btnSmall";
+        copy.setAttribute("data-copyaddr", rescueMessage(r, stops, i));
+        copy.setAttribute("aria-label", `Copy message for helper ${i + 1}`);
+        copy.textContent = "Copy message";
+        head.appendChild(copy);
+      }
+      card.appendChild(head);
+
+      const pre = document.createElement("pre");
+      pre.className = "__onth_msg";
+      pre.textContent = stops.map((x) => `Stop ${x.stopNum}: ${shownAddress(x.address) || "(address not found)"}`).join("\n");
+      card.appendChild(pre);
+      box.appendChild(card);
+    });
+    return box;
+  }
+
+  async function requestRescuePlan(row) {
+    if (!row?.name) return;
+    const form = {
+      helpers: Math.max(1, Math.min(10, Math.floor(Number(UI.rescueForm.helpers)) || 1)),
+      strategy: RESCUE_STRATEGIES[UI.rescueForm.strategy] ? UI.rescueForm.strategy : "last",
+      perHelper: Math.max(1, Math.min(200, Math.floor(Number(UI.rescueForm.perHelper)) || 10)),
+    };
+    UI.rescueForm = form;
+    if (globalMutex.isLocked) {
+      toast("Busy…", null);
+      return;
+    }
+
+    await globalMutex.lock();
+    try {
+      UI.busy = true;
+      UI.pendingRescueKey = row.key;
+      renderRow(row.key);
+
+      toast("Reading remaining stops…");
+      let plan = null;
+      const { remaining, stops } = await openAndReadRemainingStops(row.name, row.number, (all) => {
+        plan = planRescue(all, form);
+        return plan.helpers.flat();
+      });
+      if (!remaining.length || !plan) {
+        toast("No remaining stops found", false);
+        return;
+      }
+
+      UI.rescueByKey.set(row.key, {
+        ...form,
+        remaining: remaining.length,
+        keep: plan.keep,
+        helpers: plan.helpers.map((list) => list.map((x) => ({ ...x, ...stops.get(x.stopNum) }))),
+      });
+      toast(`Plan ready for ${form.helpers} helper${form.helpers === 1 ? "" : "s"}`, true);
+    } catch (e) {
+      log.error("Rescue plan failed:", e);
+      toast("Failed ✖", false);
+    } finally {
+      UI.pendingRescueKey = null;
+      UI.busy = false;
+      globalMutex.unlock();
+      renderRow(row.key);
+    }
+  }
+
+  /* ---------------------------
+     Batch fetch ("Fetch all")
+  ---------------------------- */
+  function renderBatchBar() {
+    const bar = document.getElementById("__onth_snap_batchbar__");
+    if (!bar) return;
+    const b = UI.batch;
+    bar.classList.toggle("open", !!b);
+    if (!b) return;
+
+    const prog = document.getElementById("__onth_snap_batchprog__");
+    if (prog) {
+      const state = b.cancelled ? "Cancelling…" : b.paused ? "Paused" : b.current ? `Fetching ${shownName(b.current)}` : "Fetching";
+      prog.textContent = `${b.done}/${b.total} · ${state}`;
+      prog.title = `Fetched ${b.fetched}, skipped ${b.skipped} (cached), failed ${b.failed}`;
+    }
+    const pauseBtn = bar.querySelector('button[data-batch="pause"]');
+    if (pauseBtn) {
+      pauseBtn.textContent = b.paused ? "Resume" : "Pause";
+      pauseBtn.disabled = b.cancelled;
+    }
+    const cancelBtn = bar.querySelector('button[data-batch="cancel"]');
+    if (cancelBtn) cancelBtn.disabled = b.cancelled;
+  }
+
+  async function runBatchFetch() {
+    if (UI.batch) {
+      toast("Fetch all is already running", null);
+      return;
+    }
+
+    const stopN = Math.max(1, Number(UI.stopN) || CONFIG.DEFAULT_STOP_N);
+    const queue = UI.view.slice();
+    if (!queue.length) {
+      toast("No drivers to fetch", false);
+      return;
+    }
+
+    const b = {
+      total: queue.length,
+      done: 0,
+      fetched: 0,
+      skipped: 0,
+      failed: 0,
+      current: "",
+      paused: false,
+      cancelled: false,
+    };
+    UI.batch = b;
+    renderBatchBar();
+
+    try {
+      for (const row of queue) {
+        while (b.paused && !b.cancelled) await sleep(200);
+        if (b.cancelled) break;
+
+        const cacheKey = `${row.key}|${stopN}`;
+        if (UI.addrByKey.has(cacheKey)) {
+          b.skipped++;
+          b.done++;
+          renderBatchBar();
+          continue;
+        }
+
+        b.current = row.name;
+        renderBatchBar();
+
+        await globalMutex.lock();
+        try {
+          UI.busy = true;
+          UI.pendingKey = row.key;
+          renderRow(row.key);
+
+          const { ok, address, stop } = await openToggleCopyStop(row.name, stopN, row.number, { copy: false });
+          if (ok && address) {
+            rememberStop(cacheKey, String(address).trim(), stop);
+            saveAddresses();
+            b.fetched++;
+          } else {
+            b.failed++;
+          }
+        } catch (e) {
+          log.error("Batch fetch failed for driver:", row.name, e);
+          b.failed++;
+        } finally {
+          UI.pendingKey = null;
+          UI.busy = false;
+          globalMutex.unlock();
+        }
+
+        b.done++;
+        b.current = "";
+        renderRow(row.key);
+        renderBatchBar();
+      }
+
+      if (b.cancelled) toast(`Fetch all cancelled at ${b.done}/${b.total}`, null);
+      else toast(`Fetched ${b.fetched}, skipped ${b.skipped}, failed ${b.failed}`, b.failed ? null : true);
+    } finally {
+      UI.batch = null;
+      renderBatchBar();
+    }
+  }
+
+  /* ---------------------------
+     Export
+  ---------------------------- */
+  const EXPORT_COLUMNS = [
+    { id: "name", label: "Name", get: (r) => shownName(r.name) },
+    { id: "phone", label: "Phone", get: (r) => shownPhone(r.number) },
+    { id: "status", label: "Status", get: (r) => statusLabel(statusOf(r)) },
+    { id: "projectedRTS", label: "Projected RTS", get: (r) => r.projectedRTS || "" },
+    { id: "untilRTS", label: "Until RTS (min)", get: (r, ctx) => minutesUntilRTS(r, ctx.time) },
+    { id: "stopsLeft", label: "Stops Left", get: (r) => r.stopsLeft },
+    { id: "avgPerHour", label: "Stops/hr", get: (r) => r.avgPerHour },
+    { id: "lastHourPace", label: "Pace", get: (r) => r.lastHourPace },
+    {
+      id: "neededPace",
+      label: "Needed stops/hr",
+      get: (r, ctx) => {
+        const v = neededPace(r, ctx.time);
+        return v == null || v === Infinity ? null : Number(v.toFixed(1));
+      },
+    },
+    {
+      id: "address",
+      label: (ctx) => `Address (stop ${ctx.stopN})`,
+      get: (r, ctx) => shownAddress(UI.addrByKey.get(`${r.key}|${ctx.stopN}`)),
+    },
+  ];
+
+  function exportRows() {
+    const ctx = { stopN: UI.stopN, time: timeCtx() };
+    const header = EXPORT_COLUMNS.map((c) => (typeof c.label === "function" ? c.label(ctx) : c.label));
+    const ids = EXPORT_COLUMNS.map((c) => c.id);
+    const rows = UI.view.map((r) => EXPORT_COLUMNS.map((c) => c.get(r, ctx) ?? ""));
+    return { ids, header, rows };
+  }
+
+  // Spreadsheets run text that starts like a formula; a leading ' keeps it text. Numbers and
+  // phone numbers (a negative "Until RTS", an E.164 phone) are left alone.
+  const sheetText = (v) => {
+    const t = String(v ?? "");
+    return /^\s*[=+\-@]/.test(t) && !/^[+-]?[\d\s().-]+$/.test(t.trim()) ? `'${t}` : t;
+  };
+  const csvCell = (v) => {
+    const t = sheetText(v);
+    return /[",\r\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+  };
+  const tsvCell = (v) => sheetText(v).replace(/[\t\r\n]+/g, " ").trim();
+
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.style.display = "none";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportFileName(ext) {
+    const d = new Date();
+    return `driver-snapshot-${getServiceDate()}-${pad2(d.getHours())}${pad2(d.getMinutes())}.${ext}`;
+  }
+
+  async function runExport(kind) {
+    if (!UI.view.length) {
+      toast("Nothing to export", false);
+      return;
+    }
+
+    try {
+      const { ids, header, rows } = exportRows();
+      if (kind === "csv") {
+        const text = [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n");
+        downloadFile(exportFileName("csv"), "\ufeff" + text, "text/csv;charset=utf-8");
+        toast(`Exported ${rows.length} drivers to CSV`, true);
+      } else if (kind === "json") {
+        const items = rows.map((r) => Object.fromEntries(ids.map((id, i) => [id, r[i]])));
+        const text = JSON.stringify({ serviceDate: getServiceDate(), exportedAt: new Date().toISOString(), stopN: UI.stopN, redacted: UI.privacy, drivers: items }, null, 2);
+        downloadFile(exportFileName("json"), text, "application/json");
+        toast(`Exported ${rows.length} drivers to JSON`, true);
+      } else if (kind === "tsv") {
+        const text = [header, ...rows].map((r) => r.map(tsvCell).join("\t")).join("\n");
+        const ok = await window.ONTH_copyText(text);
+        toast(ok ? `Copied ${rows.length} rows for Sheets` : "Copy failed", ok);
+      }
+    } catch (err) {
+      log.error("Export failed:", err);
+      toast("Export failed", false);
+    }
+  }
+
+  /* ---------------------------
+     Panels (settings, diagnostics)
+  ---------------------------- */
+  const PANELS = {
+    settings: () => renderSettings(),
+    diag: () => renderDiagnostics(),
+    templates: () => renderTemplates(),
+  };
+
+  function setPanel(name) {
+    UI.panel = name && PANELS[name] ? name : null;
+    for (const el of document.querySelectorAll("#__onth_snap_drawer__ .__onth_panel")) {
+      el.classList.toggle("open", el.getAttribute("data-panel") === UI.panel);
+    }
+    for (const id of ["__onth_snap_summary__", "__onth_snap_tablewrap__"]) {
+      const el = document.getElementById(id);
+      if (el) el.style.display = UI.panel ? "none" : "";
+    }
+    for (const btn of document.querySelectorAll("#__onth_snap_head__ [data-panel-toggle]")) {
+      btn.setAttribute("aria-pressed", String(btn.getAttribute("data-panel-toggle") === UI.panel));
+    }
+    PANELS[UI.panel]?.();
   }
 
-  function closeDrawer() {
-    UI.open = false;
-    document.getElementById("__onth_snap_drawer__")?.classList.remove("open");
+  function panelButtons(actions, attr) {
+    const pills = document.createElement("div");
+    pills.className = "__onth_pills";
+    for (const [action, label, primary] of actions) {
+      const b = document.createElement("button");
+      b.className = primary ? "__onth_btn __onth_btnPrimary" : "__onth_btn";
+      b.setAttribute(attr, action);
+      b.textContent = label;
+      pills.appendChild(b);
+    }
+    return pills;
   }
 
-  function fmt(v) {
-    return typeof v === "number" && !Number.isNaN(v)
-      ? Number.isInteger(v)
-        ? String(v)
-        : v.toFixed(1)
-      : "";
+  /* ---------------------------
+     Keyboard
+  ---------------------------- */
+  const KEYBINDINGS = [
+    { keys: ["Alt+Shift+D"], label: "Open or close the drawer" },
+    { keys: ["↑", "↓"], label: "Move the selected driver (also j / k)" },
+    { keys: ["Home", "End"], label: "First or last driver" },
+    { keys: ["Enter"], label: "Fetch the stop address for the selected driver" },
+    { keys: ["c"], label: "Copy info for the selected driver" },
+    { keys: ["r"], label: "Refresh the driver list" },
+    { keys: ["/"], label: "Focus the filter" },
+    { keys: ["1", "9"], label: "Set the stop number (1–9)" },
+    { keys: ["?"], label: "Show or hide this help" },
+    { keys: ["Esc"], label: "Close help, leave an input, close a panel, then the drawer" },
+  ];
+
+  const isToggleHotkey = (e) => e.altKey && e.shiftKey && !e.ctrlKey && !e.metaKey && e.code === "KeyD";
+  const isTypingTarget = (el) =>
+    !!el?.closest?.("input, textarea, select, [contenteditable=''], [contenteditable='true']");
+
+  let helpReturnFocus = null;
+  let drawerReturnFocus = null;
+
+  function toggleDrawerFromKeyboard() {
+    const drawer = document.getElementById("__onth_snap_drawer__");
+    if (UI.open) {
+      setHelp(false);
+      closeDrawer();
+      const back = drawerReturnFocus?.isConnected ? drawerReturnFocus : document.getElementById("__onth_snap_btn__");
+      drawerReturnFocus = null;
+      back?.focus?.();
+      return;
+    }
+    drawerReturnFocus = document.activeElement;
+    openDrawer();
+    drawer?.focus();
+    if (!UI.data.length) refreshSnapshot();
   }
 
-  function rebuildView() {
-    perf.start('rebuildView');
+  function moveCursor(delta) {
+    if (!UI.view.length) return;
+    const i = UI.view.findIndex((r) => r.key === UI.cursorKey);
+    let next;
+    if (delta === -Infinity) next = 0;
+    else if (delta === Infinity) next = UI.view.length - 1;
+    else if (i < 0) next = delta > 0 ? 0 : UI.view.length - 1;
+    else next = Math.max(0, Math.min(UI.view.length - 1, i + delta));
+
+    UI.cursorKey = UI.view[next].key;
+    scrollRowIntoView(next);
+    UI._lastRenderSig = "";
+    renderTable();
+  }
 
-    const fRaw = String(UI.filter ?? "");
-    const f = norm(fRaw);
-    const fDigits = digits(fRaw);
+  function setStopN(value) {
+    UI.stopN = validateStopNumber(value);
+    const input = document.getElementById("__onth_snap_stop__");
+    if (input) input.value = String(UI.stopN);
+    UI._lastRenderSig = "";
+    renderTable();
+    toast(`Stop set to ${UI.stopN}`, null);
+  }
 
-    let v = UI.data.slice();
-    if (f) {
-      v = v.filter((r) => {
-        const matchName = r.nameLower.includes(f);
-        const matchNumText = r.numberLower.includes(f);
-        const matchDigits = fDigits ? r.numberDigits.includes(fDigits) : false;
-        return matchName || matchNumText || matchDigits;
+  function renderHelp() {
+    const el = document.getElementById("__onth_snap_help__");
+    if (!el) return;
+
+    const title = document.createElement("h3");
+    title.id = "__onth_snap_helptitle__";
+    title.textContent = "Keyboard shortcuts";
+
+    const list = document.createElement("dl");
+    list.className = "__onth_keys";
+    for (const b of KEYBINDINGS) {
+      const dt = document.createElement("dt");
+      b.keys.forEach((k, i) => {
+        if (i) dt.appendChild(document.createTextNode(b.keys.length === 2 && /^\d$/.test(k) ? " – " : " "));
+        const kbd = document.createElement("kbd");
+        kbd.textContent = k;
+        dt.appendChild(kbd);
       });
+      const dd = document.createElement("dd");
+      dd.textContent = b.label;
+      list.appendChild(dt);
+      list.appendChild(dd);
     }
 
-    const k = UI.sortKey;
-    const dir = UI.sortDir;
+    const note = document.createElement("p");
+    note.className = "__onth_note";
+    note.textContent = "Shortcuts other than Alt+Shift+D are ignored while typing in an input.";
 
-    v.sort((a, b) => {
-      const va = a[k],
-        vb = b[k];
-      const na = typeof va === "number",
-        nb = typeof vb === "number";
-      let c = 0;
-      if (na && nb) c = (va ?? 0) - (vb ?? 0);
-      else
-        c = String(va ?? "").localeCompare(String(vb ?? ""), undefined, {
-          numeric: true,
-          sensitivity: "base",
-        });
-      return dir === "asc" ? c : -c;
-    });
+    el.replaceChildren(title, list, note, panelButtons([["close", "Close", true]], "data-help"));
+  }
 
-    UI.view = v;
-    const countEl = document.getElementById("__onth_snap_count__");
-    if (countEl) countEl.textContent = `${v.length} drivers`;
+  function setHelp(open) {
+    const el = document.getElementById("__onth_snap_help__");
+    if (!el || !!open === UI.helpOpen) return;
+    UI.helpOpen = !!open;
+    el.hidden = !UI.helpOpen;
+    document.getElementById("__onth_snap_helpbtn__")?.setAttribute("aria-expanded", String(UI.helpOpen));
+    if (UI.helpOpen) {
+      helpReturnFocus = document.activeElement;
+      renderHelp();
+      el.querySelector("[data-help]")?.focus();
+    } else {
+      const back = helpReturnFocus?.isConnected ? helpReturnFocus : document.getElementById("__onth_snap_drawer__");
+      helpReturnFocus = null;
+      back?.focus?.();
+    }
+  }
 
-    perf.end('rebuildView');
+  // Keeps Tab inside the help dialog while it is open.
+  function trapHelpFocus(e) {
+    const items = [...document.querySelectorAll("#__onth_snap_help__ button")];
+    if (!items.length) return;
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!items.includes(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  async function handleKeydown(e) {
+    if (isToggleHotkey(e)) {
+      e.preventDefault();
+      toggleDrawerFromKeyboard();
+      return;
+    }
+    if (!UI.open || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const drawer = document.getElementById("__onth_snap_drawer__");
+    const t = e.target;
+    const inDrawer = !!drawer?.contains(t);
+    if (!inDrawer && t !== document.body && t !== document.documentElement && t?.id !== "__onth_snap_btn__") return;
+
+    if (UI.helpOpen) {
+      if (e.key === "Escape" || e.key === "?") {
+        e.preventDefault();
+        setHelp(false);
+      } else if (e.key === "Tab") {
+        trapHelpFocus(e);
+      }
+      return;
+    }
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      if (inDrawer && isTypingTarget(t)) drawer.focus();
+      else if (UI.panel) setPanel(null);
+      else toggleDrawerFromKeyboard();
+      return;
+    }
+    if (isTypingTarget(t) || UI.panel) return;
+
+    const row = UI.view.find((r) => r.key === UI.cursorKey);
+    switch (e.key) {
+      case "ArrowDown":
+      case "j":
+        moveCursor(1);
+        break;
+      case "ArrowUp":
+      case "k":
+        moveCursor(-1);
+        break;
+      case "Home":
+        moveCursor(-Infinity);
+        break;
+      case "End":
+        moveCursor(Infinity);
+        break;
+      case "Enter":
+        if (!row || e.target?.closest?.("button")) return;
+        e.preventDefault();
+        await requestAddress(row);
+        return;
+      case "c":
+        e.preventDefault();
+        if (row) await copyInfo(row);
+        else toast("Select a driver first", false);
+        return;
+      case "r":
+        refreshSnapshot();
+        break;
+      case "/":
+        document.getElementById("__onth_snap_filter__")?.focus();
+        break;
+      case "?":
+        setHelp(true);
+        break;
+      default:
+        if (/^[1-9]$/.test(e.key)) setStopN(e.key);
+        else return;
+    }
+    e.preventDefault();
+  }
+
+  function renderSettings() {
+    const box = document.getElementById("__onth_snap_settings__");
+    if (!box) return;
+
+    const h = document.createElement("h3");
+    h.textContent = "Settings";
+
+    const form = document.createElement("div");
+    form.className = "__onth_form";
+    let group = null;
+    for (const field of SETTINGS_FIELDS) {
+      if (field.group !== group) {
+        group = field.group;
+        const gh = document.createElement("h4");
+        gh.textContent = group;
+        form.appendChild(gh);
+      }
+
+      const id = `__onth_set_${field.key}__`;
+      const label = document.createElement("label");
+      label.setAttribute("for", id);
+      label.textContent = field.label;
+      if (field.reload) {
+        label.className = "__onth_reload";
+        label.title = "Takes effect after reloading the page";
+      }
+
+      const input = document.createElement(field.type === "choice" ? "select" : "input");
+      input.id = id;
+      for (const [value, text] of field.options || []) {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = text;
+        input.appendChild(opt);
+      }
+      if (field.type !== "choice") input.type = field.type === "number" ? "number" : field.type === "bool" ? "checkbox" : "text";
+      if (field.type === "clock") input.placeholder = "9:00 PM";
+      if (field.type === "url") input.placeholder = "Off";
+      if (field.min != null) input.min = String(field.min);
+      if (field.max != null) input.max = String(field.max);
+      if (field.type === "number" && !field.integer) input.step = "any";
+      if (field.type === "bool") input.checked = !!CONFIG[field.key];
+      else input.value = String(CONFIG[field.key] ?? "");
+      input.title = `Default: ${CONFIG_DEFAULTS[field.key]}`;
+      input.setAttribute("data-setting", field.key);
+
+      form.appendChild(label);
+      form.appendChild(input);
+    }
+
+    const note = document.createElement("p");
+    note.className = "__onth_note";
+    note.textContent = "Saved in this browser. ↻ takes effect after a page reload. Export a settings file to share it with the team.";
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.hidden = true;
+    fileInput.setAttribute("data-settings-file", "");
+
+    const zipCount = Object.keys(zipCentroids).length;
+    const zipHead = document.createElement("h3");
+    zipHead.textContent = "ZIP centroids";
+    const zipNote = document.createElement("p");
+    zipNote.className = "__onth_note";
+    zipNote.textContent =
+      (zipCount ? `${zipCount} imported ZIPs take precedence over the built-in table. ` : "Distances use the built-in Census ZCTA table. ") +
+      "To override it, import a CSV or TSV with zip, lat and lon columns; the Census ZCTA gazetteer file works as is.";
+    const zipFile = document.createElement("input");
+    zipFile.type = "file";
+    zipFile.accept = ".csv,.tsv,.txt,text/csv,text/plain";
+    zipFile.hidden = true;
+    zipFile.setAttribute("data-zips-file", "");
+    const zipPills = panelButtons(
+      zipCount ? [["zips", "Import ZIP table", false], ["clearzips", "Clear ZIP table", false]] : [["zips", "Import ZIP table", false]],
+      "data-settings"
+    );
+
+    const pills = panelButtons(
+      [
+        ["save", "Save", true],
+        ["close", "Close", false],
+        ["reset", "Reset to defaults", false],
+        ["export", "Export JSON", false],
+        ["import", "Import JSON", false],
+      ],
+      "data-settings"
+    );
+
+    box.replaceChildren(h, note, form, pills, fileInput, zipHead, zipNote, zipPills, zipFile);
+  }
+
+  function saveSettings() {
+    const box = document.getElementById("__onth_snap_settings__");
+    if (!box) return false;
+
+    const next = {};
+    try {
+      for (const field of SETTINGS_FIELDS) {
+        const input = box.querySelector(`[data-setting="${field.key}"]`);
+        if (input) next[field.key] = validateSetting(field, input.type === "checkbox" ? input.checked : input.value);
+      }
+      validateConfigCombo({ ...CONFIG, ...next });
+    } catch (err) {
+      toast(err.message, false);
+      return false;
+    }
+
+    Object.assign(CONFIG, next);
+    store.set("config", configOverrides());
+    afterSettingsChange();
+    toast("Settings saved", true);
+    return true;
+  }
+
+  function afterSettingsChange() {
+    requestNotifyPermission();
+    const stopInput = document.getElementById("__onth_snap_stop__");
+    if (stopInput) {
+      stopInput.min = String(CONFIG.MIN_STOP_NUMBER);
+      stopInput.max = String(CONFIG.MAX_STOP_NUMBER);
+    }
+    UI._lastRenderSig = "";
+    rebuildView();
+    renderTable();
+  }
+
+  function resetSettings() {
+    if (!confirm("Reset all settings to their defaults?")) return;
+    Object.assign(CONFIG, CONFIG_DEFAULTS);
+    store.remove("config");
+    afterSettingsChange();
+    renderSettings();
+    toast("Settings reset to defaults", true);
+  }
+
+  function exportSettings() {
+    const text = JSON.stringify(
+      { app: "onth-driver-snapshot", exportedAt: new Date().toISOString(), settings: configOverrides() },
+      null,
+      2
+    );
+    downloadFile("onth-driver-snapshot-settings.json", text, "application/json");
+    toast("Settings exported", true);
+  }
+
+  async function importSettings(file) {
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await file.text());
+      const incoming = parsed?.settings && typeof parsed.settings === "object" ? parsed.settings : parsed;
+      if (!incoming || typeof incoming !== "object" || Array.isArray(incoming)) throw new Error("not a settings object");
+
+      const previous = { ...CONFIG };
+      Object.assign(CONFIG, CONFIG_DEFAULTS);
+      const applied = applyConfigOverrides(incoming);
+      if (!Object.keys(applied).length && Object.keys(incoming).length) {
+        Object.assign(CONFIG, previous);
+        throw new Error("no valid settings in file");
+      }
+      const skipped = Object.keys(incoming).filter((k) => !(k in applied)).length;
+      store.set("config", configOverrides());
+      afterSettingsChange();
+      renderSettings();
+      toast(`Imported ${Object.keys(applied).length} settings${skipped ? `, skipped ${skipped}` : ""}`, true);
+    } catch (err) {
+      log.error("Settings import failed:", err);
+      toast("Invalid settings file", false);
+    }
+  }
+
+  /* ---------------------------
+     Cross-tab coordination
+  ---------------------------- */
+  // Tabs in the same browser share localStorage, so they share one lock there and tell each
+  // other about new addresses and snapshots over a BroadcastChannel.
+  const TAB_ID = Math.random().toString(36).slice(2, 10);
+  const TAB_LOCK_TTL = 20000;
+  const TAB_LOCK_WAIT = 15000;
+  const tabChannel = typeof BroadcastChannel === "function" ? new BroadcastChannel("__onth_snap__") : null;
+
+  function broadcast(msg) {
+    try {
+      tabChannel?.postMessage({ ...msg, tab: TAB_ID });
+    } catch (err) {
+      log.warn("Broadcast to other tabs failed:", err);
+    }
+  }
+
+  const tabLock = {
+    held: false,
+    _renew: null,
+
+    read() {
+      const lock = store.get("lock");
+      return lock && lock.expires > Date.now() ? lock : null;
+    },
+
+    // Write, wait, read back: if two tabs race, the last writer wins and the other backs off.
+    async tryAcquire(label) {
+      const cur = tabLock.read();
+      if (cur && cur.owner !== TAB_ID) return false;
+      const mine = { owner: TAB_ID, label, at: Date.now() };
+      store.set("lock", { ...mine, expires: Date.now() + TAB_LOCK_TTL });
+      await sleep(40 + Math.random() * 40);
+      if (tabLock.read()?.owner !== TAB_ID) return false;
+
+      tabLock.held = true;
+      clearInterval(tabLock._renew);
+      tabLock._renew = setInterval(
+        () => store.set("lock", { ...mine, expires: Date.now() + TAB_LOCK_TTL }),
+        TAB_LOCK_TTL / 4
+      );
+      broadcast({ type: "lock", label });
+      return true;
+    },
+
+    async acquire(label, wait = TAB_LOCK_WAIT) {
+      const until = Date.now() + wait;
+      let told = false;
+      while (!(await tabLock.tryAcquire(label))) {
+        if (Date.now() >= until) return false;
+        if (!told) {
+          toast(`Waiting for another tab (${shownName(tabLock.read()?.label) || "busy"})…`, null, 2500);
+          told = true;
+        }
+        await sleep(400);
+      }
+      return true;
+    },
+
+    release() {
+      if (!tabLock.held) return;
+      clearInterval(tabLock._renew);
+      tabLock._renew = null;
+      tabLock.held = false;
+      if (store.get("lock")?.owner === TAB_ID) store.remove("lock");
+      broadcast({ type: "unlock" });
+    },
+  };
+
+  window.addEventListener("beforeunload", () => tabLock.release());
+
+  function rememberStop(cacheKey, address, stop) {
+    UI.addrByKey.set(cacheKey, address);
+    if (stop) UI.stopInfoByKey.set(cacheKey, stop);
+    broadcast({ type: "stop", key: cacheKey, address, stop: stop || null });
+  }
+
+  function renderTabNote() {
+    const el = document.getElementById("__onth_snap_tabnote__");
+    if (!el) return;
+    const lock = tabLock.read();
+    const other = lock && lock.owner !== TAB_ID ? lock : null;
+    el.classList.toggle("open", !!other);
+    el.textContent = other
+      ? `🔒 Another tab is working on ${shownName(other.label) || "a driver"} (${fmtAge(Date.now() - other.at)})`
+      : "";
+  }
+
+  function handleTabMessage(msg) {
+    if (!msg || msg.tab === TAB_ID) return;
+    if (msg.type === "lock" || msg.type === "unlock") {
+      renderTabNote();
+      return;
+    }
+
+    if (msg.type === "stop" && msg.key && msg.address) {
+      UI.addrByKey.set(msg.key, msg.address);
+      if (msg.stop) UI.stopInfoByKey.set(msg.key, msg.stop);
+      renderRow(msg.key.slice(0, msg.key.lastIndexOf("|")));
+      return;
+    }
+
+    if (msg.type === "multi" && msg.key && Array.isArray(msg.value?.stops)) {
+      UI.multiByKey.set(msg.key, msg.value);
+      renderRow(msg.key);
+      return;
+    }
+
+    if (msg.type === "snapshot" && Array.isArray(msg.data) && msg.dataAt > UI.dataAt) {
+      UI.data = msg.data;
+      UI.dataAt = msg.dataAt;
+      UI.restored = false;
+      recordHistory(msg.data, msg.dataAt);
+      renderAge();
+      if (UI.openKey && !UI.data.some((r) => r.key === UI.openKey)) UI.openKey = null;
+      rebuildView();
+      UI._lastRenderSig = "";
+      renderTable();
+    }
+  }
+
+  /* ---------------------------
+     Auto-refresh & change notifications
+  ---------------------------- */
+  function diffSnapshots(prev, next) {
+    const changes = [];
+    if (!prev?.length) return changes;
+
+    const byKey = new Map(next.map((r) => [r.key, r]));
+    for (const old of prev) {
+      const cur = byKey.get(old.key);
+      if (!cur) {
+        if (statusOf(old) === "active") changes.push(`${shownName(old.name)} is no longer on the list`);
+        continue;
+      }
+      if (statusOf(old) !== statusOf(cur)) {
+        changes.push(`${shownName(cur.name)}: ${statusLabel(statusOf(old))} → ${statusLabel(statusOf(cur))}`);
+      }
+
+      const a = dayMinutes(old.projectedRTS);
+      const b = dayMinutes(cur.projectedRTS);
+      if (a != null && b != null && b - a >= CONFIG.NOTIFY_RTS_SHIFT_MIN) {
+        changes.push(`${shownName(cur.name)}: RTS ${old.projectedRTS} → ${cur.projectedRTS}`);
+      }
+
+      if (
+        typeof old.lastHourPace === "number" &&
+        typeof cur.lastHourPace === "number" &&
+        old.lastHourPace - cur.lastHourPace >= CONFIG.NOTIFY_PACE_DROP
+      ) {
+        changes.push(`${shownName(cur.name)}: pace ${fmt(old.lastHourPace)} → ${fmt(cur.lastHourPace)}`);
+      }
+    }
+    return changes;
   }
 
-  function renderTable() {
-    perf.start('renderTable');
+  function notifyChanges(changes) {
+    if (!changes.length) return;
+    log.info("Snapshot changes:", changes);
 
-    const tbody = document.querySelector("#__onth_snap_table__ tbody");
-    if (!tbody) {
-      perf.end('renderTable');
-      return;
+    const summary = changes.length > 1 ? `${changes[0]} (+${changes.length - 1} more)` : changes[0];
+    toast(summary, null, 6000);
+
+    if (!CONFIG.NOTIFY_DESKTOP || typeof Notification === "undefined") return;
+    if (Notification.permission !== "granted") return;
+    try {
+      new Notification("Driver Snapshot", {
+        body: changes.slice(0, 6).join("\n") + (changes.length > 6 ? `\n+${changes.length - 6} more` : ""),
+        tag: "onth-snapshot-changes",
+      });
+    } catch (err) {
+      log.warn("Desktop notification failed:", err);
     }
+  }
 
-    const sig = [
-      UI.view.length,
-      UI.view.map((r) => r.key).join("|"),
-      UI.openKey || "",
-      UI.pendingKey || "",
-      UI.stopN
-    ].join("::");
-    if (sig === UI._lastRenderSig) {
-      perf.end('renderTable');
-      return;
+  function requestNotifyPermission() {
+    if (!CONFIG.NOTIFY_DESKTOP || typeof Notification === "undefined") return;
+    if (Notification.permission === "default") {
+      Notification.requestPermission().catch((err) => log.warn("Notification permission failed:", err));
     }
-    UI._lastRenderSig = sig;
+  }
 
-    const fragment = document.createDocumentFragment();
+  const scheduler = {
+    lastInputAt: Date.now(),
 
-    for (const r of UI.view) {
-      const tr = document.createElement("tr");
-      tr.className = "__onth_row";
-      tr.setAttribute("data-key", r.key);
+    markInput() {
+      scheduler.lastInputAt = Date.now();
+    },
+
+    isIdle() {
+      return Date.now() - scheduler.lastInputAt >= CONFIG.AUTO_REFRESH_IDLE_SEC * 1000;
+    },
+
+    async tick() {
+      const every = Number(CONFIG.AUTO_REFRESH_MIN) || 0;
+      if (every <= 0) return;
+      if (UI.dataAt && Date.now() - UI.dataAt < every * 60000) return;
+      if (!scheduler.isIdle() || globalMutex.isLocked || UI.batch) return;
+      if (inDriverView() || !qs("rows")) return;
+
+      const panel = listPanel();
+      const savedScroll = panel ? panel.scrollTop : null;
+
+      log.info("Auto-refreshing snapshot");
+      await refreshSnapshot({ silent: true });
+
+      try {
+        if (panel && typeof savedScroll === "number") panel.scrollTop = savedScroll;
+      } catch (err) {
+        log.warn("Scroll restore failed:", err);
+      }
+    },
+  };
 
-      const tdName = document.createElement("td");
-      tdName.className = "__onth_name";
-      tdName.textContent = r.name;
+  /* ---------------------------
+     Live updates
+  ---------------------------- */
+  // Incremental alternative to the full rescroll: a MutationObserver on the itinerary list
+  // re-parses only rows whose text changed and merges them into UI.data by key. The list is
+  // virtualized, so a row missing from the page has usually just scrolled away; only a full
+  // pass or a complete captured list can say a driver is gone. Those rows stay in the
+  // snapshot with staleAt set instead of being dropped.
+  const LIVE_FIELDS = ["name", "number", "itineraryId", "status", "projectedRTS", "avgPerHour", "lastHourPace", "stopsLeft"];
+
+  const live = {
+    observer: null,
+    panel: null,
+    seen: new WeakMap(), // row element → { key, text }
+  };
 
-      const tdRTS = document.createElement("td");
-      tdRTS.className = "__onth_mono";
-      tdRTS.textContent = r.projectedRTS || "";
+  // Rows of `prev` that a complete list no longer has, marked stale. Rows that were stale
+  // already are left out, so after a full pass a gone driver lingers once, then drops off.
+  function goneRows(prev, list, now) {
+    const keys = new Set(list.map((r) => r.key));
+    return prev.filter((r) => !keys.has(r.key) && !r.staleAt).map((r) => ({ ...r, staleAt: now }));
+  }
 
-      const tdStops = document.createElement("td");
-      tdStops.className = "__onth_mono";
-      tdStops.textContent = typeof r.stopsLeft === "number" ? String(r.stopsLeft) : "";
+  const saveSnapshotSoon = debounce(saveSnapshot, 1000);
+
+  function syncLiveRows() {
+    const panel = live.panel;
+    if (!panel || !panel.isConnected || globalMutex.isLocked || inDriverView()) return;
+
+    const now = Date.now();
+    const present = new Set();
+    const changed = [];
+    for (const row of qsa("rows", panel)) {
+      const text = row.innerText ?? "";
+      const prev = live.seen.get(row);
+      if (prev && prev.text === text) {
+        present.add(prev.key);
+        continue;
+      }
+      const parsed = parseRow(row);
+      live.seen.set(row, { key: parsed.key, text });
+      present.add(parsed.key);
+      changed.push(parsed);
+    }
 
-      const tdAvg = document.createElement("td");
-      tdAvg.className = "__onth_mono";
-      tdAvg.textContent = fmt(r.avgPerHour);
+    const byKey = new Map(UI.data.map((r) => [r.key, r]));
+    const before = [];
+    const after = [];
+    const updated = []; // rows whose figures moved, for the history samples
+    let dirty = false;
+
+    for (const row of changed) {
+      const old = byKey.get(row.key);
+      if (old) before.push(old);
+      after.push(row);
+      if (!old || LIVE_FIELDS.some((f) => old[f] !== row[f])) updated.push(row);
+      if (!old || old.staleAt || LIVE_FIELDS.some((f) => old[f] !== row[f])) dirty = true;
+      byKey.set(row.key, row);
+    }
 
-      const tdPace = document.createElement("td");
-      tdPace.className = "__onth_mono";
-      tdPace.textContent = fmt(r.lastHourPace);
+    for (const key of present) {
+      const old = byKey.get(key);
+      if (!old?.staleAt) continue;
+      const { staleAt, ...row } = old;
+      byKey.set(key, row);
+      dirty = true;
+    }
+    if (captureComplete()) {
+      const listed = [...netModel.drivers.values()].map(adoptKnownKey);
+      for (const row of goneRows([...byKey.values()], listed, now)) {
+        if (present.has(row.key)) continue;
+        byKey.set(row.key, row);
+        dirty = true;
+      }
+    }
+    if (!dirty) return;
+
+    notifyChanges(diffSnapshots(before, after));
+    UI.data = [...byKey.values()];
+    UI.dataAt = now;
+    UI.restored = false;
+    if (updated.length) recordHistory(updated, now);
+    if (UI.openKey && !byKey.has(UI.openKey)) UI.openKey = null;
+    saveSnapshotSoon();
+    renderAge();
+    UI._lastRenderSig = "";
+    rebuildView();
+    renderTable();
+  }
 
-      tr.appendChild(tdName);
-      tr.appendChild(tdRTS);
-      tr.appendChild(tdStops);
-      tr.appendChild(tdAvg);
-      tr.appendChild(tdPace);
+  const syncLiveRowsSoon = debounce(syncLiveRows, 250);
 
-      fragment.appendChild(tr);
+  // Called on an interval: follows the list panel when the page re-renders it (e.g. after
+  // coming back from a driver's itinerary) and stops watching when the setting is off.
+  function watchList() {
+    const panel = CONFIG.LIVE_UPDATES ? qs("scrollPanel") : null;
+    if (panel === live.panel) return;
 
-      if (UI.openKey === r.key) {
-        const cacheKey = `${r.key}|${UI.stopN}`;
-        const addr =
-          UI.addrByKey.get(cacheKey) || (UI.pendingKey === r.key ? "Working…" : "—");
+    live.observer?.disconnect();
+    live.panel = panel;
+    if (!panel) return;
 
-        const dtr = document.createElement("tr");
-        dtr.className = "__onth_detail";
-        const td = document.createElement("td");
-        td.setAttribute("colspan", "5");
-
-        const detailBox = document.createElement("div");
-        detailBox.className = "__onth_detailBox";
-
-        const kvDiv = document.createElement("div");
-        kvDiv.className = "__onth_kv";
-
-        const addKV = (key, value) => {
-          const k = document.createElement("div");
-          k.className = "__onth_k";
-          k.textContent = key;
-          const v = document.createElement("div");
-          v.className = "__onth_v";
-          if (key === "Address") {
-            v.setAttribute("data-addrkey", cacheKey);
-          }
-          v.textContent = value;
-          kvDiv.appendChild(k);
-          kvDiv.appendChild(v);
-        };
+    // One observer for the whole session; a disconnected observer can observe again.
+    if (!live.observer) {
+      live.observer = new MutationObserver(syncLiveRowsSoon);
+      cleanup.addObserver(live.observer);
+    }
+    live.observer.observe(panel, { childList: true, subtree: true, characterData: true });
+    syncLiveRowsSoon();
+  }
+
+  /* ---------------------------
+     Diagnostics
+  ---------------------------- */
+  // Per selector in the key's list, how many roots it matches; the first non-zero one is what qs/qsa use.
+  function probeSelectors(key, roots) {
+    const list = selectorsFor(key);
+    const counts = list.map((sel) => {
+      let n = 0;
+      for (const root of roots) {
+        try {
+          if (root.querySelector(sel)) n += roots.length > 1 ? 1 : root.querySelectorAll(sel).length;
+        } catch (err) {
+          return -1;
+        }
+      }
+      return n;
+    });
+    const own = Array.isArray(selectorOverrides[key]) ? selectorOverrides[key].length : 0;
+    return { list, counts, winner: counts.findIndex((n) => n > 0), own };
+  }
 
-        addKV("Name", r.name);
-        addKV("Phone", r.number || "");
-        addKV("Address", addr);
+  function runDiagnostics() {
+    const results = [];
+    const onList = !!qs("rows");
+    const inDriver = inDriverView();
+    const rows = onList ? qsa("rows").slice(0, 50) : [];
+    const headers = inDriver ? getStopHeaders() : [];
+    const panels = headers
+      .map((h) => document.getElementById(h.getAttribute("aria-controls") || ""))
+      .filter(Boolean);
 
-        const pillsDiv = document.createElement("div");
-        pillsDiv.className = "__onth_pills";
+    const add = (label, status, detail) => results.push({ label, status, detail });
 
-        const refreshSpan = document.createElement("span");
-        refreshSpan.className = "__onth_pillNoBg";
-        const refreshBtn = document.createElement("button");
-        refreshBtn.className = "__onth_btn __onth_btnPrimary";
-        refreshBtn.setAttribute("data-refreshkey", r.key);
-        refreshBtn.textContent = "Refresh address";
-        refreshSpan.appendChild(refreshBtn);
+    for (const [key, meta] of Object.entries(SELECTOR_META)) {
+      const onPage = meta.scope === "list" || meta.scope === "row" ? onList : inDriver;
+      if (!onPage) {
+        add(meta.label, "skip", meta.scope === "driver" || meta.scope === "panel" ? "Open a driver itinerary to test" : "Open the itinerary list to test");
+        continue;
+      }
 
-        const copySpan = document.createElement("span");
-        copySpan.className = "__onth_pillNoBg";
-        const copyBtn = document.createElement("button");
-        copyBtn.className = "__onth_btn __onth_btnSmall";
-        copyBtn.setAttribute("data-copykey", r.key);
-        copyBtn.textContent = "Copy Info";
-        copySpan.appendChild(copyBtn);
+      if (meta.text) {
+        const el = findHideToggle();
+        add(meta.label, el ? "pass" : "fail", el ? "Found a switch with this label" : `No switch labelled: ${selectorsFor(key).join(" / ")}`);
+        continue;
+      }
 
-        pillsDiv.appendChild(refreshSpan);
-        pillsDiv.appendChild(copySpan);
+      const roots = meta.scope === "row" ? rows : meta.scope === "panel" ? panels : [document];
+      const unit = meta.scope === "row" ? "rows" : meta.scope === "panel" ? "stop panels" : "matches";
+      if (!roots.length) {
+        add(meta.label, "skip", `No ${unit} to test against`);
+        continue;
+      }
 
-        detailBox.appendChild(kvDiv);
-        detailBox.appendChild(pillsDiv);
-        td.appendChild(detailBox);
-        dtr.appendChild(td);
-        fragment.appendChild(dtr);
+      const { list, counts, winner, own } = probeSelectors(key, roots);
+      const invalid = counts.filter((n) => n < 0).length;
+      if (winner < 0) {
+        add(meta.label, meta.optional ? "warn" : "fail", `0 ${unit} across ${list.length} selectors${meta.optional ? " (text fallback in use)" : ""}${invalid ? `, ${invalid} invalid` : ""}`);
+        continue;
       }
+      const of = roots.length > 1 ? `${counts[winner]}/${roots.length} ${unit}` : `${counts[winner]} ${unit}`;
+      const via = winner < own ? `override #${winner + 1}` : `selector #${winner - own + 1}${winner > own ? " (fallback)" : ""}`;
+      add(meta.label, winner > own ? "warn" : "pass", `${of} via ${via}${invalid ? `, ${invalid} invalid` : ""}`);
     }
 
-    tbody.replaceChildren(fragment);
+    if (onList) {
+      const parsed = rows.map(parseRow);
+      const named = parsed.filter((r) => r.name && r.name !== "[unknown]" && r.name !== "[error]").length;
+      const withRts = parsed.filter((r) => r.projectedRTS).length;
+      const unknown = parsed.filter((r) => r.status === "unknown").length;
+      add(
+        "Row parsing",
+        named !== parsed.length ? "fail" : unknown ? "warn" : "pass",
+        `${parsed.length} rows: ${named} named, ${withRts} with RTS${unknown ? `, ${unknown} with unknown status` : ""}`
+      );
+    }
+    if (inDriver) {
+      const numbered = headers.filter((h) => parseStopHeader(h).stopNum != null).length;
+      add("Stop header parsing", headers.length && numbered === headers.length ? "pass" : "fail", `${numbered}/${headers.length} headers with a stop number`);
+    }
+    if (CONFIG.CAPTURE_NETWORK) {
+      const age = netModel.driversAt ? fmtAge(Date.now() - netModel.driversAt) : "";
+      const detail = netModel.driversAt
+        ? `${netModel.drivers.size}${netModel.driversTotal ? ` of ${netModel.driversTotal}` : ""} drivers (${age})${captureComplete() ? "" : ", partial"}, stops for ${netModel.stops.size} itineraries`
+        : "Nothing captured yet. Reload the page so the list request is seen.";
+      add("Network capture", captureComplete() ? "pass" : "warn", detail);
+    }
+    add("Page view", "pass", inDriver ? "Driver itinerary" : onList ? "Itinerary list" : "Unknown (no rows or stops found)");
 
-    perf.end('renderTable');
+    return results;
   }
 
-  async function refreshSnapshot() {
-    if (globalMutex.isLocked) {
-      toast("Busy…", null);
-      return;
+  const STATUS_ICON = { pass: "✓", fail: "✗", warn: "!", skip: "–" };
+
+  function renderDiagnostics() {
+    const box = document.getElementById("__onth_snap_diag__");
+    if (!box) return;
+
+    const h = document.createElement("h3");
+    h.textContent = "Selector diagnostics";
+
+    const table = document.createElement("table");
+    table.className = "__onth_diag";
+    for (const res of runDiagnostics()) {
+      const tr = document.createElement("tr");
+      const icon = document.createElement("td");
+      icon.className = `__onth_${res.status}`;
+      icon.textContent = STATUS_ICON[res.status];
+      icon.title = res.status;
+      const label = document.createElement("td");
+      label.textContent = res.label;
+      const detail = document.createElement("td");
+      detail.textContent = res.detail;
+      tr.appendChild(icon);
+      tr.appendChild(label);
+      tr.appendChild(detail);
+      table.appendChild(tr);
     }
 
-    await globalMutex.lock();
-    try {
-      UI.busy = true;
-      toast("Loading drivers…");
-      const data = await collectAllDrivers();
-      UI.data = data;
-      if (UI.openKey && !UI.data.some((r) => r.key === UI.openKey)) UI.openKey = null;
-      UI._lastRenderSig = "";
-      rebuildView();
-      renderTable();
-      toast(`Loaded ${data.length} drivers`, true);
-    } catch (e) {
-      log.error("Refresh snapshot failed:", e);
-      toast("Failed to load drivers", false);
-    } finally {
-      UI.busy = false;
-      globalMutex.unlock();
+    const h2 = document.createElement("h3");
+    h2.textContent = "Selector overrides";
+    const note = document.createElement("p");
+    note.className = "__onth_note";
+    note.textContent = "One entry per line, tried before the built-in list. Saved in this browser.";
+
+    const form = document.createElement("div");
+    form.className = "__onth_form __onth_wide";
+    for (const [key, meta] of Object.entries(SELECTOR_META)) {
+      const id = `__onth_sel_${key}__`;
+      const label = document.createElement("label");
+      label.setAttribute("for", id);
+      label.textContent = meta.label;
+      const ta = document.createElement("textarea");
+      ta.id = id;
+      ta.rows = 2;
+      ta.spellcheck = false;
+      ta.placeholder = SELECTORS[key].join("\n");
+      ta.value = (selectorOverrides[key] || []).join("\n");
+      ta.setAttribute("data-selkey", key);
+      form.appendChild(label);
+      form.appendChild(ta);
     }
+
+    const pills = panelButtons(
+      [
+        ["run", "Run again", true],
+        ["save", "Save overrides", false],
+        ["clear", "Clear overrides", false],
+        ["fixture", "Capture fixture", false],
+        ["close", "Close", false],
+      ],
+      "data-diag"
+    );
+
+    box.replaceChildren(h, table, pills, h2, note, form);
   }
 
-  async function requestAddress(row) {
-    if (!row?.name) return;
-    if (globalMutex.isLocked) {
-      toast("Busy…", null);
-      return;
+  function saveSelectorOverrides() {
+    const box = document.getElementById("__onth_snap_diag__");
+    if (!box) return;
+
+    const next = {};
+    const probe = document.createDocumentFragment();
+    for (const ta of box.querySelectorAll("textarea[data-selkey]")) {
+      const key = ta.getAttribute("data-selkey");
+      const lines = ta.value.split("\n").map((l) => l.trim()).filter(Boolean);
+      if (!lines.length) continue;
+      if (!SELECTOR_META[key]?.text) {
+        for (const sel of lines) {
+          try {
+            probe.querySelector(sel);
+          } catch (err) {
+            toast(`${SELECTOR_META[key].label}: invalid selector ${sel}`, false, 4000);
+            return;
+          }
+        }
+      }
+      next[key] = lines;
     }
 
-    const stopN = Math.max(1, Number(UI.stopN) || CONFIG.DEFAULT_STOP_N);
-    const cacheKey = `${row.key}|${stopN}`;
+    selectorOverrides = next;
+    selectorHits.clear();
+    store.set("selectors", next);
+    renderDiagnostics();
+    toast(`Saved ${Object.keys(next).length} selector overrides`, true);
+  }
 
-    if (UI.addrByKey.has(cacheKey)) {
-      UI.openKey = row.key;
-      UI._lastRenderSig = "";
-      renderTable();
-      toast(`Using cached stop ${stopN}`, true);
-      return;
+  /* ---------------------------
+     Fixture capture
+  ---------------------------- */
+  const FIXTURE_KEEP_ATTRS = /^(?:class|id|role|type|checked|disabled|placeholder|href|data-testid|data-attr|data-state|aria-[\w-]+)$/i;
+  const FIXTURE_DROP_TAGS = "script,style,link,iframe,object,embed,noscript,img,video,audio,canvas,template";
+  const STREET_RX = /\b\d{1,6}\s+(?:[A-Za-z0-9.'-]+\s+){0,4}?(?:St|Street|Ave|Avenue|Rd|Road|Dr|Drive|Ln|Lane|Blvd|Boulevard|Ct|Court|Way|Pl|Place|Ter|Terrace|Pkwy|Parkway|Cir|Circle|Hwy|Highway|Loop|Trl|Trail)\b\.?/gi;
+
+  // City and ZIP of any address in `t`; the street itself is left to STREET_RX.
+  function scrubPlace(t) {
+    if (!RX.zip.test(t)) return t;
+    const a = cleanAddress(t);
+    const city = a.city || (a.street && !/\d/.test(a.street) ? a.street : "");
+    if (city.length > 1) t = t.split(city).join("Springfield");
+    return t
+      .replace(/(\b[A-Z]{2},?\s+)\d{5}(?:\s*-\s*\d{4})?\b/g, (m, st) => `${st}00000`)
+      .replace(/^(\s*)\d{5}(?:-\d{4})?(\s*)$/, (m, a1, a2) => `${a1}00000${a2}`);
+  }
+
+  // Copy of the list or itinerary DOM with names, phones, emails and addresses replaced,
+  // so it can be saved as a parser regression fixture.
+  function captureFixture() {
+    const onList = !!qs("rows");
+    const source = onList ? listPanel() : pickStopScroller();
+    const page = source === document.scrollingElement ? document.body : source;
+    if (!page) return null;
+
+    // Names come from the live rows: a detached clone has no layout, so its innerText has no line breaks.
+    const names = new Set(UI.data.map((r) => r.name));
+    if (onList) {
+      for (const row of qsa("rows", page)) names.add(firstLine(row.innerText || ""));
     }
+    const known = [...names].filter((n) => n && n.length > 2 && n !== "[unknown]");
+    // The itinerary view has no name list of its own to go by.
+    if (!onList && !known.length) throw new Error("take a snapshot first so driver names can be removed");
+    // Longest first, so "Ann Lee" is not replaced inside "Ann Leeds".
+    const aliases = new Map(known.map((n, i) => [n, `Driver ${i + 1}`]).sort((a, b) => b[0].length - a[0].length));
+
+    const root = page.cloneNode(true);
+    for (const el of root.querySelectorAll(`${FIXTURE_DROP_TAGS},[id^="__onth_"]`)) el.remove();
+
+    // The same number gets the same stand-in everywhere, so row keys stay distinct.
+    const phones = new Map();
+    const fakePhone = (m) => {
+      const d = digits(m).slice(-10);
+      if (!phones.has(d)) phones.set(d, String(phones.size % 10000).padStart(4, "0"));
+      return phones.get(d);
+    };
+    const scrub = (t) => {
+      // Places go first: a ZIP+4 would otherwise pass for a phone number.
+      let out = scrubPlace(String(t))
+        .replace(new RegExp(`\\(?${RX.phone.source}`, "g"), (m) => (RX.time12h.test(m) ? m : `555-010-${fakePhone(m)}`))
+        .replace(/[\w.+-]+@[\w-]+\.[\w.]+/g, "redacted@example.com")
+        .replace(STREET_RX, "100 Main St");
+      for (const [name, alias] of aliases) {
+        if (out.includes(name)) out = out.split(name).join(alias);
+      }
+      return out;
+    };
 
-    await globalMutex.lock();
-    try {
-      UI.busy = true;
-      UI.pendingKey = row.key;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let n = walker.nextNode(); n; n = walker.nextNode()) n.nodeValue = scrub(n.nodeValue);
 
-      if (UI.openKey !== row.key) UI.openKey = row.key;
-      UI._lastRenderSig = "";
-      renderTable();
+    for (const el of [root, ...root.querySelectorAll("*")]) {
+      for (const attr of [...el.attributes]) {
+        if (!FIXTURE_KEEP_ATTRS.test(attr.name)) el.removeAttribute(attr.name);
+        else if (attr.name === "href") el.setAttribute("href", /^tel:/i.test(attr.value) ? `tel:+1555010${fakePhone(attr.value)}` : scrub(attr.value));
+        else el.setAttribute(attr.name, scrub(attr.value));
+      }
+    }
 
-      toast(`Copying stop ${stopN}…`);
-      const { ok, address } = await openToggleCopyStop(row.name, stopN, row.number);
+    // A name split across elements slips past the per-node pass; refuse to hand that out.
+    const flat = root.textContent.replace(/\s+/g, " ");
+    const leaked = known.filter((n) => flat.includes(n) || root.outerHTML.includes(n));
+    if (leaked.length) throw new Error(`Fixture still contains ${leaked.length} driver name(s)`);
+
+    const kind = onList ? "list" : "driver";
+    const html = [
+      "<!doctype html>",
+      `<html><head><meta charset="utf-8"><title>ONTH fixture: ${kind}</title></head>`,
+      `<body data-onth-fixture="${kind}" data-captured-at="${new Date().toISOString()}" data-script-version="${SCRIPT_VERSION}">`,
+      root.tagName === "BODY" ? root.innerHTML : root.outerHTML,
+      "</body></html>",
+    ].join("\n");
+    return { kind, html };
+  }
 
-      if (ok && address) {
-        UI.addrByKey.set(cacheKey, String(address).trim());
-        toast("Copied ✔", true);
-      } else {
-        toast("Failed ✖", false);
+  function downloadFixture() {
+    try {
+      const fx = captureFixture();
+      if (!fx) {
+        toast("Nothing to capture on this page", false);
+        return null;
       }
-
-      UI.pendingKey = null;
-      UI._lastRenderSig = "";
-      renderTable();
-    } catch (e) {
-      log.error("Request address failed:", e);
-      toast("Failed ✖", false);
-      UI.pendingKey = null;
-      UI._lastRenderSig = "";
-      renderTable();
-    } finally {
-      UI.busy = false;
-      globalMutex.unlock();
+      downloadFile(exportFileName(`${fx.kind}.fixture.html`), fx.html, "text/html");
+      toast(`Captured ${fx.kind} fixture`, true);
+      return fx;
+    } catch (err) {
+      log.error("Fixture capture failed:", err);
+      toast(`Fixture capture failed: ${err.message}`, false);
+      return null;
     }
   }
 
+  window.ONTH_captureFixture = downloadFixture;
+
+  // The page parsers, so a captured fixture can be replayed against them from the console.
+  // The test suite gets the same object through the module export at the end of the file.
+  const PAGE_PARSERS = {
+    parseRow,
+    extractPhone,
+    cleanAddress,
+    formatAddress,
+    parseStopHeader,
+    parseStopPanel,
+    findAddressInPanel,
+    parseStopsPayload,
+    parseItinerariesPayload,
+  };
+  window.ONTH_parsers = PAGE_PARSERS;
+
+  function clearSelectorOverrides() {
+    selectorOverrides = {};
+    selectorHits.clear();
+    store.remove("selectors");
+    renderDiagnostics();
+    toast("Selector overrides cleared", true);
+  }
+
   const cleanup = {
     listeners: [],
     intervals: [],
@@ -1673,6 +5527,7 @@ ${themeToCssVars(THEME)}
     drawer.id = "__onth_snap_drawer__";
     drawer.setAttribute("role", "dialog");
     drawer.setAttribute("aria-label", "Driver Snapshot Panel");
+    drawer.tabIndex = -1;
 
     const head = document.createElement("div");
     head.id = "__onth_snap_head__";
@@ -1685,8 +5540,53 @@ ${themeToCssVars(THEME)}
     count.id = "__onth_snap_count__";
     count.textContent = "0 drivers";
 
+    const age = document.createElement("div");
+    age.id = "__onth_snap_age__";
+
+    const gear = document.createElement("button");
+    gear.id = "__onth_snap_gear__";
+    gear.textContent = "⚙";
+    gear.title = "Settings";
+    gear.setAttribute("aria-label", "Settings");
+    gear.setAttribute("aria-pressed", "false");
+    gear.className = "__onth_headBtn";
+    gear.setAttribute("data-panel-toggle", "settings");
+
+    const helpBtn = document.createElement("button");
+    helpBtn.id = "__onth_snap_helpbtn__";
+    helpBtn.className = "__onth_headBtn";
+    helpBtn.textContent = "⌨";
+    helpBtn.title = "Keyboard shortcuts (?)";
+    helpBtn.setAttribute("aria-label", "Keyboard shortcuts");
+    helpBtn.setAttribute("aria-haspopup", "dialog");
+    helpBtn.setAttribute("aria-controls", "__onth_snap_help__");
+    helpBtn.setAttribute("aria-expanded", "false");
+
+    const tplBtn = document.createElement("button");
+    tplBtn.id = "__onth_snap_tplbtn__";
+    tplBtn.className = "__onth_headBtn";
+    tplBtn.textContent = "✉";
+    tplBtn.title = "Message templates";
+    tplBtn.setAttribute("aria-label", "Message templates");
+    tplBtn.setAttribute("aria-pressed", "false");
+    tplBtn.setAttribute("data-panel-toggle", "templates");
+
+    const diagBtn = document.createElement("button");
+    diagBtn.id = "__onth_snap_diagbtn__";
+    diagBtn.className = "__onth_headBtn";
+    diagBtn.textContent = "🩺";
+    diagBtn.title = "Selector diagnostics";
+    diagBtn.setAttribute("aria-label", "Selector diagnostics");
+    diagBtn.setAttribute("aria-pressed", "false");
+    diagBtn.setAttribute("data-panel-toggle", "diag");
+
     head.appendChild(title);
+    head.appendChild(age);
     head.appendChild(count);
+    head.appendChild(helpBtn);
+    head.appendChild(tplBtn);
+    head.appendChild(diagBtn);
+    head.appendChild(gear);
 
     const controls = document.createElement("div");
     controls.id = "__onth_snap_controls__";
@@ -1711,6 +5611,41 @@ ${themeToCssVars(THEME)}
     refreshBtn.textContent = "Refresh";
     refreshBtn.setAttribute("aria-label", "Refresh driver list");
 
+    const fetchAllBtn = document.createElement("button");
+    fetchAllBtn.id = "__onth_snap_fetchall__";
+    fetchAllBtn.className = "__onth_btn";
+    fetchAllBtn.textContent = "Fetch all";
+    fetchAllBtn.title = "Fetch the Nth stop address for every driver in the current view";
+    fetchAllBtn.setAttribute("aria-label", "Fetch stop address for all drivers");
+
+    const exportWrap = document.createElement("span");
+    exportWrap.id = "__onth_snap_exportwrap__";
+
+    const exportBtn = document.createElement("button");
+    exportBtn.id = "__onth_snap_exportbtn__";
+    exportBtn.className = "__onth_btn";
+    exportBtn.textContent = "Export ▾";
+    exportBtn.setAttribute("aria-haspopup", "menu");
+    exportBtn.setAttribute("aria-expanded", "false");
+
+    const exportMenu = document.createElement("div");
+    exportMenu.id = "__onth_snap_exportmenu__";
+    exportMenu.setAttribute("role", "menu");
+    for (const [kind, label] of [
+      ["csv", "Download CSV"],
+      ["json", "Download JSON"],
+      ["tsv", "Copy for Google Sheets"],
+    ]) {
+      const item = document.createElement("button");
+      item.setAttribute("role", "menuitem");
+      item.setAttribute("data-export", kind);
+      item.textContent = label;
+      exportMenu.appendChild(item);
+    }
+
+    exportWrap.appendChild(exportBtn);
+    exportWrap.appendChild(exportMenu);
+
     const closeBtn = document.createElement("button");
     closeBtn.id = "__onth_snap_close__";
     closeBtn.textContent = "✕";
@@ -1719,8 +5654,93 @@ ${themeToCssVars(THEME)}
     controls.appendChild(stopInput);
     controls.appendChild(filterInput);
     controls.appendChild(refreshBtn);
+    controls.appendChild(fetchAllBtn);
+    controls.appendChild(exportWrap);
     controls.appendChild(closeBtn);
 
+    const batchBar = document.createElement("div");
+    batchBar.id = "__onth_snap_batchbar__";
+    batchBar.setAttribute("role", "status");
+    batchBar.setAttribute("aria-live", "polite");
+
+    const batchProg = document.createElement("div");
+    batchProg.id = "__onth_snap_batchprog__";
+
+    const batchPause = document.createElement("button");
+    batchPause.className = "__onth_btn __onth_btnSmall";
+    batchPause.setAttribute("data-batch", "pause");
+    batchPause.textContent = "Pause";
+
+    const batchCancel = document.createElement("button");
+    batchCancel.className = "__onth_btn __onth_btnSmall";
+    batchCancel.setAttribute("data-batch", "cancel");
+    batchCancel.textContent = "Cancel";
+
+    batchBar.appendChild(batchProg);
+    batchBar.appendChild(batchPause);
+    batchBar.appendChild(batchCancel);
+
+    const tabNote = document.createElement("div");
+    tabNote.id = "__onth_snap_tabnote__";
+    tabNote.setAttribute("role", "status");
+    tabNote.setAttribute("aria-live", "polite");
+
+    const chips = document.createElement("div");
+    chips.id = "__onth_snap_chips__";
+
+    const riskChip = document.createElement("button");
+    riskChip.className = "__onth_chip";
+    riskChip.setAttribute("data-chip", "risk");
+    riskChip.setAttribute("aria-pressed", String(UI.riskOnly));
+    riskChip.title = "Show only at-risk drivers";
+    riskChip.textContent = "⚠ At risk (0)";
+    chips.appendChild(riskChip);
+
+    for (const { id, label } of DRIVER_STATUSES) {
+      const chip = document.createElement("button");
+      chip.className = "__onth_chip";
+      chip.setAttribute("data-chip", "status");
+      chip.setAttribute("data-status", id);
+      chip.setAttribute("aria-pressed", String(UI.statuses.has(id)));
+      chip.title = `Show ${label.toLowerCase()} drivers`;
+      chip.textContent = `${label} (0)`;
+      chips.appendChild(chip);
+    }
+
+    const privacyChip = document.createElement("button");
+    privacyChip.className = "__onth_chip";
+    privacyChip.setAttribute("data-chip", "privacy");
+    privacyChip.setAttribute("aria-pressed", String(UI.privacy));
+    privacyChip.title = "Mask names, phones and addresses in the table, Copy Info and exports";
+    privacyChip.textContent = "🔒 Privacy";
+    chips.appendChild(privacyChip);
+
+    const settingsPanel = document.createElement("div");
+    settingsPanel.id = "__onth_snap_settings__";
+    settingsPanel.className = "__onth_panel";
+    settingsPanel.setAttribute("data-panel", "settings");
+
+    const diagPanel = document.createElement("div");
+    diagPanel.id = "__onth_snap_diag__";
+    diagPanel.className = "__onth_panel";
+    diagPanel.setAttribute("data-panel", "diag");
+
+    const templatesPanel = document.createElement("div");
+    templatesPanel.id = "__onth_snap_templates__";
+    templatesPanel.className = "__onth_panel";
+    templatesPanel.setAttribute("data-panel", "templates");
+
+    const helpOverlay = document.createElement("div");
+    helpOverlay.id = "__onth_snap_help__";
+    helpOverlay.setAttribute("role", "dialog");
+    helpOverlay.setAttribute("aria-modal", "true");
+    helpOverlay.setAttribute("aria-labelledby", "__onth_snap_helptitle__");
+    helpOverlay.hidden = true;
+
+    const summary = document.createElement("div");
+    summary.id = "__onth_snap_summary__";
+    summary.hidden = true;
+
     const tableWrap = document.createElement("div");
     tableWrap.id = "__onth_snap_tablewrap__";
 
@@ -1732,16 +5752,20 @@ ${themeToCssVars(THEME)}
 
     const headers = [
       { key: "name", label: "Name" },
+      { key: "status", label: "Status" },
       { key: "projectedRTS", label: "Projected RTS" },
+      { key: "untilRTS", label: "Until RTS", title: "Time until the projected RTS" },
       { key: "stopsLeft", label: "Stops Left" },
       { key: "avgPerHour", label: "Stops/hr" },
-      { key: "lastHourPace", label: "Pace" }
+      { key: "lastHourPace", label: "Pace" },
+      { key: "neededPace", label: "Needed", title: "Stops/hr needed to finish by the shift end (Settings)" }
     ];
 
     for (const h of headers) {
       const th = document.createElement("th");
       th.setAttribute("data-k", h.key);
       th.textContent = h.label;
+      if (h.title) th.title = h.title;
       th.setAttribute("role", "columnheader");
       th.setAttribute("aria-sort", "none");
       headerRow.appendChild(th);
@@ -1757,14 +5781,58 @@ ${themeToCssVars(THEME)}
 
     drawer.appendChild(head);
     drawer.appendChild(controls);
+    drawer.appendChild(batchBar);
+    drawer.appendChild(tabNote);
+    drawer.appendChild(chips);
+    drawer.appendChild(settingsPanel);
+    drawer.appendChild(diagPanel);
+    drawer.appendChild(templatesPanel);
+    drawer.appendChild(summary);
     drawer.appendChild(tableWrap);
+    drawer.appendChild(helpOverlay);
 
     document.body.appendChild(drawer);
 
+    let scrollFrame = 0;
+    cleanup.addListener(tableWrap, "scroll", () => {
+      if (scrollFrame) return;
+      scrollFrame = requestAnimationFrame(() => {
+        scrollFrame = 0;
+        renderTable();
+      });
+    }, { passive: true });
+    if (typeof ResizeObserver === "function") {
+      const resizeObserver = new ResizeObserver(() => renderTable());
+      resizeObserver.observe(tableWrap);
+      cleanup.addObserver(resizeObserver);
+    }
+
     cleanup.addListener(closeBtn, "click", closeDrawer);
+    cleanup.addListener(helpBtn, "click", () => setHelp(!UI.helpOpen));
+    cleanup.addListener(document, "keydown", handleKeydown);
+    for (const btn of [gear, diagBtn, tplBtn]) {
+      const name = btn.getAttribute("data-panel-toggle");
+      cleanup.addListener(btn, "click", () => setPanel(UI.panel === name ? null : name));
+    }
+    cleanup.addListener(settingsPanel, "change", (e) => {
+      if (e.target?.matches?.("[data-settings-file]")) importSettings(e.target.files?.[0]);
+      else if (e.target?.matches?.("[data-zips-file]")) importZipTable(e.target.files?.[0]);
+      else return;
+      e.target.value = "";
+    });
 
     const debouncedRefresh = debounce(refreshSnapshot, CONFIG.DEBOUNCE_DELAY);
     cleanup.addListener(refreshBtn, "click", debouncedRefresh);
+    cleanup.addListener(fetchAllBtn, "click", runBatchFetch);
+
+    const setExportMenu = (open) => {
+      exportMenu.classList.toggle("open", open);
+      exportBtn.setAttribute("aria-expanded", String(open));
+    };
+    cleanup.addListener(exportBtn, "click", () => setExportMenu(!exportMenu.classList.contains("open")));
+    cleanup.addListener(document, "click", (e) => {
+      if (!exportWrap.contains(e.target)) setExportMenu(false);
+    });
 
     const debouncedFilter = debounce((e) => {
       UI.filter = sanitizeText(String(e.target?.value ?? ""));
@@ -1800,25 +5868,145 @@ ${themeToCssVars(THEME)}
     });
 
     const handleDrawerClick = async (e) => {
+      const exportItem = e.target?.closest("button[data-export]");
+      if (exportItem) {
+        e.preventDefault();
+        setExportMenu(false);
+        await runExport(exportItem.getAttribute("data-export"));
+        return;
+      }
+
+      const settingsBtn = e.target?.closest("button[data-settings]");
+      if (settingsBtn) {
+        e.preventDefault();
+        const action = settingsBtn.getAttribute("data-settings");
+        if (action === "reset") return resetSettings();
+        if (action === "export") return exportSettings();
+        if (action === "import") return settingsPanel.querySelector("[data-settings-file]")?.click();
+        if (action === "zips") return settingsPanel.querySelector("[data-zips-file]")?.click();
+        if (action === "clearzips") return clearZipTable();
+        if (action === "save" && !saveSettings()) return;
+        setPanel(null);
+        return;
+      }
+
+      const tplAction = e.target?.closest("button[data-templates]");
+      if (tplAction) {
+        e.preventDefault();
+        handleTemplatesAction(tplAction.getAttribute("data-templates"), tplAction);
+        return;
+      }
+
+      const tplCopy = e.target?.closest("button[data-tplcopy]");
+      if (tplCopy) {
+        e.preventDefault();
+        const row = UI.data.find((r) => r.key === tplCopy.getAttribute("data-tplkey"));
+        if (row) await copyTemplate(row, tplCopy.getAttribute("data-tplcopy"));
+        return;
+      }
+
+      if (e.target?.closest("button[data-help]")) {
+        e.preventDefault();
+        setHelp(false);
+        return;
+      }
+
+      const diagAction = e.target?.closest("button[data-diag]");
+      if (diagAction) {
+        e.preventDefault();
+        const action = diagAction.getAttribute("data-diag");
+        if (action === "run") renderDiagnostics();
+        else if (action === "save") saveSelectorOverrides();
+        else if (action === "clear") clearSelectorOverrides();
+        else if (action === "fixture") downloadFixture();
+        else setPanel(null);
+        return;
+      }
+
+      const chip = e.target?.closest("button[data-chip]");
+      if (chip) {
+        e.preventDefault();
+        const which = chip.getAttribute("data-chip");
+        if (which === "risk") {
+          UI.riskOnly = !UI.riskOnly;
+          chip.setAttribute("aria-pressed", String(UI.riskOnly));
+        } else if (which === "status") {
+          const id = chip.getAttribute("data-status");
+          if (!UI.statuses.delete(id)) UI.statuses.add(id);
+        } else if (which === "privacy") {
+          setPrivacy(!UI.privacy);
+          renderBatchBar();
+        }
+        UI._lastRenderSig = "";
+        rebuildView();
+        renderTable();
+        return;
+      }
+
+      const bucket = e.target?.closest("button[data-bucket]");
+      if (bucket) {
+        e.preventDefault();
+        const b = Number(bucket.getAttribute("data-bucket"));
+        UI.rtsBucket = UI.rtsBucket === b ? null : b;
+        UI._lastRenderSig = "";
+        rebuildView();
+        renderTable();
+        return;
+      }
+
+      const batchBtn = e.target?.closest("button[data-batch]");
+      if (batchBtn) {
+        e.preventDefault();
+        const b = UI.batch;
+        if (!b) return;
+        if (batchBtn.getAttribute("data-batch") === "pause") b.paused = !b.paused;
+        else b.cancelled = true;
+        renderBatchBar();
+        return;
+      }
+
       const copyBtn = e.target?.closest("button[data-copykey]");
       if (copyBtn) {
         e.preventDefault();
         const key = copyBtn.getAttribute("data-copykey");
         const row = UI.data.find((r) => r.key === key);
-        if (!row) return;
+        if (row) await copyInfo(row);
+        return;
+      }
+
+      const copyAddrBtn = e.target?.closest("button[data-copyaddr]");
+      if (copyAddrBtn) {
+        e.preventDefault();
+        const ok = await window.ONTH_copyText(copyAddrBtn.getAttribute("data-copyaddr"));
+        toast(ok ? "Copied address" : "Copy failed", ok);
+        return;
+      }
 
-        const cacheKey = `${key}|${UI.stopN}`;
-        const addr =
-          (UI.addrByKey.get(cacheKey) ?? "").trim() ||
-          (document.querySelector(`[data-addrkey="${cssEscape(cacheKey)}"]`)?.textContent ??
-            "").trim();
+      const multiBtn = e.target?.closest("button[data-multikey]");
+      if (multiBtn) {
+        e.preventDefault();
+        const key = multiBtn.getAttribute("data-multikey");
+        const spec = drawer.querySelector(`input[data-multispec="${cssEscape(key)}"]`)?.value;
+        const row = UI.data.find((r) => r.key === key);
+        if (row) await requestStops(row, spec);
+        return;
+      }
 
-        const safeAddr = addr && addr !== "—" && addr !== "Working…" ? addr : "";
-        if (!safeAddr) return toast("No address yet", false);
+      const rescueToggle = e.target?.closest("button[data-rescuetoggle]");
+      if (rescueToggle) {
+        e.preventDefault();
+        const key = rescueToggle.getAttribute("data-rescuetoggle");
+        UI.rescueOpenKey = UI.rescueOpenKey === key ? null : key;
+        UI._lastRenderSig = "";
+        renderTable();
+        return;
+      }
 
-        const blob = `${row.name}\n${row.number ?? ""}\n${safeAddr}`.trim();
-        const ok = await window.ONTH_copyText(blob);
-        toast(ok ? "Copied info" : "Copy failed", ok);
+      const rescueBtn = e.target?.closest("button[data-rescuekey]");
+      if (rescueBtn) {
+        e.preventDefault();
+        const row = UI.data.find((r) => r.key === rescueBtn.getAttribute("data-rescuekey"));
+        if (row) await requestRescuePlan(row);
         return;
       }
 
@@ -1836,6 +6024,7 @@ ${themeToCssVars(THEME)}
 
       e.preventDefault();
       const key = rowEl.getAttribute("data-key");
+      UI.cursorKey = key;
 
       const wasOpen = UI.openKey === key;
       UI.openKey = wasOpen ? null : key;
@@ -1848,6 +6037,47 @@ ${themeToCssVars(THEME)}
     };
 
     cleanup.addListener(drawer, "click", handleDrawerClick);
+    const handleDrawerInput = (e) => {
+      const t = e.target;
+      if (t?.matches?.("input[data-multispec]")) UI.multiSpec = t.value;
+
+      const field = t?.getAttribute?.("data-rescue");
+      if (field) {
+        UI.rescueForm[field] = field === "strategy" ? t.value : Number(t.value);
+        if (field === "strategy") {
+          const per = t.closest(".__onth_rescue")?.querySelector('[data-rescue="perHelper"]');
+          if (per) per.hidden = t.value !== "last";
+        }
+      }
+    };
+    cleanup.addListener(drawer, "input", handleDrawerInput);
+    cleanup.addListener(drawer, "change", handleDrawerInput);
+
+    cleanup.addInterval(setInterval(renderAge, 30000));
+    // Until RTS, Needed and the finish-time risk rule all depend on the clock.
+    cleanup.addInterval(setInterval(() => {
+      if (!UI.open || !UI.data.length) return;
+      UI._lastRenderSig = "";
+      rebuildView();
+      renderTable();
+    }, 60000));
+    cleanup.addInterval(setInterval(renderTabNote, 5000));
+    cleanup.addListener(tabChannel, "message", (e) => handleTabMessage(e.data));
+    cleanup.addListener(window, "storage", (e) => {
+      if (e.key === STORE_PREFIX + "lock") renderTabNote();
+    });
+    cleanup.addInterval(setInterval(() => scheduler.tick(), 15000));
+    cleanup.addInterval(setInterval(watchList, 2000));
+    for (const evt of ["pointerdown", "keydown", "wheel", "touchstart"]) {
+      cleanup.addListener(document, evt, scheduler.markInput, { capture: true, passive: true });
+    }
+    renderAge();
+    renderTabNote();
+    if (UI.data.length) {
+      UI._lastRenderSig = "";
+      rebuildView();
+      renderTable();
+    }
   }
 
   function ensure() {
@@ -1855,42 +6085,71 @@ ${themeToCssVars(THEME)}
     injectUI();
   }
 
-  let initInterval;
-  let initAttempts = 0;
-  const MAX_INIT_ATTEMPTS = 40;
+  /* ---------------------------
+     ZIP centroids
+  ---------------------------- */
+  // Census 2021 ZCTA gazetteer centroids rounded to 0.01° (about a kilometre), for the distance
+  // estimate. Entries are sorted by ZIP, each as three varints: the gap to the previous ZIP minus
+  // one, then latitude and longitude in hundredths of a degree as zigzag deltas from the previous
+  // entry. Varint digits are base 32, lowest first, taken from ZIP_DIGITS; a digit of 32 or more
+  // means another follows. Rebuilt by scripts/pack-zip-centroids.js.
+  const ZIP_CENTROIDS =
+    "uIqn3bXD0a1r20KC2x1c13Qd101W20SM30606M4x2t30I005u22e2R3j1643n10FQ0e1u221b14W1o20z2Z42k2g21K10x2z12AM2g230t1z11a2K1p1s22f1v21u1Y109N3c1a317r309T0Ky11n1d11830LM1k1E13k30Cf11Mz21Fu404B0A23n2x24a1m40t1J0W171Nc261R01b30070200k1g50CX30DX12d1q21e171150h1r30a2w40x1l40G53SY60T_21e1w20Nx20Ug30X1N3c1B5b2v22Sw12Tr27Qa602n60Bo316x21IY30o170Jc111o21Lt308D1X1r31Qc20GL0v1e11QJ40q22CZ30Tb16w1w9Ht3i19u359x3L92C040n1m4d841401011412200002413113000310305014A016007090083649E0L0C107300E0DB27G0A314606401306421605012207119144Q2K12520221161D2Deq4vf10W2Y102B16o21Rv10Hl304y30FQ0W1t40IM0l1q16681643s1j20X1a10l1o10Oh30Lc20q1a30Qx30h1-10Tx20s1k20v1U0-1i100l206H0d1A9Gj12EW10Mk11v140HS2k1z110D00C2I41Bm30Vn10Y2x30d2C0y1w20j1_10UW40N_21f1d11Sw20050PQ0m190HG0Ub40f1K2k1Q0n112Co20q1n20Fc30j1t10s1b20l1B0k1L4x1c20640510940E907A082854064854060E3J6AGn1y1v4Ia1W11n3d10m1g10e1H0EA0H02b1d10N64q1q10VX20u1Q0n161G719408e10n1j10EC1c3Q5X330Y1p10t1m10Y3M0Z3b200J03m10c191A71FO1Gb10e2S2Te1UMw2SNh10CW45Ol20Lj106F0GW10Z1606I0Md207i31Ah20Jy11280W1d30b1-22G20Va14i1N3DW11NM0e1p401q41Hj32LM11E0O21Ie10TB0C1d11s39IJ02I0Lo11751E_217A16A94s20L100r204m164s118j10IO0J735r20Og23Lf10OW100z1Pz2g11a1i10Z2K0W2b10Z1j209S2u1u14d1b20Vw11Cd20Is20QX10t1X20Y2-10Kc10j1l10Tu11IR1Te11w1j301W31Z100Qp207i20Df12980a230n150c1B1Lq14h1_19Oe20s130d1x11e1g11b2x11G-20N301h100H9i1Y21MZ11Rf22Na312HBSJ05202E0830400F006106507401D0C9u24Y3070Fm1205H01G0h158m1c107083_10Km10F02X1R0HA0FF0K10Y112701GI1Z2F0E42OY19931EV0Qi110d109I13CMQg11296U8AJH28L1IC00d12Ow211F0BU04700D47D0221510A30DI41f10570081495c1a21p1v10AJ09W22758EN2Cd10X1g25Ih205u12L4A2c102214505002700K0734q251t1I5MV0GO0b175Ea103I65x10KS1Vd13As10FF3MV0e1O0780E27z1P46U0Ge12Gr10b14BK202F07C0e1FX1l4b31Ka23CW202f233L1DE2J524V4Sg31E01Ra10Pd31Kc31Ct303N02E19648c306f232s20Hp230H02Y186V8E82X1RE-1w10240100111400110330221120330210320181150640750CA0460490D90510070GK00D0130J41Q103806503A01004304301628603201404607428P7935PM0600414Y153273p1K16F17O0260730G07KP32411040440Br2r1C028J891VE0444Lg11W1800j147G0O01D11IP2p1Q09H2c1M0KL4BV00812s10b1a13ML1RG0MR0i1n119S4NX132A2CIb1i2t1033NLK0244CP0060533D50AG07008305002913808100307K04F38A1A41011312HJ03391C0GB0BEb1j3W41F50X2R0q1c10QQ0Ad10l2O0c1L1SG0l1l19m1Y10p2e31c2d30b1C0y1H0B61GI0400760_2e33a1_32y1F3d280i2J7b3s4Gm2t1SA308m10Ht106g21Dx21IY104E0BC1G30Ic10H80Dp304w205107l108J09F0Gg31c2P0t1O1Rp21s2c11h2a106R2c1c10j1h11W2U0D40f1Z219c102C05d102C1A4QIb50Sj19Z3m21i2r119Y10K30j1S0Kl10B714401908108AB9k207D05N2E80J10I707000B0L8Bq2d21810760NW11O505Q1Hb10Hm20G_25FM1GQ0E79z180D0Aq2h21d3z11y1w20j3p10k1V0s1-22d1j20H10c370NA0F80D702Y13BJ0UA0s130h1X10g1G0v1H0a1a10250ID0j1G0l1T03B14o20Bl10Ew20w2z103V0z2W206102C9Eb14k1X10S300L0Hg20281270G50955X2c102B0Dx203-109X10i3C1j2m20Z1d21A20BC2-1g105d11AA0961Z2n20Sc10a1G0l1Z10m3e10371x2P4y1q10850D80A20750830310920G503E1360740E00EX10DG01F0BA017j3-6H0Om10l1_10-1a21FG0W100n133W1c10Bn402i404t20I90X1r10d1O02Y112a10IB04G03P05T1I32X1k11370C300A5e1h10j1Z143g30y1S1l132Mj31DL10O03y2Da1X104309A0A01E12NA03Re3Y7O0x3f20u1U0j2g21Qf10f1_20i2W10i1M0b3S02-10a2r10OA1x3l10Y2V0FM15Z10h1q30o1_113u10k3Z31n2B0SS0h330e2C0n2T0W4a20Z1K2BK1o3n11x2Q0IQ0n2X40-1k20d1d20Tq30w3H0b3p20Vi40-4X30j4m20w2j218Z11j2M0SY13j1X21Pc30q1V1Np10a430x4j10Lk20y4h11j2H0W3g21b3t12z1-40A11W5f37p4M1EL0Z1Q2e1Ix3d2f58IW20t1z20m1k30Tn304m20QR0VH0LU0w1L0Bq105D0Rr204u22EL0m170RI0Pa12LD0Qh21c1u10n1F0A_10IG2d1Gw2w9k38Y1u33n1n20Ag10s3428Y20x4_30g1u30e1b20X130IH0p1b201K1k2m31Mv11m2s10Z5712d11s2O0d2n12X7d40L70M30N30Mg117F0NR0C9Y4m6y20Z331_1_11M42Qc11OD0t1M0X130o191g129-1I0n2Z11c1S1v1X10w4u11v5h10o4g12h171G60G20_2z10X1g11o1h10m2y2FX6m67k2j20AH0b4O0u7P0Am10d2N1DB0c100E50h6S0o1o123B0940KN0X2H02Q2k421y1B0v5E1k2F0-230p2p10g4O0d5k10j1S0VX20Ca21390k7j10G70N80d7A0a6B0b1X10p1s10C80Sx10p3o30m2r20p2a10640d1J1g7D0t5M0Ra11k4r10d521w2K04A0JK0d1G0730s3p10_3R09W20i6X22X4y13a3T0Ct10f3U0r1s10g5l20h2k12a2R3f162y1T3v3Y30Hg10BR0780LQ0c2Z10HY105R0BE00E055v2m2x109u10m1g41l1d309U1u3W302l50NZ105-53Ah31f1s21950Gh404k30g1j31VO2t2h11Y3o10x171o1w34q1f50l2W30e1I0m1v20v110h1i10j1826K0y1p207M0CG0Bk30a3p43f1o10_1h10u2W13z270W1Y20v120621m1q21EZ60Cw411_10Z260Rr10a1g217x22m1g53X2b50y1m104B0a1c40j2x40-341j5E0c3H0Pk20Db111f20W1s40CF3b130170A21820L107A0AA0450G8Z3a2D5u3t30v1212u10Bg10UC0f3W11u3t11Ex10Bq23z1r32e2g41r280y1p30x1c20Y2a10r269DA14C0g2V08G0Nd30j1q10w2J0n2W10IY20r1v10w3Z41r1c513I1Bn402W11LG0S62f1M0Y4p10R43t2o30Qr204m11Ee10c2l20v1n20X2o51o1j30SE1F01q1Y1Z1v1g3AHe10X1b11Y1H0B80880AD0FW20i1n30p1S0Y1E0QJ0r1a20e1c103d31p1O0w1w10j1h10g2l12j1s201j2a1i3-64i2r41l1s81Kh40d1e20LZ10-4s50Vz70B60n4-10s3e20HN0_1X31j2a10c4f11s3g71_2X80f1S0X1y20HD0w540v6D2e1x20e102d2e12w6h20h1j20j1y10b3w23s3g10X2T0D70a4m41j2p30Y2y70h1n40p2p40o3-21Sc10AZ10X4B0g6b20j4602t33r1y40PA1i6Y50h8X50y1D0b130a3Y10j4N1w7p60v3W31Oc13MZ318i90d3f608q20W3i50Y1-10h1T0Bj51e1e10b5n30u6g5W1lBXB4g1e11d100900OQ1F41Q10d1J2W1q10Tp22U-11EP0b1C0m160NP1HI3Nx10m1m30Ff137H1FD0I70i1w10X1X10-1W10n2r10701Y1503FPo4q80Te40Dh21DX11CW40d1t40Mc206X31N10Id11w4k92j2p409o10t1t10X1h10q2c60t2v90W4m910d108y22v1n70b3R4o2E1b1d30g1a61z2z40c1k21k2u30HQ0p1p71e3iA0x3z70Y3c505O1W2B0z2t21X1z215C1k1U1q2u504O0i1r30z4z11a4g51v4l907g108g10Ah20Ow21b1R0e1g20X2h41IX10k1-10z1E0e5s44l1s21h2b50q4w3Z1s6h21i2z30b5G0s4Y30LL0g300v1f91e2u50b2s41U10i2j51MY203q10_7D2a6c25g2t20r4K01c21j1D0f1B0i5P0r500y1j10v1X20Y5w21Hb50Lq62k3X206K0Tz41Z8i404V1W8W10z580a6Z21Lq21GU0X2T0p1i1r1_Ed71ME30P0Cs104L1x2U0Hr20g2u20Hh10Nd10o1Y11P50910BF0Y1E0UL0b1s20Cj2a1o2X285O0s1d30c1y12b3-316_40C51m3C0f3c40In10g2B0p1J0s2b20n4i20c130u1u10Z170q151X2c13a4l90j4e602t20q2y50x2t50TW50o3z10VE0b1N0o5_31f321d4w50y2x20j1q40b1H0y2D1h1v40UL0Hm10e1D2m1j11l3s10c2x50Ja909f703-614c10i1p80Dq71n3g10Kq10W1Z40W1F1TP0y111r2Y60u3r90Z1K0j140e4g20b5g40O70JL0Rv12k1b38Z6xD758Kn1D0W2X10GF0e1W30n2t204D0o2K0l3M0g340EU02M0LZ20u1s20r2J1M60-1F1X4X11e4g20Z1B0_2l10MN1EW10r1f21g2q20l1V0Y2t107S0r212w1W11LN0K10k2o20_1d10v1h10W2Y10n1D1i1Y10w1E0j1l11AQ1a1m11h1Z10b1Z11i2U1r210Z1P1UL9X3Cd10D0m130TB2D21CZ10W1M0BY10C60X1t20g1y10z1M0Av10Qe21d112g1X2d1v2X2m1k170Y1I0b120a1E0JD03A1X1l12V007A0e1Qc1Pq2c1Y2z10d1Y10b120W250p1I0UE0AO3n1r20Sm10Nb20q1m20z1W10q1v10791d1Q0g220Lj10n1E0Ui10Bl1b1WA_117A0C105328DU1K0y2N0b1a300K0z3b20W3U0z1b20m120k2g30Z1Z11QG1d2p11a160IC0r3v10s4a20l1h20m1u11_3D03S0o3l20b1i30f1L2a1l12a1q30l4p30Q50u371Os30p3Z20o2R2430p2J0a3q11200r1X20p2W20k4T0b2m11v2r20y3o31Rp10X1Fg3RW3b1AO0TA5i1W105d10l1O0q1D0N90u2N01S0n330W3F06N1v1a21Jp20s1U1h2D0481Y1g10B81j1d20Qo11-1d10v1P0H505w20i1r20KU0l1i10990s2C0FI0DZ1Iv4b2Sj1O0e2Z30JG0W1O0Y1l10X2Y107U0Y1M0p180Z1X12GO0q1j202i116w10u1D0HB2n1S1a2l23d3C05Y20GX10s1X20z2U0-2y10DV0d1b10OW10Y260JY10p3j20-3K07f11Ps30X2f100h10F90J40-1U0W2Ve1e3s70e2l20t2s10s291z1Y20q2p20j1V0AA0l1m10g3A00G1h2I0o1F2_1n10Sq212l20Dy204h30580HH1y1204Y305x32j1q20111c2M16n110N0j2c30q2_30Va21_2N3W2M06E0s1z12p1m20c1F0x2b10-2p10X1g1Pk1y30EW10DJ0d3N0u160h170-2Lz2tJh60CM7X1d12E12Um21St40Z1o20010UT0RQ0p1g10m2l31Fg30EX11H-21Aj50j1y203W21o1p11b241c2Z40d1s518207G7HX20150623Uf10QZ10Fw10O60PL0f1M0s1L1670Pk30Z1d10c2t40T502W40Oe20170_1F0a111SW212j20Ar40Hu407P0Eg11Je10Pf32Y1-10Fl10M70GN0VO0SS1R80C610x24Vu210503000B06S0F906B0700K61962AH07U02N06Ef3Fw24FV0K01Cq200Z11JZ10I502Y31C00Al10Bu13Dr10FX20BY10S83TC0g2m10p1p11W1e103508O1MF0Z1A0Rd115D1QF0207Uo20BX200F0f1O0u1O03Db1t339w140AE06M0X2X20UC0LM0UR1Nk10330H99y150BO1Pb10o1u10Z2L19n11Uc20Gh145G49Z10LP1Y2c301J0r1f10NP0u2s20b2H03C0e1d11JD1Ow10h1X21i2o11Z1f10r1c1AAZ71K41Vq13Ee20W1z21Jo20L70u1305e10Ez10n1a107t308a30OW213p201w10KL1f1KA3x10Oc105M1AZ10PU00b10i1z12GW32JX200735K06Y100L1200X2j20455Y2a10j1_10Y1w40Lj50Dk30C001H1FW313_30W1P0Qm106W20BL0Ph303W10HB3a1H0Qe22TC5VY2B2v202007A0820CD0950B20GA0G00R34QB0B1k2f1f10210A20780411440C901H15Y10D0s2m2G16207A0371471441DE3K2X1Ov10FA0NT0-140F50JL0e1m10Lj10Bm10G22l1K0Y1H6d1W15Mf20II06k10N42880Fp104d10QA07s200D2W170DE1Pj104705e10o1d11z1O2b1Z12I02l2d12W2Q0830C17l223Ie10684Vh20A78EW195A02A1D7042038E9Z16y1E0v1F1Mm12I56FG5W1J0J93VJ0200G5196034060z2d3r40GW10UF0EL0AL0FQ1r1A0u1007m10CT0530410761X1V0MI0111Co102z101u10Z1j20g1q216R0j1f10UO0BA02O08J0720DX10e1H0AE0z1E2Y1H0BC0150IG0640170GP03D0Jo223f11451CP02s111404j10l1Z101K12403707e10870250500k100Z1P0a1Y203006A0150460250h1t10FO0c1F02E0Z1T0QG0k130j1G2Eo100109n11DB1630Mc201B0j1h16c1O00506609604H0480710E80600JD014118s25103700704106809A147z2Aa11070520A0024234010v2-1J11d11591Hq12805Y1z20Ji20k1t10HF0Ns10S900J0X1c20NL5e161F828x101e110t10AF0P-11A01531IW13F81333SP0J90Ag11Cj20SN09M0b1g218V4J89SP0Hg1JH002503A0220250821033B700E042707124i27M13401700G00B081090BOS09F2A81500220071450FA0167M70530A90X140890Y160N60GG03105F0L61KD3I60f162410G303701121G36C4G901B080Nb430540320A26N60273U20f140k1D0n1406C0m1j10TE07Y10AD11r10Fa104P1c1O0r150u1g10BZ10E602F17W10DD00K07854p10I101S1BQ04r11Tc11AA0920M10MF1BK1h151S2a1w3h3137GAd108A0Y180_1Z21W1I0a1S0OI0l251V504V0e1N09000q319h11Ad115G1GY200V05z11CI0Fq10g1B0RE0990w1d10_1c10HL2QU03B2W1L2n1V13C0W1o22LH07l10o1c12NF1FA14a112l20m190d2F2Uo2Fd1k1I5Z103P04o11AV1E404M0J81Cp10JC0Kk10FD06f102i10GI2Tb10IQ44Z10JI3Y169D300C86P3LY116F03X110F05m10SCJz7t50i2W207C0PS00e301g10Oz50n1e50Sl40w120Dg10d1b216z10Oc50Sv12x1y104f404i10q1w10h2z42Sg300_10RY10UA0A90360H60M404805D0Kk10b2E0Vl40i1g11c2u30540Vv114F0W1S1FI0Jl10RY50Ez50Y1c10HI0I00HG0Ft20e1W21JT0Qy10f1p20F10U60Eo30Cp20Vb10JZ10i1q40p1x40FD0Mk20b1t10-2i30v1v10-1g11570TH0z1b20i1-105S1M90120Fz10KS0n1Y50m1_10PP0I_102k10VW40g1f50f1Y100K0a1r10330X1Z13-1g10120300620B6041024062041w2j3o30_1n10W2c20v2f30c3-24d2f21Z1R2Y4i211R3l1W11DJ0Y2c10l1D0JD3BJ1c1c110J5KI08A0b3n20Qc10Y1K0Rh100A0P30SQ2Vr185I9q16Va1v27Ie20d1x10Y2O1t2S1C00OM0W1b20b1g204b20X140k2I0f1_10X1g21-1E0t130W2L0v1A0a1q11Jt174O0Q91Of10Fa10r1T0u1w11p1N09H0k1c111p103V66w1078d1Dc309901724C-2c5D0u1J2z1B4Au10TN0u141b1801X120R1Sq14Sl11v1q20u1p113v12b2q20-1x10Je20KV36D1101005D80Y1h119e10v1R0M-12c1j106t10NO0Du10b11j1W1Z10260740136E901I0DA7IZ107K8651l1a10416o1Pf19C03C9Pm2ICE0j190430MI0A054A0n1j10GU0Ih10X1c10SI0O61J11HD0270SM7A40Z170L10SB16D1970X120Y1Lf1c4f30AP15F0Fm314F1Cx10t1s21k123X1C0G62E40B_100Z10Fy10340I_20g1O09B0v1k30w1z20Jo30l1L0a1M0SZ31Lk10C60Hi126337z11EY114t31Ra41BJ0Sd102u12TQ0w1n20h1u21C61471Y1d51Ra110W22Ly108Z12IV2No20Gn11JU1B11y1j40X1y11IA0DY1ABS0791CCeY1o1s20520200750420000001460200030100100211460020230200120240110210420200040200500200620010420200440D107B0AA0JB0OC0623J3K01345516R136100200002A43B5868N33000000724235102001000000022000011000220L13d271622011001120IHD00900503G0120570BN08I03D0KK03B0B01A4e4i1m10400220710020400420220500220280130A703K0730C501301500A0430270D80120150ECPq2E0v1F0470KY10g170TM0891a1K0r1n10OJ0c1k11t1B1w1J0V205s10GD0Nf11h120A80W2L1Hs106L0Z2A18H1G20B91y1C0DK0Eb10l2O1k260A30110p241k1J0480M90DH07i10v1N1220126s2i11Tj13KH0042VM2LM2e1M0Z1R0s160IV0p2U22J4a2700S0DU0Z1z128G0510Y1Z106e201d12n181430460B0025045z2HD1200740050E405A031024047w29E1350A40B6_2s1f28O106S1l180c2l10OV0HO0PQ04T0c1P0f2w20Y1p202g20R10a1b20b1C0EW10DW10W1516L0n1B0c2v10L96G608Q8X1U1f1O0y100z1E1A41k1r21v1Y31750q2p30v2-308J23I0o1n30Ls22e1p20h1w10K40l1m10KN1Cr10Cq12f1M0Y1D0i2Z20v1e20Hh10KZ20Z1y30Up21W1e10h1c10L01w101Dn32t3e51310A00204B69E502314004155A9721237G2j1h1D4QZ1042014031082033215x2B517C0590G200605A00409V02G0G00980250DB0C20480050700130230AI0830P30330G801115903E0450C703004I0D20550C80C305903M9ALe3ES03206302605206401003200802303101501200704502302300403101001401414D030006531P1U02305201H0A205300204001403004705O0C501B16M0150120100B91C0010032045032282B31n1AW15411Z1F0CO3K01NN12C12I9GBBS22781090360H203311504C0261030FL05801B0u1O0v191E514003M1Q70d140GB1702AC0OD0321C00X1B0338MU50D1PDy25901500301723B3Oa30760IA01504y105Z12e1_10l162Ms307j302y206L00L0B10Cc20IX106v10NY11Gp103a10VL0e1k21NX205U0QR03h10Ks21f1_12Mk20PP0W1b10Fw10460Eh22DC05916m11F706806f20Kw105Q0Rl205U07H3620U-20K209r30Ci30HP0Eb10b1g10F10i1j20Li33UB0A301Q0RX10KB1X1I0Bn20c1w21GU0J_10500Sm109V0Ff20Qc40z1d40s1i20f1X104e10If20DI22R14A032W3Y1Y5SCi30Bb300-102x20R50i1-113y11SP0X2t204804U1o1e11l1T0GB0460Hn10B90720k1w10Ll20W1e60l1j50a1c20g1c20VZ20f1T03J0IZ106y30E90A40601t1p30Kw218R0OS0l1r10Ab11GW403J0JX200810t1QmAh60a260TP0m1P4X4c216e20-1B0y1d20E21X2i30Df50NY40w3r31X1g104-20d341c2n60e3N0t4o51e1b40d1_10b1W72w1g10Hx30b1K0a2X41f1o406N0s1c13r2L0o2e200j40VW21W1j10g1u40z3p30u1R0f1k30c1T0BW106R02f60s1i50Db30h1i20m2_201O0840p2V0-1C1Y1-10r4o20Kr40c1w30i3l33d2o50b2p30u1Q00D0y1R0n3i12w2i31X1j60f1n10k2a70Sv5A_3k41u6n41l4a44t1a10Eb80-3Y40n1i31v2p20g2g30x1l403m40DZ106k247p102_404c51-4t31d5a40u2l30Lu40s4n70Z5g62b1r10SO2Lt20-1-10f1l40q1e308s11v1-10-1R0Z2p70Nu60c1h30RW30OF0Mz20j1c32W7t30f8y50e3z50p2R0Us704F0o2h11j4D0M30960g1b50Z1s30o3_12d1g41A509B0X280u2K0j1r200_20c1u40F30q4n31t6y20Of104n20Ba60UR03z60Cw635P08H02O06H09801601B0140480A1A3B312h2e1X10PA04608900H01M04203Cx2X5T2X1j10Y3S0h1_20g1i11l1c102n10b1i20Ql10y1o10DM1Rd20b1w10w2X10Z3C0Z1v10q3T0QY201K0P12J00p2Z20Ka30g2h30W1W30z1G07h10c2b20_320Y3q210d30Ek20Z380g2X20Gq10x1W10W2f11x231w1M0Hg10Uj10W1s10Bn20Tq20c1d10Pd30Na402n10h1Z10q2n10c1c30d3F1u1m10NZ20IL0n1W31k2p20UU0X1Y10t280250o2806l30t1q31G42Al20VW10w1s10t3X30c1s10c240h2K08C1Nb20g2s20Th10i1b10l2e20W1X20QA0q131v1W12d1k30m1J09G03X22110b353C10a4m10Z270d1z10s2e30480j4f31280q4c20v2A0g2V0l3N0W1z10s2Y20t3F0c1B0Y3y202R0b4214N0c483t2R1NY11Bx10Nd10w4k30z210W1W10v1z200L0PV02e12F17y131p1a30G20c4D0x3b40e2c41p1R0JO0g2R0F910H0r2f11D80k2W21AD08Y10d230e3V1X2c10V_22A203s11a1a21N36AZ215A025W37X5HVb10W110F-204C0W1x30MA0Og20t1l22f1e22Cp10c1q101R1Or10b2i10Y1e11s1Y10JX40Ne20Z1N1o1b10b2i20-1204t10DI08R09-101X21Oo13S00TG0Mv21l1W204u10HX30q1i205d202306s10d1q10f1f20Dg13m1A0a2h20l2o10KJ06c10n1L0Y1q11Qd20Di10N40Ir10W1200q10F20VA0q1d20z1D8eBc81340A93o2D0b3u10o1d30EH0W2z11n1u40EB0Z4-10u3t219c20PX101i10h1Z309c30a2x12Fa10b1529P0W1e20f1b309Y20k1Z30i2m20j1c20TT04R1k180Sv40Py10JY20BB0FF0y3d51f3g80Z2d40u4R0Q10X2E0f1o40q3r20d2h20W1c10Ao10l4d10m3I06k20Bb30z300c4h20d3W60Rj23w450r4Y10-4N0t4o20o3l13n1b34m2c30r470u2n10MH0Jm3Dg7J1926e1T0_1S0Bx109j10a3r30Fm301X30Gc20j1Y30s1k10Dv300-30d3p80q3g50z2i21-2r40p4_20n1s70u4R02Z51d3w50e4l10F106C0j3m20c4v61f3Y21Fy20HJ0RF0-1c20Nj40Jc13M-21k2_108d216W20d4y20s4x60Kg600T0v5U0830Y421p390q3n60Go105j119m30p1l11My40t1f60h1-60-2605_40d1Q0-1-10i2q20r2b70Ec41t1v11g1m20Z2f40Sc41a1x12u1i30z362Y1802t20t1w1Lz7jF0K_22231b1F0s2w10Qs20Dh10Dc10Lb206i30M_40j1R03m50i2d20n1a21Kf10v3Q0-3p10Ea218R0l4d15y1u10T80n1l20g4u32Df22Ff20Va40h2_30g2o215d50g1a51h3d20e531X4V0G-40Z1_30o4V18m20x3B0k1U1Qr20p2R0s2c40k330v4R2Z190o231831Z3h187e20Bh10y4c10f2U30h21D80g2_10Tc10AL0-1w10Fj10_1y20Bh40p1-10k1705u10g3T0_3w20k2M0n3D1y4_343g20TV1x1o30u1z30_3y21w1V1W1_30z1y20Y5A0X2p30a2q40GR0j3_30_1c10Sf131m20GD0Sz10x2a60a4l50Pw50_2l10GT06f31e2w50L204t30b1n30Y1-10o1c3Y1v1H0440190980E60B90E200H09M0E20611HA0BR3C040OJ33j1A9Ac2-50Gr40Pa30P-10a4r12X4j10k1W20r3j11W5g20X590990HW10e4t30n3c70Eb40M10n1g30-1z30LY10CZ10u1y20q1x30h5W40w7d20b6X10Qm41k4X20p6h30Es400b50Po21Co10w420r3Y20Oz21p2B0-6N1B10j5j11LY31c2E1o1R0Su20b1r30v2R1W1a22s4g20Z5V1u2_30h3o10y1o21-3f40Hg1X1p4Z10q1m10q3f11t3m30X1309l40CE09a60x1h41s261x2G0s3k10H_10n1H1W5g20r3X42Iy10b1P27W62w1h31i2Z11v1K0W3Y30d1Z70j1W40X3W10e2x202A8f3u31a2a11QP0n1x30GO0h1i110w20Hf50i2V2h233W1s40e2r200-30Y1x50W2i30Bh21r4W40e1h40900KD1h1i11h1c10k4_30l3U0Ba20o331f4o30W5r40d2I0n1q10o1X10W2l30Ks40p2P55A0CGY3c5t40GW10391h1n10C60y2M0Dy12X3d30i1e20g5i60z1x50d3v104O0k3m40z2b70Pi40DS0w5k20p4p60c2g20h1Z20-1i70f4X51c181y2g21f2t40c2o30x2n30s1-40j3f50e2w10FI0m1u30Ed50B30Ci30x1n11u1s10Ql10W1i40v2z10u4u30x6l90C80m3Y61St10o2g50z4b81m3e40f6r30k6i40p6x50s7o71d2t40f3i10Y1W30q3D0960HZ30z2k21u1u20v1r60t2_10i3g10i2w51Y1B0Z3_40q1u20V70r3f30Y7e70v3r10r2t61c3w72x1X10It40Cp10x1h10k5u60t4o10u360AG1Hb1UbFf30Jq40Fp80o1g40j1v51o1i11m1E0f1g80F62Bx906s210A0o1m50v2d51u2a60370v130S50h1d303s20DF0s2q12x1t7DX1q50g2A0Sf10f1X40Kk11Cu11n1Y30Z1t10w2z512m90j1Z60Og61X1f84Li10a3Y40j1r53a1q10r1p10i110j1c41Um20m120Hv10NP0e1u10h2n60d1b10UW50u240D04DY347V0b2r206x32W2w31g130v2J0c2-40X1n72Hy409S1Y1p307W70c1z30AZ21n1W40Vj11S70v1h45Oe52e1D0Iy108b10X1z40M40X1_20f1w4Z1Op10HH09G0IE08N_2k5XG2T206o10v1v41e4m20l4i11m1K0a3j10n1S6Fa13p2708_20W280b2X20m4y10d5y20Ij10q2N0E30j290Vb10120W3-20X1B1As106d10_2t30GY30q2f13f1v10d1_12k3w30r1O1Sw20b2z20s2w10Z2l30w2i40r1x20j2-10Uv40RB07Z11Ei60UO0q3f20Z1d10r2O0Z1t11u372z1Q4Fs10Db30Ke404716Z30e1y14f2p10-3J11w13Y1W22x5V0w210g2Y115L2Gl10Nz11l3S0O707y36q2d340o30q1x20r311r1t10Ek50g4r40H41x3e209l408E1RO0a2c31d1X11y2-31n1b24s1v2Fj3h30y1y60l1b40o1y20BR0t140g5V0p4a20m4f3Qb2M03203404010A0EH07A0030980A201004D04A0160490430TA0500C20QK0BV0A60PK0I00890HA0W15V71000d1Kn101101204I04Df3OW513w70X2v40Pm40W2_51_2u41w3j41PR0Rk10Fi30Q71h2j40-2e13Nk40Oq11f2x41RD3Ow43q2f343E2D90h1x11Aw45Vr40Me40g3j51j3e20q150o1b10n2Y20Y2r30z2o30k1H25G0k2h302H0t4e60a4f70l2s30Df10e192Hg202_10Fu11u1Y4C2b21PM0c1C0VZ20_1q124x30y130b2Y30s2y100j40Y1G09a50v3b61W4s31j3a30i2n22Z1z40s1o30_2i21Pp30e1d21i1Y60Lf50g1e21d3l30a3u51f1l41Bk60i250X1_40h1u20Jz20g2D19i30t1x403D0i3m63AE0r3f50e2l11Uo10Z3m10Qw22Y1x13US0j2l51s3F0x4g47a4O4z1L0QR1d2a50m3x102a20p2_708i1Bw1u102200J03M00506E07202L0M30F603608706100E0N806J01A0C004A0NH08H04i10Cd10FGE10w1l6bA46o405-20B00a2G0r1_80k1Y80Rr71MW70f1K0y1Z803y701z601o20j1l20Hg60c1l70M-10r1b31e1Y407o40C_60Sc41JG0Hv20BB1w1s60z1fA0c1e80t1z30Sq506h600o30Jh40Iq50i1e12t1l502w21Ff41s120z1e403u20g1x305t308H2X1w661v61Y280b2g71KX419W50Sr91W1-80z1f106v11Cd50Ke20d1W20m1x20T11W1X10p1k7C8w60UZ30310G908Y70b1r60q1E0So10R40DK19a209b60Hm60g1P0X1c20W1m20I_20j1x303E08U0e1z30d1W206e50b1G0q2l50_1c229M5m2d505g50z1c207_50w1u20Ic20ER0r1Z41PW50Y2d70G-72Z1k12440CP0d2n50k1Q1b2m10Is30-2x10Z3U2e1T0C411g114V0d1d20Ni10e180u1r202S2z2f30k2s40Tp10Px40k1aA0c1h10b2K0m1v80r2W20w2m52r1M1Uf20X2q20q2p30v2Y20Cd71BU06e224g41AR09E045_2f9tL10K0p1V0y1c101-10491At20E41v3i31w2E06Z21v190DY20Qf30Z1i20W1X30r1a31y2I0t1D0g1t20W1O0f2u21w140l1h21X1y10Y1506G1N701F3u2r10Rv10Ii30z1C0k1Z20n1s21o1000_302q30Kn30v1E03709u10o1J0d131-1r10x1i10w130b3s20870Y1j10u1q20Mf30h3y10c2k12Tx20r1Y21s3b20Ri204104p30r162i1U0d160Nq20g210n1E0w1h20_2q10G907U0m2_1A9M0p1F1Ga112n11IH1Pc21623QH3P41720152Md22X1w11Ae100701515C0W1x10Fy11S50LC15Z20c1503g20R704C0ED0L6q1IR06P0FI06F03906e10D30A60AD0H30450660360A902K0JN06M01604H03D04a102N0A805008V0LK05800D0U02DM02J0H20Ie10LV0e1D01Y10BS1TZ21A2GCOE2j161c1745Ax1j18f2j10q1w10e1n10b1o20I20j2800v10e3K2n2a10w2d10X2S0Mf200c20TM1d111u1z10Uc10DE0Q60f130h182Sn20Lm21w2Z20z230s2O1X2Y10KB0F80u1T0j1i10j1D0g3P0n2s10Pz20g1I33Y20M30X1t10g1e10m1Z10n3A0Y320x1F0g1L00q20KH0n1E1Rd15m1v10N60w1a107V0d27K4m482V0Vo30c2b30N32NU0Ud11A60J60Lq10Qf10MN0p1o30e1b118p202w10Dp106w10LG0a1v10PH0KC0R80NO05S0u1r11X2i11u1d10J70I50Pm10Uu10Fh30c1e10X1908d10r1S2O50Ui10F017d10Nk208v20620i1e30Jd305y202d10Sn10x110Y1E0Co20VL1Eb10W190X2P0g140H70g1C0v1C0e2I0VB1E004F0b1E1SE19903C0Oi118t18F-301L7De19U30Is20p1G70f20m1V0p240i1W50Fr20Do10Mk10AV0Px20s1m10X2X40o1q10Z1J1q130X2c20a2x10432X1q20Nz30Fw11Y2g203x21Z1P0VQ0y1k207h10EZ10b230c2Y10d2I06r1Z1k3p28Z1O0a1j10X1A0o281b1X10Na106L0y1i10n1B00W11t140Y2x100U0Jf10SK0Bu10n1D0a3b11b350c230FI05H04M02V0J900-10Bb104R0o2S0z1P16M1n1s10m1h22BY24Fg10u2t21f2m213j30Eo204N0Hd11I40Z1U1y1V19k109O0Nx10c2C0h2C0OR0Ha10Hk10QZ30HE0Y2W103C0a1b10n340c2K1W1E0_2O06r10CK0o2B0Z2P0600Fs119t10GW207f105L2q2i331144w10i2H0j1M0h1n20Es20Y290Z3z10192GY10u1w10h1C0Kt208c20h1h31A80Ma206A0W2V0f3H0k190q1q10r1913d20Jy30I501h21Os10241Md10x1W10Q802r10l1C17J1CJ0m1Y40h1d312T0Y2o31Px10Ni103F07C0W2x10GK0l261i2428V0Z1U08I0l1Y104r303i30i2X20z1U0s1l10n330e3a108A1d2b20q2e1GMo2Jm1Y21L_101N0Fd11Og30Kv30Z1N1SW402m21SN5X2Z30IW23o1f10X1K0n1p20BW20W1S1HZ21w1O2z1a10i2I2Ld300e61X2_40Gb209i20341s1i21u1X1Uv7X201811603P0I826CACZ10Tc20e1Z10Vt10p1m20-1O0h2Z10c380x1R0m1H0b1w10i1B2j130FX107G0AH0g1i21M71PX10E50Ll100g102o11OT0Ff21Fg20510HJ0g1N0L-108L0e1J0VY11MN05H0Fi10X1Db1g4d70HIHy171DY10r1307v10e1s11Nn10Qi20Df10q1A2Z2n10Ca20o1x104a20v1x20W2a11DM0FQ3Vf10TJ1c2i108Q09H0Jh207G0HG0a2W20r2H02H0y1h11_1Q1y1A1n1n1294Y1s1Z103P2IG4u2906M0l3h10W2G0Ok10t3r10m120X1c124h10W231j2y10c3B0GL1l1y12s1T0MV0h3P0q1m20q1h21h4Y10m2G2Rr10f1M0q1E05N1s1g20Tp210G1A50W1m11NO02X20p1H06u10f1J1q1T0h1O0s1PAFW1Sz1i58I90LW207h20i240Eg12UY10p2n21Y3W21j320OH0GC1d2d11A909N0-1i21c1r10W1q11BB0f3X11200k4i20x2F19T1b1I0e110f1M1m1_10r1Y104I2a1J0y1L0P30r1a21g2R0x1Z10W3g11n3n207-1b1Y4t192p20-2q40h1U0b1v51Gd10Ds21f1k11o1i10840b1v227m20q1f302k10e1-21l3x10Ec10k2u20v2d30Y2h44Y1o40l1P0n1h20Oa108E0-2u30l3r30u1u32y1p10t170IY20t1b20O_15EZ10v1k30Cz31Ju20Y3g24t1v10-1Q0b4j302Y10ANQy3r30Gy50X1h30Bi10g1q10b1b50Y1e420z30CR0Jw12W1D0f1u40Sd52t1u40W3j20Z3f20c250d2L1W2W20LW10y1S1X1r32p1u10C-204j408k516Z21Lt10a1U0IU0L_30Dc2U2l1Pm1s101104803202F0B50GG0710780AK0CBY1D7365C1Ib1v9aA0D58I-115t22k1E0X1Q1GH0W1E0p3m10E80940w1l30v1I1-242v1F0b1k11LO0AC0e1z10c130p1600s10a2p106L0d103w1E0Lj10z1y30Ch11X280q4H0X2s215F0p1z20q3B0z2m21Z1j11c4D0f3W11NN0g110W3O0f4h10-2H02k40l2t30g3M0t3W10OT0N-10a3t31Qs20r340D80q3b11z2F0k2k203j10d2i10k2V2r3W110D0c4l30t1Y30t1I02f13o1h11c9b1I_1q43Uh20Ur10JG0c1A13A0TC0QC0Hn10V80Ft10282a1G1Vi12Ou10MZ20AG0Rg21U30Z1t10SQo1z6w2023025GMa308_40a1W30f191Cj30Em40v1Z106E0u1b102j31n1g60KZ70MW30Rg10m1h20d1f10CZ101i30FH0Oc315v40Jg30e101Ll102W409r31TW20Qq100n107W20Ml50Fi41El30AY10LR0DZ218A0m1c40r2V0Uf11Ru11EV0k220h1e414r30Te20Qh40l1i10g1t104g11EZ10Na6Ia5485Y303r10161a1w10Fh719q52o1h10n1l107b10s1V10w60j1G0o1_503k102y10h211e1e108N1Ar10Ge204p40h2a20Ie20y1h102f303o20Nr12EW30Va20I_51Ai1p1_8X20Je80m1h700u50p1d40d1g21a3v20d2c609b212n10q210_270Ia50e2X30f1E0X2b10W230Fz30Vq60o2d10X1Z30Na20a1g30z1h30m1y10W1x50Am51ND0h1a10BV0c1z40Ri50Y1j408o50Z1y102x60FW50GO09_20Y2f404s30h1o301Z60g1m40En30l2k10g1n40Z1j10AW60Y1h40_1o40c2d20Z2-30-1Z50IW10Fz20AW601v10g1v10d3e60X1r40w1x306o902h50Ce10p1Q0Kt410k80a1n50Hd40k1e30h1w40L71c2h10t2_20y1X11a1Z112c30v1g50J514l521o10u1v123i304A0Az51h2g402100801146A06D09M0K20R968Bm2z1x40757s160t2r40Cc20w2y10b3w10Y2n21W1W11360990NF0TY20W1v20FC0d1O2i1Z20GI22i20Ld21Nw10Bn108o204r30u1y102o106Y11Kn20b1U1510p1K1u2_10Z3i20i2T0f1V0y1Z10l1q20a1t11Hg22m1j20t2i20s1p10n2A0y2r10Ti10Ce20t1b507a42Y2h1Td1a50Fo30Mn50AE10303D1Hk519j21Ca10PY20q1h307R00Y30Af10SB0j2t303-50MJ0i1X309f10d1219W313J16P7a2K0f2l11Io204x30B-10q1w113A1x140Sp21Pq30Qn51Pg40SO39X10FE0Gb10Fu10W1z10Q70Pi21A81Sp10h110I_1S5i200E0790GB12Q0ND08Hy2k1s30Bv21FY208S0CS0G60Fb10f1a12Qx23LM0-1o10r2N0Y2k107X21Ea14Ta114L2Z1b11a1a105E0V51k1Z214i12GL11N1JV2000Hg10QR1DI0Gy213N2b1T1CS0f1J1QT03c11GF0W2Q0Rz21Nq23691c160r111e1Q0X1l215a1GM70BC04F2G6-2u7l30X1h1H0N00N1q1T0e1c42LZ40d1i20a1Z40l2i50W2y15RJ1Qj40Z1Q10e410n30A_11p1S0O10Fg301b40E70Au31Q61LW11Uc11C_61PW60i1f10Vt50m1g523i109p41Dy20z1Y21OW11W1p40x1-20c1d70Hu3Lf2y38q1t11f2d10CC0-2Y50l1B4N60Il10380j1Z10Qw12N_21Ub10f1c21Oc21510Kn40X1s30q1Z22d1e307v50EW21W190FN0q1g40Pv12790X1u21Lr31e180W170Nm10Hc20u140t1d10D_20I41VU0w1O0h1c10BH0o1C1Tp119e13KR1W2c31v1_40Ls22s140Z1_30Us20C30p1e30Ch3Bb1Y4IOB0B50X1o10Gf11Io13NN0GE0GH1b150e1601D07B1JV28L1Ek10JI0QF04M12O03J1N00Ga10170BV2Jp11Ue207g109L1HX20SN00a21Y170j1p21Gu21R71O11O61d1t209w209t20Mo10Sc20Pb31u1-1Pt2s30Y2C08q20Fl10Z181E305118E9QX20l120Ka11NA0g1N0l1U0Y1V0MC17q10X2t10i1u12A70Rv125E1GZ10CY10Cd10f2q10m1S0Rn11u2C0X192f170s1m203R0Bv107P0Cq11HR0d1G0m2302y10v2f10D91A80e1m10Kh20E70140X1e21e1413200x10Z170g162Ak10b2Z18Q802107108B1932GQr2BZ15g2X200J7Ay20p1l106M18f21Qe11N50Y1R0T30W1W108F0BA08C07F39w101n103D0BQ1UH0Ts118d21ME0PS0G_10581Hw206d20MX11BM0I50Z1q115L1S002S02_1i1KY60CEIDX10LL0u1O07s10Kr10L40X1K0o1a11r1_20920a1a10b1j10Y1A01Y20-1g207P2IK1n1f30t1c10k1h114H02N19Y102H0b1e213p10480W170Bo10g1J2p1F9O90Ey10Nv1U-2d11Is211r23Ph11c1i10Lh10i1c41AN1j1t306K0Ag12p250e1W30Ld11OQ1w1d20Ng119_10N808e309f20u2K0v280m2J0r1p20KU10e30_1v207c10e2l20TS3Lm20Gf20s1i10EB0EE0r140Tw10DQ1Pp20a4205L0j3C0Ae10s2Z20z3S2a3k108h20f1X10Cy10Bc1TNx202705C1550K405403014A45N0550IMo2r1N0LZ363m41w1v21Qh203a30Cx40b2m30g180Ab41X1y30BZ10y2O0t3a30y2d10Lt30Hs20Mv10IY10SO0z3t10s2F1r1e20VZ10g2O3Ja208204700D0576FF3Bl10S20c1k12p2J03W2d1W1T01Q1AR01C0DD0D10Y1701Cx2i378Kl318i31b1_317g40Sj406o31Pm20g1D09D0X1K0DJ0Qa10FN1Ah208B0OC0DX30f160HK0m1s42Ip32Aj11d1u506t10L30Kr10X190-1Y40Z1l51O10Ew11h1J0EFk1f9o70AA9580A00FT0391KC2OM08F1Z101DM18Z11BW10s1P1l170Mg116b20d1W11Ok11HC1g1j11DB1Li10QL22A06t12j1e20o1_14L315C17D1LY22Sd20G11Oq11z1A16D06s121RKRN0CH0b1F02E1OY101e10TZ30Y1y10Nr118i10f1p102B02814D06W11c1e203A0j1v20CE1k1M0d1R0Oa11f1X10W2y20Dj20h1B0090m1O0FD0T11g1O1EC0Z1f11J20w1W11H80Ge12l1b217b10o1W304U0330070142v1z303C1I402E1EI0k1k22_1x21MC07X10HQ0i1M0h1N13106A10F0CG0471C70T30Y152Iu13r1j10g1e10HN59K00002511C0030200101MG0X1H03J0e1s104706419b103403E09B0060300CA0750G105H04007807404902A01600606C0460990EH0JD0AG0600NF0400IA0N10620060500QG06J0HH0Gg10Z1b10i1q1o4BZ38JX30Ne10g1W234h20b1k11EG06z19HF2Y1Y313x154G0PS0c1n103P09-12VT1LF14H2s1e22Ht13f1p108K1a1811A14124Q0Jk10Dh10E24IS1B10206Jj1Aw1c314919A01BFEM2Bd20Ie11LS6o1r10PW20310IP14K1Vv117Y21S96Hd10Iq11Hh10EP2FC11o11SZ20DB24U3Q90FK07G09d112e2C4L1GR87n31Y1Y30230750Eb30CR0n1u21c1908S0RC3SX21h1q11L91w130n151Mq10m1n22IS0JG2Lf10UM0l1I0S61EC0940p1v10m191x1Q0m1n20Fc418R1e1p10Ph10HM2U803U30l10H-11Ka114X10Z1h11CNX17s10541620870BI09F04J048026036v2p4m10850a1u12j1R0i1H1x100y1K0FV17620702025U9d1B0CC0w160l1F0Z100s2A057W2BK0820810FF0660260890BB04Y10C1w2_3809018NPx3e304h31W120c251S818L0f4Y30Hb20-1Q1g1Z10d3m304Z10g3h10d2A2Ud10Pa20k1b20k1F0n1Y10Y2R0d4O1a1g21Ol11i1F0PQ0W1f21d3w207W10m1V1j1a10S01Bd31Vw21c5h21n15042KVX900805104700000104902601402204206121505500K0140760573297723G303172460342512C444e12t30n1l22I-207800C0F02Ux21a1W11h2K0m1U09425E4i2d10Nb21Qg12FV0d2c20GZ13-1D1l1k108h22Oy20992HI00F2HJ2Y275Pq10A20HD2JZ10Mq10933Qd10OE3IL0t3I2Y2X21z1806K2m1m20512A22i1v10_1L52o4F23911900401404910u1A41B1r132E44120H25603201388457302k2164004079044224141A5893804402027O189r1W10750AH2f2m10o2v10HY20x191Y1l10C-10W1P1p1q10o1j30No10p1A02s10B20Kt10IF0W280l2M0FL03G1Hq20c1N0Z101q1X31Z1w21MD0a1b11EU0Dr34j1u10i1F3p1g223e12Kn108m10c1l40Vs20740LR0Y1d21Hy12Ny22C83PN0s2X30H-202X306u21p2g13450y1L0l1K0PI0s1N0a2P0b3C1460u1r31QM5i3c13FL0FA0Q50BA1JJ0Ru10Sz11l1s20w1f10B43EB0F102V0g1G0BG7p2o10U21Bf20Bu10s1x12811110LA0PH0C106E02807923g22BJ0g2H2f2W10q2Z22Z2C0Y2A0z1W20493Sp102F0260j1I1K010a10w1h20Z2m20D01c1h204306009G0528k1IHZ1b2168034037085051Da1G0C43Hb20K807B10M04J7Lm101C0500A60DP0MI42K0060633DI1452Q_108E1X1H1GE0D805B0CI0511I23792b1O2011000640232KN1Ng104503C0A008103B3H2138u2e3W535I30X10F11Z2f10y2206S00C1DC5Ab34AY30d2j40-1q10580x2C1w3i20h4n20w1h20z1-22c3q11Tv303I09F00A0710e2m205_21Ig30ND0p140Y3r10_3414o10g2D2t1D0199W2Z12S50p2I0560140m2m33FX21Q00VM1092l1n12k148o1f11Z2B0g2q12z362Y361d3N0962q2J2i1M1h3a15w181Eq106l20e1Y10_1j22C53X3o13Y1H17O5W3P0R10m1a20Hv20Ro20Op30KB1Ao407p10r1W109t2b19k10221M30LE08403Z10C000C03605108609606400N0720060480JW10MA09905B04T00M09F03C06N06D02C01C0481010KE10A09316H0d1F3Y1L5FE0IQ085W10104A0L3n3z1800G0931IB31My2y3lEH0j30Hq11D50k1u140405k107l502w232b11n190c1g10N90C_10As20A11CM4z1h34c1c51Bf22Ai10F_204Uc1l4kI5a2k12m1f11x3d10n1c13k381Lj10s1c11_4F0k4c10v1z106y10d3H0L40e6Q0f2I1t1L0UY11t2p20m6a20_1A1Dn204s20M70TN1r1E0-200e1H1d3_10v180W4y20W150990h3p204K09A0Ai11e1D00V0d2a20i2H0SX20j240G50Z1u10Sp20c160m2w10Te10n4v21m170r2w10g221b290a3f10_1Q0e5C0j24Le3t708L0L503I0C54J30e2r31Rc20NW105T0B604e10Ad10-1Q27n20X2s53e2X25Rr20CC2d2c40601c2j41AI3LB3If33X2u506n10KN0Qs20l1l23Qo23c1Z706W41p1a10H-108K1Uj20Pu11MY10l1r20a2e10d1_10o1a10Jv10L00c1g10n1q32u1d10Hl11X2H0s1-117T0b1g20u1f51n1s40g1j12j7aA27U53V06-21K80Pl42z1C3a1F0Qq11z1h21a2o22h1q10y1d24Qf11FY10r261k1V05y30Sc160f200C0t1R1OZ12QD4g1C0Re30f1b10V10o1p20z1b10Sk11u1P1t1a10-1u21590Ab1Et1VAy8r105H0420A36G80t1g10190Y1L0FQ1Y1n102F0p1o10m1I0538p15e2h3d8B7D9d1D05A0Y2G29N04G0750CH1343LA1KY104906107A165Db145-1RCX2KLq1802DLBJ0f1E8TTFm1i1063053051IVV7W2S0250628_140CB0757o1q105802D01404707A0E513A11012H03Is29202307004506A0H904A0700190C10A101311I09Hr2x2Z232I0IT0N50DQIRW14f1w50c3h91l2Y80Mj30x1-10q1b14Q24Y175b3a158m18c152J50Fq12W1Z43h2a41GC2i3X52j1o3Ex1E04d13i3t60d1o41No324b55Me38LO4GZ606-22EF0X2c62s2_93b2u21Ls42e2d61GC0Us11ET3n3m36W2X64r1e73t1Y219G1-2t6Kq6n405L0SE6x2D0a2w18J72f1L0o280Of11v3W12W156Y2X11n2W207L0u1n10Re20B40Gh30Au10Ai13x1z11ED1k1500o10UM0h1r129D2KY20Vp2a1x2e37Jd11QD0Ig303j203o10Jv10i1G1X1s10Ev209-311p30RT0y1W30b1p107a202_20Y1y30j1Z202R03J05E02U0g1k109f20FY30c1z10x1v11e200d1s202U0Gb42Ie20GT1H1p1f1h40G44B12m2E03b10r272Y2c146R0p1T2g2a32x242u1f20LR0Je21KH0Mk24t1t109T0u2c10n2v20w1Y30Ob10l2A0a2I1b1G06v103q21Mp1l1l3g10Z160KF06I3122EI8Pl21t1L0a3u37v1n20o162KS0HC0b2L0AX10m1b10Mi21Lk20Bp32b1i10c1m10W2c10n3r42SP4y1a50Z2h40Ak10u1u32f2j10Ph42G30u2y30t2x119L0-2o30Ol10f2e11Nx43o1Y18c1u4Cx5W11a2t20Eu53Ay11X2g23w2b55f3-70a2vB06a80W1Z50b3y81k1XB2x1s61-1i22Vy12o1XB0Jc20Pv228-B1PE1q2p72d2s64u1dB0h2mB2-1j70780j1c60X160w2b91KA0z1eA1170w1f60j1W600D0p102s1j50Hg62s1f21j3D1Oj80o330b1Y803h12b1S1a1M09w10k2n98v1g10BM2Ec31BY30j1k20St208z20Z1p20M30B41a1Y20W2h31h3-903h92k1d30Jy71g2J1z2k40o1j80z1m97970g1dA0Lo50KL4a1j30b2c40-230p1w20F_32u1j42p1s73Mz60Iq51d2W448f30e1g233t61Eu50Fg10W1t325k20Jr13d2c12K93W3v5Qt1o102500506E0380BH0470C106G04907F00G0Ta11e1_10b1W10CH0550FQ0c1Z1BHW2X1AP9GH3HM2QcB0a1O0A20p5p61o3e40R40m2m11n3X23x1l30h1_10k3k53h3n10Ad10X1U0EL0KM026Aa7q501P9p3b32UO3571g3c30n1v10Lb10m1s1Tj1j15-1i22v2X32MW13h1T1u2i20l2v10u2a10n1H2Z1J0c2q10Y1A0730f1d10HI17T0W1g10Nf10NG2o2A0552p5x51RM0CE0h1L0UO0870p1v109K1w7k40Nw10a1S8h6t203H0D40G204F0RK0N41y1T0JS09E0Eb1177Fa5a35JN0b4t50y6Y7Dv6t30ID0H00A519004100A0550I319E3390AE4H9RI3n1Ob10E70G70D50JU0AF0JK0a1Ng1Tk190B0Q40L60A402B03907G001060BA78OR08909U0F32C44h2A0180I70BC225028050x2q2l613P1HGFn1d32g192z2u407D0U80w1X10Y2908R0Z1F0Gs11CE0r3m10m3h30j1k407r402O0GY20v1r30X1W30JX40Y3c70n2l42a3b10b3y44Sp40f1Z12g4Y45b2g20Jz30Lz118y11k1j11l2a40Y4b10r1n31RW50j1n31s3y30n1t20g1e40h1h30q1v11v3n10i2e509v40M-308F1r2p40e3O2x1i300q20k2L1I_87325v3M1B919g10SU0k5_30p2m20Fr20r1i12j1P2q3y232f31a2U0n3509a33k1v10MV0_1W22Kz12d2g21q1d11c1J00-12W1r30VP0g1m11f2R0o1L0p2Y11e3g20h2f20d1O14Y23k1B1LZ2Y1o2l80A809309008B0260670H90QI0421F2Ub4t30Ec50Gx12q2x303Y30Kv10512Ua40p1j10q2W20b3h21v2q20-4r31X210IZ12d300s4c30_300Y2l12p240y4g10l1_40c3i50l2v40Bk20X2W10b1O0c5C0v3p20Im30i2z61X1Y759B0X2d11w1c30h1z66b1s475l30W3u40q171Nh72W1W40Pn10d1L1s2e20f2r20d3g30o3X41EY10j2-50OZ407k51Kz60624q1r10Z5y50u2j30i2X10t2o41a2l17_1q30Ul42h3c11c4Z40d3w427r12Y4m30Mf20v2a22s1J4b140t1b3Fd1vB0A77Ma10NE4w1Z50W1w31r1p30w1g30X3x42k1o40QQ0UZ116R1d125X2o40m2h31EM3X2v40DO0Qw106j11p1v41Uu50J14m3W21n3P1g2o22b2f71W1i108g52e1t10Z2Q04X10s1I0BX23f1d21Y2k20Pg40z1t80a1w10Om46_1j110W60i2X67E-A9d1p307c30GI0o1n205U0X1v30d2e60m2l40l1r128k30EH0Kq20Vc10Ht30A_30NY71EX22FI6Mb522s63e1A0z1n31W1k10j1i10Qm11Mf65O-30X1v51Ts22W4-11f2d114j23P-201X11k1Z10z1U1Y1s50R_10k1t1Ii7qC91l10DX30y2q11t3o10Z174c3K0n2Z33Dx13W2k40Ia303t30s141l3M1c2i21b1j303-10i1e20Un32n2X32VG13m164_10g3e20v1k103j23Vm30i3h31Te419C1MQ0f2t201d10Nr21W1y306c11W1d128m10j2l10g2l30I-206o20Jb4Dd5w200F0I30Fc1A3P1f1B2j3g10m6D0n1W207r42i1Q0b5A0c2-20x2o10c1b606a128c41w3j31Lc20h380f1Z307H7O40g3k10QB1a1e30r2p10k3l20v1E0n2I0b1c23u5a20_3X41f1G0NB2-1O0-1x10h1C0Y2s11OT2_3s10m4p30DC0f6c50u6R4n6z21Y4a10Z3c20k6u11z6_20Y480f4t10u5M1x450Z1W20i6E1r2dI0130Y1h30Ra406Y10A302l51t1W32GB0Y1c308r45OG1h1i175-108d32AK08k31n1d21Mb11BK46h129K11q24Kx30As1h1GY4AY1Y111T0PT0c1927A4T21U427819M1A920F0J20990EW206L62Lr1CX26RQ2EX21761RK0m1H0NL0u1e136F0492h2Q0W330r151X1M0CM2Ql11RS2e1f13JA02F08100H08W30v130o2P0z1X20i1C1Ty10y190Z2U1u1n125I0x1k10Ot33j1i20e2O0X1E0Mr20c1w10p240Qn20J80o1c23VJ0PR0a2m10f1R0c1J1d2i12MW103H37h11F20SM2g122q1w68Lb14o4m50_3z41z1X11-6o63r2x20z2h11w3a23r2l32q2k40t4t52e2u22Z241o1h20i3W60h5v50k4i24n4x12m4m32_1Z24l1_10h172y3g23X2F3H414B0m1Z13r1915k10LK0Mx10W2m34GX21Z2V8-2v30Of31e2e31z4X10QI0o1Z21-1T3p1Y23Ko21r2r30JJ1a2W10Si12b2X21a3a30x171y2X41t2m202o12AH0HM2w1o10b3z10g331f3t206a20Y1P18T1NX10Gs221k11Q00r1n10e160v120i4c30d1b52X1-12a2X30Dy23p2C0b1f34e1c10g3t10f3a41Ig10Cn11a1e11l112f1n28i1u10252s3h40f3m20t1d10o340_1e30Si106X40Y1m40l3p40Qw320R0LC1Jz31a510LS0z1i30NR3Vj21q1q20a1k10X2f212W12760r1h10-4W30X3l40u1F4j2w10Fl12Gg31Iz21w1k12Mz10d1e30r190W1B1y1a10b2v22m2j10r2O3Bk30d1d12a3t22p3o20q1d11VV1Y2m309B0m3j45j4y27Y2C05f20x130Hm10IT0BM1N80OO1c3-318h60_1g2Gq292e1y20R83a1r41D81J-10G909d11w1n10d2i223i20q1x108r25n1k40c2v40b1w50Gr41990MH0f2a50q1g10PX11UZ20Hj13SE0Tw18l1k10Gx10a2X4Dv3q208605H0BI08105M20p11Ce10GH07H0NG0FG4Y29Y2V7Du6aN12704M0FB5Sp11l1W10De14a250d1j10070W1b12j1q31g1X20RG19G0Uz30Z1y41Sb423N0Jm43A60E401h41b1k3s1t6_O0c3V0B00j1T0d2m10c1X10c1b20t2i31q2D0X2p10Q81Jj10e4i21X4x12w2s10X2e11AH0p191g2Q2j1Y10e1t43t1y10k1T1i1U2f2S0W222n140k1N1h3w12y5P4X4_21Lm21i1F0QY23Z100TD1IG24b30Gm11Fi1Rf2D4Jc104A0d1N2M40EL43Y13HF2o1H0FJ29i114Y119p111Q0191QV0L30SI4Z1B1US0BJ1IL0d1y10HX10e1H06C03O6Hh24g170f141k1d10d1-10W170X2K1y1n115W11j1A6c1X12VU1A01DI3822y1l11o2L0CK01L0LD0KQn12Dj1p3e78p1F02C0k3W10d2633_10Kk11Z262U315K0Dv10Y1O3i1W20l1b13EX10s1o11t1b20q1u10_241C70c1j10JT0i1a21f1n102S1E41V30Y3y10b1X11X2H4W3e11d100Z1_10y1e11Cc11r2l20QW11301Fl10701Gk10s1M0JH1r1d1IY2y10f2N1c252BW10b1T0Y181H417v11Ha10Cd10-1m10n1g119x101E0f1Y15El13g183a1s11k103R80p2d27C-26a2M3153Z182d1n11P60k3s13b1V0770X150N61m3g129I0p1h10S22h1h1D-Ek2QU10h190a1W10b250w460p100d200e270h2P0VA0a1B0H45W4O2G54f5V0u4g11X2H0PA0AE1-137V33H3069PX6v52AK0A5Rf1T0q1k21p2U08E06J2JJ0u1d10TG2m2Y20j370UJ0o2w10Z2X40j1e20G02Y4q233X10z3_20a1W10o2W31l3t52e3Y61x2f50w1k24a1g12_2B1QZ204v12G-12GJDf2w70v4p20W261j1B00m116X106a30e3d14Z1F1LH0m1a13b1D1GY132d11NW13SJ19G0QG0o112Z1g28MZ12h1Q0Ug127h21HI0o1c30n5v61w4q60f2h21Td40Y3q20h1q10o2Y10z1A0g1K1j2x21e2208i11d1x11L11d1L0i3Y21TP1q1q10Z4Z40W3e51j3p30i4m30d2n20n1F1k1-21x1p42c5FIMt20b2O1g1m21Vv31472Y1m44v2x21k2_20Rg30Y242j2l10f1w22-2Z405w50e1p20j1u21x1n42q2a564x10f1n43i1m42702h231Y3-21b4r30m4Z10h2e15Rr10a1g20m17HBG0No223n21e1a30h1r50t1S2k2d20Pu52u2x31p2t10OY313q104W301j53j2d10Y3W33Nc106z30k1g10b1c113m22l1b50y1a62z2j40Y312d1I0VP3i1l16a1q2b1c1-134I00319EA5s10Db10g1n22X1q20Ma180f22Vw13g1p20Pc20Ih10AX119U0Tg167x148D0681Kx10VY14B11i180L307B1ES0Ql10d1Y14a1_10Rc12EB0DY201b10CW11IX10h129b5_18TH0i2L33I1z1L1k1Q1Be115d20CA26k11b1L1o1Q4Dj2167CZ3243b13M-21JB43j13IM4X1m114r101M0FB0SS2DN54l10g1q2Cq5-C06X61LY12Is204e32Rd11El50Gc21Y1o20h1l31i1i43Jd24n1D7Cd13Ga16c162Gu11j261U539E1e1003h52Y1W5X1l350n2l216Z227a10c3m51Tt11LP1Lt30v1O1m5W60t1x348e395h42Ji11b1F6c2K1d1b13Ii30e1x12r1z19k1k40n2p4HAR1A1t3lIl60w2T1Vc311v30f1-10p1_10CS1W4a20Dh30Z1m10Iu10Z1n30g1-20c1O0p2j10s2j20Rk51C30b3p31m3B9_1m10o1H0Dq201j21LU0s1i10b1X30Y1Y41n1X305q10O00W1f10f4l10W25j10s219N0610EK03H0PS1OJ07CGDBf22W50W150x2t11HB15y209T0h1f12a7-20b5P0m3p10b1W11Y1QBz5n21W6y31z1f31g1z13Z3F2r1u20o4w20W1v12t4x10W2E0i2S2t3k10o202n2G1e3F0r3Z10y2x212909K1KH2789Oq52p5h30Y5x109w10Y1t23i2Y22Fq30d4l62QL24s40RX51e2k406o22i280X8t43y510-1e30l4q10Y1j30i2m30e1d10X5j10SX12a3S4l5I0e623x5i21T67q3V0r2j20k3G0s2i30x4b24a120Hz20Th23Qi40b2j10c5X107I1f2h199O0l262c3z11Z4q40y4F1W2o1Lv1p211B1CK0N702J0IC05T0AE07O017g1O1j1j4a70m1j10s260r4e202_200q10y6c10j3y10Y1d30h1z10Tw11810Y1n11BJ0DO0Lq10GN0d1o20d1Z10i430Z2t10h2q30u4H0v3d20Mw211d10p1e307I1AD03U1W6d30621d4n20B90W4h10_3y51o3x10n270j2h22k4w31Y2e11Cn11v5K0e5L0x3M1Tp50k1s11h1T0y4u41Br22f5o20FE0g6D0d3h10a2p20SJ0GS1p5q30HF3k4l20o1Y10Rd20a1W32b3J1a2q21h3p10h1t106-10m5c11z2p10VQ1Cr41Pq21L30W1I05H09D0G101G0640JG1MT0G104I09305K08j1j2NI11C3i1t117I0G301T1F60A20FE2a150h15t26m713N0K20i1s40r5Y20c3f80Z2g80k3Z60z2s71q1j50Z1l30n1g60i3t40c1h20Z4c60o6C0f4t20w3i10x6g20Y3X60m2Q0Z4qA0w1d70l1w50Kz70LD0M50RZ20q5i20CX11h5e22Ta11w4d20b2W20370y3n30f3w20m1j30Qc30v3i30q2x11J30Y2Z40v4T0Mk20w4Y21Jm10n2r507m40t231QW40W1d40c4Q0d6x40-1W20Rs40i5v32n1e10W1j20z3u20m220j3f30W3g20b4s50g6r50Ai10X4_30x1k30W1_40m1W405d40b2W20Mg30t1i60W3x71x1b103c40c5l30z1T0t1e40Pd52KF0g3w4B5y501l44x5e90c6n206F19Z30p6W60u6v301f40As50d1p50X2a40c4r20Z1s40d3r30-3q22b2n32a2t10h7-70y7f70PA0Re51TC0g1v50v6k60Y6d41a1b10b1q40TW10IB0k2h12h4I0Mc11Y3z10X2t40s2s30v3o30Z5l21g4x41g2a60W1P0VG0Ip60l3y80W5b80j3a11d2c70a5r30PE1m1b21X5o30w4z40b1B0l2a60t1Y10k2b91q1-20Y1v2En6nK4El50v1W61w142d1v53Kl10Bj20m1P0f120m1U0Nm11Y1W50X2f70Sw716V3Ef10n1b10c1n10DU1Qk204j11a1q30v1b80e1Y80X1n60Ld28FW416G174Ey1Y50IN0n2l608l20Cu707Z70Sq300Y20v1s10c2b308u211I2n1_41y1w40h1n60QK0x2cA0Y3d84Z1i505j42140v2y60c1f20Cb20C11Qc10_1V0k3m20n2j11Z171a2l70c2a611N1l4m50W3h63Ey30q1v11f1g30l1404Z13j2C0m1x309c40k2x80Eq804Z10Vr94g2o91JC0CV2Z2h61J16w2c70X2d92Tg90a1v31w1Y10X1v608g30b100d2g82Fz30Aw1Rq1l20330060280850D008F09A09108C04C0K003j103s10Cb10R35Sa12f1H0IY1G6b1HKK64B0j1822b10EO2R20Gb11KY1111ITgC14F0B504G0H20a1H0631950AU0h1U1Kt10Er22Lc51v2T2s4B1Vo40On60Ir10b2w61Jf90w1g70h390-3e403j32v300u2f70g1g60d5l20Y4W60E_20r2r50o2y50x1n61a1M0R-30Ee60s1p80l2r10FQ2y3o10To20Z2v10v1U03N0G31x1B0q3l20l1g10y2-70Cz10Bl80e1w30z5G1Y3A0f1d10k2z10K60j4q20o3d10f1604W10Ep420s70b2j40g1Y20q1u20b1z30W2n128s20b1o10x1J0o1w30m1n60Hc30X1d416k80h1Z41_2s41DI1823L21UE0VP7Hj30y2y10x270i1b104x10s1W52d310y120Bj608I0TG0W2S03U0Be20VX11Y1z30PH1e3o30Z3X10Y1s50g1z30Vy41Ip40JF0j3q20a2l30Di20j1t20i5W30d1s20l3Z60q1a20Iq20e2f11x1a40j3_306n10Mz20c4u40j5F0c5i10Z5j403E06A08E1Y2v15a2Y40h340Mi1Kk6s121L3PZ10Ag60V20Hw20d1x20q4p31n1i40X2E16X70m1q40Pi30Z1z71k2u20p2e50a2r70Mu104k20f3W30g2Z20s1h30b4i50g1X20113e2a20W1f60n4a20Ar111800C05M1QJ0d1C3g4v203q70l3A0q4t60v3a20q1w30j2L2k2j119T7x1o10s1a105h607e30Jj20b1k41i1W30w1Z90j2k80W4f70v3u70Hj415A0Y2_10s1m10Pc31j2a10m4v53Z5w26s6dR0J91c3z209W10Fi20W1Z21f3s30AH0u1r30d2e10IY21o4x20v2p10y2o30r1V0v2H1e3a50Hd70a2a60n2t20n1e30q2z30W1c30l4v40y3q20d3B0m422p3Y40e2f20j2E0h1d20QB1k3G0p2X30o1s60y1l40Jq10v2r10Ix12s1W40v4A0q4T0h1d403I01q40x1r31q1b10h2i40q3I0n1w11Aj60e3u30Z3l40Y1W40X3J0A80c4w20h1105G0t2x30o4e10h5Y21o5R0Z1u10r3D0IR0s2v41Z2y30X2o10W5C0Bh404o33z1M0z1_31q3r10W1u10JI2j1-10Y1t32t3l50X2d61Gs60q3q21_3t50Pg10a3W30z1K0S20r2Z30e1p40c3o70f2n20DR0j2l10My20c2n50By70a1b40p2k50Kz51Ep10Jg528Z10g1m10l130W1D03f80n1a20y1w60x1p42Im30u4i10_5p50-1m30q2j11t1H07Y50X2t40a3W10c1a41X2h60e1u60Ub404e106w10j320w1H0t1d102H1-1e409t10v3_72i1g51GH1w1s20t1v90d1g60Oi30X1f40DX21o5w70x1X20n1X51Rr202g902j51o2N0b1U0u1-20j2h40CJ0f1a50W1106S8e1b11B80O707G07R-2f2j70Z1T1Ak10If10Dd12Hm1x2n7gN1j3f52-3f32o3k70h1I3y1d50Dj10n1c21f5c21W6E9n4F0k6x40r1c60j2x32a1t10Cf30X5o508I0W4w21r4j41y3w20q1J0FW40p3p20Ru12-2Y10Bv306b20Ov10y3-20_5q51y5p40p7Y21o3r20Km10Sr31W1N1m1y41d2w20p1l81Ga10L60k3q20l1l323e40Ms30t140t5_509MIW9i40b581a210Z1p81v1-20-4b32f3YA0Tp60d1B0e3o70z2r51410E73c4t20_2E1B-40-3z50Z1H09a60z1Z70i3-42X6G1a2A1Jn30u2x23n3y72s4X80j4c314W61w141UT00W10TP5Dt30c2y60f1D0z2t20m1Z61m1t119g70Ul30B715C2g3-21x1Z40e2_11PY3Kj2E1O10D807008802M07Z10DG0OV16HA2u11HL3USd2-4_60BY10OP2LA0II8CT3F10n1o10o2j202i10RI0d353e320C80n2B0d2L0g4C0Bf10n1g12-2H1Vo20UN4X1P2Oj11X4q11o2W11z2J0-4b33Z4g13y1s30c1j42K-10f1V0Z381g3s10450PL0Ep109Y10OV08Q0t1g24b2X30-312f1AChCeD1430KJ09E0IB0R81080S91j1C1QT3E01403TW102103p22i1c41u1Z107v51HY60b1z30g2u10Z1j10n3K0Gg20o4y34h2_30n2h31c4C0l3Y10k2c30p140Ll40a3i51h3_20y131Sy32Ad32b2U1CG1k3x10b190r2F0i2x20Ra21Tb10Ex11c1o11i1e41p1p50b2W60q1l21J40Y180t210o1X330-40S_57c7g63DS0G83t480g3Y30W4t33Z1M1X4l10k1Y30c4n34Po20f4i30FV2g1t31u1L3SW337_20_1M1k1-20v1A0W1o10t1h20w342Jr43f4g40SD0X1x13Y122c3i30j5X40m5e20z2e50c4v40X4e40OV0W4X40f3Q0f2W41m2z20h3w10BF0QS1E00N_30i3u20d2y20Ut50u3_20h6W62ME0s2x10f3f30g2I0-1-10m1n20Uu11Kr14MzF3D416A1KB1FD1I409G01C1AX12n480Y2X12D30OT0J20Cu10r2F1Y4l10B32030m2g12l4w10BH0q3T1J40r1p20W1y40FE0v232K00a4L0O31j4A0UR0b1p11a3B00v30l3Y41g5K0t1o11Gh50Ro10v3w50Y4x41Nc200z10y100b1f105-22k1d31_181AY40IC0Ex30c1e20X4j10u3N03f106m41v2j30e3y20t1Z40f2i50k1v52SS0Ty24Y3u61v1m31L_10s1g20CP0X2o50k2_61z1m11HE0y131Bd30_1w61Oh236r11Gj10Ra608R0Dv30e111GB05A7f1c50Sj70W1517g1t1t8_21R11c1I3h1F0r2-11i103w1X30Pu31c4_51l2M2Y1Q1p2-30p2O0k3r30A51j100a3C1_170m2v20b5-41a4X41o1j20z2u30DG0t1e40w3j60801Pe20s1f10j5a51o2p31Lk22IF3Oz2c1W2r12XAw91W170N40I904U1Pn10N70k4r10b2k12x2E0w3J12v11h2i40Y2z30JJ0q1806Q1_3i202X20F-10-4X12Pp21j1k10h1o20Kr12e1t10Po303R17X20-1O0Nk1u1w6pL1i250BE2b1f20a1w11By20x1V0F609U1DL0g250X1W10q1F1X1d20i1116W10l2k22-3_21d3L1560E30N606A29C0QM0q2T03G1b1I0HB04S02B0FN49g11R40Z1Q01K1o1x21a1r21IE1DR1IK0JA0861l2g30g2z10T22q1b103G1X1w10Dl10Il115709c20A52BO05F1c1f214W20BA0x1Q1e2J0C030l30EC0q1r10r1T0a2J0t3i30c3u10X5r51g1O0IW314j30k2c403S0d4t308P0161w3m106G0t2S1e2j40PE0Z1o40CT4KT1d1E0LA1w271-1C1n3B1u3a20p2V0g1l21Nj10Y2-50Rz52X2o303l23Ha13e2x13GP2h3k41b2n30w5s21j1p21m2y30t4v40W4w50z1t30_170BI1BX20e4Y40HR0n4Z11QC0-2m200LEp6w20g1d20X146Y3V0JQ0J60Vq30Cx70X1k31Mj11b1I0o1w20H83e1D0X1p10Bb22Oy50891c1x11391x2p403W16Y2g51Gd10j1j20s1W403P2t2N0QO0Tt10u1r10W2o22d1f316U2Q10VU2k1E07k103P0Pz20X1w10OD3a1w22h1H0b260LD1w400X2x10W180KA0n2U0b1f10a4a20j3B0-2N0AE5S31G00780340090610D701904K0430050BA04A06208P0IO2H016516004B0C60JE1Nh10ES15211Z10JO0-1Q0FR06g101701F1d1H0Y1a10EB2x1Z10e2c13_1B5s1O2RPb1j7wC8n2V0Dt107y10W530l4e30W1k21T_12Sf10N417w11g3r10g2u20X7z10y1t40B-44i5t21j5G2s1i11m2X100s12X4v30k2W71Dp508c506l20X150DE0v1h10o2x30q1u50u120p3t400o416A0EC2BZ32-1y32j2p50a1W21d3v10e1C2W42Na9v829F1G10HQ2a1e102G0o2_207b22t2Y80n1v400h107E0o1k504f10q2n60D-41e1a11r2n20Q00j2y100I0w1d11Cp20RP0So30Gz40Y2k60_2E0a1n70AD0c140p4w30Oq11y2L0U80j3q10r1x104a12a4M0X2k207p30o3t41X3u70h1j20i4h40FE18a50d2F0Jr20f2W30UX30Bi10w4s12j1r104j200e41f3_10y3q10r1O3m1H0W1X3Er2D0E-32t300B327808J0G31HG9DQ0Ed30Pw10OB0b140w2-20Z4v11w2g20Cp10AM0Z170Z2u11y3h204-10HU3Y1d21b3n20j1i20c5s12t1j21h1q11t1r24c1h10G53F-41Y3f10X4x20BW503r10q2b30Vm20KW30h1p23Am23AX40X2y11k3z329u2Hi3nA3q1e116x30W1i410n101U8d1j10CI28U0Ir30Ag11v1H1_1b10e191Tq20Oa20EX10y1n11Jb202q109U0c1f10183b2g10Hp12u2J08a40DX50X2o11w1o106E08z2i1h8qJ0z2n11Ue21a1x20Fq10a1i10X2p21Sm30Kd107H0To10NL0y3n10b3K19j20s130n3W50y1d30w193RT1t1e42Kf2Z2o1k22890DR0Ba10Y1N19220Iu2f9j80o3q40Ax30c2r30n2i108Z40j2W20W3S0l2-41R90q1N16Z10_2r20o5z10f1i50e2w30l3r20k1v20Vo304b10X2F0a7X10Z6f21k1u50Ch50o2p10z2A0y1m30Sl10ES05e10d1e30p3x40Tk30i6d40h3t41h1g10e2a61Fd10y3u30j1f60p3i11g1q608x80p3C0Y481K-30p5Y21u2p60Cz21Z3k80s6X10320r4p40e6q10n4c30m1z40Ai60d3b70Me20n170Bo10V52k2y30c1b70v3w50s4r50r4y31-2Z50s3q80_5G0Fx40c951Z1-30Z4Z40q1W50Bb10j3X40TF0m3O0y2i51j2I0Y1Z90t1s3c3e172891B10862GH01S1B72L50MY128_1m2_6wD0g2s10i261Z7D1Y5300D0x162u280_2h10E00320X1N1o2e21d200q2v10Hm20r2b10a1c11w280l5D0q3m20s2x21x5D1u1f1Z2y1i323801P0BI0e1L0F40F801U0D73SJ3JL1MW1l2h5z71996g2510r30k1c42z2K1e1C0W1d40X3q81GU09t106U0GB1l1M4Y4f80X1F1J71f3g41m5p22b4W30c1o10c3v60r1Y607e10p4o102X10W7h60v4Q0a2Y20d1X20Ny30W2_30g1k30v190540p3s31k4d30z1i40l4v40y7F0X3v10Z1c50MX10w2p50x3o50FGT-3V1x4z80I12CO0P8DW2n11o1k10x1m30k1H0z1z40f1t10q1o21h1x10Kc50f1i10u1j418y30E_10f2B0o3X20j2D0y1W21v1K0a2g10X3d41w1a21Uf10Z3q20k100s21l1d3r10OK1u3_523I0541EX11y2C1S60f2m21L81Z2r22m4d10n7s30Y4p30_2g44g2i12f1n52i2-41i2_22_5I4o5P0l3M2X1W21o1o10W2M2h3X423H0z1C5k5n10m1C0n5C2Kc12Cc10-2z10p4H0s3-40l1Z22d2J0OX30y5d10z2s31e1Y20b3p32Y4d10z4o30g290Y1U0Nz10t4T0g4y201Q03b10a2l11Pc52m5p91f1E0c2d20l2S00u20i2Z301f11BY30Y1p20Lc31r2r20V00e5q13x1j10t2R0m4C0BK0p4w10CT0e450Je11Pj10Y200j160j4I0m5_227k3W2Z2t21760QB0Z1Y10KL02A1E3z2fFYK4b1j70c3w51UQ1h2X9AJm302W107i26r1q40Y553b4n71W2w22_1a30Dt21e5q15f1h60Gf10h3u40m1j12Vc30s1b70Li10b1e30Cx20Qi504j50LW70Rh818g823t60Oi301e45b1D0Vi30y1V01C00h50d1i51X1E0y3d63r2c100s31q1Z80Vq80a3j70Qa64l9Q7y1Y111h103d30h1m628303E09540P29a101H08A02_10g3h10h4W406b60g2G1Ge40OD1d1j20i2p10b5-53s4Z319f205H8Rw11h3z120J0F80W4q43X3e101U4-1v11AK0e2_31t3d10Sy20s1V00Z24Ek215J0f1W112x30Qw21X3j16g8m10430310370AG0B00K70530H90CY10LH1111EK0970q190BT0H70F309A09a10Mc10I90O00HM0004530Pp391o11Em131K3C_11Vq102R09C0D76o1a1ACZ1NArG1GF0B10JA0I20300CE0KO0Tv107g10g1B0VB36a12p4v50g3A0l2g20640u4X12z2W30h2t31y4U0Pg70W1v600o10b2Z210o50i1T25s326r607o31x2v20Y1q40f1G1-3k109j80SI2X3i20z1-41k1_60t2e70m4z801a5b14l11h1v81LI0S802V10N0780a180j2u12e2x26Y2c30NY11q2W10j350y2_30Kc20l1p20Hi11d1a20g2Z10FY20S_61d1E1f1i10Ea305l40u2u31j1e30a1J0z3h30o4w20N51Z120l205g2p40b5Y42k3l50m2u70v2x60o1k10Ek10o1f20j5y40i2v1Y18zA0310A402403D0BL09102C0O31BA0111QGB5T3Kc20y1Y21v1z30F60s2B0f1s426O1h200MB1FZ128E0BC15m1A7v41AK0a2m10W1f20x2q10Y3y207l60z2q40i2n10Nh15EZ10j1w50BN0CC2Ix2Hz5WT10316300D0540D40c1O0PB1012a1R0710z2s20k1v20i1b21X2m10-2W22f4f40g1K1k1p12Go62f2R4Pz20Y2Y40IX11Y1l24_1t34m1e52Iw214z25l2e11q1k10h1z10j1X10g2NAB_20Rg51Vj32IY355n50y1i20a1Y41n2X20g383x7q60g2p10j2M32g10680b1-12m1r30Sk10h1H5g2820E06E0X1307r23d1a21Km12S_306o113y15I51h1P3B00F32Cw22Ij41Ao43Mn20Jo10X1R03W10i2X30X252Mm119E12g206t315n107W20d1-33u2x54f2g222A34w21Ip42Z1i114404709303A08C06R0NA0W170J307Q1I116Q01700n10R40QY20d1Z20Mc11J90UK08A0TP0KU0990Hb20Kq20H50IK16n20L505M1M0x1Gy41X321480Dl100i111F0B30B8Ai3E1DT2NQ0Qf10G23Ra12b1F04C16826R7v2O0UE0E107E0i2V0S51X1J2Z3y10a4r10X5e21B40S125X206s10PB1W1C5KJOvIn12q7a44F10TP18301608508309114B0Os101500701A03D0850770830770400390Z3N06202M09301d209g20d3x10Y2w11s120_5l91Qq200m16Gs10552k7u40830083u1O12602N06I01R03I0CB0H404A0r7f20u7q11AI24HOh3E73ECAb125G00B06K05005004000402209B0470460460480810D608206007N0L70C101G0570Q61RG0S938G0TZ10D20B70661w1Y10770802d1Z10IA0CE0260A00h2l11k1I0H00C00390FA0B90m110Om10080B10Nn10F10C00570F80Nb118q10112UN00L1B6e3-2q224202004214200D1900910C90F204E02602L1E01670B100707A0090090O00VK11B00709H1Y1Y2G0Ta1B6Cu3a11G10340L00150K00G80N90Q20PL0G30RE01J02O1C20U97Z2I1Z1T1o1b20j1-205602F0610UM0190170-2f21t2d30j1y50071UC00500D2Q95y2E2L61_1E00507402B3291k2E0f1r10SZ50h2g60702y1x20Oo304Z11n1i12j1301D1J40C45Ex32Di31194m8xC6e130901s4Q00Y16SF1h2b11HI1d252B83Hd13k6a11r3C05H02805R08904G1_2U0e2Z20160VS5c1v110I01K3Ru11E30LA0B31DZ10VV1GC0980y3K1571v2B0BG4g110m4q16z3n11V81920W4S0d5b13q1Z10800600D60170691500CS0LP0W1C0600FB00D0P80Y1U06L0PO0O50f1J2k130150172RI4I702D16q19K8r1h2z10G00520310D102L0060GF00E0500980040A10600T70g1ERDNAY1105126G0D00O10N80IB0B006110F2960180D708800D15000E08729I04026R084EMw51571I43K70DF0T401Q0371ID7Ac11z2c21e1B2Cv13n1J0W1B1m2i20X1309T08T0r1S11q10e2F2v1j10W3-109l30La20FK0x4o10W4f107a10DA0CD0X3q10o5j20d2D0Dh24j2A1c2u40Y3X41v4W312Z10Cj11Tu102W10k3t122V0CG2D45d375-4S08L0n2g22x7l31C50J50Ia11LL09L0g122b1S03Q0A_11Ga10M11b190a1q106v30NE1L33Ja31Qw10RZ33Y2Y30RR7a2M1Lb50800KQ1DM1EB02L04I0d1Q0t1P0F42y3g44v3b20MD0L43Y1M02G09L07Q16H3k2d20JV05i30W1Z26h2C00B187h3x3s10I30A007C0832C901A0C51Z1A0F20HW11m1R0DW11SX10ASDAn102I1X2c20j160850Gr10Iq30w1f12l2n2t1g9v400G08N18F1720AC02P0B402o108523t10C90761Iw210v10780l3Y10B63W3X20f1W11G70AA0710IF00G07F02A0J80E906Y10H302X10S26Y1B0b1q2EZ1g20LT0840755Cx29B304Y209R01S08516F03N0B3-3oCW27Hv30H11s1Q0FW10DV02I1r1U5c1H2A70h1J14L0a2B0t1q21DL0SA7HT3O14s1o207909Q0Lb10U30KA0V72Y1I0X1408h10M61v1a12X1b30u2c42h1J66h4c3t2g20HI13T11X10O30LE0080L02c150I6MZ2A07D00MC5_100A0CC0H55o2m25j1n20J70EK7_1B1i201X2L1040160282A202F0860073Z1G26J6Y4u65X172NB0k1GD161o1d12X2i21CZ20KC1v4i41i2X214E0521BH0ET0y2v14X1521k11l2c10HE0y2f104K0a1j26d3-316W10LR00s1Bg4p60f2e302F0k2X18T7p4z7W808c109114E0550IH0j1O09F2TN0Y1q1Eg1b41X206m1i301C0B70D41GD07J2RS3AK11E0RF6-e1xc102Z30b1h10d1q22x1g52a6p30h3q11W6l123P0p5_11D10SP7-3g30d5k10a4d40h6r10S-10u3A3h3c11X1l20i2-207w10x2x10MS2m6F1p420g2c10W3Z40n3o40Y4p216X10Ce11d4d10F30m1D0K00b2K3SI1m2I0z1L0v3y40m3t50r2P2W5w10h4k20y3_10f4T1Hu40m6v21p7R1g8W11l8a31c5j42r1i11My20s1d30o1n2Ch590o2y31z2l20F30s3O0BN0RR0Mo106e20s152x3v10-1w20Kd20l1X20CW41G_40G-51On21d1m20r4H6g1r12k4M0h2F0a2d30d3e50950DJ8m1k1AX3_30a6A0b1S1y4A0_521BI0g5l30t2O0d151x3e30Kx40m1u30H61HZ4Ec2e20050360EK00N0D905E0ES0Fd10IO0720CT0Gc10j1H0c160JP2B10EQ05808h11PM1CF00Q3A10600GU6d1304D0HH4W16409o4X2v428S0JB0i1EY1_2p10c1x20t1a10m3m41Nx20Ep240W30NW22J70m1d20K70v3z20DG0i410X3s10Oq10r1x21-2i12n1O0t2r12k4W30X200a360d130t1Z42Su20y1n15b1a322-10t1h59m5W51O109SZ1Y230R40h2b30c3F0n1p10_1I07i21y2d10l1c10Dm21W2Z60Cu40l1v10h1T3m1G3IX10q1C03w14Fr20g1A0X1a40x1r10Z2p20W3i20v2j30a3i30LQ0b2S0EC0a4t20Qj21b4g60u3p40j3z10De44B_30w320r2-16g4w41D86q2p10b1U1Ae108d10d1e10GZ71Jm40p1U0k3Q0r3w102X17W3t41330EN08c15_2c42k1p11i1v10f190w1q201p10X2c30Z1t202X10k2Y10_1j305m15q1F02S8z1c50g1h103x20Bs10Gx32u1p1z14s700g60l1d42Nm30Y2t10LY10Z2v10m1H0If20SY10T-109y11n1_300a30Qh40SG0D10W1e10X2Y10g231x1D0OW105Y30Y1_21He10Z111BK0m2C09t40NW30j1_20Oy2OC_10740N61UJ0CB1R41Y1C00K4BP7JNd2MK4h4m413G08R0LE05Z107Gg1e2l10KM0x1V0l1S0u1M1CH0A90m4k30b480N80Y1t100b10CM2s2k10l200IH23V0z2r10c2c404x20GB0Jn11y1s30c1O0Z4x40k3s41j3P0c2g113t10r3l20Y4u208W10f3b4CbAp21j3c60s4b61RW10p5m10Ce32W4X12v2o30X1T2a5t41OH18g20Lx10k1g10_4-50Z3l70i4w20X2v50m2w60n1_40X2d109a40Y130a150d1x20d2Q0m5c40Lf50n1a20BP0W262l1A0SR0v1w505f41u5d10b3u20Rs30s2r52Ju16D11a1X208R1p2k21j2j13c4W32Y130x4B0y5t10_4i20LB0s3u14670p141s3Z50RW20NE7LX12430b180S406307N0AW10C30L108H00404I0200R60MEC0Tc2-7q21DA1O806509Mg1GZ10f3639O0P81s231Mt11e1g30_1M0Qb10o1j10Z360Td10w140o1k318_30Y1q20l2i10f2419f10-3n10v2w10m3d20_2a3KXE31O41BL4m2w100_20t2w204j30T21UF0w2-20x2l30W1W50t1X10W140At20Y1X26Ng19n1520w408r30s1m20c1z33f1u20Gn20X1y10i1q161r11NB7f1e30c1j21c1y20Al20X390Y1s1Oi1lAIv1m20U83s2f40v3O5U82o3n20Jf12b2-11h2I08q51q3x60h120c2r14JJ1X3oA0Ur60Z2g50m3_237_26n1o62m1b80Ma21z100Mu307r307c40p1W32o1v90s2q10Pp10r3Y6IKZ50241f1h31Hs11v2b31Jc30g4t10U64W2t12Z3G0MH0j4I0-8a10r510t1W10I30x2d20m670j5m41Ex12JQ2W8n20z1n10Kk40X6b40f1u30-5u10r4v40i6g21t7i10s7_10r6e30e5t10v331s3Z21b5W20Y5b11o2f20n6s20e3T0_4W30s4J1n3l12Uc20Lj40m6a11h4302A1d2q30s1z40n1c31i110g230z3I0k5_10b5T0g550X1b10i1-11p3r1ER-10310030F30E306003b103S0GI0610350CF1Z1O1I304F0R5W1KOA85O7F4D810P5sBq71DUGr1t21Fh101u12L109n40q1k33o1n23Z2Q1a2S1g1h10t3c50s2p41i1U3n2Z10u1w50m100b6n40a3-50x2_20W2r31g3m219o20l1l21X2c21g1l60V10-2-20z3s20w1L0d2c10Kh33y1W11Ju20k3z45_3X10Oy10x1h10e2g60UZ43-1o31a110JH7NaA2X18P0R1AJG4K0c1X10_3q30w3d108X309q30u1N0v4-11Cz119L0y3r202k201e11v1X205N0Dg41F70CB0_172m270l161o1E1W1t2Lz1fG2_1L2a2H0n3M1e2G12T0t1R10I0u1-12z2j11Y1K0e262Q5q2yPs61Z3y603x30Z100s2x20Z2a61X2J0l1Z30m1y11m5I0GZ91_3-20n1m70y1d40-3p60r3q30k1g80Md20Ul40z4h30Jk50q4t20TP0f3s52a5Z61AF0FY12j4i30z2P0i7m10EH0b1z50Di10E02v151a2w804nB0x2iC0j1n40g3j60v1e31Lc11e3Y30X3z11EP2g2U0GD00c40Hv20b141n1j70m3O0Po41l1d10w2W71r3t10Et10m1w12R50z3z23W3Y50d2zB0Y1A0Ic32g1_18r2wB4w3_52X2c33o1x14l2W104R0Q409Q1571Sz90D-717b50e2q51h2l60s4-50d1X50v1W30X5g20s6q404z61a1g30v4-10o4i20j1j11j3d36x1G4c5d60f2oA08p43o2x40a1y21b590u3b620K0b3m50b1Y20y3v51n4q70q3S05tA0i3gA0x2Z60a2e30d1T0x2-40g4f99Z2s413107400J0ES0A909505T00k10F20CF08600M0HX10SK0LE0Cp100S0J101Z16SY13B0564-1r4a60l2y40q2i214p60d2X30Cu90a1d207o10960Tf10QA0Ub51X2Y409W206w10Up92W2Y600a10l220Sf702s80f1i10i2f60h2X60c2yB0LjA08-90u1n20v2s304xD0Ja10m1c90W3G0d2d20Bp20b2M0e1w20W1l50f1q41Tb618s30CZ51Pu60MI0a1v60Vm80k2W400vA0t1q10e2J1j2_20m1U0b2-90B30Ih21o1x205z10u1u31n2w40Ul12Aj20n1n301j10JD0W1u31EY10f1l30y3k51_2j61QmA1Df90G_22p1oB2w2j91h3e20g1305x33Pa50060340KL0BQ0D706303501606G0502O903O29p113s1S4Vs4Y8sI27B9020KF0Z1x10y1i20BW11IOJh1O0Pf40Y2D0Vw31c1h34z2c15-1V0h2E0m1o204d20o1B2DG0A30EBE1e50z1n508Y20U-221f30p1o10g2i11x1d40OW50b1h31e146r3rA3u232Kg40VZ201Z40O-71d1F0U_60W2w10v2f12Fp11My30z1w30UXA0q3y60j3W20c1x80x1cB1y3f60CC03W60h1ZA06D3t3q30HW432h40k2e81g162X2nA3-3Y60t4w20W2v50w1Z30PO07y12VW41W3X40t4f20Uk50u3m30X1f62Z1H0D_20z1W209M1BT2I-11k2w1Lh3_111K0QI1w1W10a1J1J-404B0Y1L1X190AF37g20i2t70_2W40Lg23u2_20h5r51W4e30d1j305Y29KF0u2X11Z3g91It80p250s4g10b1s30b1f21e3q10n1z40_2c40A_42g3YB2Z1l100X20Z3V0AM1CX10a3L2W1u309r30n2U0i1d60q1mB0v5ZA1s1a60u1E0j3n30k5-20v4b70i4a80_4x22J_10m1Y20Y2_40q1k61n1w10g1U0s1p79t3u261J2C815a101J0350A40C10TF00S0ER0NJ0E40Ks14DL14f10BD1743o1m1-1z1nW10f3j31OB1u1c40-2b20t5u22k1j40Su229j30h2C0LM0EN0q2S1-1w21l2x40o3q33h5n10Cb10s4e13Fk21p3j20-2i11p4g10a5v10j1d10Z3i31EY21X1r20i6z11d420s2-11n4-10m1h602E2v1c30o2x20a4q30r5r10Rq41e4h52b4K00Y30a1x10e150W3O4l3G0p1x10o701G00d19Mn6h305C0470900E402C0Rb11Eg108709V00U09Q03T0IK0F308G08018D2PQ0Kn10M203K2TB0010Sg107D0E22VA00A1BJAKHm1e6w8IPR0o1-30g1N1BX20DZ10U22n1A0BV0Aa20Un50Vu11f1y20c1y10a1j32LX30a1o40No18U31Th40Cv10PY30Gq40Sv40t2u10a1n30a150AKd1d5q13MG4t2e20a1-11Y1d31Z200W5d101m30L41KQ0f1p24z4o10Y130w2I0PK0g3t51X4u30k4W30x4_32s2t20Ia10Z5a20c2X10W3u30c1f10l1_30Ua30h2F1N20k2T2f1o10PP2o1n10Z2L0j2W30k5b20j3o21BA0q2X307e41z3P0q2Z30r2O0w2q10-3p30p4g40690t1S1i2F0d2b205m126F0y3k20r2t50y334Ji40H50W2X50p1q40v1v30H78Y1oCNf1z5Nh2a70W1d50q1e40h2_408a60w3h30b4y20s1h20x111W1W30Hd20a3Z10Dd10x2L0i1i13TS0DR12Z30y1o50d2P0a3B0p1z40q3Y50x4c10Y122d1_20q4a20X2Z11Fv20b1m10k3-10f4i3Cm7e71D40k1w40h1v404GY1c2I0h1S06A0l1Z30O11Fb204i10k2W40z4_20-4S0Z2_103Y50AV0d2Y10e3C1l2C0d1_30o2b21Qe10Rd20As100q41Pt50-1y20_1j20q1g30X2W20d1N0W4H0b210o2l212e40p3n10Rb20u2o10h3_10e2R0TY21p141Y1d10s3N0VY4BfBfR1g2-12j3X53c2u50g1X42h4v52e1O0e2k30d1O0t1J0g1n10t180a1Z11q1c90Hz90Dk71q2o11b3dA0u2w30Tc51Ox11a1l31_3h21u3q100c50t4t50-1h10f1008a10c4u62r2G0e2h50l2e61u2Z50t3Y22Rn20s2o31q1j11Ra40Ez80j1W10Vm11Y121Vf20i3w10BE0x3w10q3s41d1d90z1c52u3v323a81b2_3FX8p91a13G-3q10Z780w1P05V1o230MG3Da10l3X20W4m20312He10g180E51Ot13h6l10B20c6I1_4E2w1g11JI0J71Sl12u2O0h2n103e30-2p11JT0r411u6G0VY20PZ31Jy20Z1n308W20g201j3V1Qq22e2n1J-1kC2CKGz1k12k3d11h1f10g1w30Hx30k1W23a1e10Ih13f2y10f4h61Y3q11HW40p2O1g6P0t2W10z290e3p20l2d20TI0w5s42d3r10U60b1L0Z180q2W10h3j21c1S0An20BZ10-3w30p2F1l1B0k1J0v1a30q1j51Y2W62v241X2_50W2W3Lt2v6Bi2q20r1H0Y1G0f180v1z32a2B0KJ09Y30j3Z20Hj10a2u31c3n20r1p10Pw40f1x39i1M0r1X21Ae30m1Z31j230Su20m360Ky20v2v40m1s50b2l60y1m20b3v12q3T35Y30Hz10a1N0CF04W50f1n40x2u3c2p1r40h2m10b1b10j190d1q31X1F0-4c10b1f10Z183Y2u224z81r2s30Os60Tn60d231-6v20z6q50a702Z5j40Y5e71x8z91i5m41v2a10w1c43b3l40o6y12b6j10Jb22Ov11y421s1o71f4a11q1_10k3t20b8d60g7c3AY1W81X4X50v3q21i5t80X5a80y6p40b7i60o2N1l310l1nAJm1i83Ev40e3e60i3d11Z510j110W1Z61i1u80VK0a1z51W2Z20Nw31k2p40a1e71h2j53u2S0X6u20p1-30s8d50z6F2-3R0Z2-10z1x20o7k50f4r61c1m40l3z42i1E5Uy81n5f60c9a40z5_10u3v26j3a20420050571IE1LG0Sd10FM0AC0NR0S829C0790DADMEa17J2LDSIkA3a1R1NB1g1m1A2d11h6o10Y5p20v4i10a6Z108i10Tx20w1q21j3V1MR2k1c30j1v40i1q10n2j10e6i113w20b4H2Rz20g440r5W10DJ1Y5H1PY41g1d20Z5i10Ep21i4s30p1l50j4q30a7U0XAC0k4l10-1w10e1z30b4i10p1k1X1v2t30KR30EEW1h20-2w20x4e21LT0n2t30c5X10W1q10n2f17a2m31u1i10X1T26E7j3y20t162Ol504W42y2z21t1o304X21q100TP0X5r23w1A3W5t10x2u20k1i30o2X10r4Z50Y3m20W1S0Y1G0Z3Z20Pb2Hf5c51G73DMCPv24MM30j104k400F0K11HC564C3o124x43Dq10a240Va40N705l10g121n1e13Cl40X1_10W3c30N31_1r10w3w13j3u3D3H5u7xBRP404j20j2t11i171Lm42Aj32Qa51LY11Lx41k2G0b2W23DF0c2l20Gm41Ji10l2p33u2n30H-40e1o10p1z30-1y20b2t10X1e20o3Z40h3n3VWEyH08U2W1HOo1P4Z3x30Gk30k1h41n2u40W3q10Ff31x1k10m1d40t1X10w2q60X2X72Ua30Q90Z1B07e31QX20Ui12_1H2263SW30NX71Ts21w1p10z130a2-32Ud2a1vEcR1d4c11g1J1VB3i3x10e1I0t3O0o5q20j5M0T33k2_41x1u31y4t20d3c12-3F0X3E0y2o12_4v20y3S4Al12o1B4l5m11UZ10W2-23KF0u1X22d3e36u3J7d1Y102t1AZ5w1f3Yk1j40_2r21W5S0RY20j3t10r2c10o5f20W1w10x3006z10m2A46o10t2f11i1A02F1Sj10OQ42O1n5Y12m5u10t4z22Oc20W3r33s2-10b4a104j21h2W10W5i10X5l209I2q5W10b1V0Es20AL0Dn20Z5M0Y1g10JZ107K1W4Q14V0W1G0b4G0s450r2R3g3s10x240k2b20b4y1Pq1j72d2o40m1n30Iq20NK0TX637k21UM0e1e20X3z41W2s3Id1X21W1I0Jx105O0LE0c1038-31t1v42c2y21Ej22f1w20e1z20p1e22m1a243z400A3Tc20Ip10Is20_1Z3No3c400301A03808300807L0760A90250640HG05B08100906K05G0950GE05P0ES00E4NJ0931M79KO03107C16GCNp2DD47Y1W1ANM74CAl2s40q3w40X3E0y1g32d1N50L1-1t53b4x21g1O3m1a71b2l10q1S10z42EX233s70Y1b60Sq310u10Ju21Pd31g3t50n4y10u1y20Hs20q2X70z1m606t21-1_46NW30z1w50X1X81y1c61p2c12e3Z60Z3o52e1x51r1w31e1W42Hj70Og3Ad4Y10u1t10054d1R9EB2e1_1Bn1k52Ep52O01l1K1Y2W10b2g21OW104j47Lu238E0c1V21d33G93GW726t25_1i12Gr31TY521z4CY4Y100906104G1170210BQ0Ed10EO1NT0780BW10UA0HP8A1901W2e1d2Z3d8i4Ra244_1Y12GX122M0MF2J2Eh1A3NQ52p11W1UT0-41c1X12VO0Ea20AX21D22j1z11Ge20i1R1b1Q03d100u12W1Y10Pj21g1w300p40X1e20DT0350308a1H29Y30Y1n20t1V1Ea21A449h10G-20f1_31w1O32k30v1n31c1i12Y1h11Tu12Pn10a1DRPP0Bd12IF6AW20U10d1l15JH1QA33e57Cp43T60f1h10g3c11X1J2062B938E4Pe13c2N1h2i20Vj26y3S4d3R1w1m11s100b2d10q274_2g16Nx11SW13qCp40X1s20f1p20My10g2b40j1o20M80l1j51To30o3G2160F40MD0B1037Bj120f2w11e2Z10Fq306r43z1y40m1x20l1w30q3v50j1w20Tk10Mn601i11i2K0Z5q61a4p50r1l12Ps50EI2m2n33RV0b2w26m3p21600240500B436h22h2Z11e2w30X2X34g1S0HA0t2a70a3r60LP1TY103n22NqE09FI2J2p254y1e12BV2Kv23Ui31Cn20v1E0AI0c1A1l162Z1Z19HK4u1Z11a2C1_1c20i121_2t22a4Y10B83Ll20j2Y30C21a2Q50Z5BX3W51f1y107f194I1Jh12e1N2X1C1A-11Y1l23Gu10r1w10Ub21R336d111Y19LY23a1r106L0J90IG2FA14O02P0CG0V71Ou10Hb228E26HQRd48Fm10Bz22RG26s2Ea2V6v1K8L52Dv10Y3o175r13r290a260Ho20d11Hm1F0Z1X33Dq26q1t1AQg2Cc1K3Jj1c1l1-20GR6g1VSr2o41Um18n2d10KS0W242_2t11k2u12p1F1MY110t10e1i10FU2AH2_1r10-1i11f2X20G40e1s10L32W1C0AM2BG0X1V4MI09Z10MG19T0Ae10VZ102b112M0Z1D0i2Y11b1a10W1J0Do12Ql20_1d1Sy1F0S50Z1A0Z180Y160h1J0w1P4t1S2c1606b12HU1U00NF7BF04m10Ix12FW20FJ3Eb11Os10Vb11K81JE1S90j1K0QF1c101T43GU0Z172W152PT0PO143V5z2AE80RR0Dj14Sq114l10Ik20Tf11Cu11Cn11LC1Z1S3D33y1508G43h20Pa222Z210y12Gd14Dy107B14n20Vi20EP1Cd15k1u20T40LV09b10I60RG0i1HPNW256Y21ED2JB1i1F1h2j11EK0q161PK08Y107f11KQ2KV0h110R50i1605w108j10PS0E00k1P0j1Y12GR0610X151CD0F60Ag150925D0o1G10909Ag4z1Zb115QGz1w10Oh40Y2A0r190g1B0h1m41Cz10W2y10j171_1v30AN2Y1s10d1w30w2A0LU0p1_40Z1Y20Bh22o2y30M11i1P0h3K0j1304j50W2k31o1l10j2w20e2q106Z519e31Hd20HC2y2c41v3h32c1N1x1W349Y11k4Z10p4v11i4c10_1L0m1g11r3b30c360Lh10b2m1Cu2gE1HS0HPFd1Y11a1D07c208c22q1t11Pa20Bd10JN1J900t35Do40u1D9t1e216b30c2W21Z1_10Fk11i1r20MW12570z191Kw20TC2Sp50a1m2Ud2b414n11c1c20m2-22F70j2l92-1gD0RhC1Cg12Ru12r1t18i1b11RW311r23Y1UBc2W61n3Z71c2g42i1-411X30f3_42Aw200d26y2a30n1q10u1U0f2r23Kh14y1W50f3X6Eg6414e1Gr2a10TZ10u2Z20v2e20540a1p10Fq10a2v10To11ND1B60QY23Z1b10c2W10r2X13g3s10h2z30PO1i2-10-1O0l2I06b30u2W20j2h11PW10W3B0X1X24Z1w34g1j10_2h10-2o20f2l10Mo10Cj30J21FS1w1A16i1PX1X61k1U1f300e200p1a10FZ31m1k36e2BAx284GF0k1d22n2w20Ob10Z1a11y2X10b3f14q1G0Y3k20d1T0d391q2C0D41a2G0t1r31k1Q0BK0r1F0v1c3a1NcI1KDCCp11z1S0AK8i1_24Ls25m1d21CS2Z218UOB7f10SQ01a1Y1h3d30AMPQP1X1a41Cb20Io20f1421D3k2n34h2o219g13U5l1u5r8AR_10Z1w11t2y20k3r10j4w10w3226_60Ry41m2b21p1F1x1i50c1X52y100r1s56o1t40v3g40Kf10UB23d11e280j2b13Cm40m1b72Do307i30h3z12-3l515w40Nz1Ae105X1w11Mv13GJq6WGiL05l30c2e10j2Y10q1g30a1O0Pv70l2u50m1d70X140y1y51D10m1u20X1X50d1H0440X1w20k3I1v1v10Si30r1b11L20AZ40k1a40Ui10x1Z70Pk60c1n10Y1x10f2e21k1l20W1p10Dy523l63f1b10OI0r1u50-1x62W1c73x1z108q20JA3g1t70Eg20t1c31It30Ge10i1F0Bz10h2i41q1h707WA0Bz91Uy61f2y20m1z503t21Ok80Px20A011b409k3F_3q10a110IZ11SY20j1X50Ag61k1p20H60X2m30w1x20d1p11Jf10u1M00T1Y103DI15k105t10X2g50a1z718a64j1J0Y2L02X10v1q31e2h61v1V0Oy10Z1w606p60g1O0Qm20Fm10t1F0m1Y109r60Z2i50c2x50Ro406w10Fl10w1k10j2e11Gv61q2Q1f2c1a1o2O06109801L00O0310721A60CH00A03D03a10GV0F21TG0e1201008T0510B80520ME2JE04l10QU09M08D0VE2W1f14EKz1w2T7DX40X142w1W50X1I0-2b30z2i40X1r701Y20w1e40PE0Eh20e170v1l30k1a605x43Y1c10v1Z30Ek30Vj305W71Nx40m2-10Nc315p40Ea10PS0VZ50Oa40Gn10Ep10Jc103j11Bk70s2v34h2s10d1j40W1g10y2I0h3b1f1u6105227e10Bc10w1L1p1m21W2d20h2Z20e1816c23NW19W1r10P80Y1I0Bg20c1l30d2Q0i2W30x2v40c2o50FX200s11Hv206n11KW10Ma30Jx317w10Pb20FP0c1c43SO0h2t30q1i11Eb21_1V0k1g10Hs30Up30t110940e2S0R1Vg1x60RW11Y1-20Z1p509Y131w30d1Q08h32w1c20h2I0i1X50Y150Z1c207j10u1a20l1-20FX10L70m1a20Vj60Bo30i2o20t250Sb30-1f10b1i30m1N0Z2U07H00v30q1y52On10j2M0s1C08l51h1e31Ko10x1v10a1d21U-512_30QZ20h1y10Rx10c1Y10Kc31MS4t100E30Il21j1g20m1X40F-3W1Ss100604J03206E0990A404E04B0190L50A702q100_11Bq10EF26Jj2xAgA9Nq21Uo22VW107h30k1k303H0d1z40Uh205q40830l180W2J1Vd10l2J1W1b10I60Mm20IO09f203d10e1k51d1p508T0AE5480Lq60X1l70-2u40VA3n1s10y1b10d2f21BT0s2m50X1_60h180e2o21_1t21ND0q2u206g22d1b30Aq20Ik13T_40a1o40b1B0I11v1v40a1D2He60b1d30w1-22Et41Pc68a2r41e2M0Bj15d160EC8NN08V1a1m25x1h21g1m33BR0Im12KN1p1n20g1X103Q0DW2t17i50Z2F0s331d2S0J40m1f10q1U0t2C0y131t180a1U0X3z10541-2S2y2e14j1r10Cm11Z3p11k3O0n5L0i5O0r3T0SM08A2a1E0PP0R51X130c2O0k170c1F0Z6N0-1a10-121X1R02H0y1a20B57Y1E0Up10Z3c10-182v2v10u3s12z250Bp10Iz101k21e110j1f136O17f114E0i1S14LCY6d71o1kA0m1d15HB0_1d70A14PW13Em402p10DM0e1K19P1j1x31u3m81j1H2x1b932O0Uw30o1y22b3v60-2s40d1g10c1a20OK0p3jA03a11g1705908Q0770N-30w2u22Fr11j1y11U00Td11Rz10u3i51Z3t71Cu31Z1t51m1-80Y1l22X2U0k2F00o31HX20D60Gb10d2h21Ex50h1U1s2u40Bi50Ev408B3Jy21Bf401D08K0720500C403b10Ac10JH0QQ0Lh10Gi10BP08405203Z10KW20D50I20N50CA0B40Q10JA0HR06l106e105M09d101900S0k1U0v1l10C808P0L40Ko107d202W30MX30b1-10Kf10Ue20Lr102b10Dm20BT11X1p1t1c40w1V0x1v18i1d11v1X10OK0NW200X23c1u216B02I5h1n10a2y30f2j20W2t10Gs30x1X60i1c43NM0M11H26PH02Z31QJ0L40m1y40Tz33Je31KJ1IJ1Ba23f1n31Qs30Bh40EU00h20Vs11Uq21Ub30Z1c13Ke40Ep30v1x20y1i6Cd1t20A302001601A07306D02616409309G0OP0H24960G906D33S7GNZ2Pg40g2I0Vs10G40l150DZ11PG1-270x1X20880n1-21DT1a480NC1RD2p2j10o3W20T01x2h20m4g20X2h20SC0l2W10H03-1g10Kb10Ge10g1r20z1U0h2q10g100970q1j20X2e20a2P2h1r10W3e10f290Pg115M0TB4Qp19m2J0n1i21e1D7Dl11GG03E00J4Z2G0-2b11j3E8q1o104104002607103518702609507615C0KTd12Mj1b1_24b1b405w407l30o1u30b2X50Ar104s30GP0a140_1c32e1t30So40_1t10VB0Ob11EZ10IW403f205v20Nz10b1i40q3A16I0X2z30g1q52d2b60Y1J0d1u50i3C0PJ1h1B0AQ0i1h30Ji103B3X1u30u1f20x270KZ316i30Y1m119v30DD05b20Om30n1M1i2y200X401P17y30570LZ10s1a22p2h10c1x40a1Y10z1a318Z10JN0Jq107E1u3H1p2v10Sw205l20750e1v11b3-41S41Y1l11_1O2c3H0200180620FH02E0CH04A0973AE32H1A401M8NAd2u1jD1CN0l1q71c1h31Er21Ou21X4W20m4C0Dv419z10d1m31Z141p1o31a5n20r2P0w1y20p2t10o2J1Bh32x2u32g3p10h1s30n1g10w3v10r3i20y2Z70t3w608b10y1f51Y2Y40HJ1p2p20k1w20Ew119r50Ns20Y1y10_1v10s2u11d1o11i1Z52n3c50W2f20DY30k1x42s1s13v2a20Ft12CQ1Gy10VZ40Gp10Y153d1i21Y2o20VX2AX2e10000430NF0OS03J05Az2z9rD0C90k251Ba35Jf113T0FK081ELd11m1s40_1r40a1c31G62L304D0Rj20c2u11F25780Z2v108N0g110Ii404p206j151a11I90d1m20a110Bp108u20b1f20o1TUn5c50W2z20EC1Z2g30e1v20a2G3Hz10n2U0w3U1r3u12e2f10v1F09H08a10e2h10Oq46t2v30N60k3g20Z161c164Jj417w21b3a11w3Z10JZ30Go21NZ21a1M0X3D0e1s103Y10j1x20S30k1U0W1k20h1v21UE1u1u11DK0h4J0E40a4O1Z3T0Co21It51Fu10i2c1Ob2Z400503904004K02200802012X100U0460BL0OE0730530K30R20412450640B505S08610J0FK0a1R0B20DT2Is10390FV0I60IA01Q07A0920F209A0k1Z10Dd10B00OY211r10052f1y1BGX1X1o3W30i4b10d1v20j1Q0Z2u20a5J0l5-20k3p40v1A0c3j10l430q2o31z1-10Ol30Bc30i2b109X20f1o20X1p40O106e209m205D0Pr20w2a20b3z10Y3J1z250w2N0JP0o1w20c1u10_4-10W5d30x2V0PN0W1e10e2w10Z360l1p11W2s10f1j20m1z10H90u2K0Z2m40Y2z304E0v1l10m1i40h2d21o1Y11X1p10CS0u1q10f2_10Y2h109k118m12t2c30MC0Z2t20Y2R0EY204d23P300r11a230b310Y1H0Cu10l1u20931Q40g3r30r1w20W1n4Bx2k300C06000D0032DA0663I90090500F313M02828B0II19f11BA0BK08G0800310G80J40C53FX105Q81R8BG0A19I1Vc1g20EH05Q03H09K02F-2t3m5AJ_10Z1s20Jo31b1f60i3Q0j2x20r2g70a3y10Ux20m1O0j4i10g3t63i1W10n4g208r10Oc52e2j11t3X213U1y2216j21m2i10l5y10c3z40i1s30h2t11Z1n20k3y50x2t30Cq10W3u21X3f107X40Fc50Lj10a2l40Co10p1e109d15l1s41-2n50o1q303R0_1s22Fh20b1i20g2j70b3i60c5j40X3o31VZ30u1o40GI1t1X11q2_215W30z1b60Ds40q2o20l3F0Y2p70e2-70p2n31u2q58LR0k1u12LW20w130Tj32BA0z1g10W3a21Z2l10U42s1W21j1N2Kx21Oi50j2l43BY10w1X20l2X10g1e30f1J0-2a20CW101N3X149n2h40o2A22T1N50i1W70NN0z1z40Nm100H0W1G0w1k31b2n50IS1Y1Q0b2F0g2V1OA0z1m10g1W11M412u108OBq7fH2B504J0B60S704e102h10Bi21J00c3t50v1Y70q1Z20VU0NH1p1h20g1a10m2_20b473NM0m3c10d3h21s2q30e1T0Z1_20Ji21FY408C19d51w1c50TF1Ha10Op40p3H0Gf21w3c401f20z1g30Y2d417m20j1o10Y2z304q310e10p220v1n40g4I0p2H0m1E0c1-10j4j10KZ10o2g60Ez10b3h30Ku20DZ20i4w30Dj40X2v10k1y30Ht106o21Y1z30BZ10NW60r1p50t1C0Ui304z10s2j10v1o10Lu10k3w20X1U0Lv612s20N_10d1W20Ag10k1u10Lv60E3b3j3n59NJ04S0JD2A205ECKn20620j1X102I0W180Az30Mg50Z2L02F0m2v10t2W30g2Z42Hi40Gd211e10X2S0c2n20HP0Tc303x32Tm30Gw10g2v404r11x1m410P0g1a20v130u2j527a30l1N0g1o30l1z50a1i31n1J03V0c2i20j2X2O4Z20z1205g60Kn70n1u30g1O2X1a101x20W210h1G1Ko41E90Tr51Tp10Y1M0IQ01U0j2w20Uf40Ku40Km30Bx812q50d1d11Qo41Ax94UW71Z1n203E0Ey21HG0k2n60b1a70Kr60X2-50HZ52m2Y40Na20n1B0Cl606W11j1K0W2o30Ln10Y180r2f10k3d30p2A0w2O0b1G1Nz207J0y1S0j1s81i1p90v1m73Cf50h1w20Ia30c1v30Hg11Y2s2ENz202907C06B0C60D51C155N1Gu10d1Z10SI05C0ID0X1P0I41270BK0KM0X1F0a1D0Bi11Db22I006e20C00j1J1AE0c1N0Z1V8Y1i139f11Cq12p160o1d170991D18W1903AWBX50X2T02d20m1s22f1t12h1K0w1t10a1C6P60IF0B00080820192E0Cr1o40Dt20g1522i30920X1_100U0d1l30a3i45b2h43s2k34HY20j2j11i2n22Is31l1l50l1o30w1j30z1502Q15F14K0u1o300l110N47m10Q70f2P0Y2N0Y1X27BW101G05L01M08T05G05700A0D1w2p1u608s118P1W1B0q1c20l3T17K0Kl31S30e2-21760996_111o1Q18K1Sb20h2j20AL1N21i1W20910PY30X1f10c3Y21r1X10Qe10Ix20E34l1U1q1_20j1-30Gn30j1q40g2l345Y10x2k20UX41Y2s41r1T2f1j20e2o30Vd50QW20Bp25r1y31E47BA4-1d25SHB330710CE06B03813N48K34D61O147_1f2Y50h3b10c5w30j3t10q2k10Z1632h10f4W22Cn16i4-11X1x21JR4-1W20b4A0q3f30h3g43o560l2l11l4c10y320Y2E0X261r1V0y4X20Va10_101f2Z24o3i13f5K0s4f20u1Y11X2Q0Hf204s30d3p10s4t12z3o10i540X6k20q160MH1W4d10h540r110W6Q1v5l11a2H0g350Z1c30g1j20x2b20e1k40-1v11p490Vb10w4q202r20KO0h1X10f1W40b1d203B2UM00G03T0AO09601B0C50J74AH0Ao10J21Sf10X1Q5c1091I9CDt1d4p60HG7u3A0n2K1Pl30Qo20Tx11UH17w30Pz31e4E0f3f12u1s31_2g20S_40Rs50i3f40b210Ng420b20BL02w20m3X50x1k40S11SR1Uj30Fa40t1_32Q20Co10b2W30F33PU0s2x30f120k3n20j2Y20i1q22n3X21u1H0-2d21n2Y30JJ2w1k10Q_12h1p10r2k10g3i31IR1h2A0w1r40z2u40GA0-1x20r2s40w2n10r1i10U_11Lp21k2n21_2-12l9s81a3Q2r1h23g1e20z3f10m3G3BI0r2v10AG1X1a10Uj10m1e10Rr20o2a10X2Y24s1p10v1309I0e1N0FT0Ms20GX20h1J0_1W31GB0y1X10f1Z10j1W1Ga3k1f1f3v51d1i21J_21c1d21j3A0g2q30t1d31KG0AT01l20h1Y40c1b30Eu30Iz11Tg103X30G-20Ix10Ie32l1204E4t1f20a1K0Fx20g3g51x1z40Y1u40X3r30o2q21Rf31s1y42_1_19Nd10W190k1w300b10Rp20IK0b1X10y1G2Go11v1E1X1j40QD1k1u4Nm3f11GY1Gb2h12a1o30X1o10k3L0Vf30n2i11Bf103k10MS0g1x11s140d2f20Qo23W1o12_300k3h11GB0l1P2n1g396d52-2k50X2t506y34X1H1o3K0X2N0Lb15Y230b3V0e1a30a14IW6i10S105F09E043DCS3f3q209V0i580l4f127W10X1R2Y3d20x1-10s300t3j10i3K0l2q10m190f1m10e2x31v2A02m208L1i3X12n3Z10JU0Z1u20q2p100q101p30t1e20-180Y3Z10h3601N0D23DM0i1P0Ke10Y2A0h400w3a11Fd10b3s15y2V0Kc10TB0Fb20n1t10FK0k1C0h1I0Y1R1e1s31x1H0AB0g1214f34v6t511X10Q409E0201AABz1F0BK2W1r22i1P18m215z10t4u10k500b2I0q1o10_1H0l1v10w2Z32N21DI1SL0h2e41w2s10l1r419y20n1O0y1d20r2W20W5b30W1s10l3f10W1k208l10W171z1S1a200l1j21v1i40e390X4f10a170W2f2T_2VAOT0_2w30TO06L0s3l42Z1u20X4-10-290-2F0h4j10y1r30x2q61w2j10i2z204c11b5i10a112W4v21r4o13Q20CG3O83b2208c200p20k3G3Hr20Ew12i1j205-21b2P23f10y1g143h10z4u40i2l10Te105f10o4h20v4u10o1S0y122n2Z304K0j1-211L1-1x10w1l24k1s10h1D0n1I2Z2782T05a20W1_307u11Z1-20q1_527q30p1n394k30W1j31CM0j1w30BG1q1B0Fx30Qg10w1I7j1D0KK4JC5AC43l20SQ3F4CBe1Oz1b11C10180JL06I0280284IV48Mi2w7O0OK06F0AC1FD101Le1L0g1q10d3u10W1R1Q903C0b4r11w2W20P90m2Z22X3i10a180w2x10x4k10W1x108O0Y2c115a10s1Z20x3M1Y2g10p1P0y3A0VV0X4l10k4k10d1N1l3E0q1E1Qq20Rt30K604Y10e2Q1LL0El10d1C2z1G0m270Lk10l2h11g370L5Fs5s324203O0Cj10BG1J26Z2V0Y3p20X1s11m1i20Bh30m240r1o20Na10k240JS1h5j50s4m30r2Y11Ld40He36GW10q150-1b40g2W10v2B1g2-21d1p20l4U0q4Y301z40b5S1BW30w191q510v5r10i4o10DU2a1f403S0d6i20BX30y1o20j1o10m1l20s160CN2X3l10m2k11W2I0k1A1l1e10Z3509r30Iu42i1t20j231j1a10Y110i1j208m201d20PY20q3A1H-13gCyP0y1Z201N1DQ0i1i12h3f34Y3w10j3J1CN3De10k3U0_1S1Z1t304-10m2q10d2E1N_21c4a30b4f40800Ci20801050Ik20i1E06X20p1J0F60A90BM1GA0E50y1k10n1j10J52Gy14W280L61PZ202O0J20If20Z2K03d113002506E01H0460s2u30X3b40802e2e40j2b204008206j100B08C2FS09110D0800280g150A003Q0e2I0d3b22Z2510_300Q0E42L50E41Li12k2r11B30x2g20q1x311k513314D0310AE02H03418X40j2m11b1a10Y2c10g171Un40Z2s50W2X40n3k10o2q11Y1f30j4i10IY10m2u13Qd11A21302p3D0a2r30RW30CP0X1g10A81Y160g2h10b3Y20u2j10330An20Hq22x1W20Y1Z11Jt20Z2o10W4F0l2m20c111t2z10a2e20SZ10C407208L0710Ov10t1a10160Io207916011r20IA2Eg30430A50950CW109P05K00F07506108G06101C05202809P09F0160W1N06M05117J04-10620LN0CR0550LG0Qi12BR0M400T01y108v10B803T0811f1B0OW2v1g1l108312E1QG0B610D0HO11C0820290CA04B09225v11D70600411KU09X102A0851b1320C07B00C3g1C0700243GV1A615P2HZ120O02B1Cg206416101M3E420902H2h2l100C1812Ed103G04G0G320A3L225F7c5o58i1t10_3r30Sc20o4a10x5t60o2s109c508_50z250Y4c80p1l603-10Kq40h1h52-2u206a20t3p207f50Rq11a7w40Z5n50q3w70n2r40f2d30k1q10d1S02T08i10e5i40d6n51q1k30o5C0p5b22Bt30q1u80t2_71i3-40Ti10p1_20o4g30_2X70Bg111x10Ew40Z2f10W2J08K0o2k40Z2J0q4X10Fe10Z3i10y1d10_1H0IL0n3h51o4o50n4x6PEa20130A504A00E0JJ1CO99091B28Pa2i2J06F08B08C2D817T0s4L0b3I0o1Z20Eu10h4R0Y1X10j1e20a4v30LW10u6i30f6d20s5g20l5l50_1u40i3X201h20z3y30m6f30f4s20i3x20420_3w40W1h60KI0b1o50-3A0e1x10h7902W21W1_11OK4-5U1h9P0i4g10m2t30l2k20W4j201Y30j770q6x10_380s1W30IL1o1b10t5Z1c1c1i51-2N1W440x6x117M10R9s1u30Y6C0X9b30Sy205j30W3m40X280x110-8_30t7Y40g5_10b3a20j1_30Fe10X1V0-1W31m5t200g20Z1Z30w1-20x7c10e8r10t1n20v6a30o7N0Z8B0q1h10Y5C0t1d10k2s23j4k10C10u2l40t4w11q1w10n2S0k7_30w1k20j3L1JL07R0x2m20t1N1m5j1Uj5j54b1a107K0_190o1X51Km21v321q1n20Ba80m1F0q1h50n4w30W2x10h1B0e1L0Fy10730211h1X11o5d21x1Y40-1n21t1n10Lu10b2c40Gf40s2X31p2m50c2S0z2x10By31g3v50Nf10u1W30j2i10Fv40W4N0X3-10m2L0n1e20d3m10Kk30e3b50d2o30y4_30560h3T0_100e3g21j3W10k2j40Jm404c12Kz40A-10d2w20g1v30a1m10X2b20f1g10s4L0-1C0h4e10w200f3x31w3g30X2h206J0a111LA03y10d3V0-3C0t4q40o6Z50t4e10l1c30c5x30Z5j18Ii33HC0570EA20911DF0GZ2z2d60B01U019D00807308H0k1X10r2W40o1L09t402c605N1M63EU0b2d81Ks41Y1Z205L0b3o50y1I0r1n106_302y20W2s200l11_1y10q2h10Pr61j1e61Lb20s2t31b1s10q2w30d3n40s1-31k1m10_120BF0Y1H1Gv206f10h1L0y2m51h1J0j3p21i3_10b1I0Fg10La301x20q1i51q1f40z1T0h1W20m3Y20n1n20l2I0c3o318f50j1Z10i1W21d3k40u2p30d1v50PD1Ey40Cq10Z1c10o2Z60p3u40q1Y30Lf40Ei30Rx40o4m50d3_208r40f2o31UX502k100P02413b10JQ3a1Q0h1q100z21GP0570DB1Ka109W24Cb20Sg105T0Z1F00H09c5c2i3u807A092Gh1C0Ju12i2f42X230Ro50a1A0Kj21b2t20W2w10E00r1Y10i1q10Ij40r1i51g2j20Vp20h132o1b103-10t1W10FY20s1t201Z10u2i10p2d20Fa30s190x2h303Y41-1v20W2m21h120d1h10e1w10w1h20t2i20X1f20Fc50Mf10q2X40p2q507v40m3K1h3n21Ba60u3f41v3g22o1x10Y1V0a1P0GW30v2u102R0v1d208W2Bm7n80TG0w2x20W410Vm40d4p20-3I1Cl20n1c51a1n42n5801c11u2r100w10g3m10f4j20w1Y20z3t216Y30Y330Ef30f4I0y4s10X1n10v1k20c4M0t5h11Af10u4k10Ht10c2O0t2K0w1k20Z3h20o3Y10j2f10j4B0m3N0u2w10t1E0x3p10o5Rp1t3f10W6B0_4W10FH0g5l10z731DI0c3J0-5E0GL0_3-12_1V1R70Pi20d1f10m6x10Ng11h510I90y340r3i11CA1IB0-5b32j7e10o1g20c4z30j1I2h1Q0B70CU03J0780MH0o1H1v2-10i4_10b8-10o4M0y1t10f5E0Y8L0Z2H0d3Y10q1C0u380f120X590w2Z12h3c2c1OW204904E0960390B606B23S64X15OQ8Bd19G81Lg11BNq1o8O9q4m30Nl10b2b60BK0c3q50h2l50CC0Z2u201l20k1y10a2F0i1a30f7p21e3X10b1r20k5w50X3j50y1e50FZ40t5-40W2w10W2h10b2x60q2K0q1k10n1o10b290t2c20k5_31Z5s10q490f3H0q1L0c2c61u1x10t2b10a1d20Z2y41o3v308p20b6k408r10W1e31g4U0d4h72c1a50-2b30z4w41o1e10Ax41m4I3D60b4_30y2y50x5n113i20w4F1a2n20v2t10i1m10B10UW11l4K0Gz20o3e35LJ4s6s43j2u10I_10b2a819f40u711r6b502W11i7W10n5B0FC0w1T0s1e30j4v50w1-40Tn21s5W30Z2m202g20h5f90w7I0r7r10Nq22n1S1g1C0w6g31t8x21c5j22n1y60t1k10k6j50_5q30h1W20o9p90z5s31t2U0W820t7W41y3n60b5k30o6b21t2g30-3r41Er21h4w20Fo30r2c51wAnA0r6q10l173e5u30l2Z10h3W50Ce11Kd20a5f50p1F0X2v40W5w70VV3032x4P1o4v21n6-20Mf221g21c4lL0PB2u9_10r5i90r4j20W7l33r7c21a6v20h200Im60X2o206f51g1qA0b4fC0s5u32DA07F0Rm91n2XA1w1r31g1u20x1p20j1c70y2a40X2h70W1i80o3n20r2K0KX95n3R0_100o6P2_390q3-C0v1t30W3x62h8J2k8z30X1Y90z4Z50k1q51q3v51IyC1_3tE0k3a20l2y20b1n20F41Ab30e2s10f1c50k2h70j1e507b51a2uC02b20Fd50_3v10z1l13c5k40t2v40_2a10W3g30k2q20_2n44WAd60t720w1J1w4j12b2U1PX60Pf300k50q4q41h7Z10u580y1k10W1g30v5t30f2Q0-5t106I2p3l51b3a51w4j30m2e303B21e10b6z12c2p83o4sA2LG0p220_1_70a2w31W4k51f4X40IX41i1q42b160b2h80m1q40p1m30k2o30g1b31Hh11v2L01t50n1e40s1w30c1j6TlX1vN0W1n70Kw31e3g60i2f20j4d10X7g10Y6D0k2P10B0310855x3p60w1i70x1_80-1q816X80K-20h2iC0Y2d404v81g1q20f2u30z1n10i7S0Z5c10g2j21n390-1L0a2H0y2g50x6hA1X2mC1g4v30n2A06n60_2q70Y7l703m80h9x11o6g10c190S30d5Y10e4t91x6o80m4_20l1m30y2h40m2t10f9w20k7x20z6c20q1o20o3l30Dd10m7o40h7x30W2u30t5l30a9e30p4_71c2iCMo4v40p2k10X9f10g4q70-3v70l1c50W1v80p7o10-5Y10Ej70Tk708w629nB0Z3y90a3fB0h1w80Tu20y371g2X20b9d10q6H0j340g7W20n4A0Gv60UF0w1k40t390g480jAl20q7o20b1w40t1w30Sz30z1b10Ln10l3z30u7m60SY10b430v3x50-2o10W3t40p6i40u9k30j6x603W709b30o5X20l2g60w3p30X6X50g4m20Vu70-1Z21d4d50-2a20Ia20j4Z10u1j70X4W70s2N0-2x308w40PD0Pk10As31i2Z10v5z7Qe6i34i1m10Z5m30u1l21b3Z40q110q3d20f6-10u2i41k1X80W3K0b5g20Ea60q2p71x3W10-5F1z4w40q2r20-4s10h6a10b1f30u5Y20BT0d4-30At70u1k608l60o1o40z3O0r3c10i730d5r302C0o1m60y1f601A1u2P0r1w30Y1t20Iv10_4v20Ie90Lv21z2p40-2wA0d1p30Fz50m6-42r4f50v3K0q4B0j4Y10Y4704B1TY90g5X41i1f30r8u10m1z40AX50Z2-70a5X20Fp20i2m6Up3_10A90500310GC0B10920C402A1590B600H0KD02H07M02H13-1f2u9w1IZ2p106V1u1b10u1P14u50p3d10y1X11Vn30l1s30W3r20v1s40Y2l20Je40Kt51TE0X110k2m30r3T2m3V16D0l2b20q2m30b2z10q2607n30t3m40q3t106s50EI0X1n30h2r10o1W30y1l10j1m30GP2Bp10m1b50Jo80Z1f30Z1O05n10n1b20o2c40o1B0Cn41r3y20o3w20x2n30q2v20z2g20-1X41Pq301d30QIGr4t18s1_40W2w42a2n10l2p20l2s40g4H0_4T0k2M0HP0x2y10e5H0Z5J0i1D0Uw31k1l60Y1o10p2a20v2W10i7n30b6w30c1I1d1v70c4y21d5s10W620_3p20Mk20Ec30b3f203S0k3I08z31PY32j1f303w11k2h21w3W40x6W10a3N0c2V0n1i10h3r40i3g10r2M1Y2z20p2e40Gt40MG0j1k50a3l10r1f11o170VF0V00m1_20Cm70w2n30t5F1w2G09q10d2h41Y3T0b3k41m1n41u4i50n4o10AX70Du10Di50Pi11e3z30K60Z3u311u40Y1o10w2c20r3t20m1P0Hi80TB01n70d2U1s3J0f3e30m1J2k3X12t100e2E0r5X20q2s30RO0Bv20u1X20X1a50j1t50u5i40x3W20-1R0DJ0X5j20u3r20p1u50h1X30g4L1f342k1k50Tp50Fe20Om30i3h31f2B0d1o20g1Z507w70x1h30BX30k4d10l3e80e2_11r2x40w3Q0Ug10d3z11Mi414P0Ph40s1s10h2s10i100b2h20a2105a50h1z70Ke20-1s30_3j20u3k105V2X2_20a2s50X2W2I5X40860I43D2z2t8dDSBg10D51t1_218W20FN0s3b11X1P0p1a20i1v106-10e1r21p2i30Y3j10X1l20b2i10a3c21h2P1Y2j10l3m32o1b40u1-20Rb10v2o10w1I0Jj208-20O_4e4sBv90Rs70w1b40v3E0a2a30n2b10Ip30o2F0Sm40f5j20a5n30X1-518T0v2f20Qs113Q0X170m1-11y2t206v30h2e10Pi40l1b30k4p10f2a20w1w20j2X40y101Oy50t4h30y310c1j20Rk30Pd40n1s10p230c612j4W10c3R0Si203-10j2z20Ge10Y1z10r310Kz10c1a60Nn60X1G06y11s4W31z5d10i390O_40n3a2b1e2d116B02A03609C1M708N1b1Gv2u4e3Sa1v20n1q30c1D1Lf10Kd11Ai10r1M0Qp10Mz10S003O02u20d150VY20c2l30l1Z102e40g1D0_1_2o1Cq6Tg141h1Q0q1e13b1d316W10h1O0k1y10j1j21m2z10j110k1Q2Lt102q22Id203m21X2T0Em21y1d120S0P102k10b2r1Y1p5QS6V0o1_10r2g10e2q12FN2Lr30X1y40e1b30F708a40Br10W2Z30j3u10B00Y3N0Cq30Av10PW20DF0Sk10h2_306Q2q2Z10v1u30Iv508K0Vs50Jb21a1v10W1K0Z11X1d5v411K6ER9e4y20_2O1s2n41f4Y40Sv20-2g30EV09R0Dg10d1a20v230Jr100Z20c1s30Ul10s1E2z3d10OG0y1n20i1u40b250i3r50f1m11_1Q0PY10a3l20h4u10a3W30Ft20p1P0o2l10GN0I60c1Q0x2m10Tm10x1n20m4W20VJ0m1X20X1m20x3w13c3l10j2T0e5b10d6m41q1b30SL0Gc30q1d108_1Lh6g2SRW101a10W173Fb109O0i1T0Nd10Hb14o1m10Pk30R_20Qv20Ms10X1303e30Mr30MB09J1H-3uAgByR05F0HKQt1G0KK08b201V1k2Z10d1V0Z3k40y3v509i407t102N0Y1J0UD0BM0_1k201F0g3X20j1G0UC0t1P1Qg10PW10x1Y21w1t20Lh22j2w431g20Y3z40KS1p1U0d2i204i10u1X20m3d50x1m30b3e20C30g3j60O90p2u20Lm2Lu6n6UVV0Js10e2p40v2q40c2v23Gq30d3L0JV1-1V18s40l1r43o2i42j1r50w1P0d2c505k104A08Z10k240Z2n203g10Mj30f2c10y2F0l1A1Q10Z2w10g2e20Vr40e1o32t1Z2PhAs10c5H0b2n11-1u30Pt30Kq60f1z806W10q2M0p3x20e2m80Ib401o10t1p505s80e1r80i1k50BM0b3n30HX20B10c5i60n1X60T71Nu402h10m1h21x4M0u2v10o1a41z2W10Ub20w3-32j4n10EJ07C22603H0PN0X1h10a4r11x100Y3a60x1N0Ai30HT1An7h1NI0u1e329i10PI0JX40h1p10m3-70Iz11f190o1f50_1Y40Cd30v2N0i1y20Or11Ms40SY10v2x40w1Y50Gh50_2N0Y5Y10r5a10s3H0u1b100e21n1j20x1m20Dv20p1L0u3w30b1y10Bn30Ml50h1s50k290Bb51o1m50Df10f1b10x1f10u1J0a1i21x1Y10q2C0b6C0y3r10x2d102a21i1g30Z2X31w1f10q2i6c1FZ408009I09N0CB5E4v2f6h4S9Q08d313c40q1f30n2m40KX40j1e12s2s31h3l10q3v20X3l23i2i20z2n20g4q30X3q102v20W2J0h1o20v1p30i2o50072X1t10g2d10Ae10J51r2c20k2p30d1u20o1Z10d1_40v1q50a1d40d1S07u40a1j61o2g50Aj32Vo30z1X610H0Ts50i3o10Uz21_2y11b1Z60Y4-51j3l30EK0w265r2g9HZ2t20a1j10c3s11d2c10N00Dj103V04g22UX205G0b2Y12m3_116w30h1H0r1l10o3e10Lz12AY10P40W1i20Cf31v1B0My20HZ40m1q10Cm203d30v1y20Ln106B0Dw10s2f10RSe1c6o6Ij2t50Y1g10b1Y33Dz10w2w20X3l20a2103m20c1T0Fm14z3_60210K22-2g52Nn100K0Nl10Ee20_1p30s3o40Jx10n3X30e2W50v1f50Sb10o1o50Ea10BF0t1f20Ip10L23u1c10n1r20Km50Q60Hx21o2s30t1n50Nm20w1U1X2b40s1o20n1TMFu205D0AG01N1CA04MX6mCiF0Tv10n1X10w1W40t2h10m3r20b3y22a3d10Aa10b2C0q1a10y2X20Nk20t3v50L-20TR0Y4I0W1w10f200p1L0k320v2a121t21X161Y3q20b1h40f1g20If20CG0f170Qq20j1z30w1G0W1e31s2i11h1c10d4f20K10Kz20-1Y10W2Y10h2p10b2s25-3N0d4X10a1N1a4o212W21t1v40n3G20C0c3y31h3x20c4s10_1O0QL0v1h11Ap10Y3s10l2g10y1q11M51HJ0l2n21q450v5E0W2C08p10v1W30u220b3z40o1o31TU02h40Qa13Z3-10X2a10Ml12W1a21QG3Z2n50AG2y1a10D00HE0FL0Y2u22Z3z20m1m30Y1h20r2A0o2Y20091984OZ41_1k30Dw11BB00C0CH1c2l10n2v11W2M01g10K615x10Ba312f40b2i103W38g1Z20TM1371c2y13r1j30CW30Y2b40d3-212L0a1e10-1X20X3l10u1q20i1110H0F00Pv20j1c10Bg221z16i3u30130330600600J60CD0I40B302I01503H05103E0I70EE09F0L005003A0QH0G80090900B00900504EM1DCx1ALg3h1W10N00G0051005-2Pp70Qd20o2d30p2M0Bk60a3b90Z1i20LY21Pp40b1o73o3z30_1P0q180a1v41_3u70m170t1h20q2s41t2a10s2f90Gc70Ev20OM0j3p30g2g60c1j10n1b50Rs61JZ10HC0m1a21-1x80X4q11Y3_10Z1u20Rk50HI18Z10w1e20r2l40g3o31X1p800R0o2m50Ff40KY90Z2_20Y1e104Z40g1I0t1M0Z2w31Ct70j1e32i2z40p1a50k3s10_1l20i1j40d2Y50Mq10x1W10e4b500w101q50t2j90e370d2u20k1Y106_20r4w908j902Y20w3Z10p1i50s122f1f20c1w320X306O0l3d3d3s2W30C60DL02A4D01640CG07F02E00d106o109l164IX2218VdA0La10n1g30W2j30q1k10n2l10Lw204N0c270X1f20t1-208D0q1N2SR07L0b1W319f10c2d23P-20c1X20BKf2c3i88Y2X20l3u21W1d225m52s1E0BZ51Tm50Ap20H_60Tm70a2V1n1C0a2X70D-40A-30_1b10W1a10m2x50j2s40u1_30_2t21y1g60JX401b20N50DQ0y1M16s506N06p500i40O_40b3q10k2w101Q0h1U0TH0Si221Z60Ju406h40i1_109m90u1v40l1l125X30Ry5VkBfJ0f240Z1F0e3W20DJ0e2p20l2y11W1j11z3O1e2k10r2Z20W2O02l10SY12UR0h390OK0OC0g3H0d270IU0z1Y206Fr1Oz2It1cT0k4E0Sb30f1o11x5b10g102d3i20-3x10m1Y20z4p10c6e10d543m7L0c1f20Em11hAY10i4b10c490X8g20c3l10Ch30n4w30a174u3j20_3w10Y3G0o3T0f2Y20b4j10u2-11c2y15Qp40l1b20u4W50d7_20Y2k305p10Z230u6q10l3Q1S50r6p10i690_2N2R90q1z12t3c20e2x10a1W31FI0k2r20s1b11Em42l6r1Ky1g40y2c21X2z20T31f3b20u1a10a4g30k1k10HP0970n2_10Z3Z106H0g1k10MT2x206c1F00U0u1X10l2J1T01g7a50Z2r15x3h13b1z10i8e60f7n5r1u1j106806D09323632U1Kj1t2k2z91Aa119r40l3a60O40a370IU0p3h50e300l2C0f2Z10c4Y61Fk10Uh40a1c41t3n80w1C0GV0l2i60k4m10t1b70Ja20Hq40y3K1x1s12I_B1Qo80b5b60o1d126u70X1l40m4w20r4H2Sl40e2n10Z1o50v1f20e2e70e1n804y31x3H0Y1e10j1z50z1o40s1s30s5v50x2v11u2m90Mh10v2g10c2S0f6X904-41BX20y5r10d2m41t1E0i1r10j2X10o2s12RX50y1C0f3y306S1o1n30s3i50b4Y10-4f40b4v30h2c20k5n20JiA1f3xC0d2s60Ah12Y4b40n1Y91k5X19Gg30c2d50b3_20w2d20d321w3t21DkA0b3Y20i2_12HZ70u3W10p5z30u3i11v2Y60Tn60i1-52u3v210N0Z5p10w2c40X1c20a2g10t3k40g2H2g1x60W1p50FW40Z2u11W3r21p251Qs70v1z70l120e4o30t1o10o3b60x2y506O0r1c20Z2vB0Sg60e4b30f5mB1g3l6W1jDb91AL6c3p30Gm50d1j30X1y90Z1j60g2Y108r21b2u50d1_21Lz10y3f40h3q40r1J0c4l20r5W30-5Z10_4e10W5v309s10b5i30s1_114o40a5z30l2X10N-50HR0Z1b12i3t208o20Tr20l4Q0u4e51l1h31Er30b1Y40l1d10a2V0j330Kc10y370z4L0W3t10w3I0x1s30E_52n3c508v10W4W30Z3n21m1h10Du3Us5j61G1G3G0Z1_30Ga60Jd80a3y507b30PW602P0e2_20d2o10EX20Y2-30f1F0Sd40b1p11_2c10MB0PY30s1f10Lz20Rk70Uv12Y3U0h4q10V_30g4m10Pd50z1Z10g1c22p2e70Ur50Lp10w4q20d4y10Bp50Fs50e1X60W4a10FO2W1i60b3t80Sg80x2Z808i50g2m30W1t60f4s3Rc9_33v2F0a7g73v6p91Dc30s1R0m7W72h7z31d1k10u6p10Z2k20Z5d31Gf514e20a8s60_5Z10r1z40i3T1g1o52_3I0w4z50x4V0q3o30MW40v3p90Rs50m5H0z2q30u4E0Z6t50q3y80e1d40p6y10W6x30y2c72l8vB0s6-40r1e50At10d5X30Dh50w3w31-2o70z4_21-4d40W1s21x5Y10v1d31a1B08h104j20q3g40i1l10t3o10Rc13u4z37x3q10j3x11W8m71Z5l81r2k50e2q34zAqE0L01EF4q1r410c61C30DJ05S5Cp70o1e50j3j12y390d3g20Y4j10LS0v3X50m1m50r2A0a5H1l5u11B62a3t20h2T0y2w20Z1j60e1y50o1b30j110Rw20q3b10v130Y111x2q333b13l1f40-2y20Gr10t2q10P60o1x108x20Fe30t1V1i180f1s12Fa12e4d30Y2q10t5g20Oj10Y2d20n1V0o1c20Pt10Li408j1Ey4jP1M81k2t20a240k1G0l2V0v6o21i5h20Ky20HJ0Z1j11b2c10g5b30x7y200r10Y1N0t1K2Y2Q0-3O0p4e40Lr11s7r30g1G0t7W10a650l5Q2e7p10SY20d5b11y1x10t6-50u3l309O0x1b30u4w20_5p30u4s31h6p21WBJ0rAJ0Og20i1t10y1c20W480l6h12n292aBY21X8N07W31k1d30W6I0v1X20r3y10e8q20h5n10MM0Z3_10B20191u380o1Z11t3i21k2O0z4l11r2v20u160Ec40y2n11u1R8h2203506001703106O0550AH08S0E60d1b10c100D80790Ko10Vh10IG0L10AI0BR05109700C09B0Y1q10W1d100C0HO0LE0Ib1JFF4CCn4w1l302x208g407Y10v1X10j1S0PZ50Y5s105M0x3b70c2q80l2f50y2a30j2t40Du50y2y10z1V09H0a4z10DR0z1J0_1m21u1_306M1Og50X1Z20s1r406c60r270h2v608V03c401d20m1e202u50Ln40A80e2k20GH0p2t60Y1e80910C90700941k1v30V_11n1W50e4n40t2q10e1Z30HY60KF0SX20j1-10Hj11i2E0p1D0Jm11r1j30k1o10VG0k2w20b2p30W5u20p5a10o2z10IS0v1T0W2A1v2W203T1c1f40g201d2o30d1h50Oc500N0ID0c2r30j1y20Lu230d30p2z10u1s20W4c22z2W201001101402705G0050070120370I406005C03401703F07K0M00L90D20g1607H0PC06B0BM0MT0800C00080080l110u1C0CB00C0v1H0870H80090A41SB0800EI01802F0FL0700c1c101O0z193K1020n4aEsB0Gl30k1m40s2w305y502d20Z2d91X4v12a5u60h1t10h1j20m2g30Z3d5r2v1z50w4L0j900w7W30e1u10_6X40c6y10Rj60o1c40b520h3Y10o7l12X1Z30n1k50v2J0u5f20z4Y20-2b70Co10m3o30b4Y30i7V0pAx14k8u60z1Z30Z6L0e4R0h7b30s4I1y1q12e1u10v1t41Cf21Mm31b2X40j3e70w6W30Rj40t2p30w2Y12h6W30Ub20a6k11j5h32g4k600p60j1k31X450w6M0Bd31W4u101d12X5B3j2k40j1j10e6j20Ui50x8j40Y4n10Rl30m2c20t3s12-6o41j1J0_2_41Z5m20cAu60l8l30Uv338o50s120JQ0PT0570570BD1G50GA05U16Ps2dHx10L10AE0D80MP08O2h3_10o3u41v2h64e1H0Rk10Ns90k2d80j2a70Bp20w1t10c1d50Pu90X1v70w1V19o41z2s40W4r50Z3j20c2q20n1S07v22Va30c2n40Z1a91Cj10g1Z70u1c401p50t2y91Nl308l60f1Y30o2W40n2X706k70g3_50e1g107k11Pa304p40f3C0U-30q2Z503c30h361Y1h20w3q20_1g10_2z50i1s60Y1v10Z1l40j1W70Kj40a1N0z1X11g2i41u2J0h3d50-2G1PH1X1-72p1z30g3V0Cp18b1Z81IL3l3w410j10k1z30k4o21Z6X207u11a1W30k3_21b1r60b3m80e4z40l1d30t1c50g2Y10j2F0S-30f2b50k4m20j4a10W5p60f4S0Uo50f1f20y2l10f1s50r1A0y2Z51b2t11a3f10d2o60Tq10s5p40_4s40g1B1Ot21Y1l10l4m10-4U1MX50z1Q0BZ20W2i50Ab11b3f31O60W1s31t1H2BK0i3s11O70z3C0o2z504s10r3l12s1e41EJ0Hv40g2s30Tv61Gm219n10n2e30p1e60i2v407i31UY12a1F0d3L0Ez22Iz58p1Z504q61u4x70n2m30i1_10r3z20Jg40q2a40j1r20o1c40r2g10g2p80c1g21781Z3-40Y2j80b2E1Y2-20a2b11n2z21k4Z10d4y60t1r60m3e10b1b103o30q3r20d5s70g1r80i1q70_2v50a181i3n10b4-60m2n40e1Y40l2p41BE0Lt10q4u10v4P0-1a70LQ0Nb30QY41g1hA0_1-30-2W20X450Cj20m4f10X1H0X3i80a2h60_2x20Y3w50m1X20_2u51c3v817c40n3c51c2_41j1j20k1p10n2a3De9i35o2j60p1E0Nk70s2zA06P0x2g21d3e60k4n10h2c31Ll50w4l50j5g30c5K0n3c50j1x20h2s40q6n805u40NX30Z2e90d2j60e1-30Y3b40b2t12y4409h20l6Y61N_20q6n30t4s51g2m50-1v60_4K2-6x20z2m11Z1a608j20h1u21n3j30-3z409b10f3Y41e3s11W1j20h4a20Y1v20o2s10p3W50e7h62h6W60e4t21Gs20q3x71Z4D0z2e80q3r80Po70r3d60W2g60GB0Z3G0m1D04R1z140u4k20It11j4d50Nu30Fe10LA0o4_30-4z30j7w53g5c81G407W12Kf30m1_40g1p20v2m80s1X90t2w50W2y806l50Y1d70z2w21a2-20W1j30h3a50M21Af80i3Z10v3-50W3l40v1C0e1w60l1w308U0Dr50w1d51l2Y106W30i1K1a1w50Z1jC0Bs81q2q60h2pE1g1g817_21n1Z40s3gE1b4x90W1i70q1fA0N60z1e30Cw50Uc20q1h10f1z80s1j10t4y30y1q60W2p22p1L0x1h202i117x11s2o20v1H0QA0d1l20Su20It40Hs51FZ90c2y51J60N_30q2oA0r3l41u1f5Be3W6N4T5UW41y2n60v3l10-2m21l3f30Lm110R0u2a60KN0b3_20s1g41z1n70u3q70Cd10v3Z10Cq21m4v30_3n41Oi72u4d626U2x2n10j1c60Jb30g3f10_2e30w1q40o1l91v2s40h1P0e2E0_3T1m3v21f1g116T00f11Y4c4Gr1j88e3f40d3a32b1n20Z2q40Y7t10Mr30p6c80c4r70j530k4u30j5X30k9p20x8k70w2X71x1W90Ub30e2l51n5m41o2V0EQ0o750_3X30t4u22y7Z10f2Q0m2o20_7v30-2o40W4z30x1_20f1Y10W3d10d3u20q2r20z5Y80c4x40l3j20y2a31w4m10d282x2n51470221Z5u20m7m40h4k10c6v80x2-50Vy20X3X10a1h300i30s3f70VW80l3z11y2K0_2h40u1p10m4V1Z9c20q7Y10P10v4q20W250r2e20e6j10h7p20s6w10s2T1Z6z36W6iBJLr31m7Y52p7w20Y5K0X3e30Y5_30v4Z22p220e2p51v1s90k121y1y11l4l42q3v710N0Hg61e5a90f3t80j3p60q1k20o3iA0Uj20X9r11s3s30i3v10l3N0u2R0TC0Z6u10Y4r32e3h20z1T0q5aA0n1S0h3hA0Mz20j5i80qAb72v791FG1i1g70Lz11c1X30Qz50g2g70i3h21X6s6C-1tE8K_40u4aC1z3zA0u2W50Z6C0Dv33a5Z20r3902y10Z1V0Y4u60z140q3b30f2c50s2z90Lk21m1_20X2u30Cr20Qy10S70l7s20i4e10BX23p2c31y1X83z1-615v10u5i32b5r20c6v50Du90p2h801e20Gy20z1f20g2s40t2l60W4u8j7fa1d80Y830h3F0b450c3e10o4d10022j971y4x20z1a40X1Z20W210w220US0j1V1NW10n2V0s3m11QC0z710o9c10p630k5F0n4j50o2w50h5X40i3c30c1t10X3q20g3h30h2D0X1J0d3c40u4v10t1l40a4k40o1p10j3X11f1h10n1i10m3I0i140p7g40eAb30CX20v5d20Oo30k4N0v2e31s2h10d2t20x3d21W7m40r8r50Gs10g3Y50u2q10r5x70Cm20e3Y60n4X30a2Z10w6g10_7n104U1c6I05j20Z4w30j2h4Oy3u40C10F701H0I20NO1CC61Ll2123y8b2Al390c1u30HZ41a5c40f1Z70t2u60W4n70b5m50Ud31Kw20y6X10v5n30He60s303d6f50u7a10z600Kc30y2r20Fr10b1w60Ed20W4v21X5I0ER0SF13e30W1o10a4z40X7s10d1Z11q5u20FW22Y4Z20t3n10o1Y10x3p50Oo80e5V0v1x40Os20f3C05e10N60y1z11l4m20Y4L0-3f30v6f10c2C0i1e103t11j5y51g1p60w4Y5LrAf79Bu10i3x30n560s4g20p6B1Uv51k2g91a2B0w4p20_2m10SX20z2x72j2k50x2w10u110g1O0Gi211Z20z2p41w5W61QlA0Z2YA0y1z70f5q21g1G0Y7Z50X231i2w60t3-40e2x323g20h710s3v60z3q21w5I0Z1s11r5t10e9_30z4Y50n1d20i2_40p2c90_1j30e460X2_20m2h10y391Ia20x4W80b1l50Z2i32o6r30t7k10m8r20X2A0Z250i4i10f2c10y2y1EY6f3Id1XA0W3-D0Z231l2r31k460n1Y105l80v1q80c4q31Tz107v10z2o103d50z1c50-5p90l4-20q1o60_2V0a6n10v4fA2o2wC0m271p1_70Ow70d3fA0k1o50It51GaD0t3_B0k4e40W1T2t3W30Nk131j10Az40d2u10Y4W90z3b504_10e3r206z40t2W40y1k70Dh80b3e60W2W31s1x11e2l1JX7bAIW2O0p6Z60m4o70x7m44Dd30Ae11q4v50k2F0f6c70g1j11i5N0W1Z80Z9-B1i8v20j5x11W1XA0QmA2j2x90e4kB2Z6dD0s6Y30g1r21h7a63W490X3X31y2o10j3i30s8o21z8t60a5x30n1YA03k30v3h80f1eB0KnC11v11y4y60j2n81Ck50v1i43e160E_1FaB4I8pD0k2a90v6X30a2F17y304Z73Y2g80q1i30m1q10j2f90Y2Z21p4s21e5z40b1y80IvB0Qs80Lu31z1p80s2g20j1iA1o1p10t2vF0a2Z10b200Z2sE3u1r20KW20Uk10i1f30Bt20l3k3d1b7xD0Hh105i22W1B7b5k71l1v10mBpA0t4g30Ci20c8t31ZDu31gDf60dAo74d1h51u372l6V1-7g80l5_32o4z12x3u20i1t41_3s10q7k91d6C0u1d90t2s71c5nA0YAi30jGk51-Ap10t4Z50a4k10Z4i30e3b50bAg20SW31Kn20y4w31Ml40f7W41m2O0Mp61a3-90c7j92b4n10_4W81d3h40o7r41Bq41s1g309h31d3e60Up10c2I0Dn70v8g74q8Z9f6cCoi10e3Z41CQ04W20An10Dp10l4y20i6l11l2x102g20l5Z11g3g30y4_30f8j20k2W62-1b15Lj31Y3m10v6m40q4d60f440c2r11a5Y30J-21K51p6f40Tw40w590d6p31y8e30Dj40v3i50Y3b20f3v415Y601p10p3K0g2X31a5p10X5a40n1y10Y4X10l3v100i30g2z50W280a1Y10CR1X7s10W3G0z1p21i4W101X21j4Y70CU01O0o1f20c2800r21l3k1Ky3-10D20D30M8_2Y6Z20AC0AH01d10154y2j41j4M1k1a31-5C1X8i20La10e8h51Z1C0x6a40Y4t50u2m41Bb40d4i30W4n50h6q20k4110u11LE0-330x1K0e200S_70_7m70s6h11d140l244k4b40j3-10_1W22Z1v20s7d10t5c70r3H0e3902x40y3E0l2o40u2l32u1w10_5p10l1i11y5f30z1g20e3a30p5f40w1W20X5Y10e1i20w5b20f6d20Y1i42u6h908e4It4z58s2Z40Gc61_2d92c4m10f1m20k1d62Z4YD1W4v30d2x10b1K1b1k31u4h90r2-90g1v30t3d42Ds42m3k20u2f41l7l31g3U0t1s80w1703n61Z2H2Ug10u3w20Bn41Bk70r5b40s1T3b1e50W3d40i3n21Em10b1_30k1-10_3z20m4i10X6y51-5R1_6H2Y4k11n3A0DW200n10Y391u1b90Py30TAE_8c500G2617t5z31g2e50k7Q1P_71d2y40i2h10UX20Vp20j3q40o3Y60j1x21n2f70k2y90-1XD0d6WB1Rh12v1S1-9b60pAq40-1X20J-40g2X50s5a304Z90Gm82n1q32SXB0IyA1_5l40m4i10n6h11Oa41Bj60a2Y71e5dE0OqB1d6m10q1_54j1e41h3c30o6r808g306l90Bw40Ds90RB03V0Bd90d1-20i4Y616v50h3h10W2p21_4eC1y4b214lB0r5a40k5w10f2W538rD1K90X1E0GJETz40e2q51m1z60X4sA3x1f303Z60c5q20w2F0n4Y70x2nA1Ik32l2s31q9r60t1z10Z8wC1-2h20e5r73n5iA2h1b21e3Z43Cq20Y4V0Z5i20VY40PrE0i3o30z3K0s750t5y21_2H0Y1d10MY20s5h30p2s60r4S1-8f40L_10NW11R-10Il70p7gDJi5xIIl2b30w3t30l1g40l4X11W7s70Kn20Tb42x1i40Po40PfD1w4w319g61z2-10f5v30q8p10x4q20g3Z20Z6X70s5YA0Z1l70l3y70QX41h280y1u10Z1_60Y4i90Z5n50g4f401-40c1o3i1i7Y71a160I30251X1A2h2s60q6l60_5m40k3B2l4x21Y3n42g3v20n3s40Z3q51o4t61i2_620b30n2oE1r1v30Y2f20z3W30Au60a6lC2t2i70b1k22Vm11s3h919Y919t41g1l72b1b20Z4a70t1r40GkF0Ed70i5M0Ih20Nq30f4dA1o5x22x3qC0Cp70t2G0i1a10k5X40h251j5W50i3t41x2sA0Cd51a1y30s5n30By50d3hA09e81w2j40r2g80i1X20d3R1Be10q5x10t3xA0g2f25l2v3Se2-10r4b11m6Q1b7E26v24y2e30a4f20n1X11r4g61q2n12Ek10_1_40j1q31w4p3m4bJfa10Y3k50f3kF2s2vB0r4x60HM1o5aB09nG0t3uK0SfF0x1o20w5V0z3uB1k2zM0h1q80d3h51y2uH1k4j30j7-60m2_C0j1dD08k70Ks50z1dB0o2cK0m9f80Z8l603eC0l2X10e7XC0t3kA0e2e60-2F1j7lA1AgE0IvC1m4h10x4_92_1cJ1g1rG0Y6t10k1qG0l3tC1p1i50a7k70_2z11v6bB0r1uM0a3bH0k1y60v3lH0EmD0-3j40l5Z20W430f2m20Lv20W8u61X1r40z5Y90k5y40W6d30Z5xB0d2Y71l6ZA0c5z10k4YH1l1jG0p1z20u6cF0f6Y10l6q4Be3h60W1l12OG0Ff1-2oEeJ9m3W80_2g105r40n5b70i1s11Co90a3n10Y3Y21b400W5d60z4n61e2m10GW93h1bE0s1q18u2y10h2X509gG0X4l10i5ZA2JaB0r1vA1s3f21MaB0f1h602q70b3d30c4w30Vj20X1u10p5t20i7h60X2Z80l6eI0a8f66h7y82i4vH0x2m90k6y70In6OfGZ49l7e80uBrA0x4sC0j7l70yEm30ZDd101v20mDjC0XDyK2eAtF0X750TkD1e6v10f3hB2m5WC1vAC0o5f92Eu70q6rB0v4i70s3g23v9V0i4c50Z3v31m3d71k2k51n6f11m7W90x4Tk1g8xg12O90Z264g1j80s8r40z9yF1k1l21c3r10c3b90zAqJ0g7hF0He80X5f40u4_41_2yE0e5bB1k3v42b8YI1o4fH0t1i50a5hB0Nc90_5F3KW60n5YD0y6x90f2h70w6w21d6s70d2x10Y6_E1j4cD0Vk80Z3b40l1i20eDjE1Z3-30X7wC2w5l70m2h40l8e80BZ60f1w70Kv60aBp60X4z30Z2w40h3-51m1-B0HdF1k7_22v6t11n2iA0a1t41gAx40t8O0i9c10n950s5X50r4q416YFBs6j3IX4T0s130o1j605aB0j2W50a3pB0b1u90n2H0q3dA0a1-A0d1pC0a1H0b1k42X4c51q5y70X5U1o3_G1i1yD13y40SxM0l6uG0W5v2r1nDXK0e1w1KRP1205z1b20Nk20Y4Z20h2-10Oi10Cx11p1G0c5l40p2i21Z3YA0RZ50w1S0s1k21j1t30y3j3q1n6p18Z6i20m6p61o3e30f4g90t1i10l2_21c2i11h4p20s5r10a3n51nA90o251o400k4m20j7y40Le30o8bA0t6E0m6r11n5-60z1f92d4a70e5k20s1u21X1r810c70h1X90W2y60c2p40t3-30-2v30j1i20k1w41l2b50n1q20q5n51n8eA0o6Z60Hq30Z1fC0g2k1c1q5d40AI0N50Kz13GY13JM78z30-1s31l1q20u2v30z4m30e590v9j20u2Q0p3h10mA_70X1w60n3W707Z50s2T2h3y52f2b50W1L0e6p70_2cF0c7fI0z1s80h380r2S0c6_12d5Y51g7zB0t4WG0W2n50h1x31v6-70s7f80e1w32p220k1C0d1O02_60At20X1qC1h4d30z3m10o7v60m3d20UX20r8W8PgBF8n2W108e20q3v101g10j3Z20BL0Y3s40y3p70TO0l2i40h2j310k20s1v61j1W30-1c50g1j40m1q20l5N0-5l40z5m50Q20c4f30FV02p50x2uE0o1j6W2fb1Yb51d2M0911710A31GR1OT09E02H0Bw20N11D01o2t10d1909y22D904525C0u1r106M1Ab408a10r1y34400W1Z20H90b1Y30e1T0900a1f10h140IK18Z204E1z1s226R3e1L07G0JM1c112f1d10Ji10c1F0J10g2j20B20Bg10h1E0e2O0x2a10253o2z211u10X1b10Gu11A20H20RN07A09c11452i2F0Fh30FH0Ss31f3R0m1x10b1K0JY21GB0Cl10DG0Kt20Co10Jj30HU02r115e12g1y20p1Z10a1m122D03H1Ny22Mj60Rc70EB18p10Jd10k1X200w10l1W21A30W1r20h1c40-1t30d1q20PZ30m1n104J1h1g516l502W20W290d2-40590260a2x20h1q12Fe11570410620343Ul11Nu10An10E60Nl104H02e306t204b21g1S0Z2i31Cr202W10B813K0A30F20670Ia10Kh109K04108453m203004540Ay2VP002130045_2h3g10W3Z10p1X20BJ1Si30p2p30880a2c40Z1Z40Gy33c1b10n2Z30Sg40i1T03S0h3Z50W2a20Qm20DV0z1X30i2m40E711705201409f306W10711AH0B20X2t20o2g60Mr204J0L60d1I0Mg10p1X40k2a400d20Rh10As20NM09X40S-20Kg10K016B01G01J06001C0p4v40e3g50MT06A02D0660h1U0Of10p1G0w1O0x2z50-1s50W1407M0n2d40u1Y40K600b103A0_1z40Y3Y40r2j10m2W21n1G2ON2Oz10Fa19a1S02t20F008404B01D3GC0Fl10BM0Qs305L02B0920350Rl50a1e402r202q41831BG0A10H92Ch60Z1W10Y1k414q11f1n40790Y1q10I00Be10n1j20y1a10R60BK0E_10W1m41b1X50TL0u1R0n1c10S30W1X209q308s10Bp30z100c2k501D0Z1x20Sw218j10F204EJDJ0F0E-1w30110000000120230110330720I401401D0G80700NA0830PC0m1R0f1I0070820O70970600I40861_1A0IH0c190490Z1K0TU0w1n11X1S00E00X10S20AK03H09I0d100a1J0QE03D0DC1VS1SZ10T60EK0E50d1B0u1P05a11AB00A0L4i1GZ10724IG14Fu2d2E0Y130NCLDEf2h3r187K0b1Z10Ii20a1x206e10501JZ20x2Y10m2f108B0x100u1i21v2612G0g2V0b1O0Qt209u10Cq20p2f101z20a3F0g1Y10j4Z11-1i20d1e10e4S0f1v20n3s22g2C0Et31j2O0R50k5k10X2S0d2b30Em30e3E0t2d20q1q10f3p20-3k30t1r30b2w10c4X20_260p1i30a4H1t1W10P00Ch30s250_1o22n1G0a1FQ-AvE4v3s50a2j20As41Nr20q1g202S03l50n2n106g40e1o11i1v304U0X2-10t1h22w3a106x71RW505p21Z1s30v1s10Y3_13Ip40x3y30W3i60Bn41Cd50p3s40i2y20o1X51h1K0Ao20k1t20X2c50k2l40x250Qu402Z60Bg32j1E1y3l306W20_2u10o1Z30Ea30X2n10o2s41Hz30d2m21-2l20h4j10m4m303U0x1X70c2R1j1s50Dh20u1c306m10z3t42s1k30i1d51S80f1o40e1l31l3s19u2m20N10ME0H228G0500DB1UC0J41E10A5r2l5t9So1g20d3b30i110Ru20Qi203L0MZ20X1Z30Bg40g1h10D90EO0i160Hw30Jj45Su10E80MB1f231In106a10D-10Pf60T60a3a60x2t201n10Q00GM4c2g31p3n60Mw302O0m150v1r10w1Y405l20n1l215g10e1M0Iy30b1_50s3c4Fr3e68y1r10Z4Y30k2f20d2m30k1f601-105m10Y1F0u1Q0f4a20a2r20j2c10a2X20QH0Y210h3u304p203D0u1V0Po10W1D0g100l3y10d1I0W1f102P0940a2H04f21f1q20Im30c1j21Pr40P80k1E1h1e40q1l20Z1o32Y2N0f2T1Cx11n2m20i2j105c40Gf70Bk30J80NY22Y3n20d2p10t1g20k1M0w1405B0BG0Sd20b3O0a3d20z2m30Y4N0Z2v2Lr2x40137T10j2F0e4F0Mg10Bi10_2r10TR0s140GX20c2s40X4r40W4q70_3l50a260c1i50_1t80e2g80x3_20s2G12d10Z240AS0J30y3Q0X1f30Rc201v40p1a20u2y10j4l102-10w4_30W1a63j2Z50Ce30Y1q10f3d60g2m60h4l40w4J0X2t10l1m22a2y20r1l10g1n21c1a12y1Y10J007m10c1T0x1d30b2m20I_10m2w20j2r106q10Rd20Y3F0r3e30q1v20m1W70r1z71Z2c30g4g30x4n30m4g20Y1b31Vq10Jw10q1j10Ri39Z5r3E-3i707l41d2l10GE2g2W30p2X30e2e20EA1RJ00h10De405x40X2k10m150Z1a10Y1S0Mr10s2W21l3v10w2k205S0t3p508U0u1n10Y1m50p2x20OI0m1y11d131g1N0d1z20Fo24i2V0s1e20h2g10Ev10j2j302k20i3U1b4j20Sq20Y1p20k1q30f1J0Kx3TNs206600D0540440DF22I0EC2AB01D00K897h2h1y321A0APE6o30d1Z50Eg40VX40Es40w1r30Mo20p3l10s2Y20At30JY30Go10Fn40IN0l1d10X1m40c150CM0w1x103c30W1Z20Py20Nj50m1Y30RJ0p2H1Kz20e1u20f3N06q10It20Qi30w150x1f20e1Z10Z3i22o2h20w2-10d2G2c2W242k10v2L0s1_30_1I0a1g40Rb50i1a50FX30X2F01RMNm502C7f1k10k2y10Hz10x1_30W2e60N_40b1g20Ou10Td61i1W30070437Nr20i1w50JY10530A343X60Y1a20r1W30g1f50Gy10Z1a30k1f30j2-40Y2l200-10x1r10Fk108h40Dg20Y2b205L0t1P0MG0Iq402G04d12W100n2_10GQ0W2c202d23n2i30w1d20p1l20e1a20Fj10AT0d1q30Il10o1D1r1J1SZ30F-60Cf5Pp2c106X10Z1s20-1r20d1v12Ik51Cn10r113u1Y30Dh72p1a20e2P0Ra30Hl10g1a30n152o1b50DE0n1u11W2o300r102G0T30BW24CV1Bn41e1y11h1i40u1j30p2z2h1l3Z70Ch23Oj326m50X1n10g1c50Hv50Fp20Gy30Y1o20Il50j1o60Vj40MW417h304b20Mk30j1z109W107D0w2l30t1g11c1c107h202w704j30j2P0g1r107b20IO2x1g23a4J0LX30f2g50k1z40b2Y30g2a40y1v60l1g70Ht50g1b20LW215e41f1H0_1n20660Me20BZ10-2b13r1Y11W1m14PA0a2k208E0z1t10w2Z60f2e206k60O_60k1J0RW70b3h50m1q10Hg10Z1_20e1s10M-10v2d40k2m30e2Z50d2s30a1Y30h2l41Gi10u2v2c3p4W117C06305305902804Q5h1m20Q00O00x2l10c2g20G60Nl306K16V10g100T3K-202e103d40f4i10q4b11n1j10j1W40T60-2x30330X3w10I90W2A0h1z10Y2y30e2U1p3l30w2W20h1o22m170X1d30x180Fv20Aa30a1910_10v2K0w5q40x3R00Z30c1i10541d1O0W2h21Vm20t2J0-480h4a10m4T1j4l30KO0DT0t1Y30i5P0b2E1a3m20z2h40r1w11P60w3B2j2E0o230GX10r2t21h1a30q1Z22aAt730A5w1m20b3F0w3f10j3a21-2V2HW20Nb20i231v3s20e1x10Ab10g2c23U_13X1N1EG1z2D0Qe10l2-10i4n31n4A0W3s20_2v10u2Y10r1T0W2t103a11BF0h3y30m2L0k3p30z6m30a1x10Kg10q5j20j3A0h190X2W40w1R0b111g1l20X2s10c562x4R2m4b20Y1w20n2A0Mj31d1y40e2v405g1K_6kG8p3c50g3d61Eo506b62z2q60W2l70j2c60a430h3C0W3z50k1c80z2f50TY20Al303g60k2X325h50Ji503q20r1t31a2C1Uv30r3s70Y4x300m30HT0Z2x40W2J0Lm20d4O0a5j10Z2q106s10v1Z10q1W30h2l21m2o138v60Ja50X2y10s3z50Ag108N0t1w40c2Z50x3-40m2r30UY10EB1j2_41Cm30u2g30p310b260i4i209J0Rn307-10Q3JW5z48l2h11w3Z10p2C0AK0I_11r1B0y2k10Nd10LB01g304N02K2C73Z2b40Mu10Mm20X2X40Gc50m2X10x1d40i1m30X3r20c3s10v1X10i2A12i10p1a10Cn20Z2D0a2g10g170f1o20TN0k1X11p3A0c4k10_2X202X10Ds10c1t21v190o3I1T21x1i41k1j20HJ14V0d1Y303p40s3-3Rd1X68f1n20a2A04a20Gk21j2F1o3p20Tj12t1N0o1a11a110p1Y40x3Z10y4j10t1v10Je40n2f20m3p11k2W30f1q20w132f4v30s2n20v3g41a4G0Uq10At34v500i2V4s2k105y34z2x21PZ30c4w30j2X50q1c60r3v20Gn11Y1a20s2c20v4n10i4X10Z490s3U1Z113w1Z40W1s51j280v4l22W5E0n2U0300w2x20h2w10i2q20Z2_500q15a1o30420B20291640C23HF03Uu2t7u21BT2Bm70e2d50t2p105g50Dl20a1e50h2h61g2c10Gu40r1z50l1u20s2c30n2j60u1u40Z1M0Jt50k3w30UK0b4l41Y1g604j30b1M0u2_20f1n10h150Y2u61j1T03X30u1w20Y3j20d1q11_4b30w3w30Hc10PU1JX51u1z10Um20Ha10BD0F-40Y1l60m1I1X531i5c20p4905b100e40a1n10e1u20Hl60d2Z11Ba60w4P0l490e4v40t4y40k2f31b2Z10e5R0_2D0M10c1i40c1S0Kf30j1700b10z240FC0w430_2g30b1W10Bh50Y2o20j3G0Mx10-470Z2A0p110KW30p2b20e100q1T0s1q21l5n30DK00X11LH0Jc10m2_10j3W41VY21Y2Z31t2X10q4G0W1x20n1w50Kt20r1-506v60o1U0Z1s10t1j10W3V1v2E0o3N0x2e41g2Q0X2W10g2v50Nc10Ba40Qt12x2I0Y1r20a1_20X3Y30m2Z30t1m42a2k10X1E0w1p302L0Fp20G-30n2n20f1Y30Y3q31p2Z406Z30y1w10Kk10_2c10Mf30p1H02Y108B0W4k400b50b1w31t2r30Gi11W2w11m140Rn30p2W10-3c417-12j2R0W3n40T-50t1h31U60j2z310L1Aq11-3f10X3-20l1t10W5r20z2Q0e2m25w4z94f1q10a1X10p1M0Ch40m1V0n1m307K0y1M1r2W10Nb10y241x1T1i1G02W11d2E10d20c4m211G0A31j5F0u2z50W1Y40HX10Gg10t1R0Y3k209D0840051n350CK0i1R0h190O002U03E1W1_20Pf23RY202E6y1r20Hi30b1u10Rl20i100g1A0Ui22l2r31BN0B43g1C2n2m30i370Hh20GX10Z1Z29s1m700000503206N00O0400370B70A40D40K500608L03O0J50AB07K00N0KI0470PN05I0I70NG06H03707605E0e1007N0CC00E0C702A01802A0A40b1J0Q50FR19S0251GP01q17B2n4k1n11NF05TPk3J1Z4J0u2r20s1Q14q120p21b4i31Y330GZ10Al31f1W50t1Z10c1d10Fd10780k2b20e1k33_421c3l11d1h103a409l31Z1s30US0HD03E0c1931k22Ph10-1X31LK0b1N0a1P0W2l10b3y10w1d20v1g40EW40-1_40x1p40Oc60d1r1Ao5r2Si4B0_3x40s4W20b6k50m2b50w1g20h480i1h40o1k30X1X10Y1O0X3q21a1j31q4U0p1t109I0Dg21b2v30o1B0Y1s20m2F0n3g11r1F0e340Z1z10n2W40s2b50f1Y40h2R0s2F1e4K0p1C0x3c206r40U31Ki30W3F0Vb10KNQZ1h4Sp1U0k2e10f3X20s2a10x2p10e530H-10b2e10b1d303H0Y1g20m2j11Ty30Ld504N0G-20d1e10m2b10d301W3n10r4w12q4q10z1t50d1k10j1Q0Y330Qb208s31Ly21a1l50v200i2o1X1bGmDIt2L0IG0W2Z20L00Gu10d1f20c3w105y20Lt10j3j40Y4e30t1D1z1j12Tu20q2C0Z3Z31k3Y44h182u1f21f1E2o180f2r10Jc40g1t33W2G1h2a40It30w1p10z3E4w3e42BY10e1b40n45P4y61BAQZ1h21a3a22v3f10Ks112t20s1W10Z1O13k10e2f20X2K0EC0w250TP0Kg11b3j30Q63W1Y32n1I1Eb22d1r10s1e11MO0l2m11Y3R0CA0b3122B0y3L4f3i20c2r20n2L0Y3e20x330u1N1Tz1Dh1c3IFw10v4r50w3m10k1k30MF0Dp20p4K0E90Y3g10j4x30Ky32c370q1y22x2l41l2a10SD0q3J3Bc40OX30j2j100S0x1J0e4g10l3C0Mx10z1U12b11U22y2y21HH05x125g20i1C0KR0l1c102Z22b1a10QT1r2b209-10q260R205h11s3Y5ITr7UFg10X1Q0e4p10d3j30Q-40Sx31r1C0Iy20Mz50X2M0u1s10u1u20z2b14y3S0TU0Jh20p2003Y106f10w3W10DX12Z1m30j2T0s101m2N0r1x300u405j1X1mDXJ9Rf30X1_21i1w10270II0Ia10o1f40b4g50c1s10S50I71Ql337t30t1w30Px133i10s2Y30HP0Tg12X2p17m4f21_191970810240D80CI0710K21e1B0p3w10c4J0j3X10E205B0c1q102y10Mj31f2m10SW20g1z21Vk10FF03e10m1b10b3X20Y4_10t3g30UT0900B70s3i209M0t2z11s1I0i1h20z3m21y2X40r2u62o2Y10Hr20e2p52f2w10102420041530140700630310500901c1402C0A900C0D025100300A0310070320360370D504606G0F51GG0FP08E00E5Hd100605414G0y1V0A000H0A102K00C01A02A0912D61a1l101C01A00C008f7-1l10y3m2Hm160p3_303u20y1d20Ea51q1Y10n2b60-1l10d4i50KZ20g4r20r1a203304B1n2A0w1b404-50_3Z20EV0W5W40Mq10t4_30n100o6Z30h1n11l4o30u2T19j11c2q40n4N0o3p20-1y30X2v10c2g30p3Z31q3V1v2Y21b3c10y3Z50i1w509h40n2e30m1j50Km61v1n50j1i40g4n102d10j5i21u4h10v170y1a50KjA0n2m40_2Z10k2e10s3g10l1X31Dk30X380k4f50X6a50Um10e2z11c3f60n3u80w3v60Ro51z3p21310BB0W1I0B409Cz2Ee7IGb31l2k303g10Mv20W132As41o1L0d1u10-3n50z6w11s3A0a1j30j3C08y10h1m20a3l40q1i302t20l3-20Qt30m3Y40d120DZ407a10h1x10P80Sk50m1l10Nk109r30u3e30v4r20w2d30z2Y80Of20d1c10W6p22z4P2Y4-10l6d21g4t20d3I0g6W50X1Z20l2s21_1Q2s3j31r3g20Jv10e3J2_131Co10Ex4Bx7Z1Ih111Nf10G10f1k30a2d208w21b5t31m3m12W2w20En40t1c52z2G0w3v20t1m20n2h50g440UY20X5k10y1f30w2203Y20p7E1m311Uv22n4o10u1w12Jn11w6s30p6Z50s3-41Rn41p1m11n1b20-4m30b3z20CQ3g1Y41N_40Y1G05c20Fk114v10Z2N3u4g11Z3d1AX5t12H1Pg1K0n390e4L0Tu200t207Q08W13X1B0CD0v1y10BZ20a1g12_1d10u3u20Cv20j2A3z170-4D0z4q10i4b10b2H0q1q21x270m260h3x21u1006q20TD05h21Y3Q2X1s20p10-3o9wC8c3l10j2z21PW60AQ1m1x10z2n30g3D1v3h12W4i203-308v50b2S56a11g1t20d1k51Np51-2k30d240u1-411v32W1h20z3J0i1i30X1z30W230Bo50h2r50y2a20Bq23f1Z10s2m11Lq10H50k1r20X2h20r1d10i1i70k2l10Ij50Dc62X3_61g1q10l1i10SC0k2g20j2p70h1w10W3w401_40n2e20D30w1p205y4FI97ETx2Y280OB0NJBAG021DY2b20r1w40SU0n1_52i3f20d4y11u4g20z1w12Ch10e1z11LX20s1e30Z3b11LZ10Z1i52e2j50L-304l10Y1D0m1k209p20MW10Pd30Z3W60Y3p10d2g30Md14g1Z33j2x10s2i40t3X61Y3k30b2R0m1W50m1l60H-50Q20_1z20Gy10m1p70z3i4DZ1h436X2Ea2u302Z30LW30d3X40b2w30a2Z10r1A0Y5Z21h2e30y321t3x20u1I0BE0X2D0u1l100Q0r2O0c5B0Jc13k130x4E1u2G0r1C0e3B0p390a2t12b2Y30p2_24y1Re1x3yA7A1QX2Z11f4y20o4o20BJ0a3616v50r481s2y428h12Ox40Se52X2m108h51g191Z2G01W10Y1t50Z4m514c318n21y1t32W1o15f2c337_10Cr11q4FEX4w4RW3v24j1r10g2c60h2p849o50RN09n24t2q31c5j11Z2j12Rk20W3x30_1q11a3g30p2M3f2x20c4m40HG08p82l2w20p1w28w5T1GR0f2X200Q16i41n5S0s1h30m2b70a2k29v2d610r10p1q10t1R0v1yE1e1b80f2Y30c3j80X3W10a4X10s2U0r5Y31Bb20w4F0d4W60e2h60Js21y3T0n5_403c20Bp10FsA03t51W2609j10W1b10a3u30t3l40W7c20X3f31r4o90AR1k5t70d7d12Y6o41Z1Z40_3z10m4e50g1v20c1a11d4Y30v1b10a1t40p2e90c1n60Aw20v1x31w4o80St907y70g1d40r2f21z3y70q4T0y3x40f612d2G1s7j20h5O0b2o521X30EM0HX30k5b32Y2c50_6v114-A0Y3l20j3c516j29s2d51GJ07j60k1m40Hx50_1D1q3Y30z1a70Dn90y1s60f2p30z1s41Y2U2Lh306n10w3m20_3t70o5o40n2C0X540c7B0n570Z2y40GhA06w60W890t8Y20s1x60u7y21f8S0s2R0z3i10e1M0Iu40Y2f41b3e10Jv60y3k70h3z44o4p10Z2y40Th107Y40y1f80a1i51b3A0Tw40Ft20SC1Y7v11z7e40c8n50v5o500n90a3o10X4c20X1Z50Ui90i7X60r7cA1Z1N02k40Y9bD1x371c2e30Z6u30a6n90q1k50KC0x7o70Ad10Vh10Nw31o2_27i1d80090EC0P81C907310Q09Ns2G6e3sEpB3t4J0c2y10q3l11bAa11a6G0Z2i10Z3v10Tn20s8a10k190p4y11i2R0p3K1s4h20o1a30j5b10X3g10W692h3302A0j3j20GU1k9N3XBI0q1q20u7n30h7k10c5Y10h1x10F909A01R0i2g20v1f20AF13i20r2i20-3f31p6e21s8d41Nc10f3w209K1d2f11m4Z20p3A2s3X10_3q30n1J0w4n21n5i40s2t41Ta10CS0PP2W2q21Ga10y1r20i4B0z2_11w2Y30ZAd20e3i10_2h20-AU0l9J1o5c13f1y301B09C0IB0BA03B2KP1H806428W1290f170f17B00705608A0D20030820J006D00C0670B30C10050A00070070B80270LM12800A1Y1l10B1N9g1r42fA03-20a6r205K16n10Z4k10m4g10j6q21m4t60s1R0Z7q50Cc10i5v20Vu10QZ10h2M0GY225_20_270a5m40S_11Tl404c30r3m21t1z20e4F1g2g31j2T1g2X50Z1Y60j2R0x1_60O26y1D1z4k7n1w2n30Iv10QX12DO0Tk30Y5v30f3i50b5Y11k4E1Fh80Y5i70_130b3Z60i5U1l3B0Ci20m2w10v7M0Y1W21s1X40g4W30b7S2k4Z80c3a90Z4n30m4M0v3r309e20z2c20y6_10j4e10a2P0a3f20X6W50f2B0o6b41_4i30a2n30u2x20n1W20m1y31Dc11Jd7m1r2W703B05I0AF03G0830J000Z108S04415V08B04u10C002P0b1C1G1003k2l7W68t1h50Iw50F30d3F0u3r51y1a40l1_329i13x1u30b176W4v10f1B04s20HK06Z71y2a70l5C0a2j40o1k40e1f40n2-22W1D1QX30Q410Q1n3s10W4Q0Ht10d2g30Rp60w3M1b4Y60m3z50d3i50E23y311h1Z10x4Y10o2r20o170_2i21u2Z20j1b20W2_20z4a70c5P0h1H0_1Y201d10u3_4Hg3X3Sc1Q2KL0W1p10X2c126f30Z2o60RX71Bi10e1F1Gk10a282m1P0z2L0b1f10Ti60DZ20o1o11Ua10x1a10g2X80I70r2-40k1d50f1w20_1W30e3K0Rv107b51g2W70Dh30h3i30s2g20u2b70b1IR-5X6SSU1G_80JyC1Uv40IZ40_1m601Z10q1x209w206d607w20Nk60Y1_10Ao20GN1f2f508d21i1b503u20Ve91y1d10Z1p51Im606b204M0n1d20Hc408p50w1i11T608j604wA1M_5UrDi20Bg30t3z50a1y10f1u42q2o10p1l90s2Y810q20t1j42c3n10Bo20t4p40m1s60i4p50j1r70h4W80s1m60l1K0g3X80Pw115f90z1x10y3wA0h2H3m1r40d2c30u1a40v2i30o2v11e3V0b1c221y21f1s11z2dB0a3Y10p3W30o3f20s3i10b4fC0e1eD0m1_10z5x70o1m40a2l60NyA0x2h60q6-50e1e11h5Z80w1j104g90X1f51j3r20SZ20Y2aE0g5f40l4q3QOl40t4a40m1t400x609a60m1F0q4i10h2T0p1dB0HcE0Ul40X1_21y3Y720B0r3Z30l1c40k1b11Uy50Y2n30_1XB2z2l43s1yF0q2g20r1f30Jt90s2q71t1q70f2rD1Z1q61g2r40Ph50a3gC1t2J0Y3f11X2_10b3n30-6y50l5T1i4w10f4pC03qD2a1j8g1q1a60250C001B09e105106909T01i106L06N05G0880HN01Q0290AG0K70380L41Kl126u10Rt10UW21J21722AZ2O6g1e1b3o9S9w21NE00z303z10o1Y40d1y203f322L0u1u10t1E1k1r30Gn109n10X1a31c2X21d2k40c1d303j10Js50Z1t30Ui50W1J2x1h50KL1c1a30v1Ja1cBjB8Qs25v1Z20u420n1Z31i171f2Y30Bf21b1C1t1X30Na61m7h60z3-80i2X139j30k1b50f6Y80q1z51OW70j1d40r1o10Y1r30a5y10Ib302m80X5r204a309t90Eg80i3t71h3q10Y290r2W30f1z10y4e40n3l60h1Y43a1d11w4s20b1j10W2u21h3n12y2r70i180f6eA09h21g5b31p2k308b604Y70z2C0u2X40W2X41TW92f2p80p2i30u2y58d5X60U02J347p10u2d50b1k40g1l70r3i80q4rB0f1i212_20x2s60Y4H08d30b3eC0EhB0c1k70c1Z10r142h1j40s1w2Cx2e60e4z50j2K08c50t1fA0Y4S1n2e11_1L0-4F0t1a71k1h80d4m31w2Z306_20v1mB1p1Z90e4y30EJ0X4y50-1j50l1Y41j1e21q5dC0r2k905b60Y1S0d2y21Dg10i1c21d1X11b1B0m5nAGc1a5JW6g10Et30x2y419p40b3Y608X30k4g10El71f4O0W2a31b3a60y4nB1Z4i50g4q401z20l4s11-2x40s1x200a707p404y10W2C0f5-50AL0k1v80Vq61i4f70Dq11h5e10k1S0He40e1t60t3i50y6b11v320w3n10X6i41Rv21s411r3e10Ov40a1y60t1v10e32P3dCSq2B07r20l2c107V0g1y30b1l50Z3e80m170HV0m5V0d3w206dA10u40-2y109n21v4w106e10u4y11j4e10PQ0u2d32g2v60n1q70X4d72Ao10Lz216e5a1Z7y6Th3q12a2a10y2f40AlA0X3c80c3v20o2g40x8Y30q3t10Fy20a1X10b2p11Y4p32Qo60-2r50h3h21d1Y30g1g30l3pA1w2U1r4y40y4f30w2H0Z6l30u6q40r8o50q1c21QX30o1n10n3U0u1x20W6K4z3i70z1x60w2X60-240j5-21e1W9Ih4h6m17X60Ki30Qg10Dn407k1k1-PcT0Y1w30r270y5l10j5o41k1v10Y121t1834b50M-10f2k308l30m180W3m10c1O1f420c1k115z22X2k10k310a4b10d4D1b320W2w11Bl40n2a50Y6x10W1I0Z5l209o10TA1y210u170j4u20c6d40X7-41W2p54s4g20r5o30e3Z50Z4W30CG1s4B0k2x20_2a10f2U0r1Z30Kk10a6Q0t4u10VL07_20m6W20z330f2GS4Y318D0B800705A0641C800D0G10p1C0SR18N0HY10AZ13KQ0p1K0SJ2500531AP06m10270V00c190HR07208C0913g161R329W14c171JL2HO6OND5W131B00Er3z4p31f1p50-3m60d3e31q2v11p4p20e1Z12g3d30m1o10x4d30w4D0Z2-60b3T0y4z60x2gB0Fo10DnB0d1i70q2G0h3b90s1G0r1C0y2y406c40g1f70l1-30Ry10w1h31_1h50c4W70j5i50g1x80q2i20t3j50q1a50v150e3Z109o40f3i20y350Uf20b3y10g3Z10_4z40y3Z20Z3e11Y3b20d3oC1c1Z60i1B0Kb40W2W20v2_30b2a11g4c10h1b30e2c80CX60X3s31n2r40y3h10Vi72l3n50Qs90At60a1e60QU0v1h30VD0e3y2IUt90W1m402g40x1r30Sz10p1z10q2W711-10r1E2g1T0f3Y20p1_60c2_30W2o807v10HP0d3W20o2w20Jz50q2r10b3B3c4g10r5l30y3i40v3s713x10i5p81_2x30Z1aD0i2x60g2z20z5e10Y1u404W30g1r307p701Y30o1u50v2K0c261b1b118ZA00c30w1o60Qk20It80r4-90Ex41c4x50Ru50c110Dk20z2p60GY10p2i20W5_5Y1Hq50860620580730G607J11C1DB1c1C1b120c182N60AR0D90B00a151Z1g10OE05z12IM0LPt14SC-3h4Is1X40j1w80s2tB0_2q20Hk51Z1m10i2h70X2Y20Y3k413j10v2k10-2k10_1v30z1Y30w5X70b1X30t2-31Gm10u1s409X304o101n22Z180Ng50M11t1x40-3d30x1s30X3t10q3_22v2Y60c2c204v50Fy40t1X20Kt10k2s502bA0t3Y502y117EVy5d18s2s30p1rD1c2E0X1f30l2wB07-40w2l20w1z20y1j50z3k31s3h50_3gA0a2Z40r2p503o30a2g60Ps10IZ60w1i20d2m60G_20f1o10U_C0t1c20s3u62LM0_270g1k401zB0OuB11x20c2l80p2y50j360y311k1a30b4n40c5ZB1Ge20r4c70-2o60j5f50Y6v907e90f4H1a3z30Ne20By30I_40j1k50d1-20-1r40o1q60Vt317t40w2g51b2a50m2_D04_60v5eG0e4_B0t3Y81w3x10h2w70Y1Y10Ed50v1g30f2y10i4v70f2-40X1o10o4V8ZBl712L6JB1AX50-4p30j2w20Oo10p1k60KZ40v2y41w1f40q5p60x3Q0o3-20z5i30o1j80JcC0NV0e3r62v2k40Z2Y10i6rA0x4q20W2m60x3t40W6-10x2o21v2h100m40a5f20b4Y40Sh70X2L0a2Y80_1Z717F0Q_31a2u30OW10t1a60W1f80Y2X31f3u20Y3m30X2Z60r2i30q5W20b5r30Y3Y80d2C0Ez526o10Tt10w1-109e30UN0k2Z60Lq40f4B1Ut40u501z2U02Y60x3b1Hj1g1It2X61c1l306s20Qc20Dg40_1v80k2g10h1i60P_20Qc414_10i1i40Z1L08c10DhB0q1F0TyA0z1d50s2v10Da60f290Ds20w3d10Fd40v2p70c1y508Z60IW406o41h231g3w203z108T0d2u20q1x707s30n2h10Qy626S1Fv90IV2Ry602l403w20a2m10z1g40Y3F03_A0f3G00o90g3o10Gl20j2_308z1IFZ9IJm201_70e1k80SrA0l1m60i2c20r3K0-2z60Sc908b10Z3lA1m2i505z30x1y71h1Q0Uz60s2c40Kc20d2n40X1t30y1i80b2l500m10a2b20l2-7s1u6j4Iu1o30Mn90t2_10BuA1k3nF1_2y50OjC0Jo90j1aF0e3_I0v3kC0o2hF0n2aD0g8y62Z7I1Vz90y2f70w3mG0l4l40Ut30HxC0KgB0i1j10Ob30z2D0l2a70s1m60a6X40b6d30i2d40r1W60IdC0g4-J3c1x30j6_D0u2mF1p2z30m5k30r2j20f5X60EW503u20Ic4TeBh38x1s40w2Z90Se31f3i41a3r50d4Y80a3vB0Bq30g1i50t1Rl2b3ZGTj1J1Ui60j1d80e1c70j2j60w7c11x1x20r2u70n2d91w5YB1t6dB0m6F07-60p1f31f2Y90W1X40_1t909k30-380t3R0ME0i1_105f11a4g90_3t63g5-60l5m50q4xAvJbm2co206201910G02BNb1n10OS02y13r1P08I0j2W40k3Z60Ry20n2w21-3X332j21Cf10X4W60g4l60090TW42540Er20Hm23Od12821_1U0w2Z21X2Q0i1j20l1m32Oi10On429m10P11x1c40BH0m3n40n1Y50i1z609k323h20_4e90o4d414z1H8Q03000A03D0A800605J08813D0AK0BT0CM0B00EG02A02408S0Rp105M78L8G0EF1f4Rb4839SMh20j1G0e240Z2V0Re40TD0Kk20w3x45r2G0_1m10Ee20q1J0Bf30f2y409W10W3r40L52DM0Q47Sz10Z1e400b10K51l102w1n39SE0M50x1p10y1W20z1i202l11z163a7g2011053G2k31m1j33c1-30b193NB1VX11K60s1p20f1W20i1M24X40Vq20Df10s1A0f3u30q1z20f1U0BY10Hz30c4o20j2h10Po40s1j60X2q20Y180q1Z10p1k20r1W21890DQ0Uj50u1e40N20a2x30z124X1u2TVXC1DB2650GA0N01r1V1g3s10d3409a20u3h60Fu10Fc30VR0940o1N1p3s30OH0g4z40TK0d1V1X2q20W2d116Z20m1d10n3c40s1p20y161h1T0t2u62w3j30n2h30Y2G0r2e51e2f61_2o10q1n20-2W40Bg10p2W21s3b50h3c20Kt21Ha308r20d1Y42IQ6a3h24p390c5p10j1a30_1Z21w2X10p2z10JW60KZ20Q20Y3x10TA29W21p2z40Z1Y58Ul73J91HG1S31Y123JGD3J0d1W10Z1b306g40k3b30g2U2Hs10Qe10Sn40v3q32z3S0o6X10h5d30a1i30SH0q1Q1t150a2708v10Cz104g40BU0u1f10n2f104K0m2l10b2Z10h1b10w2W40d3l21V72CV0Ca2a1g2uE3n1d20W1e40w2f61h2-20i1f33v2e21Ri10-3Q0z4M1ER0y1G2W1t20i1o11X1Z30b2-40Fd11q2Z20l2q21g290v1z22t1c40g3K2-1d609y20b1l10X1Z21Sg208p10j1w50a1x40DN0TO1a2B01M0s1u20j2p20f3m40a1n32o131X1k20a291f1z20W1I0j2w30Y4v30t3u10W320p3q11Sf21Y4_10t1I1Lu304P0i2X30b5q10Y5K1v1F9d150020721G20780MH0VE01E0730c1707406H07S05105809A0W1D0D80Jb14G2ABMa5uDjB0z2d10c3G0Mb511e10f2b201m60k1t56d2w41u3z10x4O1w5R1b3A06a12l1z20m1w30c2r40Z480X1o50Gp50c2d10p1i42y1b10y2q20b3h10c2w12Mn50C20v3m40X1x40Q60i3q60b5_61-1Y30x1Z12a4g247h40M21d5-20e6Z10z6c10Ey10q4p10X2W10g4f40n5e60e5x204S0r201W3X12j4_10e4c62Nf7IX2k11330180340D50e1N0TE06306a10ED0NA2b1I2Ql10KP9J0d2UiB0RA0a185992005Z1u103K0g3h115r40Ca61h2b40p1H0u151Ko30j2-11Y1I0Fo30W2t808Z21Jk70j1p52q2602y50d5n21q3p51p102g4c70p4z61y4m80b1G1Sb92f4i50Y4h20Pi31Iq10r1Z21Mw11d2x70I-50Af518123X10EiA0e2r81v2g40k1l11f2k53y104Fx50X172n1a35l5t40DK0GZ1C2-43Z131l1l20m251n1P0s4s40z4t20i2V1n190SY11Z200u4Y31e212h6b20s4Q0h4b20g340Dm11z4F0k2j239-10MK1n3c10-440Z2H0h1b10W8o40t8j30u3p300G1p2k23o6w30r6x50e6w30x5X11o4l21v1a41y2O2Kl1MTj11p3j90i3i40Z2c20W2z60f1i61f1d10Y4F09_12FE0e1m50X3t405o10-3u30Z2lA2u1s60_2M0p2T0k4c50l2z90Lo30k1d10f1Z20X2q51e4C0r4X10u2x10s3-42v5n40m1X31w3q74z4h60o1e21Mn40q1S1d1w21MI0v1P0i160OP1Z4P18F0k3t20h5w61q6w20X4j30a2e20Fr40g1P2d3W30q5e20z4p30FL3a4w402E24h21l4S0y2Z7AOm3d3cFo70Il10T8Qb3i505j63v2q12k2e30g2B0v4w11s1z30-3y10GR1n5B0UX235b10m330d3m60o1H02d22x1W10Y5f10h2p20v3g40a400p3G1i4j40b1m50e1p32b1u20Th42k1u50h1t40l3i20k4E0q1Z2Mt2b6Ie1a10Mn30X181j2W40k410d2v21Y2N1X5W39Nh31s4m40CX40j2y300I1v2W10g5d10b5j21a2A03p20V24Gs102o124L0o350_2n10v1m40s3X13Z2X51u2a1Sf1_2IY1z31NI0W161Am30z4V0y1-13i2t20s1b30Ia20h6C0o3c306x50x2i30m2C0d2A1k5t30r1A2n3Y40u3_200Y33Bz10QI0l2H0TA0q2U1Bm20f1G0QZ40n2s20f110e4j11r1u20k1h50Qj1Y1a4w87M33b1L7d1z10j100Ec25g1J3Md113j212z32j2m50m1i30550Mt30Hn40q1B3c1g70r2b314J0a2j221u609z20v2B0Sr10i1m10QT0j3W31g2O0k1Z32Pw20UZ200S0f2h30If10JBOVw70011w5Y10j2c20v1Y702v20c7-40x1v10l1x32-1y20X5z50u3i30e2t205y70x5d90Y370Hu71p1b80e5s70v3o10n1z70c2s20f1W20y1x70f3mA0g5x70Y1U0b5c70m4t80Y1W10f3W113N0640Dk71l360s5d70j2k50l1C0x2U1y8f50t3I0f3S0c4r10d6y62u9n70X4i30t2v21t3m516Z60W770Jk60Dj10m1l410Z30d3g70r1b40w2o30q3v20p2w20v3q30W3t91X3w50TO0i4i30o3d10n4b52d390m6X409g70R00z3Z20z2d40s7i50l3F0f1t50e6o3Ah4M1Y2e60Hd40j3j30l1t21y3w10Y110n2W91q2jA0IW40a2q50l4f70JS18203M0Cb10060CC0m3w20f4b60Y3q91b1r90PN0k1y10h5500I0k8Y30p1P0_500Z2k40e3Q0q1t70e2m30K114g30Z6W20a7j90f5-30m3Y26t5Z41Aq20a8Z22f2d203M2b5m64a7C0j9o10e2z800e40W6q40Z5b12g3z41t4w20Y4H1g1m10y1p10X6Z20-3l10n4e20Y1JFk1J1F201613L0620NK0UH1J006X108I080A0F31Qf2c2sD9n2l41Y5u41g2m14v6_31q1r11W240Bi30f1Z40Oq30r7x40YAa705j10z1r10Z1Y10X5p31i4Q2u2w301N0x2x40Fs10r2K3-3c10y1b30t2o31m3w10a160h6z30Z2r10e8g40h7h32g8W60v4b50r1B3y2s30c2j10j6f30b2D0-300b2k10o7o41h4n50W2a20n4j11g3g30s351XAj43q220o5a51GT0Rl21z5L0a1e10Y7o20j4b51IY30g3s30d2X54u3o129f10OS4Av20d1e30i2L0Y1P0x2w20w1X50X1m207o11Z1a118z30W4y215f10V30f2k402r50Po40n1l40g5w40j4r50Fc20W3z10c1N0Iw30DE0n240Mk11Aj60w2k50v3e10c2f10o1v20v2Z11Di41q1X30Hy12k1T0K-20Hf50Qm40d2p403H0e1R0GU0Fm50OX31Cw31n2h70d1Y41Mv30e3u30X4r20j1o30Ux32-1o11q2P0d5U2W4x2I_2v1As2J02K1An21PM13j10s1y20v2a10TE0X1f20g1g318x20RI0a3t20Ak30b4l20g4Z10h1m30LZ40j2c31k350-1x200Q0Ni20n2b11i2u20d5f30y5b11Z5o13QW121y10q4F0b4z10m1J3X1L0Is10d1q21NB0w3x201T0j2S0n1y10c3W11t2H0q1q10a1b32s1B0_1U0u2T0z3q21v1f31i530p1S06V18c1D4z792j13E-106h30X2e71c2d13Iy10h2r61m1Y51_2n40Jk40m4b202X50J10j1k50IW20IE0X2l11a2d40z1q503l300T0g2c418r20v3k22w1p31j1-20g3g119I1r2X42m1m41Y2p609y400p30X3g522_51-2e30d2J0FZ31-1g32v181q1K1d3J0S-21q1l20f1j21QQ0x260g4-1Dx1_81QA01p17w1G0JB0Y1C00F1z3L0q2c10MF1r3e30m3f44r2i31Nh30m1e11m2-11VX31S31n1q30s1t20X2c41JS17t50w1a21O_21Z3S1s3W20z3m30Kv42k2a213T1x2u20Y2t402k110Y13w1r20r2133a40Hx113-2Oz3g308CISz31f1a50Nf310v10p1G0CK0Y1c20q2X21HV0p2Y10W1y10KT1o1o10z3p30q4u20X1h20r3V0i1e10Y3e41h1_20OA0LC3LX10o2L0Z4W20g4d10v2l10e3w30r5p10c2u11l1n22m2B1B7Z1Ch513A0E30VS2AX17784c1a11TJ2t3s10g2G0g121Sd11Y1n10r1g20e2r10d1U0x1H0BX10P21OO0k1K1X1g20Rv20CN0k3i10JK0Ub20Rq30v4H0c320s1n228R0RI1l3e10k5If1j3dR0r1e40k4m10Z3x10Nt20RV0y4s60Z1z10h1n40b1i40n1F0a5W109I05X40d3v20m4s50h5n20OW10W1a30o1a10Rv80y1e41n1Z50e2u70X3w10o4802j20r6p30t2i60m3t20z3q30s5j90k2Y71b1f31j2X31g3E0x3Z30c1-30c3T0SY60d2w119h708j10Gy70e260r520d1b20g3X50W2o70j6l40m9-10h8a10c6e10X3Z51i6k60f8tA0m6c80d4_10NS0m1u10r3p30k1-30MZ103602405H0-5M0f8O0F81s970z3_20x2p10b1m31l1v21s4k31l6i22y4b50QV1r1L03m31d1i10u3z80Ls60v4Y30o5v329o104001408007700505003A04Q0EH00H1CA0RG0MN0FK0AD0J70W100BQ00X147707101a106Q0ON07X11GE0h1S31J1QS0Ip12b1m135F02W10Y1H7Z1V09K1m1V2h1s134t109K22F5I3z6p7i3No1x24l3g11c2y50k2d603V0p1I0Dw20Gf20HH0Z2u404T0Hj30w2n10Vk20-1H1h2w30W1D0x1p108o30u102l1n41e1c30Nh51m1-10p3Y10g3-20Cm11l1d6H-1J58I04N23J9Iz31Od11L01W14Cx2Y30e2h81662Q40f1Y40Z150Bi40Hx609e30s2p60PuA35fB0-1a80_1p502m40W2i20j2t40Ek30c1l81t2k60s4d40t4-70s2h60Cr40j2i60W2O0x1C0c3r50Z2W40k1p200o510t20Z1b31d2o61a4t30b5-60u3l60Qu40X390_1u20o3f80m2Z50h3WA0j1g2Rk8b6IQF1h1617X10Y230n1J0l1V0s2n13d2-45q3n50Le51z2l10k3j41n2W30l1t20Y4w70h2f32e1r10v3c22c5x10l5O2Y6g30Dh10n1X60x2o50U_30y4w40v5b21o1d40s3m50z4x50g3u73h4p5Rq8oB12Z11JEAUX40c2j10z3w30s4H0v4k21m4_21l5Z21m3a10L-20o1d20Z290Fs50Y2p61j2s50r1V0y1f10Ci207p50Si60En318R0v2c20y2D0v3x11q4f20x2W21-2a10f5i12k4G0Z1l10l1Z30VY30y1a40Y4_30Di20_2x20y1S0X6A0k2b20n1Q1W5e21t1r21_1j10c5i30h6x20k2a3Rm1f9Ut2t11W5O0l5c22s1a21W1t40U40s1m20p2v30a3X23r1O2Bq10Ha40l171-3f41t3e30Jt305W40m2w2e1g1_DTVu10Kw10AzC3X1Z10e2qD0Tn727w11Vm20o1P0Mv90J-31l1a10o1y60IV8v2p4e10wZ10EF0Y1E23Y11z441L_20Y1k30E010U0QB0g2s10VR1L105Z50Qo30k3P0X6v42l150w6g70h6r50k6-30d5d41k1X20p1o50u1j30Y1a10l1k50Vz20W1p30p1W218a10y5c31_4b50S_10z2Q0Ki30e5i21x3p20i3M0h3v30e2e50Tt300c30e3b31t2r20j2z10w1a50s1e20X3f60Mi42V61Fn21Y3Y30x3X10i7W40Z4j20h1n60I31920210j2q20W5s50d2j40s1q30s2Q0b2p30p2j2HAm401A0910I50F706m11AV17A1390E801E0CB1LH0225I70D503e10330MH0b1L00A01S0EG01N0730727G8006O9HX4-3k4Sl130g1-10Jf20m1m13X4p10O-30c4X10x2R17G0-1O0RG1V10l171-1l10731X2R1s4-13600r460Y520b4z21Y4u30t4l10IL0I608F0f1q10k4b20X1e3Uj6x417UHGn40Nc200-21z2l20u1I0k1W40Pt40m240Z530Y2v10Z1w11a3y20b1K0i1v30f2j10EY12-2w30h5b42c310i1c30d1f429i30Oy20m2B1t1t20_2m10c2l40y1c70Pr40d2K03z21h1Y50Y3l20Y1q326p20b2f10Lu105U0c2y10p3j24s41Nh6d3J_1g40i1p30z3G1Gx22g2Y21r1X50w2-11b460o2V0RF0Ki611b510i32f1Y22Y3d10731n1k42k3d20l2d40i1g10d4l10g1l10Da30Mg31Ur30W3a20Z5M0a4m11Tr41f2W316p30i2Z10Ro60Hp81Ag711x40Ci70a1_2McBfB20Y1Pd1x20y1S0S70j1m32Mp40h1m525f60m1-41Tl40JW31q1Z20Kw22t2s101t20k2e30f1h4l1lGW6IZ120Ag10a3y70j2_60c2e71l2b80G-10Sm601z80l1Z107T19K0s1aC02l40b1s10OI0Ph31Pe506nA1g1y41Tg41Jh90g2X11Re92Fl90u1w80D307j123b20Ke20TW12GS10IY1s7lC2EAFr3e13w6T0r6W30e1Z30Fk31m3P0d2b10n1f20y540n1u30Oz21x7o10q5Y11Jo20El41f4U08L0i1S0g2k42X1x20Jl20Q-30W2X60z1E11m10m2R0z6I0y5h21Om50En135R0n5L0y250J-10-1J0-1L1b6e10Y1t20y221W442j5L1i2-50Y2_51X3c507r1GOqC096RDz10c310h3o12b1f20u2a10p3S1H70i100W2n10h2J0g1N06I0w2c10Z1g20n2D0W390z4d11Y3M1PI0g2G0Ir10l210p3M1s480i351r1v10X7i20qAJ0L60z6l1Y1XCfC0Qk13Pv10A01Y2U0x1P2Ec15Tx10Y5i207Q0j4_308k204F02E2B_13X1-30W2n20B00AC07P1p1D0280AW209506309I0KD32E1d1r20740D71901-2O05B0m2k11X4f10630420C71e111H20W1A03c201J0KE0BD1V601D0y420l4X20W1o11p1E05608847k10BJ0A00a411AT0x3L01e131G2p4X10Z1C0s2u40Cv60z1u33j1608Z13i3G03p20C90Ao61j2n440y30i1X40e1Y107a44m1r31_1l20w2m31t2f422q700d60Du20f120n161y2h30Rg40z160Y4r30811f290r1W20c2v20v1Y20Ag20a1Z202A0QR0W1o103Q1n380s5Z10j4Z30W4c20X4z21a2w52Hd40w2s16Z2h100C0G26Sm1BTX30100700C20810160790730K20FG05V0861AS0F307300K0Q305L0CD2FQ0FH0UA0F201I0A20Eb102G0580f1H0850i130H80RH05E0i1W11AF0p161m1404J1RE04L0W1G0X2V1u1c10G30X2a10s1b167n18No1Gi17c3b10Ai2o40N44Ij21e170n3m50u600Dc30d2j60a1r10Vk40Sk20Vc10Qj61Z3w20s310d3b10Ut104b11a2q81h2r50261r1s20i2f10v1P0W2y20GA0m160_2d10e2v30Df10d4g30m3M0n1j43u2w20Uh10v2Y20KV03Y30t2Y20u2z60j2-10s1z30By917j11c2b90Qu617M5LI0Lp20c140f3s20Z1Z30y5i20p5x30o3T0i140Z1a30d2k20y2Z60v3Y70y1X10Tl13q3P0n2q30u2d50p1X30Fa10AH0Mo20x2m50h1T0e3X80FW30t2Y33w2W91U0k13r40h2c42y2l30_3W40g1G1Mz40m1e10x1u10W2I0p360IR0RS0Ca10e1p20Y1Y10Pr10o1-204_10n1X204W40OJ03_1QZ5X10DG07D0MN0GOOq1S0r3O1Na14m5x20p4m30s2b30X2K03m20b2Z10y4_30LO1VF21o20W160r2f11TJ1u5q10h1q10x3r30a2Y51QB0p1l44j260u5W10l5Q0g3Q0DM0327x2p20B80-1r10o3g10j3d11g400h531G01Oo20W1s20Cp40Me36_1_50810N10W1P03g20If10X1O0M70JZ116Mc1De10d1d50a1O1W1U0k1o30b2Z30Z1k10W1X10j1K0j1m31o2j30Z1L0Ri20q4H0f433g1j20g2g11U34h2p10t2k10Qk21GZ30s4Y10z5w20Lf12Cq10w1X10q2j30z1q20o1M8n4t21SPRn2X21d1Y112c22e1p40Sc40W1f33n1c40t2a20q1x601q60s2n70f2g50p1x209u20Hd10-5L1j290d2w31a1M0c3z60r100k1e20n5m32Kg2Io4v5115E_2W81EL07HKu1h10f2K1n3w70m3_20MU0l1A07g20b3b10c2z50a5m30v4j20g3c10h3A0Gv21Y180d2a20c5z20z1a31y2P1h3W507z41x1w22Y621p7E2c5S0t3f60Y4c20CT12P0KU0p5u51q2l10e1x52Aw40g1a10o1x10DZ10f2f30v2e71_1t30a28Kq9nH01E2a120131Lf30p1s20y1O06002B07305E00900905600E1m1z209s20330g1v24b3w12Z131Bb10u3g20_1Z300k12w1Y20710p3q117t50k1i133p10AI0b1m30c4E08v10Vc10800h462-1t10FK0o1M0R41EC0p1K0W1A0k1f60KR2p3W30-4c11In13Z520Y5o13Nr11h3W40s2t30LJ0F00a1L3Ks40p4p18k3G01C03901A0KH0F30AR0HQ02A0E805G14b10HG08N0Ga101G0JD0GG2Th126L0QG1DE1Y120f1D03801A0e1R14a12l127o1669e187x1Cc1A1BP0Dg11A2IY2C11013416901O0490F2Ei1n30p1Y30W1c10c2r61JQ24m60p1x33e1W106j10Um20102l4J0o5q21l4X30X1O0c2D0c2C06v202-107E1a1n22t2-40X1h21s3X40x4q40Y3h10o1u305h40b2Y200b10q1-31X1b602g501h10u1c1RY1p90702SI0BR1J10A00H20W14d1n2b12g3E21w22d1h42f2_30-3c30h2W509l30q1C2b3b104r40l1m40u5d10Z5g22c4a31Z2j10Dl43i3L3Z5_10c1e7Bt7s1091Lq3b41e2o605l31f2r108j30a3k80Z9r50-2w41Hf50b2W40c3_41m1w62n4d40i1t302-30c180l1a11W2r20c3-20W1X21Z8o10a5C0b2d20n2Y21Oa20W8V0Cd106L1z4-20Bj20Op41Ts22Hz20W1g30j2z10a3W51X4t30k4w10z1o34W4x41W1p30p2a61s1o107U21R0Kd69hCcB04V1886Z291q1F4f1e20SM0NM1c2n60p2i40-2E0e1Z61z3i20u361n4c20a6v42X5Y52Bh10Y5_10h3F14s10N60QC0g193t1A05b10Gr23Pm51r1i30s3l31f1f11c2E3i1X50Rc20l5Y61-1b10Ss10PX41PK0l1M26g10DB0a40Gu1X3004003031Lo2Y409T0o2u20n3V1y2m103b40Bq20n5W20e1n30W4o10d4J0k2p10Ml10Hs50w2z30l2z20f1W20-1y40X1n20a2u10h3q109b41m3E2VW20Ur603i60e110Bj40Z5Y60q2n20X2T0f1M0q1Z22a3c30z3A2o180g2t50Mc50h2q22W3d30Th31l1W42QD1j1g10-1Y10v4h10o4e20z2z22LJ0m2-20f2A1w1h60u2t10X2g40c1j10To57p1h42640A80X100IF0GB1H405A04Lr24S2c1ZC03Y1Hx5T0W6r519y40r4i40W1t51s2o10W3T2v7Y20e1g11u5n41x2L0f1x13d2n10Em61g3u30Ib62h4D0f2p12o5e20Hw60j4d71Qq10u7a20l4d40_1n11k4Z20b1Y31UW60w1t80n2i12f3-50g4w20X2x20EV0Y1h10j6r40W7K1t2y70a3f31h1Y61e2r81LS0b5k41Y1x10q3_21Gk5AZ1tB06D0Bu10b140g1K2DF02DKX2X41Gt20g4W80r1l20h3q10Z1l10a3c31Nt20Y1y20b1n41x4x21u8m44z880m8Z31Dq41r2a11EX10s1v2h1tBsX101405100B04606306100A09201A0380G80c1l10j1y10KP0X1A0SZ10F404K0D90Q30LC0Ab10FG0MK0BN0IW10D609R0BT0a2e10_120BU0At108D0c1U06901I05Z103B0N60E30Km20p1n10G00N802C0g1a10EN0l1L1DF0IC0OH0940130Z1k20A30Y2t10v1O0DU0W1j20a1302B06K01A0C70350190X2A0AD0y1c10z1N0Do10m1L0Lp10Km20Dd208G0L802V0510S10f1Y10y100j1c10c1T0v1i10q2f10V003506Q0Hd20S80j1a11AC0BX1e3Ao1W3s3H0HI0W1709P17e194h21QS1g215z1q40TL0Cp12g122W1b10b1w20d3b11BX108C0w3z10850802f4m20B33a5s10HI2b3Z509L0-140z1k30i2p10k1S0Ga11f4j30W1Z10w2W40Z4B1q4N0l2k305K1El10h1h10f1Z10Y2q40x1z50c2s50h2b60q2w10t2T0KC08504916A07E0HE17L0C96Z1q14l1d149X204G4Lr41Z4o308a11e3n10g3v10_600e2Y21p1a20i5n22w1r11X9K0g8Y30p400PT0Hn20s5Y30r2p300e10TP0X132z1O0Y5m10p1r30FW20Dm20Y5t101E05Y10_3r10q2e20H10v1v11j120W2h10p2f10d1e20j1S0q1x10o3m40Pf501w32k1X10r5v10u6i10l3X10HY20c2U08b504c41m1l103H0p1_20Y1i40Bm20070950_2P0i2e10h2X20z160c8B0v2P0_2g21Sn20y1q33o1z10L23JW138y202807500A0E90JQ2r1506V2-1y30d3Z51c1-10UU0k4o20_2p20E817I64l10r4v10o5a20W1y20j5j40c5k20d2d11u1u30d3b31r2x13e3R05u10k192r2-205B27H0ES4m3c10q1T0x1z10f340w5g20f4f20X3t21W2W32W2D1b151q3a21Z5b30k1J1g2Y30x1n20w2y30_3z40a1K0y4a50r4b30Gb12t1-104F5s2y10v1r2C-2a80k2L0f2p20u1w30A_10g1R0l6p11q2k32Hf20x1N0W7S0z1N1h2i211p20Im31QE7_1R1GA7d3v40i3k43r120k4j10b131Bl10W3w10j5j10m2c20Y2j20E20z41Z1u1y10430441d1D0c120900K44FLt2o3ZD04804D30H0OY1Lr1-10e1I1d3Z313Z10c2H0-202l2e22231BC6P_20FF1W5q40Bz10x1b21Im11Vo21X2v20o3c40o1z10l410o1d20f2e32g4B0Z140x1w110R04G1Ln30D70Pu11y3b1IZDv32M30Z19i1X3W10k212y2j22Bq32j2f30e1k50a1N0h2r50o4q33x230Re10Ei103H1x1t20g2X20e4g10_390p1Y202i10F72X1Q0Bf10w6X312k20Pt10b3e11d270-1W21EZ50W2904i25X6fD0o6W30s2d20Um30t5v10u5Q0p8w10o1U0W4z30i3V0x6W207u10o7v20x9f10i8y20l3x10t2p11l4B1q2u20d1a40q8r30i2n40Ge10f8o40s760Cz30R59r3e20dBb40A812W10W1E0Kv20t2w13qAo51Ot12y3j30v1k20Z3F0s6p30t5u41v1v10Tw50y5j40v4W30W1f10o2n10zEz21YDg40i4q10x8g10Rj20s550i4X10j8e30hAh5OaFo50v5g31K92Aa10e6_30HD1v2k30W1X40l1q10a1D15y20VZ10D30T61-3Z10Mi20UX209L0j6a14e7J1EN0OB6n3Y30l2S0f2b10m470z170x1J09U0-2l10-2h11040b4o30m3X31OB01W23z1c204_108R0j4q10k7X40z4u5a1Y3f607E01003904410704E0A00H00BL0OG0C50X180I00K100E0940940530LF0CI09000V0G401702D0EE0A108406402C05O0JF0N00AZ106A0A90Aq102l11Z110440Mm10Hj21c1Y202N03F0D90730N10QJ0CC0OC05806A03I00E0ED01I1d2I0Pd11w2Y1_1vBo217d13g1W61r6l30y5D0W2u30h3z70Gk205-10Dt622m81d1_41y1i30-1C0x6j31-161q4d20So90Rp10r6n90c1G0W5s90n2X44c4A0d4X80c3e90r2Z90a3Y60j1Y60MX10X3j505z10-5e81f6x30-281Y2g407n50Z2f30v3-31W6w11Y1J0l1y10Y1d212e27j290A71F800700F08E01206D02F0Le105801B05800P0IC0150b2S0-1Cn2d9X61B10O2BRO3Z1o303k14CP8o1t10k2j40z2i20e1I0Hf10s1c10Jv103c10PG1w1_61v1s20380g1-30j1g21DH4FZ30a1k10Rc10OZ40e1o30b160k2d200l50r2o30Jg70Jb21a210f1V16v20KC02D0t1a50w1r50Vs10Nm50A_30o2e116b60l1-70u1l90HH0f2-81-3r40r3m10c2e30Sr50p3i40i160E207n40f1i30Y1m40s1R0_1n32kOa42W4l40d4n20o450Mk30Z1b30b4w30m4t20j4y40q2_10x6k10o6e10f3V0i190a2v90h2a70OL0My40l3p20a1t20Y2X41g2w710V0h7Y21i5pB0X4mB0o6v10Z1i10d2d60OO1Z4-30e6b40b4W40o3H0S503v40X5m60q3x12t4Y21w3q21X1_30g1a20k1f40r4g20G60-3n30v5u40w3Y30k1x20l4X10i1W20W3j50Ia40820b4Z22m3R0d4s10y2x40a4S1f1o50l1z60j2k30f4o33k7PJr1301606B0900A66124g131b2G1Q104502401E0B20e1j100O04602D0JF01E06N0B20CD0LG03F0D10Q50PK1Aa102A1BD06D0I10Z1E08F0C70i1E0PE0440A603617J062084029f1l6hD0f13Ol4e10w8v10z5s20f2K1o5r50u1q20b7K1h1m10YAfA0l2w90Z550i6j70Mh30d1y20x1i169a90w5bG0_7oA7h300g6s68Rv20-3nC0b6yA0s5U3j5l51i4q50y1n30n3y41w1a105b10e190d4g2i1m5cH0Ot10d2c20Jd100U2Mv11QA0f1Z30s2i10x2a20y1M0Fl20s1M0o1t10NG0z2J0Au30t1d21i1d30e1a41b2j10W2n11z1N25o30o1x1b1oX1Za10HuC0u2g41s4t21l4n50610f7Z90u5q40c1YC0d3xB0u5M0NkA0X6v90611o4r20n4-51d6t30eDx31a2WE0f9jB1v2R1u8-11hAp20Am30qCs50Ea50pAhG0s5u72b2o20q6x20ZEZ20i480f2l10g9l10_5R0u7WF4y1bD0_Cy20AZ50i6eB1-4m30h6l20k2f80g1q71t1u10-2t60b9r30Z200i8q703P1X1n21s5Y41zCz50f1f14yAm20X3a80Y3_50e320lCv60gAy40k2d30l9_20s8o40c1Z70xAs72w1n20u2n20W6e90z8_208c80q3005X60t1n62Ci201103A04210J06K0EM0Pf10340EW16L500t11CI2INi2h5sAIz3p22y2u114Y60c4f90n6w71d1b60m6g40v4h61m3q30t1t20t1X20Z2W60y7f21d1H0i100h4z31n2e20w1m10y3-11t1y60x2d519p80o6c70z3Y428v70z2i10o3z20f100Og51Ip2n1r3f60W1r20f1U0Z1j51Z3o45g3w60n4nA0W6W10e3b10z1m42h2e30h4s20b2j44w5r22w1A2b640s4y40g1Z90d3e40-1Z30i362x2Y60z4A1e5X51v3x10Ms90g2D0j1x40Z3b20j1Z12i6c40p1q21GB0C_21c220Z3s70i3XB0l3e10p1a42I_40_1c30K_10-2d10m1W20r2m30W1n10TMHs1C0120CG0L51CH05f122e10060300050050U40JF6VO06Fi2n4wC0u2f20v1m30p3c20w7X30_8X31Ua310-10W1zA0La24m3_10s2a30z7o60e5r20m1a33x2d101v509Z20m3e30u1s40h8A1-1v50u2e70Jb40f3p10o1y20b1d10x1e30q8b10f1Z10d6q11o3n30o3e30j5j40y2G0W2q30P00X1h638u62v2h33a1a10V60r1-10a1717j70h1c60X1QX1q3a20j1501p11KU0D70C3x28Q1z2vE1191OE0n1I0c1j15y2w20b1n53d8v60-2Y20q4yB0458j6l90o1-21c4o70z8fG0MY72eCq80Z671m1Z70X4d10NC0b2m50y5Z72m3s80PX12b7d21k4Z80v1g900l51W3k30f1x11Cu10E10NH0E304g10Z1N27n10Y1_71v2Y23i2i60x1t30h1k71h1nA0r2wB0y9L0SX11f6vB2u1W60Y1v1Vg1vK8XBoI1U31h7k20eHxK0f2k20g3o60v3d60De32v8gG0Rp81h120p1o20uEj70bAiH0Y9ZO1v1e60_BeA0-CdF0_4Y90y1n1j1c5ZA04302C0C30F60820JI0O52MZ10H22JW10O313415H11J1IU0H81VK06U1Qb21CR1Ga10Z1K0061Gu1_1qn1s508A03B08114D2Pa200E07907E00D05A07E0MB00I0G20Uj207705W20Oh10RI0Ih20Ge10BB2NO0801JBB3q1t1Z2q50W2Z30Cc20X3n40a2g50v2j30i1906t10DB0u1J07Q0740EL2_1q10GW20f1X31m2P04C05008N0Ha107X10AK01d106G01E03I09H0j2U0470g2O0j1h20i3m50Fz10b1F_1k1X203400706C0520661990520IB0051530090AW11B105D06O0IH0TG06D01I14Z107104D0W1g10PE09004d10g1U02B0p1H00A01S0S402A1SN4h1401A1Ua1A4x13P21AIN9H2200006y1f103T0BS0EF0B8441w2t141MFFJO0n2t50Sy30m2701f60h2k30N-40g3ZB0Hc90o6v81_1c31X8q30s1i30u8Z60f8c20g1w117V0Le20Z3x31-4Y10p2t10Qu21g3d10SM0Z510j381-6n10X2u209e20510y2T0x4v10a2k21a3z61r5O1q4z21f2s90i2X20i1X80x1m40y1h50b5gA0m3J1c3p40f3s30b370q1h11c2505b60e4c30n3u40d1f10c1b73Y3AAb5y32o2g712L00a158p31q280X2w20j1W10k2p20n2e20c2r32v1e40W3d12CK0N101H13O1l2I1i2j31Tg30o2n10Sb10Z3a10W191_1T12m20OS0n1z10q4f30z1g500N1Y2D0f2So1f3I02J03o16m4E09a20q1n32X2Y14X1B0r1H0s2e20n1Z20Ue260p127L5b3H1W1s10CO0i1C09h10e191u150d2i30o1r30n250Jg30-1y10z1Jk11q13S1Ed1W40y3m60f1n60v1Z22o4u40p5s10y3d20m1l81v1cA0m2rA0z3e50W1i70X5A0y6z40Ic52d7h70c5J0c1d20h3m50Y4o306h60v1-50W2l41B-30x2n60m1e224l20v4Y81Lr70c2s805Z3f1h2n20p5-51e3x609Y514i10z1_C0Vj405aG1Y5l20l5fE0c1D0w2YD0f3xD0r1W40c5q70z2p90X1n30i1eD0e4w40h6p40g6u50d5X20k2h50VZB0e1YB0r2r70u1i60Pr30Fo40Rd10i3w60FZ70GW93x1dEJx1l10y3oE0l2v10MjC0X2i5b13z30U206B0760D70QC0Y1Q0d1F0700BA1B50Q80610920I504704J06M0K90X1O0810810d1G0Rp10y1m10x1q10c1f101K7KT073B24n1p3O13N0l190Y1N06c20U_104i1Az2p10z2k10-5s70l2n60AZ30d5i10s7c21n7W41X1o70i6d62Kb22i1s62_2Z80VZ70EsH1s1a10p1n40k4d10z7p70k4qD1j4l70m3F1Mc51Bj30_2zB1g4uD01b60j3L2q480Qc10n7w42W5n41Pd71i3kG1d6v22s5n50_113z5j30On11g2iC2X141m1ZE0p1eF0h1XH0s6wC8r4hIIr1Z30Z1r60u1N0MgC0Nh30g380Z4m41Fz704u30u3t60Y1y80Vp40p1w62s1_20b4dB05iC1u1f30Rs11e680v3v11K-20d2x80Ny60w5d21h5W40L-11a3z70a4u3j1s178o1n30W1y10r2W67l1xC0CqE01d402g10e3d80GH0x3YC0g1l70W321z3b41Ni80g1d11d3_90k4c70Bd21F207y90SZ90X1q20d1_60IsC3Ch82m4C0j6g60Ce2l1_3bH1l23Gs3p50n221k2u30Bl50u1y10v4s30g2h30n1Y217T0i1r20o1u51j3x30k2LX2Y6-51d1V6a390l3d61o4u61b2s102x31q1c103-12l3_50z1u10a2D0Mi20r3y10W1g10w520j3t80d2w50It201u40n2Y10y7U0z6Z3X2m7x317C0I00IJ0H60LHCKi10Av20z270k160g2W105l10Z1y30t1Nf2-4Y78i4h90X7oD0LZ12W1H4m2u20j1h21Pt10Hr30q924t7Z50Y1cB01W10w4pB1f5m21m1W60e3f30q1k20Mx70l3g40_4w70b1x91a2oA0d2r90W3W30W2x70p2qF0s1hB1t1u20-8s20nAc10i3e20z2J0g2y2tAY9w83AA1Da11y1Ve1Eq30Up80_2y10Og60Z130-1xB2y4Y40x6s20m1e40e1_31l4b56w2Q1g1w10p1M7e2W60r1k20y2xB0b4-2f3sLXW1AtFmY18v1g21k3i10k1x20j1o10g1A1j4m30a100i3Z21d5U0o9_10n6q10i4f30Su31l1n21W1p1Al4i51Y310Z4r10H5u1G_I8-2l2Al8k10e7K0p760-3w60b3d21c6W11Je31_3j40Z2_21o5W20b1U0Bp8W2kE88a220K_10a2D1j2p65e3c705R0j2i10Y3f12z2k31h1w21Z3r30s640Z4-10Tv70w1W50-2r44Ja10X1y70_3u10b1b76y4z5o1b9k785f216z30u3j20l3w30X1w20-1p13j3c12s4f1j2Z2sF2Vf24Re3Aj1j59-4n12z1WC1m2b50r3C0Dy10y1r80e4k30Z1o31t1n90Sq80p3H1Sl21OT0a1v6p1o2cM8e6U04X10Z1e214l311_51x361m5y50Z2j11z2-21o5z71j3a318e50X2b20u4b30t6d2a2-6d8TVi50Bl400l20b2s20a3g20Cv70Hg80c1h708w12j2k11m1p109-2t1ZLXEKWBd90f3o61m3f23ZAJ0r3n41e7q70f5z60a2a30Ea20z3d30y1F0p1e20Qv21sAa40r7u500n20n3d80s3u9t1kAnA9e1K0Qt10Y2i20t3h3ASSh2XAu18s4x10IV0AW10_1q30v2f40Y5m40b7z11Y8h20n2B0-2T0x7u30Y6p20p3g40_291a5p30a2J0Ou1e2PfA0C20CD0h1H4AI0W1t20d2f10Tg30w5X50p5o60q5Z31b4m50k3j11Z6y40-5X71z6-62sDfG0f1X30XCeF3JI02o40u1h50uDbC0z8qD0d7I0c2e40Up113n21t1p50kAt10j6w40p1U3GZ10w7vA0XBo90wEh80rDsF0m8xD5f9wC0e6z80l6w67q1d70b2o91y7l41r3a40-1t70-7fD2rCwH1Aw11k4g20f6l407m3Di2ZJ0Z2f18c2g70x1F0u7l30h2r41Z2E1b1q61W6D0n6_50Y6N0f5m90m2X50t141s5f30v5U1g2D1Rl10w4g40b790W1i103o10a4f80X3m41g6T0Z8g10x1W71s1l51f1k10w2M0-3X20X1F0l2u31a2X50W4G0320r5l2j1y4uH01x11JW112I7q2c65e1h20Bj10z1o10s3d60h2y606h61n3-206-30w6p11z4X41W5k40n4f40i1p30LY71Ix11T91Z130Ju10c1r40W2k30Y2x21d3a30p2c20o2l606w40Jy11Z1z304a54g1_31e9tC0s1V0v6y40-1z20-3f20h2a10Ns10UZ5Vi7tFIw1u31z3R0W200OX10v3w70o2h63j1k22e1h11q2Z30X2m40q2b31f2mA0IXC0Uu10x5a10k4I0i1G0Br10S-30x7j30k6X10Z6m12y3c20o240h4f20k2v2k1jCo31h8-20s5X61AH2k650u3uA0X3d92RY30v5b20W1N16l22Qk60p6W30Nr41s4d40t4Y80c4z80Y2e515c20Y4z30d9o70m2X71y2X20c1i90i6j30tAj719q10i1m10q6B0l5N0s300f4U0n1s50b2b21Tz40g462eAi20_7h30j110e3a32t2z30-1k14To42l1d30y1a11c2X43j4A0q8gA8p9h80MEECk201J0590FE08627J2Ee104n10EC1Y1W73p1l6431h2eRt20d4k60q4r406t30y4-20bCQ1u2-10q4d30d3Q0o3w10v6N0y6l20r2608R5-4B0b2T0j8y20w1l20a7Y20o4y20tD32y1Z11f3l30a6Y10d320-4E0u2-20j4K1IH0g4Z20Ln10t4i10l4j202F0oCu50v7g20w6h40S_20h7u50Jh10Rf40i6g21r3v20p4I0i810_8I0Y6H1W2e20v592i7I1X8C0g2Y302j10y2j40d580l2M0Mj10o4Y70C81Z1b7y3ji1uf10G308r80490X1r10u1N0n1WC0_1g60e3rH0W2a12n3n10W4q10a1j11Vg50q1l11l4p20j2i80m1bD0k3iL0MzD05v20f4wC0Pv50aBv30n8t91GgE0t1f30w3x10b6zE0q2sS0w1vA0W2v50k5g40X9Y90Y4XD03F0n4q10ET0Y2n10v2c10a4gD0X2XD1Ni20e3T0z3s70h1s20q120o2XC0Hw40i2d50Z5u10700670a2m10Oc10h2d20X1kC0c9x80j7b50RsB0a5hC1_4t20g1u30j1h202eA01g10k1tB0W3k10v3-D14Y21t2hI0o3o20p1e40W3xE0d1YB07wC0e5_70f3n40v1539o108N03501F0DV0b1s20w2S22f200808209P01O0500930UU0J61AZ102801204B0D00W1T0f1e100d108I0090F-118j104O36l10BG8OEB00T01u3e5j105G1m1E0OF0V20x1X30Y3o30p1P0f2o10W3p10790n2l90u1-90_290w3z10z2c50Y3Z10f1S0e2b10Z1S01J1r1P0o1B0Da10e1Z10X2W10q1dA0Mc806b10l1k30g120Nb206s10CZ60b1q30i1a20t100j1l10g2g2x1j3h111S0Cj10NW12845S5s2dBe79lCu80d2V0YD_81b2iA0i1tA1q1c11Sy20LZ20l3x20e1012e60w3r41t1L0-1-10b9o80h7r20a9u20z6b70b1-70-350l4t50oDz51u1w40d2m51e3X6w1Y3n704A1EE1L9DX8v10QG0A60c2i10Dd61m3w30p3k20q3h30X1e40x2h20z1n30W4s40y1l10t4C0g1n50n1i20p2T0y4k102e209X31d1e50PP0t1X40g6Y30_1k101e10W1x20Z2x21w3W40x5b10k6g10j710-6P0n4x10p2Y12q7e31t3D0s400BH0x571-17X1r5R8_6j40y7y20r3E0c1h30X3v70Y3oD0j2W11d2_30Gh40Db30a1W10v1r20i4c80Y3K0X7bA0g1uD1y9nE0bCw70m8W40j3p40q1i50b7zB0q6cK0l4rB04a40z3Z90c1v20y8e90d270v620Y2r50g4Y60q2s10x8h806H0o7sA1JS0If40Dn40N60t1X60W4yA0p8b40c3t40t1u10PY30u3k204r10Jf10b2Q0b2X20W4a70v2XD0y7kA0t8_32B_31Y4e40y2e90f6fB0o6YE0Z4n62x1l60d1b20s1103b10N10l1k456r3q6lMe900214403702K03R2EC00100400700E00H02Q01T0CG0150E80070CA1l1E0k1P0JI04J1LB0SY10Rf10Be108b114D2Fm103F05C0ET0Hc107J20G1k260PP1E00Ac1SEj110G0E70M3Un3-406T0090n1b20h1W10f1E4o1Y12z1D0u1g22Cs21Ul10NX60Jh10Y2m40v3C0k3l105U1x3Q1m3X2Od1l10g2a5Hv1z103w40Td70Ig16g3h10950EG09206G0510AG09203002f11Dg10QR1Cc18b1x100A07J6EO04E194BLT04E0y1H0751A70E20CQ0X1307D0K408G02F1o1G0Eo10l1E1Er21Ta1CZ1b10700500301DK88I0410940702w1v20800770C80BF0IG0HP0QQ0Nd10W1i19Sr60d9Y40W5v10q1i30i4w10VjB0n4Y814tC0a1mE1w2e20Y2Z60r7j20w3n600sC0t6XF0-2sB0k2y20Ps10u1t10r9x10gCs10t3l10o3v90Z2oC08zB0Z5c20s5U0p7h60G50o6cF0t5ZA0o4aA01z40W1y30l5xA0g8q42g3N0_4y50i3f10j4i30l5tE0W2k31d2t13c801x1YD05J0681Uw20Z1n207912S0A30SB3HR0L41y1v21p2o322J0Av1e34YCSz2a30h1Y30i3p60Na90n3k10s1t40W1F2c1x50Z2s90q7fC0p5m60f2o20-8x90X5a20j5s93g5t50X5-50Gj10Y6z80g1i1k1ZFX20s3u50p4Y31m5w20x1x20d3s305l10w3d30X2s20Jd51JK0s1d30n2m40y1L0Nu30m7X60h290p6W50A_50o2b10g5-10X7C0e2q60d3I0Y4b419j50Dw50g4h20d3q80v2rE0m2X30x2oB1Y1d309-30KZA0d1W40w2k21u2Y41t4Z70FI1NA10W52q5j704m13K0g1x1a12O10D10NA06A00607P0EY102B0610BN03C0GM01F1E00B51301910C217031k13NT06x20j170i3q21e1B1r150A30HN19O0Z1504W20Q40C404L4Y1R0l2E0Cf1l4qDy60TR8Dp10W2c37j3o41b2A0Y5n70o1c40j3W20n1z30i1a30g3t60b2s30Re10a2b70l2yA0k2f80Bs10R-10s2W403l40n2u30s1d40Z1k20d2d20m56w1s3xA1No30SX10v1n15K536V0g3Y10X570y1v11s4-20-5fA0X1s30l4k30p8a50i1W72So10Bb10m5z40X3o40t1f10WA40r5O0d2l50q8_41tBY20q6u50g4Z51_4g609T0w5r10t3_10h4p60p1u94-6l90-2u60Hu2s7zCdB1J11s1X27h1-10AO0E84i4X20Z5z20FW80y1r30Aw10Hg105L0RJ1DX11s1W10x2Z304i30-3x20x1m50k1d10e2j70b4w14h2u27s3g3n1Y2bC1z3t30M61f1k12u6C11u11t1d3CVv12s1E1Uk10o8g30rB_30o4w40c2W40z7b90a4a50l4j21g1j30e4m10_2p10i5O07i20h1Z3u1j3-U0u6D0d2i30l1n30r1w20s630r6c11m5h70X3q50_3Q1gBH0l7c24Y2b6Ey4K2l2m11_2c13u3y10a1l21X1E8_1o1yDZ5uH0v4v21o4k10Jt80z4e70Y3r30a1k61o1q10d8Y10wCd40l1f40l4D0Hs70_1W10s9j40d1_41x6l20a1A0t1k70z1F0s640W1Q0f5r30c7q10ZBY10-Cp11dA-10Ig41Az906uA0p3X20iBp90x6g21A00y2w60v4f20w2q10s2j10z1l80o5y60l6-301Z20Ld61Hh10Y3e90Ab32p2c62Vn20p1t205e20n1_10IY50cAX43X8L1Qs51s3Z4A68Hh3t10311430L104E0Q50DC0G207106E0710K900L1TO0982Sl10NP0Y1m20P40g1X2JCI6_1Tr4c3zB3N84c2Q0RK0Z1U0g2Q1Z7X20c540Ih11Jb10Y2E0p4y20q2n105-21e3h20h4z10f1I0W6l1I_3o39l3A6a8x10r3o39QX4Ps6w30C67Co11h1c20Z1n21g2R0l1b20W1K0e1e105c30BZ80Fo2X1b3Z15a1f1b1Pe41v3-E3H30e1H0d1T0JW11e5f30r1a30c5W40Z2d209K06x40h2H0g1e40Qt40m1s50Ob60h5i60Bj10A30W6W20f281v2Z20W4l60Z2o70Lf30Ly10l1j12p2i21o3b30X4m40q5t20Z6M2g4g10X2_328I0g240Mk11o2h40j6o60k3N0Y2Z21q1c30b3F0g2a11z8D1Y1P1o780x6U0k3v30FC1_3k41e6P1p3r11k5n510u30r3k108m10-2709p30X2W10p5W4r3q1q28e5x10Z7I0W450w1b10w1y10v2d22s3a13v270HJ0n5k23-8m20x1j10b1s30n2f70u1D0j1aA0q2t70N50DB3-4a51p5t60Ky81Z1v70Pe70g4X21k1f40t4e11Y1s10Pv1l1XCdDI2l902e31k1-60b2pC0Oe81o2_20Tq706xA0f3D0o3mB0t2Ca2d4b1SX2X20I21PC1y2A0Z350VC1y4R0n4Y20Ed10c2R0k2Z2v1d7y50Iw10Jv105d10571Y120n3i10IZB1-2eC0g1b17X5xC0g1sC0Y5r80FK0X4c90m6bD0d2o30j4e90w5jC0X7a60Y273q2l13i3j20W1h10nAk10o7-200-10f1j30x3i60c2_90ByB0BG0DC0s5r819j50j3mE0w2XA1X1f30n5p14-4s31b5qB1s5zA6n3mA8GY2JeE-I1NB8i3c10_680z1X20u2G07_21a2W10Qj40i3-50h1l32RY20b5q20KR3W281h1W11y2f50c1y50_1xAW2n3W21h2s26d3T9x2d19s540_4a70W4n57j2i41Sw119B5BxA1h3y90a5f70b2U0a1m20x3M3W5c31S30h6h40s4k20t1e21m470_6b6W1w9b98f6b10EA0y3c21_1j11a4a30r5b20o8g12k3C1X8L0D60l3_142n15y2a50X2t30i3a30p3C0i1p10w1r10t6p10g5m60n4T0e5v200Q0r3R0Y4u10v3n20b1W10i5k30x1n50g8o50_Aj20y3Z1j1sAwB8c5y20X4S2o9f50p2g40l5j50j350iBu30UK1v9_50i6c31IY21t5g10p4z12o5k30x2X72He60j1d90-7iA2b4p7nHoBda20h8a20-5dB0r5k807m31c4y30y3t11g3fM0xAmJ0DF0m8xD0b8uD03Q1iAl20X7Z20_4U0-4p50GcC0uBxF2lByD0v5X30q6k71lAn30u6x20A90701s3i64p9l40u6c21Y9W10W390pEX40gItC0_KgE0YErH0_9gA0-Dn22XFY81BF5-2j50_1U8s2s13x2m36i1528902705IEL103D07308K1690190810FA08M2Ld11c1i11Ll10BE00C00A08203A0BL0c2f33b1q206504C0C12LD0JB2K20X1U1700W1a10Y1p10R501805A0590930g126L-11Bd12BX24y182h1Y28PV0J53MY17o1W1j3mKk18BvE0j1uI2h2h90Y2W50W3f70v4c60i3e10VX1o29fV00g30gGs30r8r30v6m91-1p60x5q60AXA0m1v10aDU0vCh10kCyG0xFv92wCs40j1n10jBM0YMk10nMj10o3t90-6w10s9w90Z1q10ZGj60e2Z60Ke20l390q4r21C50Bm11GV0Nk10a8qE0_7xH0h1Y20i2502c21z570yEo80l1C0vCd70Y1_40700u150618f2W1Z1y1q74Y2t707E0AJ2W121GF0t1G0s2O0Z3V0OE6DB1La11W1l1X12Kl4n2I12R0SG0b190QS-2cCqODv3W14Pl80Qi30Dk10y2k61-5w206h41j7E1q3e70m2_B0q1H0h9i50w5p50Pm8l1r2k4r3_g1nP0300230O703001403203B1A80980C405000100301F04I03B04304607E01G0070Al103106c10A705501811G00405303b10420480DC0I704E0NM0UB0540NT07A01P0Y1C0TA0MB04N2Lk132L0EI0BC0D51130G70AO01l10Ee10Ld10C40CG05917O12d13A01De193547P0I3f3Js18Ql10760037Z1Y10240457IT1407Bs103103120p115K0140470253990Oa14HP16U0Ob316R0Z1w23Kg11KZ21z1W10501G30841Ea19Y1r20NU01405272G040076005046_2CV021002004030_2Z1W100402B0640B30E4-2Qy1072056013041069DPA0461396500OI67B0200MJ9L69G19B69PCKEF1020z2f21Y3-13HX11AU00811601207n122q12KL7X1L02572m11510210AX10800820007BGk19700G0630G509004001E10L27401C06463081F82GW5o2349M01304G1120Gl14De13Cj135a15DL9UZ11CG3L4s1BK143008059008048073G41h26X10260500100020480250401933K2s2Nb300I0GE06713C01F3IC4PG32r20c1y22NB00608737604M3BN4IM18A0HJ0A30384W170080d1I1k1Z10B30n143C_10D10AC17k126532851b13c1W12UB2N-12a1PAl2C0810D31A2007436B56C0BW28e1013161055016-2090301130E103203105Ay20s40Sd13Z1X11TY201H0EA0O5A5d103400854s103x20160373M-210C07Z20862PL0550831BI1Y1Q1Tm11Av30063g1o21h1M04F02500I0Fd10AA08403912v128s112t105032638m21502Hb10AH01A0718Ej1133X3x7y80Rt122i403X133p305212C0A80900w1W20r1NDe1Y10r1f31GW608z35Eh10432912Qm31b1x3Ba1o30d1FDGj205C1Ly1Mi4n30Hk62Z1z60O507C0E50B32TA4Z1i204J08K2i1j204k10QH0FS0q1l10x1K6Bg50Z1Z62Ce2Du1z20i1D0f1Q0A402B0Ow105c109D2_1F0Ca10a1w10d1X41W1602q20Z2p13Up12OG28B0Im109n106A1Go34p1j30X1B0002o1G4n2100A06901800805T06106M04H0360861NA04C0A10090CF0N10Oa10570MP07109G0481G90M403A07B01F09W10b1N14407701E20E0CT4QC1TF6Ro10Gb15g1DBz1a154O2c1RIy5c518069H0E08Y1b31d7gE0e7bF1h1mE1n4d42u5z80p7o71y2C0a4X61Lm22Eg50a1Z80Jm10a2gC0x8X857O0Ac20Ip30W8n30X310Nw11g3x30n4w60q3j60j7w30Y6x21W1T1TC1b3y90y6k40RpE1l2O2_5o40c4n20p1k10y3b30y1i40Mf21Ls60t6x30s5n60r6wB0-7fA0a1HF-1h62JmB0n2h71s2p10T50c5e60Gt30d2l11x5z10i1c305R0Vv20c1a12p1W10q1J00X11h160i121y3u20i9R3Z9aA0X4ZA1X1X30A20H10q4q70j4r31W1h10e3t11f2D05K0l1Q0c5F2p501i1E1h1B1w2e21n1d40VY33y3qF0Y4h50x2_62l1r40d3I1y1_102H0t2-20C318d10830Ga133M1kBc60jBz606m22y9m31x9X60m1X11GC0BA1Tv20-3q50z5V1Gt12EA05B1GH0TO16202D318r2LF1NF06A04H00O0CC0J30ML8JW12E98Z271CE3d1W328Y13Y1X209K0GV26D08s21Gh318511S1CT3Z2e40Jt40Ac13o1E29l10CQA5Y101I0Rn10G20550392f140AO03I2Ml10Ag15Ed40LB0C010731a113X114127106M1853n1I0Sb10G90511X1g10W166598Al10C70700871Tu114E1W1v10X1q104J2670570240478p1o20KH1670o160h1F0Oc10093Kr24Pi221B0061HC2Qr13K11090500AO00H0B200Fd26Q114IMT05612B02E02802G02ACEL10A79J01502514A4L300915A02702BEUW30Lp132709208805F02O0GH80W20AF0L80850JO2S_101En3-2ZA1FQ00C59G15I0m1b315-35J10Ip20MA6x1E29816H0CG3c2Q0t2X10p5z10s5y1Ge1K2Bo20B102D08l10Or3X10L1461IH0LF16m107N06702556t1p2q8o30y2d10l7i50-4r70Z2-90Pb60y2m50k1718dB1Vm52j1g22GU06n10b3c30u5n10v8b10w820l6p20z2u30-5w10u3d429d13Hx20c1i51GW20x3m20a1f90n2q90f2x20k7Z50_9u50s9Z10Jd506J0Ng51p3X50Ag40x1Z30n3a21Ut20o4qA0w1n702q20Gp11l1Y301x20-3w20z5v31o4s309f705-40X6Z21w4c20a3a10j2x21Q71h550a682X4F2Bc71W1b10k4t30p4Y13c4v203W18b6c12700A60Gg10h1V0y110f1N1b1J0m1A0h1G0i1d1s2Tp80Ch120M12C0290040389Na11w1f11r1J1W4b10l7q40-5_40l4a30w3l210y20d2R0Z101Z2m10W1P22o107Y10c4j41d2y100N0y3J2Z3E0w5X10Vq10Z1Z40b3e60_170Dh12K11t1s40W6f31h6Q1w5r3Z1z2sF38q14Z4r11mL_10f5g10w291lFs40kKbA0XIy40Fg32g6g20d8v10HA1cCr20x5a10j3u20YFr90X8a80x7l40h3G16i203q108Z34mKb41ZMw602g10eDr10y5X52x7Y60tBb10a1X101e10PS0u5Q0g1G2l1I1x2n40i1d10u3o70f8Z3Hq4t49b3s49kHzB0_1a20p3k20i5f30X1u10h2v41x1_106W30m3r20p1w30351o230l4w20Uz11Pe10k2d10Qj60v1m908n90g4W60x6x20m1y20q230f3p20q1y719_70l1w31o1m30Y370d1tB07e60Bz10OW11f2n208u81a3_20g1D0r150d3Y205M04Z21i1t10W1w10l2j20a410t3c31f1h30g2W32f1j41Dg31c3w20HZ90n2c80q240z1X60-3q40_4y127j11s1w1P6t30180610670150PH3W1W104D84E0P30EJ01D1Vi10W1507C02N1SE6TK2EJ099_4NjB3840630A70REBp3I0a3n21RO02W10Y1m10B00n120d1F1Ok21f140g4l46N528B0095412510p2m60u2n54d1-21g1X2d1o5X42a1L4N63OD0152X1209C0b1c10350MM1180KF1230H11k1b169J0341Tk20221420e1n2Fd2g10g160790EI1890KZ13PW13X1D5Y2F4r1m20300331C4Cg2l20120420021510610010700A40F718006007904A02320703408A0DA22F0NG0a1F04I0DD0570GE0F0NA4T52m3x1k11460B9040008-2W1b1071004048W3g110580w241_1y30Bx108L0q4r20t3-30Oz10FY30Kb10f1Q0HC0W5b60_4w20Cu10CP08200507E10L1KT0l1o11641GZ208e31W2j107L06a10h471D404A1UZ101C15500B0O40q1V07w30Dz20h2i30k1X107p10s1T1r2C0u111m3F0RL0r4s10Y3a20u2l40l3e10OB04a20d2G0i6l30z5c30W2v11Ms20Pz20u2d10G20h4-10k4f20b5-10180350161Ig100D1q2A0x3I04j10e1i10c2j207006A07H2h1i104606500C0W3f21x3W10640D414606H04B06201603404403905I4CB09G179m2OF01202400404B02400403103792Cm2GT12O07B044083-20V18B0D2FBI1-2X303F0f2w107k12q2Z10Jr10t1a20e2J1z163Kl10He10Hc10q1b20t1w13e1A09T08G19M07n10y1O0HN12e11h1p10Bq128322F0DY10J74IP0y1l10M70X2y1Sn3-30r2Q0Ro10k1x20EB0B80Y1U1x121b1i10s210IZ22h1V01a10Ru10Gi12Jm16y1Z417G03D1u1K1z1c11x1H1i1v11f3u61-1h30s1F3o1b20051080835l2R13M14D08G0853a172f1O1n1q40W1n3X1m2T0DG0C901124807L09E05K0790M60630H004H08606508Q09T01B0520MI06M09D0CH0f1q20A_113K0510QO73Rr1-3Y301704201C09R0IG1A503A0910EG2JE3Ib20W1s10Pg40370m2y40h1b305h308105Z10x1e21Id10Pl20Y3k40X1g12Tb40ML25114h12W1w409O0LA0a130PV1LY10Gj201d20Am10i1W31720f1d5g1h5Y41W110g1j40Si60x2m10e1b51-1e30i1A0h2w10v1l300l210u10OK0n2W10i3i407t60c1N0Mg70r4h70q2a20f1h10Ia40Mx30q1g20v1p20OY30Qp52n3u60Mb30w4a40v1z60H70j1y71X1r20LH3e2i30W3f11X4X21o1b30922480620AF09S0Bh11t1E0y2o11p2x20g5g90t5n30y2_405a103R0Z1g40w2A12I1b4t30s5q50X3b90DH1y1c80Z3b41C60m3y31_2h60C-30Nx30PW40e2g710nD9c4j71A806C0H419F1GY10u4_61d3k22-1B1c4t11z7g40y5X50x4s30o2i30G21n1r202Y20q2d50o3k20BZ10Z8-10Lg30u4X72Ly40b370-5x41z5s51k1r10Z2g30c4h10x3P0m2t30z1y21KO0W2j10r2H0o2q20X3o10y3l20o4l31d3p10Z2o70c1j10PZ50Y2T0l3m70t1z20m4l30Bo40j4d10W4x20n1W60Mp60W3g30JV0v4s10PM3Rm23q2r51y2M2EY20p4H1y7v41n1u21z5i30g4Z10_1b22X1N3-Cd41B67n3g32OF4c4j21N02300Qk10X3S0Y3q10v2b32m8d14l8F0k110a7E1Z841_2g20eB71bAv10w5e20x3b20i640t5U0ME0Lj20X2Y50Lv20EI0e6d102k21X6b40Tc309H1y1p10w2i30J_30X2a11g9F0z2w30_6f20s4h10p4S1i3s1Bn601MH1Ih156c55jAmE0o3r10F20Y2i60X4b90Y1X40EC0d1W51CC1z1z10s2g40GH0p3l30m1p111M0Sm50t1x50y1u21D-20d1z20Dt30g2q200h30Fy40Rm30Uv20k2k20x4b30q3u20AM02d10x1q20m1ZB0b3m70Er20Dm30Z1Z40a1e52k3l60p1aB1w1X81LS02k10Vx208p31Ti42Y2M03p20Z1g10CQ0960Y180BS0l2k20SW20c1x20Kj40Z2w30Mj20IQ06W105_20q110l2q40W2X60FW303B0Ud60d4k40u4k10l2k20HR0Cu30Rp10r1t40Y1l20IL0Aw80r1f60s280o2a10_3c10Y1d50Og11880IJ0h2o61-4I1l1h15l1y13Y2l10OI0Ge11Rd12v1s305U0c1v53n1y31g326v2o10e1b55_2h13c1606d19v2D0K13o1k22Sh1ANp2Y1Li121306A05105000704C0700KC0NL07A0A00E609602A0BD00G00802n10960Y1304006114D07U22K060061KR3a1W4L1JO6a2i31x2t70-3N0h1Y50q3U0Z2T0f1h20Rq20QE04b414k50k4D1h490s1X41D00A10Z1g41x1f51Y5y60d4t10e1q20h4r70m4e107X517i80m2l20Z2d207i70b2P04j10-5g20Z5v50l1W40Bz40e4F1x2i10s3e10l3x30s3u60b5j40c360f1w50IT0l2h30u1w10s2j61Vm40LY117R0u1H0z1n20e3Y70b3p20y2d30h2K0t1w317R0o4l10x3z51e2W90_2v40o5s60Fj21x3e20p1d90m272_2e41CD7i9v409Q0S02y2e90b4b90q1e10a2w60LxD0Mk81He10q2v60OyB0x3z30i1_41p2H0h2a70j2f60q2Z10w9-20l8p50Y4m31c1r50h2YB0r6j61u7j40o2i10f5k20i410t8o21i9n40Eg20Cb50l5-B0t1vA2y8g31d8t40Pq40c2X21i6E0v5W40l1_21q3kA0d7l50Y6e40e1t30y220Z8G1Fa20g1t30b1W30q8t40h5o21s2d20h1W70n2Z510m31Hn40p4l20a3k406p61z1u41Ip13-3o30y5n70a1Z10X8c40Nk41Z3l10k6d40r6c50W5X60q4s31j5-20W7x43x1kD1lAV0mAi30XB10Al20f8c60aLf50dBy10w730hBK0kFT0pA40KZ20u8o20r2f20n4g10n510u8x10hEe40y8b30Z2J0k6W10n7T05P0Be11W510b3A0k4r11c2O0dEe60aKXC0rCs70i3Q0Ob72t7Y70PL0JM0q1E1FN08J16c11h214L35s3PxGZm3hh71o4f90vHYM0gGfN0l3s904B0_2oB1l6a61gBXH0t5sB0u8fL1h1F0b2oA1d8WD0p3u31wFjQ2bGeM0Z1I0g4W20n1e20e8jC0e2l40SP0_4k91e3Z82fEiC0u431LN0uDlM0x4-F0b7k70y8vC1W4l90X1t10z4kH0j9oB0Jv50cGbL02f20r8eK0a9lI0lCsM0sA_M0r4kF1-1t60zBwI0o8v90i4d80x4g60f5mA0aCnQ0GI1h7kJ0Y7tK0b5YF0_9-C0x2f30e5k20C716B0v4H0e1i20e9X80x5e70V40eA_G0XAoH1d2N0yCjH2BI0v4eA0g5xB0H40n3eA1u2h70y3dC0j3gA1f_6nl2Du-6qm20520340460E503N02C01705Y102B25O00RL2410928F3UL0TY104100B2Ge1k1zn1qYx126E1LL0J302AAGF0g1i1KaAk50l6h30i5o2m1ix5x_p10o1rD0q1D0n1o20m1b208B0H104E07-215w11X1z30q2m50h1p40-3n40l5o50o4t20p2y30p1X40Y1uA07l70TO0a2l11t2Z30w1c20Jy402e60g1ZA0Kc50r2j704wD0g1bD0071Z2qA06n90g2aC0Uv40d1f10f1x52M02g4r20_3y60y1w60i1hD1B80Q90t3w40u2X50_4yD0k3l213p71Vj20Ta90W4ZC0n1eG1v1j806d417J0Z1B6c2B10a355R23IBZ2z40i4j40a2m12_2m30Hr40v1g10-2Y30Ut40v3s400d40k1e50_170IA0y1R0AX10Dp30Hi41o4t40l6U0u1g50Q60Ir11n2M07X11a3Z400O0j2c50g230j1_50p120s280n2Y60g4t41l3e50W1j52k1u20KX40w180t240X2-30n1d4p1m2w705A0OJ0FE00507K1AF00004B08K0900080570280180IR03K0PJ0KS09X10BM00V0530I618I12P02y10Qz10Va101S27122Z1I4275O0D9X1x2l20990Q803H02a10Z1V38O64C3n1j103O1v1v30Y3y40b1Z50p1m411a40u1X60H31H11Y1o20t161q3X32Nh40FmD0VrB0w1u10x2o50e2e10-1_70h4i31u1Y70W1Z70DK2h1g11i1f60C-81BF06f50u1o31Br70X270H30Y2G0ME0p1V0d1q30s2w11Eo20f220y1Y10X3p807m50y3_11v1b30Uo71R001K0GJ0b311e3X80b2w50X1v40i130i1-51l2v61i4-24j6-203T01a10EF0V50f8h51m9W61h8B0q1r70a7W50TWA0t6vD0b560q5s20JY31u7d10b5h42VB0m3W71U42v530k7Z40v1k50v4r31e3o40Ez309p10y2e10Vk40Qj81_1R0X6q40-2s20X5f81iBW80Z6k30w5x40X4t40X4X20y5q604m30Mx60m1k60n1J0g2r20_7O01x40s2X11y3c40v3I0o1k61Z6bC0Io10o5a11Z5Y30Y2a105n11-2p22f5X30q7s806Y10f4d20o4z30f6q12b1m41q2d40W4S0SY603b10Jd61f1w60Kh90n3g40940f1V0l280WAp30d4w41Z8a20O90c160r1OFVw11y2G0f3n70g2c607n20Mt10V92l1u10Ef30-131Z370o1o50c3W20j1Z40l1d30s1m50j250s3E1l2X50X1q1u1k1s71z1o20g5j3Fh4kE0k1r80Nu10b1x10c2h30j1s10m2r20X4B2m1mA1r1h601T0Kl10d1k90o4v10b1y30e4p60l4z20m3-50y12x1k4Z303Z10e1X13b2L1Ef20_AuK0YGfD0v5q17b1k90p6w20W3t17k9dI0z8f10m2aM0DnM0-6s30Z7c20l4YD0c5xH03eG0c1nE1c6w28Y1s40h4c300p20Ez40D-21Ub41b5y80m6nC0Lg30W37d1Y5kF80q21HnB0s1uA0n6s42Db50k6f70z7qC0b2z82-6f60KeF0_5xA0-7s107o80Hk41l3zI27cD0Ke50k5p90p3h40_4w80g8r70t1_10j4sG0w3d60Sa70LdJ0i2Y20b9Y40k5cB1l3jF1s3y85f3_50q3WA1W1r52m2M1z6b70b2w11y3k70Y2h50f6i10k2W92Z4dB0-3h50q6i40x1W70j4f22u1_21a5z20x4qA0b4n30k7k40Ut4EvDg70d4j20m8L0h2n50g4i60_6Z20W6y20Z1p305k30l8P0k6j31n1y40W3e12l3l60o2o41Md2m2eKbS00800H0-1K0180B40C20061v1M0u2d10G01Rc248F0Ct201W10x3g30Sd40q1y20R90o2h20X2a20m1p10b1m10b1b108203D0w1E0831ID0600p2W20g1t10D21d1M0s2Z11z1y31h1n32w1-10d1C0Y2l101K1h1Z10C207505I0A05Mc22X1o213x61c2a21RI0501W139Mf14n3S8W2f10440A30F20CA0ND0Q50PE0I704Z111m12A20LN0M20TO0KJ13401A2M00X1D6c160V01797AK1HD1B65Y100S62x115W131V318A5M72S50l1O9936e172p100q1J1a2i11970752I80H6By410j1l20Oh10b2k50X3k20k6z508G2H60m1z11j2y10BC17O0b3Z10q3i40b1z30Rz10s460r4e91o2rB0W1y60Jd61k1u305z10h5G0i3j30_3e90UJ04h51u2q30h4q30s3x60h2s212f20u2r20i1e10Z1w30s2h214q20p3u42X2l506H0j1c20i3X309k10t2T0i630v3z10470y1T07B0i2Z10v4m30s3m70n1d514Z51z5cA1a2X41s1X21j2i30a7r20Z7K0i5v55r9c20r1y50a7pF4r2aA0830BN11O0W1F43Z20j3c61X1G1c6v40c1xA0n6mB0n1a30a3p30t3s30c6rC0h2y90L91860h4i30W6l30f3e20e6z20Na11TC2BL0QI2l3j10W4pB0j4oB1a2u10v1Y10j3u10Nj10-AvE0v1cC0v3O0h2q20b3Y40g9jB05X30Ts706L0Z2O0FH0q3V1v1e10j3-102C0BB03C05D0s4d30h8k62w6p60g4x90r1k80d2k21d3y31Fv10Uv110w205C0k3l21n2h11f1-45St20430BA08B0270610HE0236A117628A0621985Nh12574AO0113GQ0BF01A01404BHKJ030055U7202A1b1f20KR0Bk11AZ108K5VZ108W22MB3Ll63i2c61Kb70j5G0g5g61_340D30LT06Y41u2tA0I40h2e30X2s20W1N1q2N0f3a41g1x11q3O0h3X70u4k51r2r41g152g1o50_3F0UP0Jk404v40c2H1Dx405s30t4k70QX30c5p61j3c40Qd50d2g90o3r90Z4k52s5z20t3c70f1_51UW30e1y30z3l30W1u20W3h50m1a20b4k405t80y4z10QW70x3k10Nl70r1w70o5X20v5E1a3x60n2e70c2y23p5A0De70c1X70n1J05g509_40HG1s2X30v1g50g3l50Bj20Z3mE0g3jI1d1yA0t2o61Y2R0JY30g3dH1t3wC0i3jF0j1s80Cd11_1qA06r91c3t80b1W62v2sB2W4XG0r4cB0c6zC0B00v4i80Y3z506l202Y811_30v3Y90w3p30f2e60f198FZ703I0AA07F05G0CD4a1i90n1X70g1Y50Re30s1tA0Fc26d1V0D50600IZ100Eo3sAcE0Cc18m1f10m2m30Nc10c1b40b4b10g3U0r1a21-4W11j6n40s2B0_3a60r1j11k4X60u6w60r9r20c6g20p2u10Cv30v3-60W9d90X4u21X4f20_1W72a7b10Ii11_3_40k7i50f9j40o350r3X40n1y40o8s20X7z300w30W6t70p5s81m760X2f60j8u70g4j50W7w50h8V1a7x6c1XCN0Db10Dn24MW1Cf1y20W5j30l3U1w3l30v1w53l4y21Cr10E_20q3i10f5c20m2H0q1r60l2Y70Mf20i5n30R80p2a20i2z10b4a81m3v60h290v2u21q3m20d2h30Lz10Is3l1m7mG1u1W20Z3X20q2m10MT1v2p20g3e41n2l20l1y20a3X40_1m118W30p2v40Mq40c2G0Fr20w1-10n1d307o31k1C02j30Ha310h40j1m40Dh10Fh40Jw50a4Z41f2Y30OE1x150m3v4y1q2C0n9g40-5jA1x4g53g8g20t1O0b7Q1t1o10WDh30b6dA0a2u20d2g20w7D0j2g81s2d70v7q10e1d50MK0l6m70YBh11bAo50s5t60f6Y60a8p51v1n60l3e50g1z40b6a70e9X10Gr10Y3a70v3t80w3W31bCW20u3_31-9c10x6V0o1o50n5K0-9Z70Tk30a1a40Ek10l9j70u5X40TiB0u4v30bBm30e1n90q9-20fCc71X1D2uBX90d1i31X8n10Qa60Tn11y5f10j6a31G92t3u10iBZ10X1x23n2x5FD-700C0530450A10Dc10CR0KB3NS34I0A704T4VI0Af1QKM6F4g1X8r9IBl30i3h20r5r10m1Y80TW31-3v21j2Y60Rt10c2l52g1o519x10t2p40VG0OX12q4-31z1d30i110n5X30Ke20m2uA05h50Y2x70r371Mw20CJ04I1Z3p60q6i41h2i90p2b30Ug30RX109p37q4m3Th4u60QJ0W1CX3uy2nh60BR0m5Xp10f5mr10I701V0Tc10Gd142D1H007a10Mj105C0it1AAdt1T9X1a45bv1zg50e2kF0gPgW30i4e10q5wZ10YJhr101a10jg1vS0sr1i70hLkb10i3ei10eAtM0e7dV0pBfA1x3xE1u8z60vW1oh100L0YVgZ306Xe10j6z90b9ln11XMrQ0yW1gm20m6uQ0v2ZC0e4jX20dFp40gBqx10z5tl20lCqS0Y750sLZj11nn1a81qh1k80a5il30tA_S0yAmD0rLxy20yMc90hd1vx1A-Y1iz10nGcs10gCdz20_3We30X7zX10eBXY10rOkb10kKZp10p3kc20k3k30zZ1le20-Oih10k5ds10ZEuY24kX1l_10_DcD0r5zA0u9yo20rOnO0y9XJ0gFnL0sCYa10XUXR1cA_j10k1-d30k9pt20tKgg10wBXW10k2iu10x9zQ0m6tm10_k1nM0qh1oh30o4hP0W1Xh11xMYv10g4-50cNeL1xAvV0rOvV0y9sB0sRzY10rIY70YGof20l8dR0Y9uU0rBzj20gDgS0R_Q0e2v90o8W70dd1bp10_BYy10af1jU0dFet20o4eD0yFt-10j1XZ10p4gn209_U0X8Wc10lAfb10-TzW10ZIyd21i6yG0s8Zo10n2ke10lAiI0bAds20mBz20r4tA0q1jF0q3ct20s7w40gAdz10t_1bd10wi1Y_31g5rL0XFu_10a6v-40cEgc20ft1_m20oh1sp30w4dB0pZ1hy15qd2Wz10XHuG0a1n30h3x90W3YC0t4cG0c7v91t1xB2a1yD1d4t35qD_c10-9s604id10eJdd20vUm-10Z9p70yBbL0x4vy11ZHeo20YFwE1v9uM0WBvD0qS_V1bRZq20jGaj30sAoG0Z1Z-30sGkn30ZIbi20b6py20a1qd40m2y50uAhW10Z2_C0oRyk20fa1f-20sGfA0u4pP0Z5sl10g2tQ0rE607qL0b7Wr10-5lC0r5v70m8gJ0sSZq20dX1mr20WKzs20_Hz90YDqM0xPYu30uCzb30cMZn10hHWZ30l1hL0x9rf30gIyW20XEx60e9hT0m6ss10h5ko10d7w70n9aR0oBnr10Efv21XAex40-NjS0yJts20lVxo10v5cT0a4hJ0-Ayr11t2au20eM_i10rTWI0iVpv19rh2sm4Ib6J3o5N0Z1vB0W2W30o2l21_4q50v7q71m7hC0X7WI1OnB0j4k23sKf40_9Z18g38o1rH-P1Ev4Ec1t30r1e11Pd10f1b20g4wI1v2bI0n2e90k7hD1LoA";
+
+  // Loaded by the test suite (test/load.js) instead of a userscript manager:
+  // hand over what the tests exercise and leave the page alone.
+  if (typeof module === "object" && module?.exports) {
+    module.exports = { ...PAGE_PARSERS, captureFixture, viaDataApi, csvCell, tsvCell, distanceText };
+    return;
+  }
 
-  initInterval = setInterval(() => {
-    initAttempts++;
-    ensure();
-    if (document.getElementById("__onth_snap_btn__")) {
-      clearInterval(initInterval);
-      log.info("UI initialized successfully");
-    }
-    if (initAttempts >= MAX_INIT_ATTEMPTS) {
-      clearInterval(initInterval);
-      log.warn("Max init attempts reached");
-    }
-  }, 220);
+  installNetworkCapture();
 
-  cleanup.addInterval(initInterval);
+  // Only the capture has to run at document-start; the drawer waits for the page's markup.
+  function startUI() {
+    let initInterval;
+    let initAttempts = 0;
+    const MAX_INIT_ATTEMPTS = 40;
 
-  const observer = new MutationObserver(() => {
-    if (observer.__pending) return;
-    observer.__pending = true;
-    requestAnimationFrame(() => {
-      observer.__pending = false;
+    initInterval = setInterval(() => {
+      initAttempts++;
       ensure();
-    });
-  });
+      if (document.getElementById("__onth_snap_btn__")) {
+        clearInterval(initInterval);
+        log.info("UI initialized successfully");
+      }
+      if (initAttempts >= MAX_INIT_ATTEMPTS) {
+        clearInterval(initInterval);
+        log.warn("Max init attempts reached");
+      }
+    }, 220);
+
+    cleanup.addInterval(initInterval);
 
-  if (document.documentElement) {
-    observer.observe(document.documentElement, {
-      childList: true,
-      subtree: true,
+    const observer = new MutationObserver(() => {
+      if (observer.__pending) return;
+      observer.__pending = true;
+      requestAnimationFrame(() => {
+        observer.__pending = false;
+        ensure();
+      });
     });
-    cleanup.addObserver(observer);
+
+    if (document.documentElement) {
+      observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+      });
+      cleanup.addObserver(observer);
+    }
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", startUI, { once: true });
+  } else {
+    startUI();
   }
 
-  log.info("Driver Snapshot v2.2.3 loaded");
+  log.info(`Driver Snapshot v${SCRIPT_VERSION} loaded`);
   log.debug("Debug mode:", !!window.__ONTH_DEBUG__);
 })();
@@ -0,0 +1,64 @@
+// Rebuilds the ZIP_CENTROIDS table inside amazon-driver-snapshot.user.js from a Census ZCTA
+// gazetteer file (or any CSV/TSV with zip, lat and lon columns, like the Settings import):
+//   node scripts/pack-zip-centroids.js 2021_Gaz_zcta_national.txt
+// The format is described next to ZIP_CENTROIDS in the script; unpackZipCentroids reads it.
+const fs = require("node:fs");
+const path = require("node:path");
+
+const SCRIPT = path.join(__dirname, "..", "amazon-driver-snapshot.user.js");
+const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_";
+
+function varint(v) {
+  let out = "";
+  do {
+    const d = v % 32;
+    v = Math.floor(v / 32);
+    out += DIGITS[d + (v ? 32 : 0)];
+  } while (v);
+  return out;
+}
+
+const zigzag = (v) => (v < 0 ? -v * 2 - 1 : v * 2);
+
+function readTable(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((l) => l.split(/[\t,;]/).map((c) => c.trim().replace(/^"|"$/g, "")))
+    .filter((r) => r.length >= 3);
+  const head = rows[0].map((c) => c.toLowerCase());
+  const zi = head.findIndex((c) => /^(?:zip|zipcode|zip_code|zcta\w*|geoid|postal\w*)$/.test(c));
+  const la = head.findIndex((c) => /^(?:lat|latitude|intptlat)$/.test(c));
+  const lo = head.findIndex((c) => /^(?:lon|lng|long|longitude|intptlong)$/.test(c));
+  if (zi < 0 || la < 0 || lo < 0) throw new Error("expected a header row with zip, lat and lon columns");
+
+  const byZip = new Map();
+  for (const r of rows.slice(1)) {
+    const zip = Number(r[zi]);
+    const lat = Math.round(Number(r[la]) * 100);
+    const lon = Math.round(Number(r[lo]) * 100);
+    if (Number.isInteger(zip) && zip > 0 && zip < 1e5 && Number.isFinite(lat) && Number.isFinite(lon)) byZip.set(zip, [lat, lon]);
+  }
+  return [...byZip].sort((a, b) => a[0] - b[0]);
+}
+
+function pack(entries) {
+  let out = "";
+  let [zip, lat, lon] = [0, 0, 0];
+  for (const [z, [la, lo]] of entries) {
+    out += varint(z - zip - 1) + varint(zigzag(la - lat)) + varint(zigzag(lo - lon));
+    [zip, lat, lon] = [z, la, lo];
+  }
+  return out;
+}
+
+const file = process.argv[2];
+if (!file) {
+  console.error("usage: node scripts/pack-zip-centroids.js <gazetteer.txt|zips.csv>");
+  process.exit(1);
+}
+const entries = readTable(fs.readFileSync(file, "utf8"));
+const src = fs.readFileSync(SCRIPT, "utf8");
+const line = /^( {2}const ZIP_CENTROIDS =\n {4})"[^"\n]*";$/m;
+if (!line.test(src)) throw new Error("ZIP_CENTROIDS not found in the script");
+fs.writeFileSync(SCRIPT, src.replace(line, (m, lead) => `${lead}"${pack(entries)}";`));
+console.log(`Packed ${entries.length} ZIPs into ${path.basename(SCRIPT)}`);
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./load");
+
+const { cleanAddress, formatAddress } = load();
+
+// The parser lives in the page's realm; spread it into a plain object before comparing.
+const parse = (raw) => ({ ...cleanAddress(raw) });
+
+test("drops the GeoStudio link and the Address label around a multi-line address", () => {
+  assert.deepEqual(parse("Address\n4512 Fremont Avenue North\nSeattle, WA 98103\nEdit in GeoStudio"), {
+    street: "4512 Fremont Ave N",
+    unit: "",
+    city: "Seattle",
+    state: "WA",
+    zip: "98103",
+    zip4: "",
+    line: "4512 Fremont Ave N, Seattle, WA 98103",
+    text: "4512 Fremont Avenue North, Seattle, WA 98103",
+  });
+  assert.equal(parse("Edit in GeoStudio\n88 Lakeview Blvd E, Seattle, WA 98102").street, "88 Lakeview Blvd E");
+});
+
+test("joins a street line and a city line", () => {
+  const a = parse("10 north main street\r\nSpringfield, IL 62701");
+  assert.equal(a.street, "10 N main St");
+  assert.equal(a.city, "Springfield");
+  assert.equal(a.line, "10 N main St, Springfield, IL 62701");
+});
+
+test("splits street and city without commas", () => {
+  assert.deepEqual(
+    [parse("1701 Westlake Ave Apt 12B Seattle WA 98109"), parse("2200 Alaskan Way Seattle Washington 98121")].map((a) => [a.street, a.unit, a.city, a.state, a.zip]),
+    [
+      ["1701 Westlake Ave", "Apt 12B", "Seattle", "WA", "98109"],
+      ["2200 Alaskan Way", "", "Seattle", "WA", "98121"],
+    ]
+  );
+  assert.equal(parse("  12 Pine Rd ,  Portland , OR 97201 ").line, "12 Pine Rd, Portland, OR 97201");
+});
+
+test("keeps ZIP+4 apart from the ZIP and ignores what follows it", () => {
+  const a = parse("301 E Pike St Ste 5, Seattle, WA 98122-1234, United States");
+  assert.equal(a.zip, "98122");
+  assert.equal(a.zip4, "1234");
+  assert.equal(a.line, "301 E Pike St Ste 5, Seattle, WA 98122-1234");
+  assert.equal(a.text, "301 E Pike St Ste 5, Seattle, WA 98122-1234");
+
+  assert.equal(parse("22 Oak Avenue, Springfield, IL 62702 - 1234").zip4, "1234");
+});
+
+test("normalizes units inline, in their own segment and with #", () => {
+  assert.deepEqual(
+    [
+      "88 Lakeview Blvd E Unit 3, Seattle, WA 98102",
+      "22 Oak Avenue, Suite 200, Springfield, IL 62702",
+      "500 Elm Street #4, Springfield, IL 62703",
+      "9 Bay Rd Apartment B-2, Tacoma, WA 98402",
+    ].map((raw) => [parse(raw).street, parse(raw).unit]),
+    [
+      ["88 Lakeview Blvd E", "Unit 3"],
+      ["22 Oak Ave", "Ste 200"],
+      ["500 Elm St", "# 4"],
+      ["9 Bay Rd", "Apt B-2"],
+    ]
+  );
+});
+
+test("handles addresses without a ZIP and empty input", () => {
+  const a = parse("742 Evergreen Terrace, Springfield");
+  assert.equal(a.street, "742 Evergreen Ter");
+  assert.equal(a.city, "Springfield");
+  assert.equal(a.zip, "");
+
+  assert.deepEqual(parse(""), { street: "", unit: "", city: "", state: "", zip: "", zip4: "", line: "", text: "" });
+  assert.equal(parse(null).line, "");
+});
+
+test("formatAddress picks the copied form", () => {
+  const a = cleanAddress("1701 Westlake Avenue Apt 12B, Seattle, WA 98109");
+  assert.equal(formatAddress(a, "page"), "1701 Westlake Avenue Apt 12B, Seattle, WA 98109");
+  assert.equal(formatAddress(a, "usps"), "1701 Westlake Ave Apt 12B, Seattle, WA 98109");
+  assert.equal(formatAddress(a, "street"), "1701 Westlake Ave Apt 12B");
+  assert.equal(formatAddress(a, "nonsense"), "1701 Westlake Avenue Apt 12B, Seattle, WA 98109");
+  assert.equal(formatAddress(null), "");
+});
@@ -0,0 +1,88 @@
+// Sample payloads in test/fixtures/api are served by mock-server.js. They cover the two shapes
+// the parsers look for: flat stop records with text addresses, and nested task records with
+// address objects. Add a payload here when the page's API answers in a shape they miss.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, fixture } = require("./load");
+const { startMockServer } = require("./mock-server");
+
+const payload = (name) => JSON.parse(fixture(`api/${name}`));
+
+test("parseItinerariesPayload reads id, name and phone", () => {
+  const { parseItinerariesPayload } = load();
+  assert.deepEqual(
+    parseItinerariesPayload(payload("itineraries.json")).map((it) => ({ ...it })),
+    [
+      { id: "it-1", name: "Driver 1", phone: "+15550100000" },
+      { id: "it-2", name: "Driver 2", phone: "+15550100001" },
+      { id: "it-3", name: "Driver 3", phone: "+15550100002" },
+    ]
+  );
+});
+
+test("parseStopsPayload: flat stops with text addresses", () => {
+  const { parseStopsPayload } = load();
+  const stops = parseStopsPayload(payload("stops-it-1.json"));
+
+  assert.deepEqual(
+    stops.map((s) => [s.stopNum, s.done, s.doneAt, s.addressParts.line, s.packages, s.stopType]),
+    [
+      [1, true, "10:02 AM", "100 N Main St, Springfield, WA 00000", 2, "residential"],
+      [2, true, "10:19 AM", "100 Main St E Unit 3, Springfield, WA 00000", 1, "residential"],
+      [3, false, "", "100 Main St Apt 12B, Springfield, WA 00000", 3, "residential"],
+      [4, false, "", "100 Main St, Springfield, WA 00000", 2, "business"],
+    ]
+  );
+  assert.equal(stops[2].timeWindow, "10:00 AM – 2:00 PM");
+  assert.deepEqual([...stops[2].notes], ["Gate code #1234"]);
+  assert.ok(stops.every((s) => s.source === "api"));
+});
+
+test("parseStopsPayload: nested tasks with address objects", () => {
+  const { parseStopsPayload } = load();
+  const [first, second] = parseStopsPayload(payload("stops-it-2.json"));
+
+  assert.equal(first.done, true);
+  assert.match(first.doneAt, /^\d{1,2}:\d{2} [AP]M$/);
+  assert.equal(first.packages, 2);
+  assert.equal(first.address, "200 Oak Avenue, Springfield, WA 00000-1234");
+
+  assert.equal(second.done, false);
+  assert.equal(second.addressParts.line, "300 Elm St Ste 200, Springfield, WA 00000");
+  assert.equal(second.timeWindow, "9:00 AM – 12:00 PM");
+  assert.equal(second.stopType, "business");
+  assert.deepEqual([...second.notes], ["Loading dock at the back", "Closed at noon"]);
+});
+
+test("parseStopsPayload in strict mode ignores payloads that are not stop lists", () => {
+  const { parseStopsPayload } = load();
+  assert.deepEqual([...parseStopsPayload(payload("itineraries.json"), { strict: true })], []);
+  assert.equal(parseStopsPayload(payload("stops-it-1.json"), { strict: true }).length, 4);
+});
+
+test("viaDataApi looks up the itinerary and reads its stops from the mock server", async (t) => {
+  const mock = await startMockServer();
+  t.after(() => mock.close());
+
+  const { viaDataApi } = load({
+    config: {
+      DATA_SOURCE: "api",
+      API_ITINERARIES_URL: `${mock.url}/api/itineraries?serviceDate={serviceDate}`,
+      API_STOPS_URL: `${mock.url}/api/itineraries/{itineraryId}/stops`,
+      RETRY_ATTEMPTS: 0,
+    },
+    // jsdom has no fetch; lend it Node's, with the AbortController it expects.
+    before: (w) => Object.assign(w, { fetch, AbortController }),
+  });
+
+  const next = await viaDataApi("Driver 2", "+15550100001", (stops) => stops.find((s) => !s.done));
+  assert.equal(next.stopNum, 2);
+  assert.equal(next.address, "300 Elm Street, Suite 200, Springfield, WA 00000");
+  assert.deepEqual(mock.requests, ["/api/itineraries?serviceDate=2026-10-19", "/api/itineraries/it-2/stops"]);
+
+  // it-3 has no stops payload: the 404 sends the caller back to the page.
+  assert.equal(await viaDataApi("Driver 3", "", (stops) => stops[0]), null);
+  // Itinerary ids are remembered from the first lookup.
+  assert.equal(mock.requests.filter((u) => u.startsWith("/api/itineraries?")).length, 1);
+});
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./load");
+
+const from = { stopNum: 12, doneAt: "10:02 am", address: "4512 Fremont Ave N, Seattle, WA 98103" };
+
+test("distanceText uses the built-in ZIP table", () => {
+  const { distanceText } = load();
+  // 98103 (47.68, -122.34) to 98101 (47.61, -122.34).
+  assert.equal(distanceText(from, "1301 2nd Ave, Seattle, WA 98101"), "≈ 4.8 mi from stop 12 (done 10:02 am)");
+
+  // Leading zeros survive the packing (Puerto Rico and New England ZIPs).
+  assert.match(distanceText({ ...from, address: "Aguadilla, PR 00603" }, "Boston, MA 02108"), /^≈ \d+\.\d mi/);
+  assert.equal(distanceText(from, "Somewhere 98103"), "Same ZIP from stop 12 (done 10:02 am)");
+  assert.equal(distanceText(from, "Nowhere, ZZ 00000"), "from stop 12 (done 10:02 am) · ZIP 00000 not in table");
+});
+
+test("an imported ZIP table overrides the built-in one", () => {
+  const { distanceText } = load({
+    before: (w) => w.localStorage.setItem("__onth_snap__:zips", JSON.stringify({ 98101: [47.64, -122.34] })),
+  });
+  assert.equal(distanceText(from, "1301 2nd Ave, Seattle, WA 98101"), "≈ 2.8 mi from stop 12 (done 10:02 am)");
+});
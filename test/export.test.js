@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./load");
+
+const { csvCell, tsvCell } = load();
+
+test("export cells neutralise formulas", () => {
+  assert.equal(csvCell('=HYPERLINK("http://example.com","x")'), `"'=HYPERLINK(""http://example.com"",""x"")"`);
+  assert.equal(tsvCell('=HYPERLINK("http://example.com")'), `'=HYPERLINK("http://example.com")`);
+  assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(tsvCell(" -2+3"), "' -2+3");
+});
+
+test("export cells leave numbers and phone numbers alone", () => {
+  assert.equal(csvCell("+15550100000"), "+15550100000");
+  assert.equal(tsvCell("+1 (555) 010-0000"), "+1 (555) 010-0000");
+  assert.equal(csvCell("-198"), "-198");
+  assert.equal(csvCell(-198), "-198");
+  assert.equal(csvCell(""), "");
+  assert.equal(csvCell(null), "");
+});
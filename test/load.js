@@ -0,0 +1,61 @@
+// Loads the userscript into a jsdom window, the way a userscript manager would,
+// and returns what it exports for tests (see the end of amazon-driver-snapshot.user.js).
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const SRC = fs.readFileSync(path.join(__dirname, "..", "amazon-driver-snapshot.user.js"), "utf8");
+const LIST_URL = "https://logistics.amazon.com/operations/execution/itineraries?serviceDate=2026-10-19";
+const BLOCK_TAGS = /^(?:ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|BR|DD|DIV|DL|DT|FIELDSET|FOOTER|FORM|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|TABLE|TR|UL)$/;
+
+// jsdom has no layout, so it has no innerText. This one breaks lines around block
+// elements, which is what the parsers rely on in a real browser.
+function innerText(el) {
+  let out = "";
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      out += node.nodeValue;
+      return;
+    }
+    if (node.nodeType !== 1 || /^(?:SCRIPT|STYLE|TEMPLATE)$/.test(node.tagName)) return;
+    const block = BLOCK_TAGS.test(node.tagName);
+    if (block) out += "\n";
+    for (const child of node.childNodes) walk(child);
+    if (block) out += "\n";
+  };
+  walk(el);
+  return out.replace(/[ \t]*\n[ \t\n]*/g, "\n").trim();
+}
+
+// `before(window)` runs ahead of the script, e.g. to seed localStorage.
+function load({ html = "<!doctype html><html><body></body></html>", url = LIST_URL, config = null, before = null } = {}) {
+  const dom = new JSDOM(html, { url, runScripts: "outside-only", pretendToBeVisual: true });
+  const w = dom.window;
+  Object.defineProperty(w.HTMLElement.prototype, "innerText", {
+    get() {
+      return innerText(this);
+    },
+    configurable: true,
+  });
+  // Only attached, rendered elements have a size; getStopHeaders() filters on it.
+  for (const prop of ["offsetWidth", "offsetHeight"]) {
+    Object.defineProperty(w.HTMLElement.prototype, prop, {
+      get() {
+        return this.isConnected ? 10 : 0;
+      },
+      configurable: true,
+    });
+  }
+  if (config) w.localStorage.setItem("__onth_snap__:config", JSON.stringify(config));
+  before?.(w);
+
+  w.module = { exports: {} };
+  w.eval(SRC);
+  return { window: w, document: w.document, ...w.module.exports };
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+module.exports = { load, fixture, LIST_URL };
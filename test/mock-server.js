@@ -0,0 +1,55 @@
+// A stand-in for the page's JSON endpoints, serving the sample payloads in test/fixtures/api:
+//   GET /api/itineraries?serviceDate=…        → itineraries.json
+//   GET /api/itineraries/{itineraryId}/stops  → stops-{itineraryId}.json (404 when there is none)
+// api.test.js starts it on a free port. To try the script against it in the browser, run
+// `node test/mock-server.js [port]` and set the Data source URLs in Settings to
+// http://127.0.0.1:<port>/api/itineraries?serviceDate={serviceDate} and
+// http://127.0.0.1:<port>/api/itineraries/{itineraryId}/stops.
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+const DIR = path.join(__dirname, "fixtures", "api");
+
+function payloadFor(pathname) {
+  if (pathname === "/api/itineraries") return "itineraries.json";
+  const m = pathname.match(/^\/api\/itineraries\/([\w-]+)\/stops$/);
+  return m ? `stops-${m[1]}.json` : "";
+}
+
+// Resolves to { url, requests, close() }; requests lists every path + query it was asked for.
+function startMockServer(port = 0) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const file = payloadFor(new URL(req.url, "http://localhost").pathname);
+    const headers = {
+      "Access-Control-Allow-Origin": req.headers.origin || "*",
+      "Access-Control-Allow-Credentials": "true",
+      "Content-Type": "application/json",
+    };
+    if (!file || !fs.existsSync(path.join(DIR, file))) {
+      res.writeHead(404, headers);
+      res.end(JSON.stringify({ message: "Not found" }));
+      return;
+    }
+    res.writeHead(200, headers);
+    res.end(fs.readFileSync(path.join(DIR, file)));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockServer(Number(process.argv[2]) || 8787).then((mock) => console.log(`Mock API on ${mock.url}`));
+}
+
+module.exports = { startMockServer };
@@ -0,0 +1,114 @@
+// Fixtures in test/fixtures are saved with the diagnostics panel's "Capture fixture" button.
+// When the page layout changes, capture the new layout next to the old one and add a case here.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, fixture } = require("./load");
+
+const DRIVER_URL = "https://logistics.amazon.com/operations/execution/itineraries?itineraryId=it-1&serviceDate=2026-10-19";
+
+test("list fixture: parseRow reads every driver row", () => {
+  const t = load({ html: fixture("list.html") });
+  const rows = [...t.document.querySelectorAll('[data-testid="allow-text-selection-div"]')].map((row) => t.parseRow(row));
+
+  assert.deepEqual(
+    rows.map((r) => [r.name, r.number, r.status, r.projectedRTS, r.avgPerHour, r.lastHourPace, r.stopsLeft]),
+    [
+      ["Driver 1", "+15550100000", "active", "7:45 PM", 18.5, 12, 50],
+      ["Driver 2", "+15550100001", "active", "12:15 PM", 22, 25, 20],
+      ["Driver 3", "+15550100002", "active", "9:30 PM", 10, 8, 130],
+      ["Driver 4", "+15550100003", "completed", "", 20, 0, 0],
+      ["Driver 5", "+15550100004", "not-started", "", null, null, 140],
+    ]
+  );
+  assert.equal(new Set(rows.map((r) => r.key)).size, rows.length);
+});
+
+test("list fixture: extractPhone prefers the tel: link over the text", () => {
+  const t = load({ html: fixture("list.html") });
+  const row = t.document.querySelector('[data-testid="allow-text-selection-div"]');
+  assert.equal(t.extractPhone(row, row.innerText.split("\n")), "+15550100000");
+
+  row.querySelector("a").removeAttribute("href");
+  assert.equal(t.extractPhone(row, row.innerText.split("\n")), "555-010-0000");
+});
+
+test("parseRow: stop counts decide the status before the progress wording", () => {
+  const t = load({
+    html: `<!doctype html><html><body>
+      <div data-testid="allow-text-selection-div"><div>Driver 1</div><div>0 completed</div><div>0/120 stops</div></div>
+      <div data-testid="allow-text-selection-div"><div>Driver 2</div><div>12 completed</div><div>12/100 stops</div></div>
+      <div data-testid="allow-text-selection-div"><div>Driver 3</div><div>100 completed</div><div>100/100 stops</div></div>
+      <div data-testid="allow-text-selection-div"><div>Driver 4</div><div>Completed</div></div>
+      <div data-testid="allow-text-selection-div"><div>Driver 5</div><div>Returned to station</div><div>8 completed</div></div>
+    </body></html>`,
+  });
+  const rows = [...t.document.querySelectorAll('[data-testid="allow-text-selection-div"]')].map((row) => t.parseRow(row));
+  assert.deepEqual(
+    rows.map((r) => r.status),
+    ["not-started", "unknown", "completed", "completed", "completed"]
+  );
+});
+
+test("parseRow: a row that fails to parse keeps the record shape", () => {
+  const t = load({ html: fixture("list.html") });
+  const good = t.parseRow(t.document.querySelector('[data-testid="allow-text-selection-div"]'));
+  const bad = t.parseRow({
+    get innerText() {
+      throw new Error("detached");
+    },
+  });
+
+  assert.deepEqual(Object.keys(bad).sort(), Object.keys(good).sort());
+  assert.equal(bad.name, "[error]");
+  assert.equal(bad.itineraryId, "");
+  assert.equal(bad.status, "unknown");
+  assert.match(bad.key, /^error_/);
+});
+
+test("driver fixture: stop headers, addresses and panel details", () => {
+  const t = load({ html: fixture("driver.html"), url: DRIVER_URL });
+  const stops = [...t.document.querySelectorAll('[aria-controls^="expandable-"]')].map((header) => {
+    const panel = t.document.getElementById(header.getAttribute("aria-controls"));
+    const address = t.cleanAddress(t.findAddressInPanel(panel)?.innerText);
+    return { ...t.parseStopHeader(header), address: address.line, ...t.parseStopPanel(panel, address.text) };
+  });
+
+  assert.deepEqual(
+    stops.map((s) => [s.stopNum, s.done, s.doneAt, s.address]),
+    [
+      [1, true, "10:02 am", "100 Main St N, Springfield, WA 00000"],
+      [2, true, "10:19 am", "100 Main St E Unit 3, Springfield, WA 00000"],
+      [3, false, "", "100 Main St Apt 12B, Springfield, WA 00000"],
+      [4, false, "", "100 Main St, Springfield, WA 00000"],
+    ]
+  );
+  assert.deepEqual(
+    { timeWindow: stops[2].timeWindow, packages: stops[2].packages, stopType: stops[2].stopType, notes: [...stops[2].notes] },
+    { timeWindow: "10:00 AM – 2:00 PM", packages: 3, stopType: "residential", notes: ["Gate code #1234"] }
+  );
+  assert.equal(stops[3].stopType, "business");
+  assert.equal(stops[3].packages, 2);
+});
+
+test("captureFixture removes names, phones, emails and places", () => {
+  const html = `<!doctype html><html><body><div class="fp-page-template">
+    <div data-testid="allow-text-selection-div" onclick="x()"><div>Maria Gonzalez</div><div><a href="tel:2065550143">(206) 555-0143</a></div>
+      <div>Projected RTS: 7:45 PM</div><div>100/150 stops</div><div>maria.g@example.net, 4512 Fremont Avenue North, Seattle, WA 98103-4410</div></div>
+    <div data-testid="allow-text-selection-div"><div>Ann Lee</div><div>425.555.0122</div><div>Not started</div><div>0/90 stops</div></div>
+  </div></body></html>`;
+  const t = load({ html });
+  const fx = t.captureFixture();
+
+  assert.equal(fx.kind, "list");
+  for (const leak of ["Maria", "Gonzalez", "Ann Lee", "2065550143", "555-0143", "555.0122", "example.net", "Fremont", "Seattle", "98103", "4410", "onclick"]) {
+    assert.ok(!fx.html.includes(leak), `fixture still contains ${leak}`);
+  }
+  assert.match(fx.html, /Driver 1[\s\S]*Driver 2/);
+  assert.match(fx.html, /Projected RTS: 7:45 PM/);
+});
+
+test("captureFixture refuses the itinerary view when it has no names to remove", () => {
+  const t = load({ html: fixture("driver.html"), url: DRIVER_URL });
+  assert.throws(() => t.captureFixture(), /take a snapshot first/);
+});